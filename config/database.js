@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { Pool } = require('pg');
+const { log } = require('../utils/log');
 
 const pool = new Pool({
   host: process.env.DB_HOST,
@@ -7,19 +8,20 @@ const pool = new Pool({
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
-  ssl: {
-    rejectUnauthorized: false // Necessário para Supabase
+  // Necessário para Supabase; DB_SSL=false para um PostgreSQL local sem SSL
+  ssl: process.env.DB_SSL === 'false' ? false : {
+    rejectUnauthorized: false
   }
 });
 
 // Testar conexão
 pool.connect()
   .then(client => {
-    console.log('✅ Conectado ao banco de dados PostgreSQL (Supabase)');
+    log.info('Conectado ao banco de dados PostgreSQL');
     client.release();
   })
   .catch(erro => {
-    console.error('❌ Erro ao conectar ao banco de dados:', erro.message);
+    log.error('Erro ao conectar ao banco de dados', { erro });
   });
 
 module.exports = pool;
\ No newline at end of file
@@ -1,5 +1,6 @@
 //swagger.js
 const swaggerJsdoc = require('swagger-jsdoc');
+const schemasRecursos = require('../schemas');
 
 const options = {
   definition: {
@@ -41,160 +42,93 @@ const options = {
         }
       },
       schemas: {
-        Usuario: {
+        // Schemas dos recursos vêm de schemas/, os mesmos usados na validação das rotas
+        ...schemasRecursos,
+        Paginacao: {
           type: 'object',
-          required: ['nome', 'email', 'senha'],
           properties: {
-            id: {
+            page: {
               type: 'integer',
-              description: 'ID do usuário'
+              description: 'Página atual',
+              example: 1
             },
-            nome: {
-              type: 'string',
-              description: 'Nome completo do usuário',
-              example: 'João Silva'
-            },
-            email: {
-              type: 'string',
-              format: 'email',
-              description: 'Email do usuário',
-              example: 'joao@exemplo.com'
+            pageSize: {
+              type: 'integer',
+              description: 'Itens por página',
+              example: 20
             },
-            senha: {
-              type: 'string',
-              format: 'password',
-              description: 'Senha do usuário (mínimo 6 caracteres)',
-              example: 'senha123'
+            total: {
+              type: 'integer',
+              description: 'Total de registros que atendem aos filtros',
+              example: 135
             },
-            ativo: {
-              type: 'boolean',
-              description: 'Status do usuário',
-              example: true
+            totalPages: {
+              type: 'integer',
+              description: 'Total de páginas',
+              example: 7
             }
           }
         },
-        Contato: {
+        EntradaAuditoria: {
           type: 'object',
-          required: ['nome', 'email'],
           properties: {
-            id: {
-              type: 'integer',
-              description: 'ID do contato'
-            },
-            nome: {
-              type: 'string',
-              description: 'Nome do contato',
-              example: 'Maria Santos'
+            id: { type: 'integer', example: 42 },
+            usuario_id: { type: 'integer', nullable: true, description: 'Autor (nulo em rotas públicas)', example: 1 },
+            usuario_nome: { type: 'string', nullable: true, example: 'Admin' },
+            usuario_email: { type: 'string', nullable: true, example: 'admin@exemplo.com' },
+            acao: { type: 'string', example: 'atualizar' },
+            recurso: { type: 'string', enum: ['empresa', 'contato', 'usuario'], example: 'empresa' },
+            recurso_id: { type: 'integer', nullable: true, example: 7 },
+            alteracoes: {
+              type: 'object',
+              description: 'Campos alterados: { campo: { antes, depois } }',
+              example: { valor: { antes: '450000.00', depois: '420000.00' } }
             },
-            email: {
-              type: 'string',
-              format: 'email',
-              description: 'Email do contato',
-              example: 'maria@exemplo.com'
-            },
-            telefone: {
-              type: 'string',
-              description: 'Telefone do contato',
-              example: '(15) 99999-9999'
-            },
-            cidade: {
-              type: 'string',
-              description: 'Cidade do contato',
-              example: 'Sorocaba'
-            },
-            tipo: {
-              type: 'string',
-              enum: ['cliente', 'fornecedor', 'parceiro'],
-              description: 'Tipo do contato',
-              example: 'cliente'
-            }
+            detalhes: { type: 'object', nullable: true, example: null },
+            ip: { type: 'string', nullable: true, example: '203.0.113.10' },
+            criado_em: { type: 'string', format: 'date-time' }
           }
         },
-        Empresa: {
+        ImagemEmpresa: {
           type: 'object',
-          required: ['nome', 'cnpj', 'email'],
           properties: {
-            id: {
-              type: 'integer',
-              description: 'ID da empresa'
-            },
-            nome: {
-              type: 'string',
-              description: 'Nome fantasia da empresa',
-              example: 'Tech Solutions LTDA'
-            },
-            cnpj: {
-              type: 'string',
-              description: 'CNPJ da empresa (14 dígitos)',
-              example: '12345678000190'
-            },
-            razao_social: {
-              type: 'string',
-              description: 'Razão social da empresa',
-              example: 'Tech Solutions Tecnologia LTDA'
-            },
-            email: {
-              type: 'string',
-              format: 'email',
-              description: 'Email da empresa',
-              example: 'contato@techsolutions.com'
-            },
-            telefone: {
-              type: 'string',
-              description: 'Telefone da empresa',
-              example: '(15) 3333-4444'
-            },
-            endereco: {
-              type: 'string',
-              description: 'Endereço completo',
-              example: 'Rua das Flores, 123'
-            },
-            cidade: {
-              type: 'string',
-              description: 'Cidade',
-              example: 'Sorocaba'
-            },
-            estado: {
-              type: 'string',
-              description: 'Sigla do estado',
-              example: 'SP'
+            id: { type: 'integer', example: 12 },
+            empresa_id: { type: 'integer', example: 7 },
+            url: { type: 'string', example: '/uploads/empresas/7/0b6f1c2e-5a4d-4d8e-9f3a-2c1b0a9d8e7f.jpg' },
+            url_miniatura: { type: 'string', example: '/uploads/empresas/7/0b6f1c2e-5a4d-4d8e-9f3a-2c1b0a9d8e7f-miniatura.webp' },
+            tipo_mime: { type: 'string', enum: ['image/jpeg', 'image/png', 'image/webp'] },
+            tamanho: { type: 'integer', description: 'Bytes da imagem gravada', example: 245812 },
+            largura: { type: 'integer', example: 1920 },
+            altura: { type: 'integer', example: 1080 },
+            ordem: { type: 'integer', description: 'Posição na galeria (0 = primeira)', example: 0 },
+            capa: { type: 'boolean', example: true },
+            criado_em: { type: 'string', format: 'date-time' }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            sucesso: {
+              type: 'boolean',
+              example: false
             },
-            cep: {
+            mensagem: {
               type: 'string',
-              description: 'CEP',
-              example: '18000-000'
-            },
-            valor: {
-              type: 'number',
-              format: 'float',
-              description: 'Valor em reais',
-              example: 50000.00
-            },
-            faturamento: {
-              type: 'number',
-              format: 'float',
-              description: 'Faturamento em reais',
-              example: 1500000.00
+              example: 'Mensagem de erro'
             },
-            tipo: {
+            codigo: {
               type: 'string',
-              enum: ['cliente', 'fornecedor', 'parceiro'],
-              description: 'Tipo da empresa',
-              example: 'cliente'
+              description: 'Código estável do erro, para tratamento pelo cliente (a mensagem pode mudar)',
+              example: 'NAO_ENCONTRADO'
             },
-            descricao: {
+            requisicaoId: {
               type: 'string',
-              description: 'Descrição detalhada da empresa',
-              example: 'Empresa de tecnologia especializada em desenvolvimento de software'
-            },
-            ativo: {
-              type: 'boolean',
-              description: 'Status da empresa',
-              example: true
+              format: 'uuid',
+              description: 'Id da requisição, para localizá-la nos logs'
             }
           }
         },
-        Error: {
+        ErroValidacao: {
           type: 'object',
           properties: {
             sucesso: {
@@ -203,7 +137,32 @@ const options = {
             },
             mensagem: {
               type: 'string',
-              example: 'Mensagem de erro'
+              example: 'Dados inválidos'
+            },
+            codigo: {
+              type: 'string',
+              example: 'DADOS_INVALIDOS'
+            },
+            requisicaoId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            erros: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  campo: {
+                    type: 'string',
+                    nullable: true,
+                    example: 'email'
+                  },
+                  mensagem: {
+                    type: 'string',
+                    example: 'Email inválido'
+                  }
+                }
+              }
             }
           }
         },
@@ -221,6 +180,91 @@ const options = {
           }
         }
       },
+      parameters: {
+        EmpresaBusca: {
+          in: 'query',
+          name: 'q',
+          schema: { type: 'string' },
+          description: 'Busca textual em título, nome, setor, descrição, informações, diferenciais e localização (ignora acentos; resultados trazem relevancia e destaque, um trecho em HTML escapado com os termos entre <mark>)',
+          example: 'padaria Sorocaba'
+        },
+        Page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Número da página'
+        },
+        PageSize: {
+          in: 'query',
+          name: 'pageSize',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          description: 'Itens por página'
+        },
+        EmpresaOrdenarPor: {
+          in: 'query',
+          name: 'ordenarPor',
+          schema: {
+            type: 'string',
+            enum: ['nome', 'valor', 'faturamento', 'lucro', 'ano_fundacao', 'criado_em', 'relevancia'],
+            default: 'nome'
+          },
+          description: 'Campo de ordenação (relevancia exige q e é o padrão quando há busca)'
+        },
+        Ordem: {
+          in: 'query',
+          name: 'ordem',
+          schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+          description: 'Direção da ordenação'
+        },
+        EmpresaSetor: {
+          in: 'query',
+          name: 'setor',
+          schema: { type: 'string' },
+          description: 'Filtrar por setor'
+        },
+        EmpresaTipo: {
+          in: 'query',
+          name: 'tipo',
+          schema: { type: 'string' },
+          description: 'Filtrar por tipo/área'
+        },
+        EmpresaLocalizacao: {
+          in: 'query',
+          name: 'localizacao',
+          schema: { type: 'string' },
+          description: 'Filtrar por localização (busca parcial)'
+        },
+        EmpresaTipoImovel: {
+          in: 'query',
+          name: 'tipo_imovel',
+          schema: { type: 'string' },
+          description: 'Filtrar por tipo de imóvel'
+        },
+        EmpresaValorMin: {
+          in: 'query',
+          name: 'valor_min',
+          schema: { type: 'number' },
+          description: 'Valor mínimo'
+        },
+        EmpresaValorMax: {
+          in: 'query',
+          name: 'valor_max',
+          schema: { type: 'number' },
+          description: 'Valor máximo'
+        },
+        EmpresaFaturamentoMin: {
+          in: 'query',
+          name: 'faturamento_min',
+          schema: { type: 'number' },
+          description: 'Faturamento mínimo'
+        },
+        EmpresaFuncionariosMin: {
+          in: 'query',
+          name: 'funcionarios_min',
+          schema: { type: 'integer' },
+          description: 'Número mínimo de funcionários'
+        }
+      },
       responses: {
         UnauthorizedError: {
           description: 'Token de autenticação ausente ou inválido',
@@ -231,7 +275,25 @@ const options = {
               },
               example: {
                 sucesso: false,
-                mensagem: 'Token inválido ou expirado'
+                mensagem: 'Token inválido ou expirado',
+                codigo: 'NAO_AUTENTICADO',
+                requisicaoId: '3f2c9a1e-8b7d-4c6a-9e5f-1a2b3c4d5e6f'
+              }
+            }
+          }
+        },
+        ForbiddenError: {
+          description: 'Usuário autenticado sem permissão para o recurso',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/Error'
+              },
+              example: {
+                sucesso: false,
+                mensagem: 'Acesso negado para o seu perfil de usuário',
+                codigo: 'ACESSO_NEGADO',
+                requisicaoId: '3f2c9a1e-8b7d-4c6a-9e5f-1a2b3c4d5e6f'
               }
             }
           }
@@ -245,21 +307,29 @@ const options = {
               },
               example: {
                 sucesso: false,
-                mensagem: 'Recurso não encontrado'
+                mensagem: 'Recurso não encontrado',
+                codigo: 'NAO_ENCONTRADO',
+                requisicaoId: '3f2c9a1e-8b7d-4c6a-9e5f-1a2b3c4d5e6f'
               }
             }
           }
         },
         ValidationError: {
-          description: 'Erro de validação',
+          description: 'Erro de validação (lista todos os campos inválidos)',
           content: {
             'application/json': {
               schema: {
-                $ref: '#/components/schemas/Error'
+                $ref: '#/components/schemas/ErroValidacao'
               },
               example: {
                 sucesso: false,
-                mensagem: 'Dados inválidos'
+                mensagem: 'Dados inválidos',
+                codigo: 'DADOS_INVALIDOS',
+                requisicaoId: '3f2c9a1e-8b7d-4c6a-9e5f-1a2b3c4d5e6f',
+                erros: [
+                  { campo: 'email', mensagem: 'Email inválido' },
+                  { campo: 'valor', mensagem: 'Deve ser um número' }
+                ]
               }
             }
           }
@@ -287,6 +357,18 @@ const options = {
       {
         name: 'Empresas',
         description: 'CRUD de empresas'
+      },
+      {
+        name: 'Documentos',
+        description: 'Documentos restritos dos anúncios (sala de dados): acesso do dono, admins e compradores autorizados'
+      },
+      {
+        name: 'Auditoria',
+        description: 'Trilha de alterações (admin)'
+      },
+      {
+        name: 'Público',
+        description: 'Catálogo público de empresas à venda (sem autenticação)'
       }
     ]
   },
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS codigos_recuperacao;
+DROP TABLE IF EXISTS tokens_redefinicao_senha;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS usuarios;
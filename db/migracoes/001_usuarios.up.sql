@@ -0,0 +1,65 @@
+-- ============================================
+-- Tabela: usuarios
+-- Descrição: Armazena os usuários do sistema
+-- ============================================
+CREATE TABLE usuarios (
+  id SERIAL PRIMARY KEY,
+  nome VARCHAR(100) NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  senha VARCHAR(255) NOT NULL,                          -- Senha criptografada com bcrypt
+  papel VARCHAR(20) NOT NULL DEFAULT 'comprador',       -- admin, corretor, vendedor ou comprador
+  token_versao INT NOT NULL DEFAULT 0,                  -- Incrementado para revogar todos os tokens emitidos
+  email_verificado_em TIMESTAMP NULL,                   -- NULL enquanto o email não for confirmado
+  verificacao_enviada_em TIMESTAMP NULL,                -- Último envio do link de verificação
+  totp_segredo VARCHAR(255) NULL,                       -- Segredo TOTP cifrado (AES-256-GCM)
+  totp_ativo BOOLEAN NOT NULL DEFAULT FALSE,            -- 2FA confirmado
+  totp_ultimo_passo BIGINT NULL,                        -- Último passo TOTP aceito (impede reuso do código)
+  ativo BOOLEAN DEFAULT TRUE,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT ck_usuarios_papel CHECK (papel IN ('admin', 'corretor', 'vendedor', 'comprador'))
+);
+
+-- ============================================
+-- Tabela: refresh_tokens
+-- Descrição: Refresh tokens de sessão (apenas o hash SHA-256 é armazenado)
+-- ============================================
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  usuario_id INT NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expira_em TIMESTAMP NOT NULL,
+  revogado_em TIMESTAMP NULL,
+  substituido_por INT NULL,                             -- Token emitido na rotação
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_refresh_tokens_usuario_id ON refresh_tokens (usuario_id);
+
+-- ============================================
+-- Tabela: tokens_redefinicao_senha
+-- Descrição: Tokens de uso único para "esqueci minha senha" (apenas o hash)
+-- ============================================
+CREATE TABLE tokens_redefinicao_senha (
+  id SERIAL PRIMARY KEY,
+  usuario_id INT NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expira_em TIMESTAMP NOT NULL,
+  usado_em TIMESTAMP NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- Tabela: codigos_recuperacao
+-- Descrição: Códigos de recuperação do 2FA (uso único, apenas o hash)
+-- ============================================
+CREATE TABLE codigos_recuperacao (
+  id SERIAL PRIMARY KEY,
+  usuario_id INT NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+  codigo_hash CHAR(64) NOT NULL,
+  usado_em TIMESTAMP NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_codigos_recuperacao_usuario_id ON codigos_recuperacao (usuario_id);
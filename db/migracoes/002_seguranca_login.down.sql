@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS eventos_seguranca;
+DROP TABLE IF EXISTS tentativas_login;
@@ -0,0 +1,25 @@
+-- ============================================
+-- Tabela: tentativas_login
+-- Descrição: Falhas de login por conta (email:...) e por IP (ip:...)
+-- Usada quando LOGIN_ATTEMPTS_STORE=postgres (padrão em produção)
+-- ============================================
+CREATE TABLE tentativas_login (
+  chave VARCHAR(255) PRIMARY KEY,
+  falhas INT NOT NULL DEFAULT 0,
+  primeira_falha_em TIMESTAMP NOT NULL,
+  ultima_falha_em TIMESTAMP NOT NULL,
+  bloqueado_ate TIMESTAMP NULL
+);
+
+-- ============================================
+-- Tabela: eventos_seguranca
+-- Descrição: Auditoria de eventos de segurança (ex: bloqueios de login)
+-- ============================================
+CREATE TABLE eventos_seguranca (
+  id SERIAL PRIMARY KEY,
+  tipo VARCHAR(50) NOT NULL,
+  alvo VARCHAR(255) NULL,                               -- Email ou IP afetado
+  ip VARCHAR(45) NULL,
+  detalhes JSONB NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,38 @@
+-- ============================================
+-- Tabela: empresas
+-- Descrição: Anúncios de empresas à venda
+-- ============================================
+CREATE TABLE empresas (
+  id SERIAL PRIMARY KEY,
+  titulo VARCHAR(200) NOT NULL,
+  nome VARCHAR(200) NOT NULL,
+  setor VARCHAR(200) NOT NULL,
+  cnpj VARCHAR(14) UNIQUE NOT NULL,                     -- CNPJ sem máscara (numérico ou alfanumérico)
+  razao_social VARCHAR(200) NULL,
+  email VARCHAR(100) NOT NULL,
+  telefone VARCHAR(20) NULL,
+  localizacao VARCHAR(255) NULL,
+  info VARCHAR(200) NULL,
+  lucro DECIMAL(15, 2) NULL,                            -- Lucro em reais
+  valor DECIMAL(15, 2) NULL,                            -- Valor em reais
+  faturamento DECIMAL(15, 2) NULL,                      -- Faturamento em reais
+  tipo VARCHAR(50) NULL,                                -- Tipo/área da empresa
+  descricao TEXT NULL,
+  ano_fundacao INT NULL,
+  tempo_operacao INT NULL,
+  assinatura INT NULL,                                  -- Tempo em dias
+  funcionarios INT NULL,
+  area_imovel DECIMAL(15, 2) NULL,
+  tipo_imovel VARCHAR(200) NULL,
+  motivo_venda VARCHAR(500) NULL,
+  dif VARCHAR(500) NULL,
+  img VARCHAR(500) NULL,                                -- URL da foto de capa (ver empresas_imagens)
+  ativo BOOLEAN DEFAULT TRUE,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  usuario_id INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,   -- Dono do anúncio
+  deleted_at TIMESTAMP NULL,                            -- Exclusão lógica (lixeira)
+  deleted_by INT NULL REFERENCES usuarios(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_empresas_usuario_id ON empresas (usuario_id);
+CREATE INDEX idx_empresas_deleted_at ON empresas (deleted_at);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS contatos_status_historico;
+DROP TABLE IF EXISTS contatos;
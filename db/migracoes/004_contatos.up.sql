@@ -0,0 +1,41 @@
+-- ============================================
+-- Tabela: contatos
+-- Descrição: Contatos (leads) enviados pelo site
+-- ============================================
+CREATE TABLE contatos (
+  id SERIAL PRIMARY KEY,
+  nome VARCHAR(100) NOT NULL,
+  email VARCHAR(100) NOT NULL,
+  telefone VARCHAR(20) NULL,
+  cidade VARCHAR(100) NULL,
+  tipo VARCHAR(50) NULL,                                -- Tipo do contato (ex: cliente, fornecedor, parceiro)
+  empresa_id INT NULL REFERENCES empresas(id) ON DELETE SET NULL,   -- Anúncio de interesse
+  mensagem TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'novo',
+  status_atualizado_em TIMESTAMP NULL,                  -- Data da última mudança de status
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  deleted_at TIMESTAMP NULL,                            -- Exclusão lógica (lixeira)
+  deleted_by INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,
+  CONSTRAINT ck_contatos_status CHECK (
+    status IN ('novo', 'lido', 'em_contato', 'em_negociacao', 'proposta', 'fechado', 'perdido')
+  )
+);
+
+CREATE INDEX idx_contatos_empresa_id ON contatos (empresa_id);
+CREATE INDEX idx_contatos_deleted_at ON contatos (deleted_at);
+
+-- ============================================
+-- Tabela: contatos_status_historico
+-- Descrição: Transições de status dos leads (quem alterou e quando)
+-- ============================================
+CREATE TABLE contatos_status_historico (
+  id SERIAL PRIMARY KEY,
+  contato_id INT NOT NULL REFERENCES contatos(id) ON DELETE CASCADE,
+  status_anterior VARCHAR(20) NOT NULL,
+  status_novo VARCHAR(20) NOT NULL,
+  usuario_id INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,   -- Usuário que fez a alteração
+  observacao TEXT NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_contatos_status_historico_contato ON contatos_status_historico (contato_id);
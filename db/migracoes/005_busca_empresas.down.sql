@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_empresas_busca;
+ALTER TABLE empresas DROP COLUMN IF EXISTS busca;
+DROP TEXT SEARCH CONFIGURATION IF EXISTS portugues_unaccent;
+-- A extensão unaccent é mantida: pode estar em uso por outros objetos do banco
@@ -0,0 +1,34 @@
+-- ============================================
+-- Busca textual de empresas
+-- Descrição: stemming em português + busca sem acentos
+-- Requer a extensão unaccent (disponível no Supabase)
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- Configuração "portuguese" que remove acentos antes do stemming
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'portugues_unaccent') THEN
+    CREATE TEXT SEARCH CONFIGURATION portugues_unaccent (COPY = portuguese);
+    ALTER TEXT SEARCH CONFIGURATION portugues_unaccent
+      ALTER MAPPING FOR hword, hword_part, word
+      WITH unaccent, portuguese_stem;
+  END IF;
+END
+$$;
+
+-- Vetor de busca com pesos: título/nome (A), setor/localização (B), textos livres (C)
+ALTER TABLE empresas
+  ADD COLUMN busca tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('portugues_unaccent', coalesce(titulo, '')), 'A') ||
+    setweight(to_tsvector('portugues_unaccent', coalesce(nome, '')), 'A') ||
+    setweight(to_tsvector('portugues_unaccent', coalesce(setor, '')), 'B') ||
+    setweight(to_tsvector('portugues_unaccent', coalesce(localizacao, '')), 'B') ||
+    setweight(to_tsvector('portugues_unaccent', coalesce(descricao, '')), 'C') ||
+    setweight(to_tsvector('portugues_unaccent', coalesce(info, '')), 'C') ||
+    setweight(to_tsvector('portugues_unaccent', coalesce(dif, '')), 'C')
+  ) STORED;
+
+CREATE INDEX idx_empresas_busca ON empresas USING GIN (busca);
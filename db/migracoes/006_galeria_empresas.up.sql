@@ -0,0 +1,19 @@
+-- ============================================
+-- Tabela: empresas_imagens
+-- Descrição: Galeria de fotos dos anúncios (arquivos no armazenamento configurado)
+-- ============================================
+CREATE TABLE empresas_imagens (
+  id SERIAL PRIMARY KEY,
+  empresa_id INT NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+  chave VARCHAR(500) NOT NULL,                          -- Caminho da imagem no armazenamento
+  chave_miniatura VARCHAR(500) NOT NULL,
+  tipo_mime VARCHAR(50) NOT NULL,
+  tamanho INT NOT NULL,                                 -- Bytes da imagem gravada
+  largura INT NULL,
+  altura INT NULL,
+  ordem INT NOT NULL DEFAULT 0,
+  capa BOOLEAN NOT NULL DEFAULT FALSE,                  -- Uma por empresa; a URL é copiada para empresas.img
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_empresas_imagens_empresa ON empresas_imagens (empresa_id, ordem);
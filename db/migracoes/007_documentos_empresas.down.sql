@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS downloads_documentos;
+DROP TABLE IF EXISTS acessos_documentos;
+DROP TABLE IF EXISTS empresas_documentos;
@@ -0,0 +1,50 @@
+-- ============================================
+-- Tabela: empresas_documentos
+-- Descrição: Documentos restritos dos anúncios (balanços, contratos, licenças...)
+-- Os arquivos ficam no armazenamento privado, fora da área pública
+-- ============================================
+CREATE TABLE empresas_documentos (
+  id SERIAL PRIMARY KEY,
+  empresa_id INT NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+  categoria VARCHAR(30) NOT NULL,                       -- balanco, dre, contrato_social, contrato, licenca, certidao, fiscal, outro
+  descricao VARCHAR(500) NULL,
+  nome_arquivo VARCHAR(255) NOT NULL,                   -- Nome original do arquivo enviado
+  chave VARCHAR(500) NOT NULL,                          -- Caminho no armazenamento privado
+  tipo_mime VARCHAR(100) NOT NULL,
+  tamanho INT NOT NULL,
+  usuario_id INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,   -- Usuário que enviou
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_empresas_documentos_empresa ON empresas_documentos (empresa_id);
+
+-- ============================================
+-- Tabela: acessos_documentos
+-- Descrição: Compradores autorizados pelo dono a ver os documentos do anúncio
+-- ============================================
+CREATE TABLE acessos_documentos (
+  id SERIAL PRIMARY KEY,
+  empresa_id INT NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+  usuario_id INT NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,  -- Comprador autorizado
+  concedido_por INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT uk_acessos_documentos UNIQUE (empresa_id, usuario_id)
+);
+
+-- ============================================
+-- Tabela: downloads_documentos
+-- Descrição: Registro de cada download de documento restrito
+-- (mantido mesmo após a remoção do documento)
+-- ============================================
+CREATE TABLE downloads_documentos (
+  id SERIAL PRIMARY KEY,
+  documento_id INT NULL REFERENCES empresas_documentos(id) ON DELETE SET NULL,
+  empresa_id INT NOT NULL REFERENCES empresas(id) ON DELETE CASCADE,
+  nome_arquivo VARCHAR(255) NOT NULL,
+  usuario_id INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  baixado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_downloads_documentos_empresa ON downloads_documentos (empresa_id, baixado_em);
@@ -0,0 +1,20 @@
+-- ============================================
+-- Tabela: auditoria
+-- Descrição: Trilha de alterações em empresas, contatos e usuários
+-- (quem, o quê, diferença antes/depois por campo, IP e quando)
+-- ============================================
+CREATE TABLE auditoria (
+  id SERIAL PRIMARY KEY,
+  usuario_id INT NULL REFERENCES usuarios(id) ON DELETE SET NULL,   -- Autor (nulo em rotas públicas)
+  acao VARCHAR(50) NOT NULL,
+  recurso VARCHAR(50) NOT NULL,                         -- empresa, contato ou usuario
+  recurso_id INT NULL,
+  alteracoes JSONB NOT NULL,                            -- { campo: { antes, depois } }
+  detalhes JSONB NULL,
+  ip VARCHAR(45) NULL,
+  criado_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_auditoria_recurso ON auditoria (recurso, recurso_id);
+CREATE INDEX idx_auditoria_usuario_id ON auditoria (usuario_id);
+CREATE INDEX idx_auditoria_criado_em ON auditoria (criado_em);
@@ -0,0 +1,228 @@
+//db/migrador.js
+// Migrações versionadas do banco: arquivos NNN_nome.up.sql / NNN_nome.down.sql em db/migracoes,
+// aplicadas em ordem e registradas na tabela migracoes
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DIRETORIO_PADRAO = path.join(__dirname, 'migracoes');
+const ARQUIVO_MIGRACAO = /^(\d+)_([a-z0-9_]+)\.up\.sql$/;
+
+// Impede que dois processos migrem o mesmo banco ao mesmo tempo (ex: deploys simultâneos)
+const CHAVE_BLOQUEIO = 48151623;
+
+const SQL_TABELA_CONTROLE = `
+  CREATE TABLE IF NOT EXISTS migracoes (
+    versao INT PRIMARY KEY,
+    nome VARCHAR(255) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    aplicada_em TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Ex: 005_busca_empresas
+const rotulo = ({ versao, nome }) => `${String(versao).padStart(3, '0')}_${nome}`;
+
+const calcularChecksum = (conteudo) => crypto.createHash('sha256').update(conteudo).digest('hex');
+
+/**
+ * Lê as migrações do diretório, ordenadas pela versão
+ * Cada migração precisa do par up/down; versões repetidas são rejeitadas
+ */
+const listarMigracoes = (diretorio = DIRETORIO_PADRAO) => {
+  const migracoes = fs.readdirSync(diretorio)
+    .map(arquivo => arquivo.match(ARQUIVO_MIGRACAO))
+    .filter(Boolean)
+    .map(([arquivo, versao, nome]) => {
+      const up = fs.readFileSync(path.join(diretorio, arquivo), 'utf8');
+      const arquivoDown = path.join(diretorio, `${versao}_${nome}.down.sql`);
+
+      if (!fs.existsSync(arquivoDown)) {
+        throw new Error(`Migração ${arquivo} sem o arquivo de reversão ${path.basename(arquivoDown)}`);
+      }
+
+      return {
+        versao: parseInt(versao, 10),
+        nome,
+        up,
+        down: fs.readFileSync(arquivoDown, 'utf8'),
+        checksum: calcularChecksum(up)
+      };
+    })
+    .sort((a, b) => a.versao - b.versao);
+
+  migracoes.forEach((migracao, i) => {
+    if (i > 0 && migracoes[i - 1].versao === migracao.versao) {
+      throw new Error(`Versão de migração repetida: ${migracao.versao}`);
+    }
+  });
+
+  return migracoes;
+};
+
+/**
+ * Executa `tarefa(client)` com a tabela de controle criada e o bloqueio do banco obtido
+ */
+const comBloqueio = async (pool, tarefa) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [CHAVE_BLOQUEIO]);
+
+    try {
+      await client.query(SQL_TABELA_CONTROLE);
+      return await tarefa(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [CHAVE_BLOQUEIO]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const buscarAplicadas = async (client) => {
+  const resultado = await client.query(
+    'SELECT versao, nome, checksum, aplicada_em FROM migracoes ORDER BY versao'
+  );
+  return resultado.rows;
+};
+
+// Cada migração roda na própria transação junto com o registro na tabela de controle
+const executarEmTransacao = async (client, sql, registro) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query(registro.sql, registro.valores);
+    await client.query('COMMIT');
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    throw erro;
+  }
+};
+
+/**
+ * Aplica as migrações pendentes em ordem (até a versão `ate`, se informada)
+ * Para na primeira falha; as já aplicadas nesta execução permanecem
+ * Retorna as migrações aplicadas
+ */
+const migrar = (pool, { ate, diretorio, log = () => {} } = {}) => {
+  const migracoes = listarMigracoes(diretorio);
+
+  return comBloqueio(pool, async (client) => {
+    const aplicadas = new Set((await buscarAplicadas(client)).map(m => m.versao));
+    const pendentes = migracoes.filter(m => !aplicadas.has(m.versao) && (ate === undefined || m.versao <= ate));
+
+    for (const migracao of pendentes) {
+      log(`Aplicando ${rotulo(migracao)}`);
+
+      try {
+        await executarEmTransacao(client, migracao.up, {
+          sql: 'INSERT INTO migracoes (versao, nome, checksum) VALUES ($1, $2, $3)',
+          valores: [migracao.versao, migracao.nome, migracao.checksum]
+        });
+      } catch (erro) {
+        erro.message = `Falha na migração ${rotulo(migracao)}: ${erro.message}`;
+        throw erro;
+      }
+    }
+
+    return pendentes;
+  });
+};
+
+/**
+ * Reverte as últimas `passos` migrações aplicadas (padrão: 1), da mais recente para a mais antiga
+ * Retorna as migrações revertidas
+ */
+const reverter = (pool, { passos = 1, diretorio, log = () => {} } = {}) => {
+  const migracoes = new Map(listarMigracoes(diretorio).map(m => [m.versao, m]));
+
+  return comBloqueio(pool, async (client) => {
+    const aplicadas = (await buscarAplicadas(client)).reverse().slice(0, passos);
+    const revertidas = [];
+
+    for (const aplicada of aplicadas) {
+      const migracao = migracoes.get(aplicada.versao);
+
+      if (!migracao) {
+        throw new Error(`Arquivos da migração ${rotulo(aplicada)} não encontrados para reverter`);
+      }
+
+      log(`Revertendo ${rotulo(migracao)}`);
+
+      try {
+        await executarEmTransacao(client, migracao.down, {
+          sql: 'DELETE FROM migracoes WHERE versao = $1',
+          valores: [migracao.versao]
+        });
+      } catch (erro) {
+        erro.message = `Falha ao reverter ${rotulo(migracao)}: ${erro.message}`;
+        throw erro;
+      }
+
+      revertidas.push(migracao);
+    }
+
+    return revertidas;
+  });
+};
+
+/**
+ * Situação de cada migração conhecida (em disco ou registrada no banco)
+ * `alterada` indica que o arquivo up mudou depois de aplicado
+ */
+const situacao = (pool, { diretorio } = {}) => {
+  const migracoes = listarMigracoes(diretorio);
+
+  return comBloqueio(pool, async (client) => {
+    const aplicadas = new Map((await buscarAplicadas(client)).map(m => [m.versao, m]));
+    const versoes = [...new Set([...migracoes.map(m => m.versao), ...aplicadas.keys()])].sort((a, b) => a - b);
+    const porVersao = new Map(migracoes.map(m => [m.versao, m]));
+
+    return versoes.map(versao => {
+      const migracao = porVersao.get(versao);
+      const aplicada = aplicadas.get(versao);
+
+      return {
+        versao,
+        nome: migracao ? migracao.nome : aplicada.nome,
+        aplicada: Boolean(aplicada),
+        aplicada_em: aplicada ? aplicada.aplicada_em : null,
+        alterada: Boolean(migracao && aplicada && migracao.checksum !== aplicada.checksum.trim()),
+        ausente: !migracao
+      };
+    });
+  });
+};
+
+/**
+ * Registra como aplicadas, sem executá-las, as migrações até a versão `ate`
+ * Para bancos criados antes das migrações (ex: pelo antigo db/schema.sql)
+ */
+const marcarAplicadas = (pool, { ate, diretorio, log = () => {} } = {}) => {
+  const migracoes = listarMigracoes(diretorio).filter(m => m.versao <= ate);
+
+  return comBloqueio(pool, async (client) => {
+    const aplicadas = new Set((await buscarAplicadas(client)).map(m => m.versao));
+    const marcadas = migracoes.filter(m => !aplicadas.has(m.versao));
+
+    for (const migracao of marcadas) {
+      log(`Marcando ${rotulo(migracao)} como aplicada`);
+      await client.query(
+        'INSERT INTO migracoes (versao, nome, checksum) VALUES ($1, $2, $3)',
+        [migracao.versao, migracao.nome, migracao.checksum]
+      );
+    }
+
+    return marcadas;
+  });
+};
+
+module.exports = {
+  rotulo,
+  listarMigracoes,
+  migrar,
+  reverter,
+  situacao,
+  marcarAplicadas
+};
@@ -0,0 +1,74 @@
+//db/migrar.js
+// Linha de comando das migrações (ver scripts do package.json):
+//   npm run migrate               aplica as pendentes
+//   npm run migrate -- 5          aplica até a versão 5
+//   npm run rollback              reverte a última
+//   npm run rollback -- 3         reverte as 3 últimas
+//   npm run status                lista aplicadas e pendentes
+//   node db/migrar.js baseline 8  registra até a versão 8 sem executar (banco já existente)
+const pool = require('../config/database');
+const { rotulo, migrar, reverter, situacao, marcarAplicadas } = require('./migrador');
+
+const log = (mensagem) => console.log(`  ${mensagem}`);
+
+const lerNumero = (valor, nome) => {
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < 1) {
+    throw new Error(`${nome} deve ser um inteiro positivo`);
+  }
+  return numero;
+};
+
+const formatarData = (data) => (data ? new Date(data).toISOString() : '');
+
+const comandos = {
+  up: async (argumento) => {
+    const ate = argumento === undefined ? undefined : lerNumero(argumento, 'Versão');
+    const aplicadas = await migrar(pool, { ate, log });
+    console.log(aplicadas.length ? `✅ ${aplicadas.length} migração(ões) aplicada(s)` : 'Nenhuma migração pendente');
+  },
+
+  down: async (argumento) => {
+    const passos = argumento === undefined ? 1 : lerNumero(argumento, 'Quantidade');
+    const revertidas = await reverter(pool, { passos, log });
+    console.log(revertidas.length ? `✅ ${revertidas.length} migração(ões) revertida(s)` : 'Nenhuma migração aplicada');
+  },
+
+  status: async () => {
+    const migracoes = await situacao(pool);
+
+    for (const m of migracoes) {
+      const estado = m.aplicada ? 'aplicada' : 'pendente';
+      const avisos = [m.alterada && 'ALTERADA após aplicada', m.ausente && 'ARQUIVO AUSENTE'].filter(Boolean);
+      console.log(
+        `  ${rotulo(m).padEnd(32)} ${estado.padEnd(9)} ${formatarData(m.aplicada_em)}`
+        + (avisos.length ? `  (${avisos.join(', ')})` : '')
+      );
+    }
+
+    const pendentes = migracoes.filter(m => !m.aplicada).length;
+    console.log(`${migracoes.length - pendentes} aplicada(s), ${pendentes} pendente(s)`);
+  },
+
+  baseline: async (argumento) => {
+    if (argumento === undefined) {
+      throw new Error('Informe a versão até a qual o banco já está atualizado');
+    }
+    const marcadas = await marcarAplicadas(pool, { ate: lerNumero(argumento, 'Versão'), log });
+    console.log(`✅ ${marcadas.length} migração(ões) marcada(s) como aplicada(s)`);
+  }
+};
+
+const [comando = 'up', argumento] = process.argv.slice(2);
+
+if (!Object.hasOwn(comandos, comando)) {
+  console.error(`Comando desconhecido: ${comando}. Use: ${Object.keys(comandos).join(', ')}`);
+  process.exit(1);
+}
+
+comandos[comando](argumento)
+  .catch(erro => {
+    console.error('❌', erro.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,164 @@
+//db/seed.js
+// Dados de exemplo para desenvolvimento (npm run seed, depois de npm run migrate)
+// Pode ser executado mais de uma vez: usuários e empresas já existentes (mesmo email/CNPJ) são mantidos
+// Senha de todos os usuários: SEED_SENHA (padrão admin123)
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const { COLUNAS_EMPRESA } = require('../repositories/colunas');
+const { montarInsercao } = require('../utils/atualizacao');
+
+const USUARIOS = [
+  { nome: 'Administrador', email: 'admin@exemplo.com', papel: 'admin' },
+  { nome: 'Carla Corretora', email: 'corretor@exemplo.com', papel: 'corretor' },
+  { nome: 'Vitor Vendedor', email: 'vendedor@exemplo.com', papel: 'vendedor' },
+  { nome: 'Bruna Compradora', email: 'comprador@exemplo.com', papel: 'comprador' }
+];
+
+// `dono` é o email do usuário que publicou o anúncio
+const EMPRESAS = [
+  {
+    dono: 'vendedor@exemplo.com',
+    titulo: 'Padaria tradicional com clientela fiel',
+    nome: 'Padaria Pão Quente',
+    setor: 'Alimentação',
+    cnpj: '12345678000195',
+    razao_social: 'Pão Quente Panificadora LTDA',
+    email: 'contato@paoquente.com.br',
+    telefone: '(15) 3222-1111',
+    localizacao: 'Sorocaba - SP',
+    info: 'Ponto comercial próprio',
+    lucro: 18000,
+    valor: 450000,
+    faturamento: 95000,
+    tipo: 'Comércio',
+    descricao: 'Padaria com 20 anos de funcionamento, forno a lenha e confeitaria própria.',
+    ano_fundacao: 2004,
+    tempo_operacao: 20,
+    funcionarios: 12,
+    area_imovel: 280,
+    tipo_imovel: 'Próprio',
+    motivo_venda: 'Aposentadoria dos sócios',
+    dif: 'Marca conhecida no bairro e equipe treinada',
+    contatos: [
+      { nome: 'João Silva', email: 'joao@exemplo.com', telefone: '(15) 99999-9999', cidade: 'Sorocaba', tipo: 'cliente', mensagem: 'Tenho interesse, podemos agendar uma visita?' },
+      { nome: 'Maria Santos', email: 'maria@exemplo.com', telefone: '(11) 98888-8888', cidade: 'São Paulo', tipo: 'cliente', mensagem: 'O imóvel entra na negociação?' }
+    ]
+  },
+  {
+    dono: 'corretor@exemplo.com',
+    titulo: 'Software house com contratos recorrentes',
+    nome: 'Tech Solutions',
+    setor: 'Tecnologia',
+    cnpj: '98765432000198',
+    razao_social: 'Tech Solutions Tecnologia LTDA',
+    email: 'contato@techsolutions.com',
+    telefone: '(11) 4002-8922',
+    localizacao: 'São Paulo - SP',
+    info: 'Operação 100% remota',
+    lucro: 60000,
+    valor: 2500000,
+    faturamento: 210000,
+    tipo: 'Serviços',
+    descricao: 'Desenvolvimento de sistemas de gestão para o varejo, com 40 clientes ativos.',
+    ano_fundacao: 2015,
+    tempo_operacao: 9,
+    funcionarios: 25,
+    motivo_venda: 'Sócios vão se dedicar a outro negócio',
+    dif: 'Receita recorrente e baixa rotatividade de clientes',
+    contatos: [
+      { nome: 'Pedro Oliveira', email: 'pedro@exemplo.com', telefone: '(19) 97777-7777', cidade: 'Campinas', tipo: 'parceiro', mensagem: 'Gostaria de receber o balanço dos últimos anos.' }
+    ]
+  },
+  {
+    dono: 'vendedor@exemplo.com',
+    titulo: 'Oficina mecânica equipada',
+    nome: 'Auto Center Rápido',
+    setor: 'Automotivo',
+    cnpj: '11223344000186',
+    email: 'oficina@autocenterrapido.com.br',
+    telefone: '(15) 3333-4444',
+    localizacao: 'Votorantim - SP',
+    valor: 320000,
+    faturamento: 70000,
+    tipo: 'Serviços',
+    descricao: 'Oficina com três elevadores, alinhamento e balanceamento.',
+    ano_fundacao: 2010,
+    tempo_operacao: 14,
+    funcionarios: 6,
+    area_imovel: 400,
+    tipo_imovel: 'Alugado',
+    contatos: []
+  }
+];
+
+const semear = async () => {
+  const senhaHash = await bcrypt.hash(process.env.SEED_SENHA || 'admin123', 10);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const idsUsuarios = {};
+    for (const usuario of USUARIOS) {
+      await client.query(
+        `INSERT INTO usuarios (nome, email, senha, papel, ativo, email_verificado_em)
+         VALUES ($1, $2, $3, $4, TRUE, CURRENT_TIMESTAMP)
+         ON CONFLICT (email) DO NOTHING`,
+        [usuario.nome, usuario.email, senhaHash, usuario.papel]
+      );
+      const resultado = await client.query('SELECT id FROM usuarios WHERE email = $1', [usuario.email]);
+      idsUsuarios[usuario.email] = resultado.rows[0].id;
+    }
+
+    let empresasCriadas = 0;
+    let contatosCriados = 0;
+
+    for (const { dono, contatos, ...empresa } of EMPRESAS) {
+      // Colunas omitidas no exemplo (ex.: ativo, assinatura) ficam com o default da tabela
+      const insercao = montarInsercao({ ...empresa, usuario_id: idsUsuarios[dono] }, [...COLUNAS_EMPRESA, 'usuario_id']);
+      const resultado = await client.query(
+        `INSERT INTO empresas (${insercao.colunas})
+         VALUES (${insercao.placeholders})
+         ON CONFLICT (cnpj) DO NOTHING
+         RETURNING id`,
+        insercao.valores
+      );
+
+      // Empresa já existente: os contatos dela também já foram semeados
+      if (resultado.rows.length === 0) continue;
+
+      empresasCriadas++;
+      const empresaId = resultado.rows[0].id;
+
+      for (const contato of contatos) {
+        await client.query(
+          `INSERT INTO contatos (nome, email, telefone, cidade, tipo, mensagem, empresa_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [contato.nome, contato.email, contato.telefone, contato.cidade, contato.tipo, contato.mensagem, empresaId]
+        );
+        contatosCriados++;
+      }
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Seed concluído: ${USUARIOS.length} usuário(s), ${empresasCriadas} empresa(s) e ${contatosCriados} contato(s) novos`);
+  } catch (erro) {
+    await client.query('ROLLBACK');
+    throw erro;
+  } finally {
+    client.release();
+  }
+};
+
+if (process.env.NODE_ENV === 'production') {
+  console.error('❌ O seed cria usuários com senha conhecida e não deve rodar em produção');
+  process.exit(1);
+}
+
+semear()
+  .catch(erro => {
+    console.error('❌ Erro ao executar o seed:', erro.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,12 +1,16 @@
 //middleware/auth.js
 const jwt = require('jsonwebtoken');
+const { obterRepositorios } = require('../repositories');
 
 /**
  * Middleware de autenticação JWT
  * Verifica o token via HttpOnly cookie (prioridade) ou Authorization header (fallback para dev/Swagger)
+ * Confere se o token não foi revogado (usuarios.token_versao) e se o usuário continua ativo
  * Adiciona os dados do usuário na requisição
  */
-const autenticar = (req, res, next) => {
+const autenticar = async (req, res, next) => {
+  let decoded;
+
   try {
     let token;
     
@@ -33,13 +37,7 @@ const autenticar = (req, res, next) => {
     }
 
     // Verificar e decodificar o token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Adicionar dados do usuário na requisição
-    req.usuario = decoded;
-    
-    // Continuar para a próxima função
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
 
   } catch (erro) {
     if (erro.name === 'JsonWebTokenError') {
@@ -61,6 +59,22 @@ const autenticar = (req, res, next) => {
       mensagem: 'Erro ao autenticar token'
     });
   }
+
+  // Token revogado (troca de senha, desativação ou "sair de todos os dispositivos")
+  const usuario = await obterRepositorios().usuarios.buscarPorId(decoded.id);
+
+  if (!usuario || !usuario.ativo || (decoded.versao ?? 0) !== usuario.token_versao) {
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Sessão encerrada. Faça login novamente'
+    });
+  }
+
+  // Adicionar dados do usuário na requisição
+  req.usuario = decoded;
+
+  // Continuar para a próxima função
+  next();
 };
 
 module.exports = autenticar;
\ No newline at end of file
@@ -0,0 +1,34 @@
+//middleware/autorizacao.js
+const { ErroAcessoNegado } = require('../utils/erros');
+
+// Papéis de usuário suportados pelo sistema
+const PAPEIS = ['admin', 'corretor', 'vendedor', 'comprador'];
+
+// Papéis que podem ser escolhidos no auto-registro
+const PAPEIS_REGISTRO = ['vendedor', 'comprador'];
+
+/**
+ * Middleware de autorização por papel
+ * Deve ser usado depois de `autenticar`, que popula req.usuario a partir do token
+ * Uso: router.delete('/:id', autenticar, exigirPapel('admin'), ...)
+ */
+const exigirPapel = (...papeisPermitidos) => (req, res, next) => {
+  if (!req.usuario) {
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Token não fornecido'
+    });
+  }
+
+  if (!papeisPermitidos.includes(req.usuario.papel)) {
+    return next(new ErroAcessoNegado('Acesso negado para o seu perfil de usuário'));
+  }
+
+  next();
+};
+
+module.exports = {
+  PAPEIS,
+  PAPEIS_REGISTRO,
+  exigirPapel
+};
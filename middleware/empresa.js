@@ -0,0 +1,32 @@
+//middleware/empresa.js
+const { obterRepositorios } = require('../repositories');
+const { validarIds } = require('./validacao');
+const { ErroAcessoNegado, ErroNaoEncontrado } = require('../utils/erros');
+
+/**
+ * Carrega a empresa de req.params.id em req.empresa, respondendo 400/404/403 antes do handler
+ * (e antes de receber qualquer upload)
+ * `permissao(usuario, empresa)` decide o acesso e pode ser assíncrona
+ * Retorna a validação do id seguida da carga (o Express aceita a lista no lugar de um middleware)
+ * Uso: router.post('/', autenticar, carregarEmpresa(podeGerenciar), ...)
+ */
+const carregarEmpresa = (permissao) => [validarIds('id'), async (req, res, next) => {
+  const { id } = req.params;
+
+  const empresa = await obterRepositorios().empresas.buscarPorId(id);
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
+
+  if (!(await permissao(req.usuario, empresa))) {
+    throw new ErroAcessoNegado('Acesso negado a esta empresa');
+  }
+
+  req.empresa = empresa;
+  next();
+}];
+
+module.exports = {
+  carregarEmpresa
+};
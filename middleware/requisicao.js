@@ -0,0 +1,91 @@
+//middleware/requisicao.js
+const crypto = require('crypto');
+const { codigoPorStatus } = require('../utils/erros');
+const { log } = require('../utils/log');
+
+// Ids recebidos de fora (proxy, gateway, outro serviço) só são aceitos neste formato,
+// para não levar texto arbitrário aos logs
+const ID_EXTERNO_VALIDO = /^[\w.:-]{1,128}$/;
+
+/**
+ * Dá um id a cada requisição (req.id): o do header X-Request-Id, quando válido, ou um UUID novo
+ * O id volta no header X-Request-Id da resposta e em toda resposta de erro ({ sucesso: false }),
+ * junto com o `codigo` quando a rota não informou um, para que o cliente possa citá-lo ao reportar
+ * o problema e o suporte encontre a requisição nos logs
+ */
+const identificarRequisicao = (req, res, next) => {
+  const idExterno = req.get('X-Request-Id');
+  req.id = idExterno && ID_EXTERNO_VALIDO.test(idExterno) ? idExterno : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+
+  res.json = (corpo) => {
+    if (res.statusCode >= 400 && corpo && corpo.sucesso === false) {
+      return json({
+        ...corpo,
+        codigo: corpo.codigo || codigoPorStatus(res.statusCode),
+        requisicaoId: req.id
+      });
+    }
+
+    return json(corpo);
+  };
+
+  next();
+};
+
+/**
+ * Uma linha de log por requisição concluída (ou abortada pelo cliente)
+ * `rota` é o padrão da rota (ex: /api/empresas/:id), que agrupa as requisições nos painéis;
+ * 5xx são registradas como error e 4xx como warn
+ */
+const registrarRequisicao = (req, res, next) => {
+  const inicio = process.hrtime.bigint();
+
+  // O Express restaura req.baseUrl ao sair de cada router, antes do 'finish';
+  // o padrão completo é guardado no momento em que o router atribui req.route
+  let rotaAtual;
+  let rota = null;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => rotaAtual,
+    set: (valor) => {
+      rotaAtual = valor;
+      if (valor) {
+        rota = `${req.baseUrl}${valor.path}`;
+      }
+    }
+  });
+
+  const concluir = () => {
+    res.removeListener('finish', concluir);
+    res.removeListener('close', concluir);
+
+    const status = res.writableFinished ? res.statusCode : null;
+    const nivel = status === null || status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+    log[nivel](status === null ? 'Requisição interrompida' : 'Requisição concluída', {
+      requisicaoId: req.id,
+      metodo: req.method,
+      rota,
+      caminho: req.originalUrl.split('?')[0],
+      status,
+      duracaoMs: Number((process.hrtime.bigint() - inicio) / 1000n) / 1000,
+      usuarioId: req.usuario ? req.usuario.id : null,
+      ip: req.ip
+    });
+  };
+
+  res.on('finish', concluir);
+  res.on('close', concluir);
+  next();
+};
+
+module.exports = {
+  identificarRequisicao,
+  registrarRequisicao
+};
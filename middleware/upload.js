@@ -0,0 +1,76 @@
+//middleware/upload.js
+const multer = require('multer');
+
+// Erros do multer que são culpa do cliente, com a mensagem devolvida
+const MENSAGENS_MULTER = {
+  LIMIT_FILE_SIZE: (limites) => `Cada arquivo deve ter no máximo ${Math.floor(limites.tamanhoMaximo / (1024 * 1024))} MB`,
+  LIMIT_FILE_COUNT: (limites) => `Envie no máximo ${limites.quantidadeMaxima} arquivo(s) por vez`,
+  LIMIT_UNEXPECTED_FILE: (limites) => `Envie os arquivos no campo "${limites.campo}"`,
+  LIMIT_PART_COUNT: () => 'Requisição com partes demais',
+  LIMIT_FIELD_COUNT: () => 'Requisição com campos demais'
+};
+
+/**
+ * Middleware de upload multipart (multipart/form-data) mantendo os arquivos em memória,
+ * para que sejam validados e processados antes de irem para o armazenamento
+ * Arquivos com tipo fora de `tiposPermitidos` são rejeitados com 400 (o conteúdo real
+ * deve ser conferido depois, o tipo declarado pelo cliente não é confiável)
+ * Uso: router.post('/', autenticar, receberArquivos({ campo: 'imagens', ... }), ...)
+ */
+const receberArquivos = ({ campo, tiposPermitidos, tamanhoMaximo, quantidadeMaxima }) => {
+  const limites = { campo, tamanhoMaximo, quantidadeMaxima };
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    // Navegadores enviam o nome do arquivo em UTF-8 (ex: "balanço.pdf")
+    defParamCharset: 'utf8',
+    limits: { fileSize: tamanhoMaximo, files: quantidadeMaxima },
+    fileFilter: (req, arquivo, cb) => {
+      if (!tiposPermitidos.includes(arquivo.mimetype)) {
+        const erro = new multer.MulterError('TIPO_NAO_PERMITIDO', arquivo.fieldname);
+        erro.message = `Tipo de arquivo não permitido: ${arquivo.originalname}. Aceitos: ${tiposPermitidos.join(', ')}`;
+        return cb(erro);
+      }
+      cb(null, true);
+    }
+  }).array(campo, quantidadeMaxima);
+
+  return (req, res, next) => {
+    upload(req, res, (erro) => {
+      if (!erro) {
+        if (!req.files || req.files.length === 0) {
+          return res.status(400).json({
+            sucesso: false,
+            mensagem: `Nenhum arquivo enviado no campo "${campo}"`
+          });
+        }
+        return next();
+      }
+
+      if (erro instanceof multer.MulterError) {
+        const mensagem = Object.hasOwn(MENSAGENS_MULTER, erro.code)
+          ? MENSAGENS_MULTER[erro.code](limites)
+          : erro.message;
+
+        return res.status(erro.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          sucesso: false,
+          mensagem
+        });
+      }
+
+      // Corpo multipart malformado
+      if (erro.status === 400 || /multipart/i.test(erro.message)) {
+        return res.status(400).json({
+          sucesso: false,
+          mensagem: 'Corpo multipart inválido'
+        });
+      }
+
+      next(erro);
+    });
+  };
+};
+
+module.exports = {
+  receberArquivos
+};
@@ -0,0 +1,42 @@
+//middleware/validacao.js
+const { validar, validarId } = require('../utils/validacao');
+const { ErroValidacao } = require('../utils/erros');
+
+/**
+ * Middleware de validação do corpo da requisição pelo schema do recurso (pasta schemas/)
+ * Em caso de erro responde 400 (ErroValidacao) listando todos os campos inválidos;
+ * caso contrário substitui req.body pelos dados já convertidos
+ * Uso: router.post('/', autenticar, validarCorpo(Empresa), ...)
+ */
+const validarCorpo = (schema, opcoes) => (req, res, next) => {
+  const { dados, erros } = validar(schema, req.body, opcoes);
+
+  if (erros.length > 0) {
+    return next(new ErroValidacao('Dados inválidos', { erros }));
+  }
+
+  req.body = dados;
+  next();
+};
+
+/**
+ * Middleware de validação dos IDs da rota (req.params)
+ * Responde 400 antes de o valor chegar ao repositório, para que postgres e memória se comportem igual
+ * Uso: router.get('/:id', autenticar, validarIds('id'), ...)
+ */
+const validarIds = (...parametros) => (req, res, next) => {
+  const erros = parametros
+    .filter((parametro) => !validarId(req.params[parametro]))
+    .map((campo) => ({ campo, mensagem: 'Deve ser um ID (inteiro positivo)' }));
+
+  if (erros.length > 0) {
+    return next(new ErroValidacao('Dados inválidos', { erros }));
+  }
+
+  next();
+};
+
+module.exports = {
+  validarCorpo,
+  validarIds
+};
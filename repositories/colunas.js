@@ -0,0 +1,56 @@
+//repositories/colunas.js
+// Listas de colunas compartilhadas pelas implementações dos repositórios (nunca vêm da requisição)
+
+// Dados do anúncio gravados no cadastro e alteráveis pelo dono (id, usuario_id e criado_em ficam de fora;
+// img também, pois só muda pela capa da galeria em repositories/*/imagens.js)
+const COLUNAS_EMPRESA = [
+  'titulo', 'nome', 'setor', 'cnpj', 'razao_social', 'email', 'telefone',
+  'localizacao', 'info', 'lucro', 'valor', 'faturamento', 'tipo', 'descricao',
+  'ano_fundacao', 'tempo_operacao', 'assinatura', 'funcionarios', 'area_imovel',
+  'tipo_imovel', 'motivo_venda', 'dif', 'ativo'
+];
+
+// Colunas expostas no catálogo público (sem cnpj, email, telefone e razao_social)
+const COLUNAS_EMPRESA_PUBLICAS = [
+  'id', 'titulo', 'nome', 'setor', 'localizacao', 'info', 'lucro', 'valor', 'faturamento',
+  'tipo', 'descricao', 'ano_fundacao', 'tempo_operacao', 'funcionarios', 'area_imovel',
+  'tipo_imovel', 'motivo_venda', 'dif', 'img'
+];
+
+// Colunas das listagens autenticadas (o registro completo, sem deleted_at/deleted_by)
+const COLUNAS_EMPRESA_LISTAGEM = ['id', ...COLUNAS_EMPRESA, 'img', 'usuario_id', 'criado_em'];
+
+// Dados cadastrais editáveis do contato (status tem rota própria; empresa_id e mensagem são do lead original)
+const COLUNAS_CONTATO_EDITAVEIS = ['nome', 'email', 'telefone', 'cidade', 'tipo'];
+
+const COLUNAS_CONTATO = [...COLUNAS_CONTATO_EDITAVEIS, 'empresa_id', 'mensagem'];
+
+// Dados do usuário que podem sair na resposta (sem senha, segredo TOTP e controle de sessão)
+const COLUNAS_USUARIO_PUBLICAS = ['id', 'nome', 'email', 'papel', 'ativo'];
+
+// Dados da foto gravados no envio (capa e criado_em ficam com o default da tabela)
+const COLUNAS_IMAGEM = [
+  'empresa_id', 'chave', 'chave_miniatura', 'tipo_mime', 'tamanho', 'largura', 'altura', 'ordem'
+];
+
+// Dados do documento gravados no envio
+const COLUNAS_DOCUMENTO = [
+  'empresa_id', 'categoria', 'descricao', 'nome_arquivo', 'chave', 'tipo_mime', 'tamanho', 'usuario_id'
+];
+
+// Colunas do documento devolvidas ao cliente (a chave no armazenamento nunca sai da API)
+const COLUNAS_DOCUMENTO_PUBLICAS = [
+  'id', 'empresa_id', 'categoria', 'descricao', 'nome_arquivo', 'tipo_mime', 'tamanho', 'usuario_id', 'criado_em'
+];
+
+module.exports = {
+  COLUNAS_EMPRESA,
+  COLUNAS_EMPRESA_PUBLICAS,
+  COLUNAS_EMPRESA_LISTAGEM,
+  COLUNAS_CONTATO_EDITAVEIS,
+  COLUNAS_CONTATO,
+  COLUNAS_USUARIO_PUBLICAS,
+  COLUNAS_IMAGEM,
+  COLUNAS_DOCUMENTO,
+  COLUNAS_DOCUMENTO_PUBLICAS
+};
@@ -0,0 +1,49 @@
+//repositories/index.js
+// Acesso a dados (empresas, contatos, usuários, galeria, documentos e auditoria): as rotas não escrevem SQL,
+// só chamam os repositórios
+const criarRepositoriosPostgres = require('./postgres');
+const criarRepositoriosMemoria = require('./memoria');
+
+let repositorios;
+
+/**
+ * Seleciona a implementação pelo REPOSITORY_DRIVER (postgres | memoria)
+ * Padrão: postgres; memoria guarda tudo no processo e serve para testar as rotas sem banco
+ */
+const obterRepositorios = () => {
+  if (repositorios) return repositorios;
+
+  const tipo = process.env.REPOSITORY_DRIVER || 'postgres';
+
+  switch (tipo) {
+    case 'postgres':
+      repositorios = criarRepositoriosPostgres(require('../config/database'));
+      break;
+    case 'memoria':
+      repositorios = criarRepositoriosMemoria();
+      break;
+    default:
+      throw new Error(`REPOSITORY_DRIVER desconhecido: ${tipo}`);
+  }
+
+  return repositorios;
+};
+
+/**
+ * Substitui os repositórios (útil em testes)
+ */
+const definirRepositorios = (novosRepositorios) => {
+  repositorios = novosRepositorios;
+};
+
+/**
+ * Executa `tarefa({ empresas, contatos, usuarios, imagens, documentos, auditoria })` em uma transação
+ * Os repositórios recebidos só valem dentro da tarefa
+ */
+const transacao = (tarefa) => obterRepositorios().transacao(tarefa);
+
+module.exports = {
+  obterRepositorios,
+  definirRepositorios,
+  transacao
+};
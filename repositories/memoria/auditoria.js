@@ -0,0 +1,66 @@
+const { proximoId, mesmoId } = require('./estado');
+
+// Mesmos filtros de repositories/postgres/auditoria.js
+const FILTROS_AUDITORIA = {
+  recurso: (entrada, valor) => entrada.recurso === valor,
+  recurso_id: (entrada, valor) => mesmoId(entrada.recurso_id, valor),
+  usuario_id: (entrada, valor) => mesmoId(entrada.usuario_id, valor),
+  acao: (entrada, valor) => entrada.acao === valor,
+  de: (entrada, valor) => entrada.criado_em >= valor,
+  ate: (entrada, valor) => entrada.criado_em <= valor,
+  antes: (entrada, valor) => entrada.criado_em < valor
+};
+
+/**
+ * AuditoriaRepository em memória (mesma interface de repositories/postgres/auditoria.js)
+ */
+const criarRepositorioAuditoria = (estado) => {
+  const usuario = (id) => estado.usuarios.find((u) => mesmoId(u.id, id)) || null;
+
+  return {
+    registrar: async ({ usuarioId, acao, recurso, recursoId, alteracoes, detalhes, ip }) => {
+      estado.auditoria.push(structuredClone({
+        id: proximoId(estado, 'auditoria'),
+        usuario_id: usuarioId,
+        acao,
+        recurso,
+        recurso_id: recursoId === null ? null : Number(recursoId),
+        alteracoes,
+        detalhes: detalhes || null,
+        ip,
+        criado_em: new Date()
+      }));
+    },
+
+    listar: async (filtros, paginacao) => {
+      const dados = estado.auditoria
+        .filter((entrada) => Object.entries(FILTROS_AUDITORIA)
+          .every(([campo, atende]) => filtros[campo] === undefined || atende(entrada, filtros[campo])))
+        .sort((a, b) => b.criado_em - a.criado_em || b.id - a.id);
+
+      return {
+        total: dados.length,
+        dados: dados
+          .slice(paginacao.offset, paginacao.offset + paginacao.pageSize)
+          .map((entrada) => ({
+            ...structuredClone(entrada),
+            usuario_nome: usuario(entrada.usuario_id)?.nome ?? null,
+            usuario_email: usuario(entrada.usuario_id)?.email ?? null
+          }))
+      };
+    },
+
+    registrarEventoSeguranca: async ({ tipo, alvo, ip, detalhes }) => {
+      estado.eventos_seguranca.push(structuredClone({
+        id: proximoId(estado, 'eventos_seguranca'),
+        tipo,
+        alvo,
+        ip,
+        detalhes: detalhes || null,
+        criado_em: new Date()
+      }));
+    }
+  };
+};
+
+module.exports = criarRepositorioAuditoria;
@@ -0,0 +1,143 @@
+//repositories/memoria/contatos.js
+const { diasRetencao } = require('../../utils/lixeira');
+const { COLUNAS_CONTATO, COLUNAS_CONTATO_EDITAVEIS } = require('../colunas');
+const { proximoId, mesmoId, copia, diasAtras } = require('./estado');
+
+const presentes = (dados, colunas) => colunas.filter((coluna) => Object.hasOwn(dados, coluna));
+
+/**
+ * ContatoRepository em memória (mesma interface de repositories/postgres/contatos.js)
+ */
+const criarRepositorioContatos = (estado) => {
+  const buscar = (id) => estado.contatos.find((contato) => mesmoId(contato.id, id));
+
+  const ativo = (id) => {
+    const contato = buscar(id);
+    return contato && contato.deleted_at === null ? contato : null;
+  };
+
+  return {
+    criar: async (dados) => {
+      const contato = {
+        id: proximoId(estado, 'contatos'),
+        ...Object.fromEntries(COLUNAS_CONTATO.map((coluna) => [coluna, null])),
+        ...Object.fromEntries(presentes(dados, COLUNAS_CONTATO).map((coluna) => [coluna, dados[coluna]])),
+        status: 'novo',
+        status_atualizado_em: null,
+        criado_em: new Date(),
+        deleted_at: null,
+        deleted_by: null
+      };
+
+      estado.contatos.push(contato);
+      return copia(contato);
+    },
+
+    listar: async ({ tipo, cidade, empresaId, status } = {}) => {
+      return estado.contatos
+        .filter((contato) => contato.deleted_at === null
+          && (!tipo || contato.tipo === tipo)
+          && (!cidade || (contato.cidade !== null && contato.cidade.toLowerCase().includes(cidade.toLowerCase())))
+          && (!empresaId || mesmoId(contato.empresa_id, empresaId))
+          && (!status || contato.status === status))
+        .sort((a, b) => b.id - a.id)
+        .map(copia);
+    },
+
+    // Sem concorrência real em memória: `bloquear` é aceito apenas pela compatibilidade da interface
+    buscarPorId: async (id) => copia(ativo(id)),
+
+    buscarNaLixeira: async (id) => {
+      const contato = buscar(id);
+      return contato && contato.deleted_at !== null ? copia(contato) : null;
+    },
+
+    listarLixeira: async (retencaoDias) => {
+      return estado.contatos
+        .filter((contato) => contato.deleted_at !== null)
+        .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id)
+        .map((contato) => ({
+          ...contato,
+          purgavel_em: new Date(contato.deleted_at.getTime() + retencaoDias * 24 * 60 * 60 * 1000)
+        }));
+    },
+
+    atualizar: async (id, dados) => {
+      const colunas = presentes(dados, COLUNAS_CONTATO_EDITAVEIS);
+      if (colunas.length === 0) return undefined;
+
+      const contato = ativo(id);
+      if (!contato) return null;
+
+      colunas.forEach((coluna) => { contato[coluna] = dados[coluna]; });
+      return copia(contato);
+    },
+
+    moverParaLixeira: async (id, usuarioId) => {
+      const contato = ativo(id);
+      if (!contato) return null;
+
+      Object.assign(contato, { deleted_at: new Date(), deleted_by: usuarioId });
+      return copia(contato);
+    },
+
+    restaurar: async (id) => {
+      const contato = buscar(id);
+      if (!contato || contato.deleted_at === null) return null;
+
+      Object.assign(contato, { deleted_at: null, deleted_by: null });
+      return copia(contato);
+    },
+
+    purgarLixeira: async () => {
+      const retencaoDias = diasRetencao();
+      const limite = diasAtras(retencaoDias);
+      const ids = estado.contatos
+        .filter((contato) => contato.deleted_at !== null && contato.deleted_at < limite)
+        .map((contato) => contato.id);
+
+      estado.contatos = estado.contatos.filter((contato) => !ids.includes(contato.id));
+
+      // O histórico de status é ON DELETE CASCADE
+      estado.contatos_status_historico = estado.contatos_status_historico
+        .filter((registro) => !ids.includes(registro.contato_id));
+
+      return { removidos: ids.length, ids, retencaoDias };
+    },
+
+    alterarStatus: async (id, status) => {
+      const contato = buscar(id);
+      if (!contato) return null;
+
+      Object.assign(contato, { status, status_atualizado_em: new Date() });
+      return copia(contato);
+    },
+
+    registrarHistorico: async ({ contatoId, statusAnterior, statusNovo, usuarioId, observacao }) => {
+      const registro = {
+        id: proximoId(estado, 'contatos_status_historico'),
+        contato_id: Number(contatoId),
+        status_anterior: statusAnterior,
+        status_novo: statusNovo,
+        usuario_id: usuarioId,
+        observacao: observacao || null,
+        criado_em: new Date()
+      };
+
+      estado.contatos_status_historico.push(registro);
+      return copia(registro);
+    },
+
+    listarHistorico: async (contatoId) => {
+      return estado.contatos_status_historico
+        .filter((registro) => mesmoId(registro.contato_id, contatoId))
+        .sort((a, b) => a.criado_em - b.criado_em || a.id - b.id)
+        .map(({ contato_id, ...registro }) => {
+          const usuario = estado.usuarios.find((u) => mesmoId(u.id, registro.usuario_id));
+          return { ...registro, usuario_nome: usuario ? usuario.nome : null };
+        });
+    }
+  };
+};
+
+module.exports = criarRepositorioContatos;
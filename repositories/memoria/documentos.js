@@ -0,0 +1,129 @@
+const { COLUNAS_DOCUMENTO, COLUNAS_DOCUMENTO_PUBLICAS } = require('../colunas');
+const { proximoId, mesmoId, copia } = require('./estado');
+
+const publico = (documento) => Object.fromEntries(COLUNAS_DOCUMENTO_PUBLICAS.map((coluna) => [coluna, documento[coluna]]));
+
+const maisRecentes = (campo) => (a, b) => b[campo] - a[campo] || b.id - a.id;
+
+/**
+ * DocumentoRepository em memória (mesma interface de repositories/postgres/documentos.js)
+ */
+const criarRepositorioDocumentos = (estado) => {
+  const buscar = (empresaId, id) => estado.empresas_documentos
+    .find((documento) => mesmoId(documento.id, id) && mesmoId(documento.empresa_id, empresaId)) || null;
+
+  const usuario = (id) => estado.usuarios.find((u) => mesmoId(u.id, id)) || null;
+
+  return {
+    listar: async (empresaId, { categoria } = {}) => {
+      return estado.empresas_documentos
+        .filter((documento) => mesmoId(documento.empresa_id, empresaId)
+          && (!categoria || documento.categoria === categoria))
+        .sort(maisRecentes('criado_em'))
+        .map(publico);
+    },
+
+    criar: async (dados) => {
+      const documento = {
+        id: proximoId(estado, 'empresas_documentos'),
+        ...Object.fromEntries(COLUNAS_DOCUMENTO.map((coluna) => [coluna, dados[coluna] ?? null])),
+        criado_em: new Date()
+      };
+
+      estado.empresas_documentos.push(documento);
+      return publico(documento);
+    },
+
+    buscar: async (empresaId, id) => copia(buscar(empresaId, id)),
+
+    remover: async (empresaId, id) => {
+      const documento = buscar(empresaId, id);
+      if (!documento) return null;
+
+      estado.empresas_documentos = estado.empresas_documentos.filter((d) => d !== documento);
+
+      // downloads_documentos.documento_id é ON DELETE SET NULL
+      estado.downloads_documentos
+        .filter((download) => download.documento_id === documento.id)
+        .forEach((download) => { download.documento_id = null; });
+
+      return copia(documento);
+    },
+
+    listarAcessos: async (empresaId) => {
+      return estado.acessos_documentos
+        .filter((acesso) => mesmoId(acesso.empresa_id, empresaId) && usuario(acesso.usuario_id))
+        .sort(maisRecentes('criado_em'))
+        .map((acesso) => ({
+          usuario_id: acesso.usuario_id,
+          nome: usuario(acesso.usuario_id).nome,
+          email: usuario(acesso.usuario_id).email,
+          concedido_por: acesso.concedido_por,
+          criado_em: acesso.criado_em
+        }));
+    },
+
+    temAcesso: async (empresaId, usuarioId) => {
+      return estado.acessos_documentos
+        .some((acesso) => mesmoId(acesso.empresa_id, empresaId) && mesmoId(acesso.usuario_id, usuarioId));
+    },
+
+    concederAcesso: async (empresaId, usuarioId, concedidoPor) => {
+      const existente = estado.acessos_documentos
+        .some((acesso) => mesmoId(acesso.empresa_id, empresaId) && mesmoId(acesso.usuario_id, usuarioId));
+      if (existente) return null;
+
+      const acesso = {
+        id: proximoId(estado, 'acessos_documentos'),
+        empresa_id: Number(empresaId),
+        usuario_id: Number(usuarioId),
+        concedido_por: concedidoPor,
+        criado_em: new Date()
+      };
+
+      estado.acessos_documentos.push(acesso);
+      return { usuario_id: acesso.usuario_id, concedido_por: acesso.concedido_por, criado_em: acesso.criado_em };
+    },
+
+    revogarAcesso: async (empresaId, usuarioId) => {
+      const antes = estado.acessos_documentos.length;
+      estado.acessos_documentos = estado.acessos_documentos
+        .filter((acesso) => !(mesmoId(acesso.empresa_id, empresaId) && mesmoId(acesso.usuario_id, usuarioId)));
+      return estado.acessos_documentos.length < antes;
+    },
+
+    registrarDownload: async ({ documentoId, empresaId, nomeArquivo, usuarioId, ip, userAgent }) => {
+      estado.downloads_documentos.push({
+        id: proximoId(estado, 'downloads_documentos'),
+        documento_id: documentoId,
+        empresa_id: Number(empresaId),
+        nome_arquivo: nomeArquivo,
+        usuario_id: usuarioId,
+        ip,
+        user_agent: userAgent,
+        baixado_em: new Date()
+      });
+    },
+
+    listarDownloads: async (empresaId, filtros, paginacao) => {
+      const dados = estado.downloads_documentos
+        .filter((download) => mesmoId(download.empresa_id, empresaId)
+          && ['documento_id', 'usuario_id'].every((campo) => filtros[campo] === undefined
+            || mesmoId(download[campo], filtros[campo])))
+        .sort(maisRecentes('baixado_em'));
+
+      return {
+        total: dados.length,
+        dados: dados
+          .slice(paginacao.offset, paginacao.offset + paginacao.pageSize)
+          .map(({ empresa_id, ...download }) => ({
+            ...download,
+            usuario_nome: usuario(download.usuario_id)?.nome ?? null,
+            usuario_email: usuario(download.usuario_id)?.email ?? null
+          }))
+      };
+    }
+  };
+};
+
+module.exports = criarRepositorioDocumentos;
@@ -0,0 +1,303 @@
+//repositories/memoria/empresas.js
+const { diasRetencao } = require('../../utils/lixeira');
+const {
+  COLUNAS_EMPRESA,
+  COLUNAS_EMPRESA_PUBLICAS,
+  COLUNAS_EMPRESA_LISTAGEM
+} = require('../colunas');
+const { proximoId, mesmoId, violacaoUnica, copia, diasAtras } = require('./estado');
+const {
+  INICIO_DESTAQUE,
+  FIM_DESTAQUE,
+  MARCADORES_DESTAQUE,
+  formatarDestaque
+} = require('../../utils/consultaEmpresas');
+
+// Pesos da coluna `busca` (db/migracoes/005_busca_empresas.up.sql): A = 1, B = 0.4, C = 0.2
+const PESOS_BUSCA = {
+  titulo: 1,
+  nome: 1,
+  setor: 0.4,
+  localizacao: 0.4,
+  descricao: 0.2,
+  info: 0.2,
+  dif: 0.2
+};
+
+// Sem acentos e em minúsculas, como a configuração portugues_unaccent
+const normalizar = (texto) => String(texto ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Aproximação do websearch_to_tsquery: termos separados por espaço (todos obrigatórios),
+ * `-termo` exclui e "or" é ignorado; sem stemming, o termo casa como trecho da palavra
+ */
+const lerTermos = (termo) => {
+  const palavras = termo.split(/\s+/)
+    .map((palavra) => palavra.replace(/"/g, ''))
+    .filter((palavra) => palavra && palavra.toLowerCase() !== 'or');
+
+  return {
+    incluir: palavras.filter((p) => !p.startsWith('-')).map(normalizar),
+    excluir: palavras.filter((p) => p.startsWith('-') && p.length > 1).map((p) => normalizar(p.slice(1)))
+  };
+};
+
+// Relevância (soma dos pesos das colunas em que cada termo aparece) ou null se a empresa não casa
+const pontuar = (empresa, { incluir, excluir }) => {
+  const colunas = Object.keys(PESOS_BUSCA).map((coluna) => [coluna, normalizar(empresa[coluna])]);
+  const contem = (termo) => colunas.some(([, texto]) => texto.includes(termo));
+
+  if (incluir.length === 0 || !incluir.every(contem) || excluir.some(contem)) {
+    return null;
+  }
+
+  return incluir.reduce((total, termo) => total + colunas
+    .filter(([, texto]) => texto.includes(termo))
+    .reduce((soma, [coluna]) => soma + PESOS_BUSCA[coluna], 0), 0);
+};
+
+// Mesmo formato do repositório PostgreSQL: HTML escapado e palavras encontradas entre <mark> e </mark>
+const destacar = (empresa, { incluir }) => {
+  const texto = [empresa.titulo, empresa.descricao, empresa.info, empresa.dif]
+    .filter((parte) => parte !== null && parte !== undefined)
+    .join(' — ')
+    .replace(MARCADORES_DESTAQUE, '');
+
+  return formatarDestaque(texto.split(/(\s+)/)
+    .map((palavra) => (incluir.some((termo) => normalizar(palavra).includes(termo))
+      ? `${INICIO_DESTAQUE}${palavra}${FIM_DESTAQUE}`
+      : palavra))
+    .join(''));
+};
+
+// Como lower()/ILIKE no PostgreSQL: ignora maiúsculas/minúsculas, mas não acentos
+const minusculas = (texto) => (texto === null || texto === undefined ? null : String(texto).toLowerCase());
+
+const FILTROS = {
+  setor: (empresa, valor) => minusculas(empresa.setor) === minusculas(valor),
+  tipo: (empresa, valor) => minusculas(empresa.tipo) === minusculas(valor),
+  tipo_imovel: (empresa, valor) => minusculas(empresa.tipo_imovel) === minusculas(valor),
+  localizacao: (empresa, valor) => empresa.localizacao !== null
+    && minusculas(empresa.localizacao).includes(minusculas(valor)),
+  ativo: (empresa, valor) => empresa.ativo === valor,
+  valor_min: (empresa, valor) => empresa.valor !== null && Number(empresa.valor) >= valor,
+  valor_max: (empresa, valor) => empresa.valor !== null && Number(empresa.valor) <= valor,
+  faturamento_min: (empresa, valor) => empresa.faturamento !== null && Number(empresa.faturamento) >= valor,
+  funcionarios_min: (empresa, valor) => empresa.funcionarios !== null && Number(empresa.funcionarios) >= valor
+};
+
+const compararValores = (a, b) => {
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b, 'pt-BR');
+  return Number(a) - Number(b);
+};
+
+// ORDER BY coluna direcao NULLS LAST, id ASC
+const ordenar = ({ coluna, direcao }) => (a, b) => {
+  const va = a[coluna];
+  const vb = b[coluna];
+
+  if (va === null && vb !== null) return 1;
+  if (vb === null && va !== null) return -1;
+
+  const comparacao = va === null ? 0 : compararValores(va, vb) * (direcao === 'DESC' ? -1 : 1);
+  return comparacao || a.id - b.id;
+};
+
+const selecionar = (registro, colunas) => Object.fromEntries(colunas.map((coluna) => [coluna, registro[coluna]]));
+
+// Registro novo com os defaults da tabela empresas
+const novaEmpresa = (estado, dados) => ({
+  id: proximoId(estado, 'empresas'),
+  ...Object.fromEntries(COLUNAS_EMPRESA.map((coluna) => [coluna, null])),
+  img: null,
+  ativo: true,
+  usuario_id: null,
+  criado_em: new Date(),
+  deleted_at: null,
+  deleted_by: null,
+  ...dados
+});
+
+/**
+ * EmpresaRepository em memória (mesma interface de repositories/postgres/empresas.js)
+ */
+const criarRepositorioEmpresas = (estado) => {
+  const buscar = (id) => estado.empresas.find((empresa) => mesmoId(empresa.id, id));
+
+  const garantirCnpjUnico = (cnpj, exceto) => {
+    if (estado.empresas.some((empresa) => empresa.cnpj === cnpj && !mesmoId(empresa.id, exceto))) {
+      throw violacaoUnica('empresas', 'cnpj', cnpj);
+    }
+  };
+
+  const consultar = ({ termo, filtros, ordenacao, paginacao }, { colunas, condicao }) => {
+    const termos = termo ? lerTermos(termo) : null;
+    const comparar = ordenar(ordenacao);
+
+    const encontradas = estado.empresas
+      .filter(condicao)
+      .filter((empresa) => Object.entries(filtros).every(([filtro, valor]) => FILTROS[filtro](empresa, valor)))
+      .map((empresa) => {
+        if (!termos) return { empresa, linha: selecionar(empresa, colunas) };
+
+        const relevancia = pontuar(empresa, termos);
+        if (relevancia === null) return null;
+
+        return {
+          empresa,
+          linha: { ...selecionar(empresa, colunas), relevancia, destaque: destacar(empresa, termos) }
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => comparar({ ...a.empresa, ...a.linha }, { ...b.empresa, ...b.linha }));
+
+    return {
+      total: encontradas.length,
+      dados: encontradas
+        .slice(paginacao.offset, paginacao.offset + paginacao.pageSize)
+        .map(({ linha }) => linha)
+    };
+  };
+
+  const totalContatos = (empresaId) => estado.contatos
+    .filter((contato) => mesmoId(contato.empresa_id, empresaId) && contato.deleted_at === null)
+    .length;
+
+  return {
+    listar: async (consulta, { usuarioId } = {}) => {
+      const resultado = consultar(consulta, {
+        colunas: COLUNAS_EMPRESA_LISTAGEM,
+        condicao: (empresa) => empresa.deleted_at === null
+          && (usuarioId === undefined || mesmoId(empresa.usuario_id, usuarioId))
+      });
+
+      return {
+        total: resultado.total,
+        dados: resultado.dados.map((linha) => ({ ...linha, total_contatos: totalContatos(linha.id) }))
+      };
+    },
+
+    listarPublicas: async (consulta) => {
+      return consultar(consulta, {
+        colunas: COLUNAS_EMPRESA_PUBLICAS,
+        condicao: (empresa) => empresa.ativo === true && empresa.deleted_at === null
+      });
+    },
+
+    buscarPublica: async (id) => {
+      const empresa = buscar(id);
+      return empresa && empresa.ativo === true && empresa.deleted_at === null
+        ? selecionar(empresa, COLUNAS_EMPRESA_PUBLICAS)
+        : null;
+    },
+
+    buscarPorId: async (id) => {
+      const empresa = buscar(id);
+      return empresa && empresa.deleted_at === null ? copia(empresa) : null;
+    },
+
+    buscarNaLixeira: async (id) => {
+      const empresa = buscar(id);
+      return empresa && empresa.deleted_at !== null ? copia(empresa) : null;
+    },
+
+    buscarPorCnpj: async (cnpj, { exceto } = {}) => {
+      const empresa = estado.empresas.find((e) => e.cnpj === cnpj && !mesmoId(e.id, exceto));
+      return empresa ? { id: empresa.id, deleted_at: empresa.deleted_at } : null;
+    },
+
+    criar: async (dados) => {
+      garantirCnpjUnico(dados.cnpj);
+
+      const empresa = novaEmpresa(estado, selecionar(dados, [...COLUNAS_EMPRESA, 'usuario_id']
+        .filter((coluna) => Object.hasOwn(dados, coluna))));
+
+      estado.empresas.push(empresa);
+      return copia(empresa);
+    },
+
+    atualizar: async (id, dados) => {
+      const presentes = COLUNAS_EMPRESA.filter((coluna) => Object.hasOwn(dados, coluna));
+      if (presentes.length === 0) return undefined;
+
+      const empresa = buscar(id);
+      if (!empresa || empresa.deleted_at !== null) return null;
+
+      if (presentes.includes('cnpj')) garantirCnpjUnico(dados.cnpj, empresa.id);
+
+      Object.assign(empresa, selecionar(dados, presentes));
+      return copia(empresa);
+    },
+
+    moverParaLixeira: async (id, usuarioId) => {
+      const empresa = buscar(id);
+      if (!empresa || empresa.deleted_at !== null) return null;
+
+      Object.assign(empresa, { deleted_at: new Date(), deleted_by: usuarioId });
+      return copia(empresa);
+    },
+
+    restaurar: async (id) => {
+      const empresa = buscar(id);
+      if (!empresa || empresa.deleted_at === null) return null;
+
+      Object.assign(empresa, { deleted_at: null, deleted_by: null });
+      return copia(empresa);
+    },
+
+    listarLixeira: async ({ paginacao, usuarioId, retencaoDias }) => {
+      const dados = estado.empresas
+        .filter((empresa) => empresa.deleted_at !== null
+          && (usuarioId === undefined || mesmoId(empresa.usuario_id, usuarioId)))
+        .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id);
+
+      return {
+        total: dados.length,
+        dados: dados
+          .slice(paginacao.offset, paginacao.offset + paginacao.pageSize)
+          .map((empresa) => ({
+            ...empresa,
+            purgavel_em: new Date(empresa.deleted_at.getTime() + retencaoDias * 24 * 60 * 60 * 1000)
+          }))
+      };
+    },
+
+    purgarLixeira: async () => {
+      const retencaoDias = diasRetencao();
+      const limite = diasAtras(retencaoDias);
+      const ids = estado.empresas
+        .filter((empresa) => empresa.deleted_at !== null && empresa.deleted_at < limite)
+        .map((empresa) => empresa.id);
+
+      const removida = (registro) => ids.includes(registro.empresa_id);
+
+      const arquivos = [
+        ...estado.empresas_imagens.filter(removida).map(({ empresa_id, chave, chave_miniatura }) => (
+          { origem: 'imagem', empresa_id, chave, chave_miniatura }
+        )),
+        ...estado.empresas_documentos.filter(removida).map(({ empresa_id, chave }) => (
+          { origem: 'documento', empresa_id, chave, chave_miniatura: null }
+        ))
+      ];
+
+      estado.empresas = estado.empresas.filter((empresa) => !ids.includes(empresa.id));
+
+      // Galeria, documentos, acessos e downloads são ON DELETE CASCADE
+      for (const tabela of ['empresas_imagens', 'empresas_documentos', 'acessos_documentos', 'downloads_documentos']) {
+        estado[tabela] = estado[tabela].filter((registro) => !removida(registro));
+      }
+
+      // contatos.empresa_id é ON DELETE SET NULL
+      estado.contatos
+        .filter(removida)
+        .forEach((contato) => { contato.empresa_id = null; });
+
+      return { removidos: ids.length, ids, retencaoDias, arquivos };
+    }
+  };
+};
+
+module.exports = criarRepositorioEmpresas;
@@ -0,0 +1,55 @@
+//repositories/memoria/estado.js
+// Tabelas em memória compartilhadas pelos repositórios (uma instância por criarRepositoriosMemoria)
+
+const criarEstado = () => ({
+  sequencias: {},
+  usuarios: [],
+  empresas: [],
+  contatos: [],
+  contatos_status_historico: [],
+  refresh_tokens: [],
+  tokens_redefinicao_senha: [],
+  codigos_recuperacao: [],
+  empresas_imagens: [],
+  empresas_documentos: [],
+  acessos_documentos: [],
+  downloads_documentos: [],
+  auditoria: [],
+  eventos_seguranca: []
+});
+
+// Equivalente ao SERIAL de cada tabela
+const proximoId = (estado, tabela) => {
+  estado.sequencias[tabela] = (estado.sequencias[tabela] || 0) + 1;
+  return estado.sequencias[tabela];
+};
+
+// Ids chegam da URL como texto, como no PostgreSQL
+const mesmoId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+/**
+ * Mesmo erro que o PostgreSQL lança ao violar uma restrição UNIQUE (código 23505),
+ * para que as rotas tratem as duas implementações do mesmo jeito
+ */
+const violacaoUnica = (tabela, coluna, valor) => {
+  const erro = new Error(`duplicate key value violates unique constraint "${tabela}_${coluna}_key"`);
+  erro.code = '23505';
+  erro.table = tabela;
+  erro.constraint = `${tabela}_${coluna}_key`;
+  erro.detail = `Key (${coluna})=(${valor}) already exists.`;
+  return erro;
+};
+
+// Registros saem sempre como cópia: alterar o objeto retornado não altera a "tabela"
+const copia = (registro) => (registro ? { ...registro } : null);
+
+const diasAtras = (dias) => new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+
+module.exports = {
+  criarEstado,
+  proximoId,
+  mesmoId,
+  violacaoUnica,
+  copia,
+  diasAtras
+};
@@ -0,0 +1,82 @@
+const { COLUNAS_IMAGEM } = require('../colunas');
+const { proximoId, mesmoId, copia } = require('./estado');
+const { obterArmazenamento } = require('../../services/armazenamento');
+
+const naOrdem = (a, b) => a.ordem - b.ordem || a.id - b.id;
+
+/**
+ * ImagemRepository em memória (mesma interface de repositories/postgres/imagens.js)
+ */
+const criarRepositorioImagens = (estado) => {
+  const daEmpresa = (empresaId) => estado.empresas_imagens
+    .filter((imagem) => mesmoId(imagem.empresa_id, empresaId))
+    .sort(naOrdem);
+
+  const buscar = (empresaId, id) => daEmpresa(empresaId).find((imagem) => mesmoId(imagem.id, id)) || null;
+
+  const definirImg = (empresaId, img) => {
+    const empresa = estado.empresas.find((e) => mesmoId(e.id, empresaId));
+    if (empresa) empresa.img = img;
+  };
+
+  return {
+    // Sem concorrência real em memória: `bloquear` é aceito apenas pela compatibilidade da interface
+    listar: async (empresaId) => daEmpresa(empresaId).map(copia),
+
+    resumirGaleria: async (empresaId) => {
+      const imagens = daEmpresa(empresaId);
+      return {
+        total: imagens.length,
+        ultima: imagens.reduce((ultima, imagem) => Math.max(ultima, imagem.ordem), -1)
+      };
+    },
+
+    criar: async (dados) => {
+      const imagem = {
+        id: proximoId(estado, 'empresas_imagens'),
+        ...Object.fromEntries(COLUNAS_IMAGEM.map((coluna) => [coluna, dados[coluna] ?? null])),
+        capa: false,
+        criado_em: new Date()
+      };
+
+      estado.empresas_imagens.push(imagem);
+      return copia(imagem);
+    },
+
+    buscar: async (empresaId, id) => copia(buscar(empresaId, id)),
+
+    definirOrdem: async (id, ordem) => {
+      const imagem = estado.empresas_imagens.find((i) => mesmoId(i.id, id));
+      if (imagem) imagem.ordem = ordem;
+    },
+
+    marcarCapa: async (empresaId, id) => {
+      daEmpresa(empresaId).forEach((imagem) => { imagem.capa = mesmoId(imagem.id, id); });
+    },
+
+    remover: async (empresaId, id) => {
+      const imagem = buscar(empresaId, id);
+      if (!imagem) return null;
+
+      estado.empresas_imagens = estado.empresas_imagens.filter((i) => i !== imagem);
+      return copia(imagem);
+    },
+
+    sincronizarCapa: async (empresaId, { imgAnterior } = {}) => {
+      const imagens = daEmpresa(empresaId);
+      const capa = imagens.find((imagem) => imagem.capa) || imagens[0];
+
+      if (!capa) {
+        const empresa = estado.empresas.find((e) => mesmoId(e.id, empresaId));
+        if (imgAnterior && empresa && empresa.img === imgAnterior) definirImg(empresaId, null);
+        return null;
+      }
+
+      capa.capa = true;
+      definirImg(empresaId, obterArmazenamento().url(capa.chave));
+      return copia(capa);
+    }
+  };
+};
+
+module.exports = criarRepositorioImagens;
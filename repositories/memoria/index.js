@@ -0,0 +1,50 @@
+//repositories/memoria/index.js
+const criarRepositorioEmpresas = require('./empresas');
+const criarRepositorioContatos = require('./contatos');
+const criarRepositorioUsuarios = require('./usuarios');
+const criarRepositorioImagens = require('./imagens');
+const criarRepositorioDocumentos = require('./documentos');
+const criarRepositorioAuditoria = require('./auditoria');
+const { criarEstado } = require('./estado');
+
+const criar = (estado) => ({
+  empresas: criarRepositorioEmpresas(estado),
+  contatos: criarRepositorioContatos(estado),
+  usuarios: criarRepositorioUsuarios(estado),
+  imagens: criarRepositorioImagens(estado),
+  documentos: criarRepositorioDocumentos(estado),
+  auditoria: criarRepositorioAuditoria(estado)
+});
+
+/**
+ * Repositórios em memória (testes / desenvolvimento sem banco)
+ * Os dados vivem só no processo; cada chamada cria um banco vazio
+ * Transações rodam uma de cada vez e, se a tarefa lançar erro, o estado anterior é restaurado
+ */
+const criarRepositoriosMemoria = () => {
+  const estado = criarEstado();
+  let fila = Promise.resolve();
+
+  const executar = async (tarefa) => {
+    const copia = structuredClone(estado);
+
+    try {
+      return await tarefa(criar(estado));
+    } catch (erro) {
+      Object.assign(estado, copia);
+      throw erro;
+    }
+  };
+
+  return {
+    ...criar(estado),
+
+    transacao: (tarefa) => {
+      const resultado = fila.then(() => executar(tarefa));
+      fila = resultado.catch(() => {});
+      return resultado;
+    }
+  };
+};
+
+module.exports = criarRepositoriosMemoria;
@@ -0,0 +1,224 @@
+//repositories/memoria/usuarios.js
+const { COLUNAS_USUARIO_PUBLICAS } = require('../colunas');
+const { proximoId, mesmoId, violacaoUnica, copia } = require('./estado');
+
+const publico = (usuario) => (
+  usuario ? Object.fromEntries(COLUNAS_USUARIO_PUBLICAS.map((coluna) => [coluna, usuario[coluna]])) : null
+);
+
+/**
+ * UsuarioRepository em memória (mesma interface de repositories/postgres/usuarios.js)
+ */
+const criarRepositorioUsuarios = (estado) => {
+  const buscar = (id) => estado.usuarios.find((usuario) => mesmoId(usuario.id, id));
+
+  const alterar = (id, dados) => {
+    const usuario = buscar(id);
+    if (usuario) Object.assign(usuario, dados);
+    return usuario;
+  };
+
+  return {
+    buscarPorEmail: async (email) => copia(estado.usuarios.find((usuario) => usuario.email === email)),
+
+    buscarPorId: async (id) => copia(buscar(id)),
+
+    buscarPerfil: async (id) => publico(buscar(id)),
+
+    listar: async () => {
+      return [...estado.usuarios]
+        .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'))
+        .map(publico);
+    },
+
+    criar: async ({ nome, email, senha, papel }) => {
+      if (estado.usuarios.some((usuario) => usuario.email === email)) {
+        throw violacaoUnica('usuarios', 'email', email);
+      }
+
+      const usuario = {
+        id: proximoId(estado, 'usuarios'),
+        nome,
+        email,
+        senha,
+        papel: papel || 'comprador',
+        ativo: true,
+        token_versao: 0,
+        email_verificado_em: null,
+        verificacao_enviada_em: null,
+        totp_segredo: null,
+        totp_ativo: false,
+        totp_ultimo_passo: null,
+        criado_em: new Date()
+      };
+
+      estado.usuarios.push(usuario);
+      return publico(usuario);
+    },
+
+    alterarPapel: async (id, papel) => publico(alterar(id, { papel })),
+
+    alterarAtivo: async (id, ativo) => publico(alterar(id, { ativo })),
+
+    alterarSenha: async (id, senha) => {
+      alterar(id, { senha });
+    },
+
+    incrementarVersaoToken: async (id) => {
+      const usuario = buscar(id);
+      if (usuario) usuario.token_versao++;
+    },
+
+    marcarVerificacaoEnviada: async (id) => {
+      alterar(id, { verificacao_enviada_em: new Date() });
+    },
+
+    marcarEmailVerificado: async (id, email) => {
+      const usuario = buscar(id);
+      if (!usuario || usuario.email !== email) return null;
+
+      const verificadoAgora = usuario.email_verificado_em === null;
+      if (verificadoAgora) usuario.email_verificado_em = new Date();
+
+      return { id: usuario.id, email_verificado_em: usuario.email_verificado_em, verificado_agora: verificadoAgora };
+    },
+
+    buscarPendenteVerificacao: async (email, intervaloSegundos) => {
+      const limite = Date.now() - intervaloSegundos * 1000;
+      const usuario = estado.usuarios.find((u) => u.email === email
+        && u.ativo === true
+        && u.email_verificado_em === null
+        && (u.verificacao_enviada_em === null || u.verificacao_enviada_em < limite));
+
+      return usuario ? { id: usuario.id, nome: usuario.nome, email: usuario.email } : null;
+    },
+
+    criarRefreshToken: async ({ usuarioId, tokenHash, expiraEm, ip, userAgent }) => {
+      const token = {
+        id: proximoId(estado, 'refresh_tokens'),
+        usuario_id: Number(usuarioId),
+        token_hash: tokenHash,
+        expira_em: expiraEm,
+        revogado_em: null,
+        substituido_por: null,
+        ip,
+        user_agent: userAgent,
+        criado_em: new Date()
+      };
+
+      estado.refresh_tokens.push(token);
+      return token.id;
+    },
+
+    buscarRefreshToken: async (tokenHash) => {
+      const token = estado.refresh_tokens.find((t) => t.token_hash === tokenHash);
+      const usuario = token && buscar(token.usuario_id);
+      if (!usuario) return null;
+
+      return {
+        id: token.id,
+        usuario_id: token.usuario_id,
+        expira_em: token.expira_em,
+        revogado_em: token.revogado_em,
+        nome: usuario.nome,
+        email: usuario.email,
+        papel: usuario.papel,
+        ativo: usuario.ativo,
+        token_versao: usuario.token_versao
+      };
+    },
+
+    revogarRefreshToken: async (tokenHash) => {
+      const token = estado.refresh_tokens.find((t) => t.token_hash === tokenHash && t.revogado_em === null);
+      if (token) token.revogado_em = new Date();
+    },
+
+    revogarRefreshTokens: async (usuarioId) => {
+      estado.refresh_tokens
+        .filter((t) => mesmoId(t.usuario_id, usuarioId) && t.revogado_em === null)
+        .forEach((t) => { t.revogado_em = new Date(); });
+    },
+
+    substituirRefreshToken: async (id, novoId) => {
+      const token = estado.refresh_tokens.find((t) => t.id === id);
+      if (token) Object.assign(token, { revogado_em: new Date(), substituido_por: novoId });
+    },
+
+    criarTokenRedefinicao: async (usuarioId, tokenHash, validadeMinutos) => {
+      const agora = new Date();
+
+      estado.tokens_redefinicao_senha
+        .filter((t) => mesmoId(t.usuario_id, usuarioId) && t.usado_em === null)
+        .forEach((t) => { t.usado_em = agora; });
+
+      estado.tokens_redefinicao_senha.push({
+        id: proximoId(estado, 'tokens_redefinicao_senha'),
+        usuario_id: Number(usuarioId),
+        token_hash: tokenHash,
+        expira_em: new Date(agora.getTime() + validadeMinutos * 60 * 1000),
+        usado_em: null,
+        criado_em: agora
+      });
+    },
+
+    consumirTokenRedefinicao: async (tokenHash) => {
+      const agora = new Date();
+      const token = estado.tokens_redefinicao_senha
+        .find((t) => t.token_hash === tokenHash && t.usado_em === null && t.expira_em > agora);
+
+      if (!token) return null;
+
+      token.usado_em = agora;
+      return token.usuario_id;
+    },
+
+    definirSegredoTotp: async (id, segredo) => {
+      alterar(id, { totp_segredo: segredo, totp_ultimo_passo: null });
+    },
+
+    ativarTotp: async (id, passo) => {
+      alterar(id, { totp_ativo: true, totp_ultimo_passo: passo });
+    },
+
+    consumirPassoTotp: async (id, passo) => {
+      const usuario = buscar(id);
+      if (!usuario || (usuario.totp_ultimo_passo !== null && Number(usuario.totp_ultimo_passo) >= passo)) {
+        return false;
+      }
+
+      usuario.totp_ultimo_passo = passo;
+      return true;
+    },
+
+    desativarTotp: async (id) => {
+      alterar(id, { totp_ativo: false, totp_segredo: null, totp_ultimo_passo: null });
+      estado.codigos_recuperacao = estado.codigos_recuperacao.filter((c) => !mesmoId(c.usuario_id, id));
+    },
+
+    substituirCodigosRecuperacao: async (usuarioId, codigosHash) => {
+      estado.codigos_recuperacao = estado.codigos_recuperacao.filter((c) => !mesmoId(c.usuario_id, usuarioId));
+
+      for (const codigoHash of codigosHash) {
+        estado.codigos_recuperacao.push({
+          id: proximoId(estado, 'codigos_recuperacao'),
+          usuario_id: Number(usuarioId),
+          codigo_hash: codigoHash,
+          usado_em: null,
+          criado_em: new Date()
+        });
+      }
+    },
+
+    consumirCodigoRecuperacao: async (usuarioId, codigoHash) => {
+      const codigo = estado.codigos_recuperacao
+        .find((c) => mesmoId(c.usuario_id, usuarioId) && c.codigo_hash === codigoHash && c.usado_em === null);
+
+      if (!codigo) return false;
+
+      codigo.usado_em = new Date();
+      return true;
+    }
+  };
+};
+
+module.exports = criarRepositorioUsuarios;
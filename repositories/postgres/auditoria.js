@@ -0,0 +1,75 @@
+// Comparações de cada filtro da trilha; `?` é trocado pelo placeholder
+const FILTROS_AUDITORIA = {
+  recurso: 'a.recurso = ?',
+  recurso_id: 'a.recurso_id = ?',
+  usuario_id: 'a.usuario_id = ?',
+  acao: 'a.acao = ?',
+  de: 'a.criado_em >= ?',
+  ate: 'a.criado_em <= ?',
+  antes: 'a.criado_em < ?'
+};
+
+/**
+ * AuditoriaRepository (trilha de alterações e eventos de segurança) sobre PostgreSQL
+ * `db` é o pool ou um client (para participar de uma transação)
+ */
+const criarRepositorioAuditoria = (db) => ({
+  registrar: async ({ usuarioId, acao, recurso, recursoId, alteracoes, detalhes, ip }) => {
+    await db.query(
+      `INSERT INTO auditoria (usuario_id, acao, recurso, recurso_id, alteracoes, detalhes, ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        usuarioId,
+        acao,
+        recurso,
+        recursoId,
+        JSON.stringify(alteracoes),
+        detalhes ? JSON.stringify(detalhes) : null,
+        ip
+      ]
+    );
+  },
+
+  /**
+   * Entradas da trilha, das mais recentes para as mais antigas, com o nome e o email do autor
+   * `filtros`: chaves de FILTROS_AUDITORIA, já validadas (ausentes são ignoradas)
+   * Retorna { total, dados }
+   */
+  listar: async (filtros, paginacao) => {
+    const params = [];
+    const condicoes = [];
+
+    for (const [campo, comparacao] of Object.entries(FILTROS_AUDITORIA)) {
+      if (filtros[campo] === undefined) continue;
+      params.push(filtros[campo]);
+      condicoes.push(comparacao.replace('?', `$${params.length}`));
+    }
+
+    const where = condicoes.length > 0 ? `WHERE ${condicoes.join(' AND ')}` : '';
+
+    const total = await db.query(`SELECT COUNT(*)::int AS total FROM auditoria a ${where}`, params);
+
+    const resultado = await db.query(
+      `SELECT a.*, u.nome AS usuario_nome, u.email AS usuario_email
+       FROM auditoria a
+       LEFT JOIN usuarios u ON a.usuario_id = u.id
+       ${where}
+       ORDER BY a.criado_em DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, paginacao.pageSize, paginacao.offset]
+    );
+
+    return { total: total.rows[0].total, dados: resultado.rows };
+  },
+
+  // Eventos de segurança (ex: bloqueios de login) na tabela eventos_seguranca
+  registrarEventoSeguranca: async ({ tipo, alvo, ip, detalhes }) => {
+    await db.query(
+      `INSERT INTO eventos_seguranca (tipo, alvo, ip, detalhes)
+       VALUES ($1, $2, $3, $4)`,
+      [tipo, alvo, ip, detalhes ? JSON.stringify(detalhes) : null]
+    );
+  }
+});
+
+module.exports = criarRepositorioAuditoria;
@@ -0,0 +1,169 @@
+//repositories/postgres/contatos.js
+const { montarAtualizacao, montarInsercao } = require('../../utils/atualizacao');
+const { purgarLixeira } = require('../../utils/lixeira');
+const { COLUNAS_CONTATO, COLUNAS_CONTATO_EDITAVEIS } = require('../colunas');
+
+/**
+ * ContatoRepository sobre PostgreSQL
+ * `db` é o pool ou um client (para participar de uma transação)
+ */
+const criarRepositorioContatos = (db) => ({
+  // `dados` com as colunas de COLUNAS_CONTATO; retorna o registro criado
+  criar: async (dados) => {
+    const insercao = montarInsercao(dados, COLUNAS_CONTATO);
+    const resultado = await db.query(
+      `INSERT INTO contatos (${insercao.colunas})
+       VALUES (${insercao.placeholders})
+       RETURNING *`,
+      insercao.valores
+    );
+    return resultado.rows[0];
+  },
+
+  // Contatos fora da lixeira, dos mais recentes para os mais antigos (filtros opcionais)
+  listar: async ({ tipo, cidade, empresaId, status } = {}) => {
+    const params = [];
+    const condicoes = ['deleted_at IS NULL'];
+
+    if (tipo) {
+      params.push(tipo);
+      condicoes.push(`tipo = $${params.length}`);
+    }
+
+    if (cidade) {
+      params.push(`%${cidade}%`);
+      condicoes.push(`cidade ILIKE $${params.length}`);
+    }
+
+    if (empresaId) {
+      params.push(empresaId);
+      condicoes.push(`empresa_id = $${params.length}`);
+    }
+
+    if (status) {
+      params.push(status);
+      condicoes.push(`status = $${params.length}`);
+    }
+
+    const resultado = await db.query(
+      `SELECT * FROM contatos WHERE ${condicoes.join(' AND ')} ORDER BY id DESC`,
+      params
+    );
+    return resultado.rows;
+  },
+
+  /**
+   * Contato fora da lixeira ou null
+   * `bloquear` trava a linha até o fim da transação (FOR UPDATE)
+   */
+  buscarPorId: async (id, { bloquear = false } = {}) => {
+    const resultado = await db.query(
+      `SELECT * FROM contatos WHERE id = $1 AND deleted_at IS NULL${bloquear ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  buscarNaLixeira: async (id) => {
+    const resultado = await db.query(
+      'SELECT * FROM contatos WHERE id = $1 AND deleted_at IS NOT NULL',
+      [id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Lixeira, das exclusões mais recentes para as mais antigas, com a data em que cada contato pode ser purgado
+  listarLixeira: async (retencaoDias) => {
+    const resultado = await db.query(
+      `SELECT *, deleted_at + make_interval(days => $1) AS purgavel_em
+       FROM contatos
+       WHERE deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, id DESC`,
+      [retencaoDias]
+    );
+    return resultado.rows;
+  },
+
+  /**
+   * Altera apenas as colunas de COLUNAS_CONTATO_EDITAVEIS presentes em `dados`
+   * Retorna o registro atualizado, null se o contato não existe (ou está na lixeira)
+   * ou undefined quando nenhum campo alterável foi enviado
+   */
+  atualizar: async (id, dados) => {
+    const atualizacao = montarAtualizacao(dados, COLUNAS_CONTATO_EDITAVEIS);
+    if (!atualizacao) return undefined;
+
+    const resultado = await db.query(
+      `UPDATE contatos
+       SET ${atualizacao.sets}
+       WHERE id = $${atualizacao.valores.length + 1} AND deleted_at IS NULL
+       RETURNING *`,
+      [...atualizacao.valores, id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Exclusão lógica; retorna o registro ou null se já não estava ativo
+  moverParaLixeira: async (id, usuarioId) => {
+    const resultado = await db.query(
+      `UPDATE contatos
+       SET deleted_at = NOW(), deleted_by = $2
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING *`,
+      [id, usuarioId]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  restaurar: async (id) => {
+    const resultado = await db.query(
+      `UPDATE contatos
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Retorna { removidos, ids, retencaoDias }
+  purgarLixeira: () => purgarLixeira(db, 'contatos'),
+
+  alterarStatus: async (id, status) => {
+    const resultado = await db.query(
+      `UPDATE contatos
+       SET status = $1, status_atualizado_em = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [status, id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  registrarHistorico: async ({ contatoId, statusAnterior, statusNovo, usuarioId, observacao }) => {
+    const resultado = await db.query(
+      `INSERT INTO contatos_status_historico
+         (contato_id, status_anterior, status_novo, usuario_id, observacao)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [contatoId, statusAnterior, statusNovo, usuarioId, observacao || null]
+    );
+    return resultado.rows[0];
+  },
+
+  // Mudanças de status em ordem cronológica, com o nome de quem as fez
+  listarHistorico: async (contatoId) => {
+    const resultado = await db.query(
+      `SELECT h.id, h.status_anterior, h.status_novo, h.observacao, h.criado_em,
+              h.usuario_id, u.nome AS usuario_nome
+       FROM contatos_status_historico h
+       LEFT JOIN usuarios u ON u.id = h.usuario_id
+       WHERE h.contato_id = $1
+       ORDER BY h.criado_em ASC, h.id ASC`,
+      [contatoId]
+    );
+    return resultado.rows;
+  }
+});
+
+module.exports = criarRepositorioContatos;
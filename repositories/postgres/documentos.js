@@ -0,0 +1,146 @@
+const { montarInsercao } = require('../../utils/atualizacao');
+const { COLUNAS_DOCUMENTO, COLUNAS_DOCUMENTO_PUBLICAS } = require('../colunas');
+
+const PUBLICAS = COLUNAS_DOCUMENTO_PUBLICAS.join(', ');
+
+/**
+ * DocumentoRepository (documentos restritos dos anúncios, acessos concedidos a compradores
+ * e registro de downloads) sobre PostgreSQL
+ * `db` é o pool ou um client (para participar de uma transação)
+ */
+const criarRepositorioDocumentos = (db) => ({
+  // Documentos da empresa, dos mais recentes para os mais antigos (sem a chave do armazenamento)
+  listar: async (empresaId, { categoria } = {}) => {
+    const params = [empresaId];
+
+    if (categoria) params.push(categoria);
+
+    const resultado = await db.query(
+      `SELECT ${PUBLICAS}
+       FROM empresas_documentos
+       WHERE empresa_id = $1 ${categoria ? 'AND categoria = $2' : ''}
+       ORDER BY criado_em DESC, id DESC`,
+      params
+    );
+    return resultado.rows;
+  },
+
+  // `dados` com as colunas de COLUNAS_DOCUMENTO; retorna o registro criado (sem a chave)
+  criar: async (dados) => {
+    const insercao = montarInsercao(dados, COLUNAS_DOCUMENTO);
+    const resultado = await db.query(
+      `INSERT INTO empresas_documentos (${insercao.colunas})
+       VALUES (${insercao.placeholders})
+       RETURNING ${PUBLICAS}`,
+      insercao.valores
+    );
+    return resultado.rows[0];
+  },
+
+  // Registro completo (com a chave) ou null
+  buscar: async (empresaId, id) => {
+    const resultado = await db.query(
+      'SELECT * FROM empresas_documentos WHERE id = $1 AND empresa_id = $2',
+      [id, empresaId]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Retorna o registro removido ou null
+  remover: async (empresaId, id) => {
+    const resultado = await db.query(
+      'DELETE FROM empresas_documentos WHERE id = $1 AND empresa_id = $2 RETURNING *',
+      [id, empresaId]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Compradores com acesso aos documentos da empresa, dos mais recentes para os mais antigos
+  listarAcessos: async (empresaId) => {
+    const resultado = await db.query(
+      `SELECT a.usuario_id, u.nome, u.email, a.concedido_por, a.criado_em
+       FROM acessos_documentos a
+       JOIN usuarios u ON u.id = a.usuario_id
+       WHERE a.empresa_id = $1
+       ORDER BY a.criado_em DESC`,
+      [empresaId]
+    );
+    return resultado.rows;
+  },
+
+  temAcesso: async (empresaId, usuarioId) => {
+    const resultado = await db.query(
+      'SELECT 1 FROM acessos_documentos WHERE empresa_id = $1 AND usuario_id = $2',
+      [empresaId, usuarioId]
+    );
+    return resultado.rows.length > 0;
+  },
+
+  // Retorna { usuario_id, concedido_por, criado_em } ou null se o acesso já existia
+  concederAcesso: async (empresaId, usuarioId, concedidoPor) => {
+    const resultado = await db.query(
+      `INSERT INTO acessos_documentos (empresa_id, usuario_id, concedido_por)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (empresa_id, usuario_id) DO NOTHING
+       RETURNING usuario_id, concedido_por, criado_em`,
+      [empresaId, usuarioId, concedidoPor]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Retorna false se o usuário não tinha acesso
+  revogarAcesso: async (empresaId, usuarioId) => {
+    const resultado = await db.query(
+      'DELETE FROM acessos_documentos WHERE empresa_id = $1 AND usuario_id = $2',
+      [empresaId, usuarioId]
+    );
+    return resultado.rowCount > 0;
+  },
+
+  registrarDownload: async ({ documentoId, empresaId, nomeArquivo, usuarioId, ip, userAgent }) => {
+    await db.query(
+      `INSERT INTO downloads_documentos (documento_id, empresa_id, nome_arquivo, usuario_id, ip, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [documentoId, empresaId, nomeArquivo, usuarioId, ip, userAgent]
+    );
+  },
+
+  /**
+   * Downloads dos documentos da empresa, dos mais recentes para os mais antigos
+   * `filtros`: { documento_id, usuario_id } (opcionais)
+   * Retorna { total, dados }
+   */
+  listarDownloads: async (empresaId, filtros, paginacao) => {
+    const params = [empresaId];
+    const condicoes = ['d.empresa_id = $1'];
+
+    for (const campo of ['documento_id', 'usuario_id']) {
+      if (filtros[campo] === undefined) continue;
+      params.push(filtros[campo]);
+      condicoes.push(`d.${campo} = $${params.length}`);
+    }
+
+    const where = condicoes.join(' AND ');
+
+    const total = await db.query(
+      `SELECT COUNT(*)::int AS total FROM downloads_documentos d WHERE ${where}`,
+      params
+    );
+
+    const resultado = await db.query(
+      `SELECT d.id, d.documento_id, d.nome_arquivo, d.usuario_id,
+              u.nome AS usuario_nome, u.email AS usuario_email,
+              d.ip, d.user_agent, d.baixado_em
+       FROM downloads_documentos d
+       LEFT JOIN usuarios u ON u.id = d.usuario_id
+       WHERE ${where}
+       ORDER BY d.baixado_em DESC, d.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, paginacao.pageSize, paginacao.offset]
+    );
+
+    return { total: total.rows[0].total, dados: resultado.rows };
+  }
+});
+
+module.exports = criarRepositorioDocumentos;
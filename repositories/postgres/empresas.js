@@ -0,0 +1,291 @@
+//repositories/postgres/empresas.js
+const { montarAtualizacao, montarInsercao } = require('../../utils/atualizacao');
+const { diasRetencao, purgarLixeira } = require('../../utils/lixeira');
+const { formatarDestaque } = require('../../utils/consultaEmpresas');
+const {
+  COLUNAS_EMPRESA,
+  COLUNAS_EMPRESA_PUBLICAS,
+  COLUNAS_EMPRESA_LISTAGEM
+} = require('../colunas');
+
+// Configuração de busca textual criada em db/migracoes/005_busca_empresas.up.sql
+const CONFIG_BUSCA = 'portugues_unaccent';
+
+// Filtros de consulta -> condição SQL (`?` é trocado pelo placeholder do valor)
+// setor, tipo e tipo_imovel são comparados inteiros, sem caixa; localizacao por trecho (ver montarFiltros)
+const CONDICOES_FILTRO = {
+  setor: 'lower(setor) = lower(?)',
+  tipo: 'lower(tipo) = lower(?)',
+  tipo_imovel: 'lower(tipo_imovel) = lower(?)',
+  localizacao: `localizacao ILIKE ? ESCAPE '\\'`,
+  ativo: 'ativo = ?',
+  valor_min: 'valor >= ?',
+  valor_max: 'valor <= ?',
+  faturamento_min: 'faturamento >= ?',
+  funcionarios_min: 'funcionarios >= ?'
+};
+
+/**
+ * Busca textual sobre a coluna tsvector `busca`
+ * O termo é adicionado em `params`; retorna { condicao, colunas } com a relevância e o trecho destacado
+ * O ts_headline não escapa o texto: os termos saem entre os marcadores chr(2)/chr(3)
+ * (removidos antes do texto original) e formatarDestaque escapa o HTML e troca os marcadores por <mark>
+ */
+const montarBusca = (termo, params) => {
+  params.push(termo);
+  const tsquery = `websearch_to_tsquery('${CONFIG_BUSCA}', $${params.length})`;
+
+  return {
+    condicao: `busca @@ ${tsquery}`,
+    colunas: `
+      ts_rank(busca, ${tsquery}) AS relevancia,
+      ts_headline(
+        '${CONFIG_BUSCA}',
+        translate(concat_ws(' — ', titulo, descricao, info, dif), chr(2) || chr(3), ''),
+        ${tsquery},
+        'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=2, MaxWords=25, MinWords=8'
+      ) AS destaque
+    `
+  };
+};
+
+// % e _ digitados pelo usuário são literais no padrão do LIKE, não curingas
+const escaparLike = (texto) => texto.replace(/[\\%_]/g, '\\$&');
+
+// Condições dos filtros, com os valores adicionados em `params` (para compartilhar a numeração $n)
+const montarFiltros = (filtros, params) => {
+  return Object.entries(filtros).map(([filtro, valor]) => {
+    params.push(filtro === 'localizacao' ? `%${escaparLike(valor)}%` : valor);
+    return CONDICOES_FILTRO[filtro].replace('?', `$${params.length}`);
+  });
+};
+
+// id como desempate garante paginação estável
+const montarOrdenacao = ({ coluna, direcao }) => {
+  if (coluna === 'relevancia') {
+    return 'ORDER BY relevancia DESC, id ASC';
+  }
+  return `ORDER BY ${coluna} ${direcao} NULLS LAST, id ASC`;
+};
+
+/**
+ * EmpresaRepository sobre PostgreSQL
+ * `db` é o pool ou um client (para participar de uma transação)
+ */
+const criarRepositorioEmpresas = (db) => {
+  // Consulta paginada compartilhada pelas listagens autenticadas e pelo catálogo público
+  const consultar = async ({ termo, filtros, ordenacao, paginacao }, { colunas, condicoes, params }) => {
+    const busca = termo ? montarBusca(termo, params) : null;
+    const todas = [...condicoes, ...montarFiltros(filtros, params)];
+    if (busca) todas.push(busca.condicao);
+
+    const where = `WHERE ${todas.join(' AND ')}`;
+
+    const total = await db.query(`SELECT COUNT(*)::int AS total FROM empresas ${where}`, params);
+
+    const resultado = await db.query(
+      `SELECT ${colunas}${busca ? `, ${busca.colunas}` : ''}
+       FROM empresas
+       ${where}
+       ${montarOrdenacao(ordenacao)}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, paginacao.pageSize, paginacao.offset]
+    );
+
+    const dados = busca
+      ? resultado.rows.map((linha) => ({ ...linha, destaque: formatarDestaque(linha.destaque) }))
+      : resultado.rows;
+
+    return { total: total.rows[0].total, dados };
+  };
+
+  return {
+    /**
+     * Empresas fora da lixeira, com o total de contatos recebidos
+     * `usuarioId` restringe aos anúncios do usuário
+     * Retorna { total, dados }
+     */
+    listar: (consulta, { usuarioId } = {}) => {
+      const params = [];
+      const condicoes = ['deleted_at IS NULL'];
+
+      if (usuarioId !== undefined) {
+        params.push(usuarioId);
+        condicoes.push(`usuario_id = $${params.length}`);
+      }
+
+      return consultar(consulta, {
+        colunas: `${COLUNAS_EMPRESA_LISTAGEM.join(', ')},
+          (SELECT COUNT(*)::int FROM contatos c
+           WHERE c.empresa_id = empresas.id AND c.deleted_at IS NULL) AS total_contatos`,
+        condicoes,
+        params
+      });
+    },
+
+    // Catálogo público: apenas anúncios ativos e colunas públicas
+    listarPublicas: (consulta) => {
+      return consultar(consulta, {
+        colunas: COLUNAS_EMPRESA_PUBLICAS.join(', '),
+        condicoes: ['ativo = TRUE', 'deleted_at IS NULL'],
+        params: []
+      });
+    },
+
+    buscarPublica: async (id) => {
+      const resultado = await db.query(
+        `SELECT ${COLUNAS_EMPRESA_PUBLICAS.join(', ')}
+         FROM empresas
+         WHERE id = $1 AND ativo = TRUE AND deleted_at IS NULL`,
+        [id]
+      );
+      return resultado.rows[0] || null;
+    },
+
+    // Empresa fora da lixeira ou null
+    buscarPorId: async (id) => {
+      const resultado = await db.query(
+        'SELECT * FROM empresas WHERE id = $1 AND deleted_at IS NULL',
+        [id]
+      );
+      return resultado.rows[0] || null;
+    },
+
+    buscarNaLixeira: async (id) => {
+      const resultado = await db.query(
+        'SELECT * FROM empresas WHERE id = $1 AND deleted_at IS NOT NULL',
+        [id]
+      );
+      return resultado.rows[0] || null;
+    },
+
+    /**
+     * Empresa (inclusive na lixeira) com o CNPJ informado, ignorando a empresa `exceto`
+     * Retorna { id, deleted_at } ou null
+     */
+    buscarPorCnpj: async (cnpj, { exceto } = {}) => {
+      const resultado = exceto === undefined
+        ? await db.query('SELECT id, deleted_at FROM empresas WHERE cnpj = $1', [cnpj])
+        : await db.query('SELECT id, deleted_at FROM empresas WHERE cnpj = $1 AND id <> $2', [cnpj, exceto]);
+      return resultado.rows[0] || null;
+    },
+
+    // `dados` com as colunas de COLUNAS_EMPRESA e usuario_id; retorna o registro criado
+    criar: async (dados) => {
+      const insercao = montarInsercao(dados, [...COLUNAS_EMPRESA, 'usuario_id']);
+      const resultado = await db.query(
+        `INSERT INTO empresas (${insercao.colunas})
+         VALUES (${insercao.placeholders})
+         RETURNING *`,
+        insercao.valores
+      );
+      return resultado.rows[0];
+    },
+
+    /**
+     * Altera apenas as colunas de COLUNAS_EMPRESA presentes em `dados`
+     * Retorna o registro atualizado, null se a empresa não existe (ou está na lixeira)
+     * ou undefined quando nenhum campo alterável foi enviado
+     */
+    atualizar: async (id, dados) => {
+      const atualizacao = montarAtualizacao(dados, COLUNAS_EMPRESA);
+      if (!atualizacao) return undefined;
+
+      const resultado = await db.query(
+        `UPDATE empresas
+         SET ${atualizacao.sets}
+         WHERE id = $${atualizacao.valores.length + 1} AND deleted_at IS NULL
+         RETURNING *`,
+        [...atualizacao.valores, id]
+      );
+      return resultado.rows[0] || null;
+    },
+
+    // Exclusão lógica; retorna o registro ou null se já não estava ativo
+    moverParaLixeira: async (id, usuarioId) => {
+      const resultado = await db.query(
+        `UPDATE empresas
+         SET deleted_at = NOW(), deleted_by = $2
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING *`,
+        [id, usuarioId]
+      );
+      return resultado.rows[0] || null;
+    },
+
+    restaurar: async (id) => {
+      const resultado = await db.query(
+        `UPDATE empresas
+         SET deleted_at = NULL, deleted_by = NULL
+         WHERE id = $1 AND deleted_at IS NOT NULL
+         RETURNING *`,
+        [id]
+      );
+      return resultado.rows[0] || null;
+    },
+
+    /**
+     * Lixeira, das exclusões mais recentes para as mais antigas, com a data em que cada empresa pode ser purgada
+     * `usuarioId` restringe aos anúncios do usuário
+     * Retorna { total, dados }
+     */
+    listarLixeira: async ({ paginacao, usuarioId, retencaoDias }) => {
+      const params = [];
+      const condicoes = ['deleted_at IS NOT NULL'];
+
+      if (usuarioId !== undefined) {
+        params.push(usuarioId);
+        condicoes.push(`usuario_id = $${params.length}`);
+      }
+
+      const where = condicoes.join(' AND ');
+
+      const total = await db.query(`SELECT COUNT(*)::int AS total FROM empresas WHERE ${where}`, params);
+
+      const resultado = await db.query(
+        `SELECT *, deleted_at + make_interval(days => $${params.length + 1}) AS purgavel_em
+         FROM empresas
+         WHERE ${where}
+         ORDER BY deleted_at DESC, id DESC
+         LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+        [...params, retencaoDias, paginacao.pageSize, paginacao.offset]
+      );
+
+      return { total: total.rows[0].total, dados: resultado.rows };
+    },
+
+    /**
+     * Remove definitivamente as empresas na lixeira há mais que a retenção
+     * As linhas de imagens e documentos somem em cascata; `arquivos` lista o que precisa
+     * ser apagado do armazenamento ({ origem: 'imagem' | 'documento', chave, chave_miniatura })
+     * Retorna { removidos, ids, retencaoDias, arquivos }
+     */
+    purgarLixeira: async () => {
+      const arquivos = await db.query(
+        `SELECT 'imagem' AS origem, i.empresa_id, i.chave, i.chave_miniatura
+         FROM empresas_imagens i
+         JOIN empresas e ON e.id = i.empresa_id
+         WHERE e.deleted_at IS NOT NULL
+           AND e.deleted_at < NOW() - make_interval(days => $1)
+         UNION ALL
+         SELECT 'documento' AS origem, d.empresa_id, d.chave, NULL
+         FROM empresas_documentos d
+         JOIN empresas e ON e.id = d.empresa_id
+         WHERE e.deleted_at IS NOT NULL
+           AND e.deleted_at < NOW() - make_interval(days => $1)`,
+        [diasRetencao()]
+      );
+
+      const { removidos, ids, retencaoDias } = await purgarLixeira(db, 'empresas');
+
+      return {
+        removidos,
+        ids,
+        retencaoDias,
+        arquivos: arquivos.rows.filter((arquivo) => ids.includes(arquivo.empresa_id))
+      };
+    }
+  };
+};
+
+module.exports = criarRepositorioEmpresas;
@@ -0,0 +1,113 @@
+const { montarInsercao } = require('../../utils/atualizacao');
+const { COLUNAS_IMAGEM } = require('../colunas');
+const { obterArmazenamento } = require('../../services/armazenamento');
+
+/**
+ * ImagemRepository (galeria de fotos dos anúncios, tabela empresas_imagens) sobre PostgreSQL
+ * A capa é sempre única por empresa e a sua URL é copiada para empresas.img,
+ * para que listagens e clientes antigos continuem usando essa coluna
+ * `db` é o pool ou um client (para participar de uma transação)
+ */
+const criarRepositorioImagens = (db) => ({
+  // Imagens da empresa na ordem de exibição; `bloquear` trava as linhas até o fim da transação
+  listar: async (empresaId, { bloquear = false } = {}) => {
+    const resultado = await db.query(
+      `SELECT * FROM empresas_imagens WHERE empresa_id = $1 ORDER BY ordem, id${bloquear ? ' FOR UPDATE' : ''}`,
+      [empresaId]
+    );
+    return resultado.rows;
+  },
+
+  /**
+   * Quantidade de imagens e última posição da galeria: { total, ultima } (ultima = -1 se vazia)
+   * Trava a empresa para que envios simultâneos não ultrapassem o limite nem repitam a ordem
+   */
+  resumirGaleria: async (empresaId) => {
+    await db.query('SELECT id FROM empresas WHERE id = $1 FOR UPDATE', [empresaId]);
+
+    const resultado = await db.query(
+      'SELECT COUNT(*)::int AS total, COALESCE(MAX(ordem), -1) AS ultima FROM empresas_imagens WHERE empresa_id = $1',
+      [empresaId]
+    );
+    return resultado.rows[0];
+  },
+
+  // `dados` com as colunas de COLUNAS_IMAGEM; retorna o registro criado
+  criar: async (dados) => {
+    const insercao = montarInsercao(dados, COLUNAS_IMAGEM);
+    const resultado = await db.query(
+      `INSERT INTO empresas_imagens (${insercao.colunas})
+       VALUES (${insercao.placeholders})
+       RETURNING *`,
+      insercao.valores
+    );
+    return resultado.rows[0];
+  },
+
+  buscar: async (empresaId, id) => {
+    const resultado = await db.query(
+      'SELECT * FROM empresas_imagens WHERE id = $1 AND empresa_id = $2',
+      [id, empresaId]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  definirOrdem: async (id, ordem) => {
+    await db.query('UPDATE empresas_imagens SET ordem = $1 WHERE id = $2', [ordem, id]);
+  },
+
+  // Marca a imagem como capa e desmarca as demais da empresa
+  marcarCapa: async (empresaId, id) => {
+    await db.query(
+      'UPDATE empresas_imagens SET capa = (id = $1) WHERE empresa_id = $2',
+      [id, empresaId]
+    );
+  },
+
+  // Retorna o registro removido ou null
+  remover: async (empresaId, id) => {
+    const resultado = await db.query(
+      'DELETE FROM empresas_imagens WHERE id = $1 AND empresa_id = $2 RETURNING *',
+      [id, empresaId]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  /**
+   * Garante uma capa (a primeira da ordem, se nenhuma estiver marcada) e copia a sua URL para empresas.img
+   * Com a galeria vazia, limpa empresas.img se ainda apontar para `imgAnterior` (arquivo que não existe mais)
+   * Retorna a capa ou null quando a galeria está vazia
+   */
+  sincronizarCapa: async (empresaId, { imgAnterior } = {}) => {
+    const resultado = await db.query(
+      `SELECT * FROM empresas_imagens
+       WHERE empresa_id = $1
+       ORDER BY capa DESC, ordem, id
+       LIMIT 1`,
+      [empresaId]
+    );
+
+    if (resultado.rows.length === 0) {
+      if (imgAnterior) {
+        await db.query('UPDATE empresas SET img = NULL WHERE id = $1 AND img = $2', [empresaId, imgAnterior]);
+      }
+      return null;
+    }
+
+    const capa = resultado.rows[0];
+
+    if (!capa.capa) {
+      await db.query('UPDATE empresas_imagens SET capa = TRUE WHERE id = $1', [capa.id]);
+      capa.capa = true;
+    }
+
+    await db.query(
+      'UPDATE empresas SET img = $1 WHERE id = $2',
+      [obterArmazenamento().url(capa.chave), empresaId]
+    );
+
+    return capa;
+  }
+});
+
+module.exports = criarRepositorioImagens;
@@ -0,0 +1,44 @@
+//repositories/postgres/index.js
+const criarRepositorioEmpresas = require('./empresas');
+const criarRepositorioContatos = require('./contatos');
+const criarRepositorioUsuarios = require('./usuarios');
+const criarRepositorioImagens = require('./imagens');
+const criarRepositorioDocumentos = require('./documentos');
+const criarRepositorioAuditoria = require('./auditoria');
+
+// Repositórios sobre o mesmo executor de queries (pool ou client de uma transação)
+const criar = (db) => ({
+  empresas: criarRepositorioEmpresas(db),
+  contatos: criarRepositorioContatos(db),
+  usuarios: criarRepositorioUsuarios(db),
+  imagens: criarRepositorioImagens(db),
+  documentos: criarRepositorioDocumentos(db),
+  auditoria: criarRepositorioAuditoria(db)
+});
+
+/**
+ * Repositórios PostgreSQL sobre o `pool`
+ * `transacao(tarefa)` executa `tarefa(repositorios)` em um único client entre BEGIN e COMMIT
+ * (ROLLBACK se a tarefa lançar erro) e retorna o valor da tarefa
+ */
+const criarRepositoriosPostgres = (pool) => ({
+  ...criar(pool),
+
+  transacao: async (tarefa) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const resultado = await tarefa(criar(client));
+      await client.query('COMMIT');
+      return resultado;
+    } catch (erro) {
+      await client.query('ROLLBACK');
+      throw erro;
+    } finally {
+      client.release();
+    }
+  }
+});
+
+module.exports = criarRepositoriosPostgres;
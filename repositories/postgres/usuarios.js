@@ -0,0 +1,254 @@
+//repositories/postgres/usuarios.js
+const { COLUNAS_USUARIO_PUBLICAS } = require('../colunas');
+
+const PUBLICAS = COLUNAS_USUARIO_PUBLICAS.join(', ');
+
+/**
+ * UsuarioRepository sobre PostgreSQL: contas, refresh tokens, redefinição de senha e 2FA
+ * `db` é o pool ou um client (para participar de uma transação)
+ * Tokens e códigos chegam já como hash; o texto puro nunca passa por aqui
+ */
+const criarRepositorioUsuarios = (db) => ({
+  // Registro completo (com senha e segredo TOTP) para uso interno; nunca vai direto para a resposta
+  buscarPorEmail: async (email) => {
+    const resultado = await db.query('SELECT * FROM usuarios WHERE email = $1', [email]);
+    return resultado.rows[0] || null;
+  },
+
+  /**
+   * Registro completo ou null
+   * `bloquear` trava a linha até o fim da transação (FOR UPDATE)
+   */
+  buscarPorId: async (id, { bloquear = false } = {}) => {
+    const resultado = await db.query(
+      `SELECT * FROM usuarios WHERE id = $1${bloquear ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Apenas as colunas públicas (perfil e administração)
+  buscarPerfil: async (id) => {
+    const resultado = await db.query(`SELECT ${PUBLICAS} FROM usuarios WHERE id = $1`, [id]);
+    return resultado.rows[0] || null;
+  },
+
+  listar: async () => {
+    const resultado = await db.query(`SELECT ${PUBLICAS} FROM usuarios ORDER BY nome ASC`);
+    return resultado.rows;
+  },
+
+  // `senha` já com hash; a conta nasce ativa e com o email pendente de verificação
+  criar: async ({ nome, email, senha, papel }) => {
+    const resultado = await db.query(
+      `INSERT INTO usuarios (nome, email, senha, papel, ativo)
+       VALUES ($1, $2, $3, $4, TRUE)
+       RETURNING ${PUBLICAS}`,
+      [nome, email, senha, papel]
+    );
+    return resultado.rows[0];
+  },
+
+  alterarPapel: async (id, papel) => {
+    const resultado = await db.query(
+      `UPDATE usuarios SET papel = $1 WHERE id = $2 RETURNING ${PUBLICAS}`,
+      [papel, id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  alterarAtivo: async (id, ativo) => {
+    const resultado = await db.query(
+      `UPDATE usuarios SET ativo = $1 WHERE id = $2 RETURNING ${PUBLICAS}`,
+      [ativo, id]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // `senha` já com hash
+  alterarSenha: async (id, senha) => {
+    await db.query('UPDATE usuarios SET senha = $1 WHERE id = $2', [senha, id]);
+  },
+
+  // Access tokens carregam a versão; incrementá-la invalida os emitidos antes
+  incrementarVersaoToken: async (id) => {
+    await db.query('UPDATE usuarios SET token_versao = token_versao + 1 WHERE id = $1', [id]);
+  },
+
+  marcarVerificacaoEnviada: async (id) => {
+    await db.query('UPDATE usuarios SET verificacao_enviada_em = NOW() WHERE id = $1', [id]);
+  },
+
+  /**
+   * Confirma o email (mantém a data da primeira confirmação)
+   * Retorna { id, email_verificado_em, verificado_agora } ou null se id e email não conferem
+   */
+  marcarEmailVerificado: async (id, email) => {
+    const resultado = await db.query(
+      `UPDATE usuarios
+       SET email_verificado_em = COALESCE(email_verificado_em, NOW())
+       WHERE id = $1 AND email = $2
+       RETURNING id, email_verificado_em, email_verificado_em = NOW() AS verificado_agora`,
+      [id, email]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Conta ativa, ainda não verificada e sem envio do link nos últimos `intervaloSegundos`
+  buscarPendenteVerificacao: async (email, intervaloSegundos) => {
+    const resultado = await db.query(
+      `SELECT id, nome, email
+       FROM usuarios
+       WHERE email = $1
+         AND ativo = TRUE
+         AND email_verificado_em IS NULL
+         AND (verificacao_enviada_em IS NULL
+              OR verificacao_enviada_em < NOW() - make_interval(secs => $2))`,
+      [email, intervaloSegundos]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  // Retorna o id do refresh token criado
+  criarRefreshToken: async ({ usuarioId, tokenHash, expiraEm, ip, userAgent }) => {
+    const resultado = await db.query(
+      `INSERT INTO refresh_tokens (usuario_id, token_hash, expira_em, ip, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [usuarioId, tokenHash, expiraEm, ip, userAgent]
+    );
+    return resultado.rows[0].id;
+  },
+
+  /**
+   * Refresh token com os dados do dono, ou null
+   * `bloquear` trava o token até o fim da transação (rotação concorrente)
+   */
+  buscarRefreshToken: async (tokenHash, { bloquear = false } = {}) => {
+    const resultado = await db.query(
+      `SELECT rt.id, rt.usuario_id, rt.expira_em, rt.revogado_em,
+              u.nome, u.email, u.papel, u.ativo, u.token_versao
+       FROM refresh_tokens rt
+       JOIN usuarios u ON u.id = rt.usuario_id
+       WHERE rt.token_hash = $1${bloquear ? ' FOR UPDATE OF rt' : ''}`,
+      [tokenHash]
+    );
+    return resultado.rows[0] || null;
+  },
+
+  revogarRefreshToken: async (tokenHash) => {
+    await db.query(
+      'UPDATE refresh_tokens SET revogado_em = NOW() WHERE token_hash = $1 AND revogado_em IS NULL',
+      [tokenHash]
+    );
+  },
+
+  // Revoga todos os refresh tokens ativos do usuário
+  revogarRefreshTokens: async (usuarioId) => {
+    await db.query(
+      'UPDATE refresh_tokens SET revogado_em = NOW() WHERE usuario_id = $1 AND revogado_em IS NULL',
+      [usuarioId]
+    );
+  },
+
+  // Rotação: o token `id` deixa de valer e aponta para o que o substituiu
+  substituirRefreshToken: async (id, novoId) => {
+    await db.query(
+      'UPDATE refresh_tokens SET revogado_em = NOW(), substituido_por = $1 WHERE id = $2',
+      [novoId, id]
+    );
+  },
+
+  // Um novo pedido invalida os links anteriores ainda não usados
+  criarTokenRedefinicao: async (usuarioId, tokenHash, validadeMinutos) => {
+    await db.query(
+      'UPDATE tokens_redefinicao_senha SET usado_em = NOW() WHERE usuario_id = $1 AND usado_em IS NULL',
+      [usuarioId]
+    );
+
+    await db.query(
+      `INSERT INTO tokens_redefinicao_senha (usuario_id, token_hash, expira_em)
+       VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+      [usuarioId, tokenHash, validadeMinutos]
+    );
+  },
+
+  /**
+   * Consome o token de forma atômica: só uma requisição consegue marcá-lo como usado
+   * Retorna o id do usuário ou null se o token é inválido, já usado ou expirado
+   */
+  consumirTokenRedefinicao: async (tokenHash) => {
+    const resultado = await db.query(
+      `UPDATE tokens_redefinicao_senha
+       SET usado_em = NOW()
+       WHERE token_hash = $1 AND usado_em IS NULL AND expira_em > NOW()
+       RETURNING usuario_id`,
+      [tokenHash]
+    );
+    return resultado.rows[0] ? resultado.rows[0].usuario_id : null;
+  },
+
+  // Segredo (já cifrado) aguardando a confirmação com o primeiro código
+  definirSegredoTotp: async (id, segredo) => {
+    await db.query(
+      'UPDATE usuarios SET totp_segredo = $1, totp_ultimo_passo = NULL WHERE id = $2',
+      [segredo, id]
+    );
+  },
+
+  ativarTotp: async (id, passo) => {
+    await db.query(
+      'UPDATE usuarios SET totp_ativo = TRUE, totp_ultimo_passo = $1 WHERE id = $2',
+      [passo, id]
+    );
+  },
+
+  // Registra o passo TOTP como usado, se for posterior ao último aceito (cada código só vale uma vez)
+  // Retorna false quando o passo já foi usado, inclusive por uma requisição concorrente
+  consumirPassoTotp: async (id, passo) => {
+    const resultado = await db.query(
+      `UPDATE usuarios
+       SET totp_ultimo_passo = $2
+       WHERE id = $1 AND (totp_ultimo_passo IS NULL OR totp_ultimo_passo < $2)`,
+      [id, passo]
+    );
+    return resultado.rowCount > 0;
+  },
+
+  // Desliga o 2FA e descarta o segredo e os códigos de recuperação
+  desativarTotp: async (id) => {
+    await db.query(
+      `UPDATE usuarios
+       SET totp_ativo = FALSE, totp_segredo = NULL, totp_ultimo_passo = NULL
+       WHERE id = $1`,
+      [id]
+    );
+
+    await db.query('DELETE FROM codigos_recuperacao WHERE usuario_id = $1', [id]);
+  },
+
+  substituirCodigosRecuperacao: async (usuarioId, codigosHash) => {
+    await db.query('DELETE FROM codigos_recuperacao WHERE usuario_id = $1', [usuarioId]);
+
+    for (const codigoHash of codigosHash) {
+      await db.query(
+        'INSERT INTO codigos_recuperacao (usuario_id, codigo_hash) VALUES ($1, $2)',
+        [usuarioId, codigoHash]
+      );
+    }
+  },
+
+  // Marca o código como usado; retorna false se não existe ou já foi usado
+  consumirCodigoRecuperacao: async (usuarioId, codigoHash) => {
+    const resultado = await db.query(
+      `UPDATE codigos_recuperacao
+       SET usado_em = NOW()
+       WHERE usuario_id = $1 AND codigo_hash = $2 AND usado_em IS NULL
+       RETURNING id`,
+      [usuarioId, codigoHash]
+    );
+    return resultado.rows.length > 0;
+  }
+});
+
+module.exports = criarRepositorioUsuarios;
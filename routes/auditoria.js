@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const { obterRepositorios } = require('../repositories');
+const autenticar = require('../middleware/auth');
+const { exigirPapel } = require('../middleware/autorizacao');
+const { lerPaginacao, metadadosPaginacao } = require('../utils/consultaEmpresas');
+const { ErroValidacao } = require('../utils/erros');
+
+const RECURSOS = ['empresa', 'contato', 'usuario'];
+
+// Maior valor de uma coluna INT do PostgreSQL
+const MAIOR_INT = 2147483647;
+
+// Aceita data (2026-01-31) ou data e hora ISO 8601; retorna null se inválida
+const lerData = (valor) => {
+  if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(valor)) {
+    return null;
+  }
+
+  const data = new Date(valor);
+  return Number.isNaN(data.getTime()) ? null : data;
+};
+
+const ehSomenteData = (valor) => /^\d{4}-\d{2}-\d{2}$/.test(valor);
+
+/**
+ * Lê e valida os filtros da query string
+ * Retorna { filtros } (chaves de repositories/postgres/auditoria.js) ou { erro }
+ */
+const lerFiltrosAuditoria = (query) => {
+  const filtros = {};
+
+  if (query.recurso) {
+    if (!RECURSOS.includes(query.recurso)) {
+      return { erro: `O parâmetro recurso deve ser um de: ${RECURSOS.join(', ')}` };
+    }
+    filtros.recurso = query.recurso;
+  }
+
+  for (const campo of ['recurso_id', 'usuario_id']) {
+    if (query[campo] === undefined || query[campo] === '') continue;
+
+    const id = /^\d{1,10}$/.test(query[campo]) ? Number(query[campo]) : NaN;
+
+    if (!(id >= 1 && id <= MAIOR_INT)) {
+      return { erro: `O parâmetro ${campo} deve ser um inteiro entre 1 e ${MAIOR_INT}` };
+    }
+    filtros[campo] = id;
+  }
+
+  if (query.acao) {
+    filtros.acao = query.acao;
+  }
+
+  if (query.de) {
+    const de = lerData(query.de);
+    if (!de) {
+      return { erro: 'O parâmetro de deve ser uma data ISO 8601 (ex: 2026-01-31)' };
+    }
+    filtros.de = de;
+  }
+
+  if (query.ate) {
+    const ate = lerData(query.ate);
+    if (!ate) {
+      return { erro: 'O parâmetro ate deve ser uma data ISO 8601 (ex: 2026-01-31)' };
+    }
+    // Só a data: inclui o dia inteiro
+    if (ehSomenteData(query.ate)) {
+      ate.setUTCDate(ate.getUTCDate() + 1);
+      filtros.antes = ate;
+    } else {
+      filtros.ate = ate;
+    }
+  }
+
+  return { filtros };
+};
+
+/**
+ * @swagger
+ * /api/auditoria:
+ *   get:
+ *     summary: Consultar a trilha de auditoria
+ *     description: |
+ *       Alterações em empresas, contatos e usuários, das mais recentes para as mais antigas.
+ *       Cada entrada traz o autor, a ação, o recurso, a diferença antes/depois por campo e o IP de origem.
+ *       Campos sensíveis (senhas, segredos) aparecem como "[oculto]".
+ *     tags: [Auditoria]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: recurso
+ *         schema:
+ *           type: string
+ *           enum: [empresa, contato, usuario]
+ *       - in: query
+ *         name: recurso_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2147483647
+ *       - in: query
+ *         name: usuario_id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 2147483647
+ *         description: Autor da alteração
+ *       - in: query
+ *         name: acao
+ *         schema:
+ *           type: string
+ *         description: Ex. criar, atualizar, excluir, restaurar, purgar, alterar_status, alterar_papel
+ *       - in: query
+ *         name: de
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Início do período (data ou data e hora ISO 8601)
+ *         example: '2026-01-01'
+ *       - in: query
+ *         name: ate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Fim do período (só a data inclui o dia inteiro)
+ *         example: '2026-01-31'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: Entradas da trilha
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 paginacao:
+ *                   $ref: '#/components/schemas/Paginacao'
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EntradaAuditoria'
+ *       400:
+ *         description: Filtros ou parâmetros de paginação inválidos
+ *       401:
+ *         description: Não autorizado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/', autenticar, exigirPapel('admin'), async (req, res) => {
+  const paginacao = lerPaginacao(req.query);
+
+  if (paginacao.erro) {
+    throw new ErroValidacao(paginacao.erro);
+  }
+
+  const { filtros, erro } = lerFiltrosAuditoria(req.query);
+
+  if (erro) {
+    throw new ErroValidacao(erro);
+  }
+
+  const { total, dados } = await obterRepositorios().auditoria.listar(filtros, paginacao);
+
+  res.json({
+    sucesso: true,
+    paginacao: metadadosPaginacao(paginacao, total),
+    dados
+  });
+});
+
+module.exports = router;
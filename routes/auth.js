@@ -1,10 +1,149 @@
 //routes/auth.js
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/database');
+const { obterRepositorios, transacao } = require('../repositories');
 const autenticar = require('../middleware/auth');
+const { exigirPapel } = require('../middleware/autorizacao');
+const { validarCorpo, validarIds } = require('../middleware/validacao');
+const {
+  RegistroUsuario,
+  Login,
+  SolicitacaoEmail,
+  VerificacaoEmail,
+  RenovacaoSessao,
+  AlteracaoSenha,
+  RedefinicaoSenha,
+  AlteracaoPapelUsuario,
+  AlteracaoAtivoUsuario,
+  ConfirmacaoDoisFatores,
+  VerificacaoDoisFatores,
+  DesativacaoDoisFatores
+} = require('../schemas');
+const { registrarAuditoria } = require('../utils/auditoria');
+const {
+  hashToken,
+  gerarAccessToken,
+  gerarDesafio2FA,
+  lerDesafio2FA,
+  emitirRefreshToken,
+  revogarSessoes,
+  definirCookiesSessao,
+  limparCookiesSessao
+} = require('../utils/sessao');
+const { log } = require('../utils/log');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { enviarEmail } = require('../services/email');
+const { emailRedefinicaoSenha, emailVerificacao } = require('../services/email/templates');
+const {
+  VALIDADE_VERIFICACAO,
+  gerarTokenVerificacao,
+  lerTokenVerificacao
+} = require('../utils/verificacaoEmail');
+const {
+  verificarBloqueio,
+  registrarFalhaLogin,
+  registrarPedidoRedefinicao,
+  registrarSucessoLogin
+} = require('../utils/protecaoLogin');
+const {
+  gerarSegredo,
+  verificarCodigo,
+  gerarUriOtpauth,
+  cifrarSegredo,
+  decifrarSegredo,
+  gerarCodigosRecuperacao,
+  normalizarCodigoRecuperacao
+} = require('../utils/totp');
+const { ErroValidacao, ErroAcessoNegado, ErroNaoEncontrado, ErroConflito } = require('../utils/erros');
+
+// Validade do link de redefinição de senha
+const RESET_TOKEN_MINUTOS = Number(process.env.RESET_TOKEN_EXPIRES_MINUTOS) || 60;
+
+// Intervalo mínimo entre dois envios do email de verificação para a mesma conta
+const REENVIO_VERIFICACAO_SEGUNDOS = Number(process.env.VERIFICACAO_REENVIO_SEGUNDOS) || 60;
+
+// Duração mínima das respostas de /esqueci-senha e /reenviar-verificacao
+const TEMPO_MINIMO_SOLICITACAO_MS = Number(process.env.SOLICITACAO_TEMPO_MINIMO_MS) || 1000;
+
+// Erro 400 quando a confirmação difere da senha (regra entre dois campos, fora do alcance dos schemas)
+const confirmacaoDiferente = (campo, mensagem = 'Dados inválidos') => new ErroValidacao(mensagem, {
+  erros: [{ campo, mensagem: 'As senhas não conferem' }]
+});
+
+// Refresh token do cookie ou do corpo (já validado por RenovacaoSessao)
+// O cookie-parser converte cookies "j:..." em objetos, então só um texto vale como token
+const lerRefreshToken = (req) => {
+  const cookie = req.cookies?.refreshToken;
+  return (typeof cookie === 'string' && cookie) || req.body.refreshToken;
+};
+
+// Resposta padrão de login bloqueado ou pedidos em excesso (423/429 com Retry-After)
+const responderBloqueio = (res, bloqueio) => {
+  res.set('Retry-After', String(bloqueio.retryAfter));
+  return res.status(bloqueio.status).json({
+    sucesso: false,
+    mensagem: bloqueio.mensagem,
+    tentarNovamenteEm: bloqueio.retryAfter
+  });
+};
+
+// Emite access/refresh tokens e responde ao login concluído
+const concluirLogin = async (req, res, usuario) => {
+  await registrarSucessoLogin(usuario.email);
+
+  // Gerar access token (curta duração) e refresh token (rotativo)
+  const token = gerarAccessToken(usuario);
+  const refreshToken = await emitirRefreshToken(obterRepositorios().usuarios, usuario.id, req);
+
+  definirCookiesSessao(res, token, refreshToken.token);
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Login realizado com sucesso',
+    token,
+    usuario: {
+      id: usuario.id,
+      nome: usuario.nome,
+      email: usuario.email,
+      papel: usuario.papel
+    }
+  });
+};
+
+/**
+ * Executa `tarefa` antes da resposta (na Vercel nada garante o trabalho feito depois dela)
+ * sem que o resultado transpareça: falhas vão apenas para o log e a espera completa
+ * TEMPO_MINIMO_SOLICITACAO_MS, para que existir ou não uma conta para o email não mude a duração
+ */
+const executarSemRevelar = async (req, descricao, tarefa) => {
+  const inicio = Date.now();
+
+  try {
+    await tarefa();
+  } catch (erro) {
+    log.error(descricao, { requisicaoId: req.id, erro });
+  }
+
+  const restante = TEMPO_MINIMO_SOLICITACAO_MS - (Date.now() - inicio);
+  if (restante > 0) {
+    await new Promise((resolve) => setTimeout(resolve, restante));
+  }
+};
+
+// Envia o link de verificação e registra o horário do envio (base do throttling)
+const enviarVerificacao = async (usuario) => {
+  await obterRepositorios().usuarios.marcarVerificacaoEnviada(usuario.id);
+
+  await enviarEmail({
+    para: usuario.email,
+    ...emailVerificacao({
+      nome: usuario.nome,
+      token: gerarTokenVerificacao(usuario),
+      validade: VALIDADE_VERIFICACAO
+    })
+  });
+};
 
 /**
  * @swagger
@@ -17,110 +156,57 @@ const jwt = require('jsonwebtoken');
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - nome
- *               - email
- *               - senha
- *               - confirmarSenha
- *             properties:
- *               nome:
- *                 type: string
- *                 example: João Silva
- *               email:
- *                 type: string
- *                 format: email
- *                 example: joao@exemplo.com
- *               senha:
- *                 type: string
- *                 format: password
- *                 example: senha123
- *               confirmarSenha:
- *                 type: string
- *                 format: password
- *                 example: senha123
+ *             $ref: '#/components/schemas/RegistroUsuario'
  *     responses:
  *       201:
- *         description: Usuário registrado com sucesso
+ *         description: Usuário registrado; um link de verificação é enviado para o email
  *       400:
- *         description: Dados inválidos
+ *         $ref: '#/components/responses/ValidationError'
  *       409:
  *         description: Email já cadastrado
  */
-router.post('/registro', async (req, res) => {
-  try {
-    const { nome, email, senha, confirmarSenha } = req.body;
-
-    // Validações
-    if (!nome || !email || !senha) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Nome, email e senha são obrigatórios'
-      });
-    }
-
-    if (senha !== confirmarSenha) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'As senhas não conferem'
-      });
-    }
+router.post('/registro', validarCorpo(RegistroUsuario), async (req, res) => {
+  const { nome, email, senha, confirmarSenha, papel } = req.body;
 
-    if (senha.length < 6) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'A senha deve ter no mínimo 6 caracteres'
-      });
-    }
-
-    // Validar formato de email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Email inválido'
-      });
-    }
-
-    // Verificar se email já existe
-    const usuarioExistente = await pool.query(
-      'SELECT id FROM usuarios WHERE email = $1',
-      [email]
-    );
+  if (senha !== confirmarSenha) {
+    throw confirmacaoDiferente('confirmarSenha');
+  }
 
-    if (usuarioExistente.rows.length > 0) {
-      return res.status(409).json({
-        sucesso: false,
-        mensagem: 'Email já cadastrado'
-      });
-    }
+  const { usuarios } = obterRepositorios();
 
-    // Criptografar senha com bcrypt
-    const saltRounds = 10;
-    const senhaHash = await bcrypt.hash(senha, saltRounds);
+  // Verificar se email já existe (se outro registro com o mesmo email passar entre a verificação e o INSERT,
+  // a restrição UNIQUE falha com 23505 e o middleware de erros responde o mesmo 409 EMAIL_DUPLICADO)
+  if (await usuarios.buscarPorEmail(email)) {
+    throw new ErroConflito('Email já cadastrado', { codigo: 'EMAIL_DUPLICADO' });
+  }
 
-    // Inserir usuário no banco
-    const query = `
-      INSERT INTO usuarios (nome, email, senha, ativo)
-      VALUES ($1, $2, $3, TRUE)
-      RETURNING id
-    `;
+  // Criptografar senha com bcrypt
+  const saltRounds = 10;
+  const senhaHash = await bcrypt.hash(senha, saltRounds);
 
-    const resultado = await pool.query(query, [nome, email, senhaHash]);
+  const usuario = await usuarios.criar({ nome, email, senha: senhaHash, papel });
+  const id = usuario.id;
 
-    res.status(201).json({
-      sucesso: true,
-      mensagem: 'Usuário registrado com sucesso',
-      id: resultado.rows[0].id
-    });
+  await registrarAuditoria(req, {
+    acao: 'registrar',
+    recurso: 'usuario',
+    recursoId: id,
+    depois: usuario,
+    usuarioId: id
+  });
 
-  } catch (erro) {
-    console.error('Erro ao registrar usuário:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao registrar usuário'
-    });
+  // Falha no envio não desfaz o cadastro: o usuário pode pedir o reenvio
+  try {
+    await enviarVerificacao({ id, nome, email });
+  } catch (erroEmail) {
+    log.error('Erro ao enviar email de verificação', { requisicaoId: req.id, usuarioId: id, erro: erroEmail });
   }
+
+  res.status(201).json({
+    sucesso: true,
+    mensagem: 'Usuário registrado com sucesso. Verifique o seu email para ativar a conta',
+    id
+  });
 });
 
 /**
@@ -134,22 +220,14 @@ router.post('/registro', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - senha
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: joao@exemplo.com
- *               senha:
- *                 type: string
- *                 format: password
- *                 example: senha123
+ *             $ref: '#/components/schemas/Login'
  *     responses:
  *       200:
- *         description: Login realizado com sucesso
+ *         description: |
+ *           Login realizado com sucesso. Define os cookies HttpOnly `accessToken`
+ *           e `refreshToken`; o access token também é devolvido no corpo (uso no Swagger).
+ *           Se o usuário tiver 2FA ativo, devolve `doisFatores: true` e um `desafio`
+ *           a ser enviado com o código em POST /api/auth/2fa/verificar
  *         content:
  *           application/json:
  *             schema:
@@ -163,86 +241,310 @@ router.post('/registro', async (req, res) => {
  *                   type: string
  *                 usuario:
  *                   type: object
+ *                 doisFatores:
+ *                   type: boolean
+ *                 desafio:
+ *                   type: string
  *       401:
  *         description: Credenciais inválidas
+ *       403:
+ *         description: Usuário inativo ou email não verificado
+ *       423:
+ *         description: Conta temporariamente bloqueada após falhas consecutivas (ver Retry-After)
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Segundos até a próxima tentativa
+ *       429:
+ *         description: Muitas tentativas a partir do IP ou espera progressiva entre tentativas (ver Retry-After)
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Segundos até a próxima tentativa
  */
-router.post('/login', async (req, res) => {
-  try {
-    const { email, senha } = req.body;
-
-    // Validações
-    if (!email || !senha) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Email e senha são obrigatórios'
-      });
-    }
+router.post('/login', validarCorpo(Login), async (req, res) => {
+  const { email, senha } = req.body;
 
-    // Buscar usuário
-    const query = `
-      SELECT id, nome, email, senha, ativo
-      FROM usuarios
-      WHERE email = $1
-    `;
+  // Proteção contra força bruta (por conta e por IP)
+  const bloqueio = await verificarBloqueio(email, req.ip);
+  if (bloqueio) {
+    return responderBloqueio(res, bloqueio);
+  }
 
-    const resultado = await pool.query(query, [email]);
+  // Buscar usuário
+  const usuario = await obterRepositorios().usuarios.buscarPorEmail(email);
 
-    if (resultado.rows.length === 0) {
-      return res.status(401).json({
-        sucesso: false,
-        mensagem: 'Email ou senha incorretos'
-      });
+  if (!usuario) {
+    const novoBloqueio = await registrarFalhaLogin(email, req.ip, { requisicaoId: req.id });
+    if (novoBloqueio) {
+      return responderBloqueio(res, novoBloqueio);
     }
 
-    const usuario = resultado.rows[0];
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Email ou senha incorretos'
+    });
+  }
+
+  // Verificar senha com bcrypt
+  const senhaValida = await bcrypt.compare(senha, usuario.senha);
 
-    // Verificar se usuário está ativo
-    if (!usuario.ativo) {
-      return res.status(403).json({
-        sucesso: false,
-        mensagem: 'Usuário inativo. Entre em contato com o administrador'
-      });
+  if (!senhaValida) {
+    const novoBloqueio = await registrarFalhaLogin(email, req.ip, { requisicaoId: req.id });
+    if (novoBloqueio) {
+      return responderBloqueio(res, novoBloqueio);
     }
 
-    // Verificar senha com bcrypt
-    const senhaValida = await bcrypt.compare(senha, usuario.senha);
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Email ou senha incorretos'
+    });
+  }
 
-    if (!senhaValida) {
-      return res.status(401).json({
-        sucesso: false,
-        mensagem: 'Email ou senha incorretos'
-      });
-    }
+  // Só depois da senha: antes dela, o 403 revelaria a quem tenta que a conta existe
+  if (!usuario.ativo) {
+    throw new ErroAcessoNegado('Usuário inativo. Entre em contato com o administrador');
+  }
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      {
-        id: usuario.id,
-        nome: usuario.nome,
-        email: usuario.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '8h' }
-    );
+  // Contas novas só entram depois de confirmar o email
+  if (!usuario.email_verificado_em) {
+    return res.status(403).json({
+      sucesso: false,
+      mensagem: 'Email ainda não verificado. Confira sua caixa de entrada ou solicite um novo link',
+      emailNaoVerificado: true
+    });
+  }
 
-    res.json({
+  // Com 2FA ativo a sessão só é criada após POST /api/auth/2fa/verificar
+  if (usuario.totp_ativo) {
+    return res.json({
       sucesso: true,
-      mensagem: 'Login realizado com sucesso',
-      token,
-      usuario: {
-        id: usuario.id,
-        nome: usuario.nome,
-        email: usuario.email
-      }
+      mensagem: 'Informe o código do aplicativo autenticador',
+      doisFatores: true,
+      desafio: gerarDesafio2FA(usuario)
     });
+  }
 
-  } catch (erro) {
-    console.error('Erro ao fazer login:', erro);
-    res.status(500).json({
+  await concluirLogin(req, res, usuario);
+});
+
+/**
+ * @swagger
+ * /api/auth/verificar-email:
+ *   post:
+ *     summary: Confirmar o email com o token recebido no cadastro
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerificacaoEmail'
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *       400:
+ *         description: Token inválido ou expirado
+ */
+router.post('/verificar-email', validarCorpo(VerificacaoEmail), async (req, res) => {
+  const dados = lerTokenVerificacao(req.body.token);
+
+  if (!dados) {
+    throw new ErroValidacao('Link de verificação inválido ou expirado');
+  }
+
+  const verificacao = await obterRepositorios().usuarios.marcarEmailVerificado(dados.id, dados.email);
+
+  if (!verificacao) {
+    throw new ErroValidacao('Link de verificação inválido ou expirado');
+  }
+
+  // Reusar o link não gera nova entrada (NOW() é o instante da própria transação)
+  if (verificacao.verificado_agora) {
+    await registrarAuditoria(req, {
+      acao: 'verificar_email',
+      recurso: 'usuario',
+      recursoId: dados.id,
+      antes: { email_verificado_em: null },
+      depois: { email_verificado_em: verificacao.email_verificado_em },
+      usuarioId: dados.id
+    });
+  }
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Email verificado com sucesso. Você já pode fazer login'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/reenviar-verificacao:
+ *   post:
+ *     summary: Reenviar o email de verificação
+ *     description: |
+ *       A resposta é sempre a mesma, para não revelar se o email está cadastrado: nem uma falha no
+ *       envio a altera, e ela leva sempre um tempo mínimo, haja ou não conta para o email.
+ *       Envios para a mesma conta respeitam um intervalo mínimo.
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SolicitacaoEmail'
+ *     responses:
+ *       200:
+ *         description: Pedido recebido
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/reenviar-verificacao', validarCorpo(SolicitacaoEmail), async (req, res) => {
+  const { email } = req.body;
+
+  await executarSemRevelar(req, 'Erro ao reenviar verificação', async () => {
+    const usuario = await obterRepositorios().usuarios.buscarPendenteVerificacao(email, REENVIO_VERIFICACAO_SEGUNDOS);
+
+    if (usuario) {
+      await enviarVerificacao(usuario);
+    }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Se houver uma conta pendente de verificação para este email, enviaremos um novo link'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar a sessão usando o refresh token
+ *     description: |
+ *       Lê o refresh token do cookie HttpOnly `refreshToken` (ou do corpo, para clientes sem cookie),
+ *       revoga-o e emite um novo par de tokens. O reuso de um refresh token já revogado
+ *       encerra todas as sessões do usuário.
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RenovacaoSessao'
+ *     responses:
+ *       200:
+ *         description: Sessão renovada; novos cookies definidos
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Refresh token ausente, inválido, expirado ou revogado
+ */
+router.post('/refresh', validarCorpo(RenovacaoSessao), async (req, res) => {
+  const refreshToken = lerRefreshToken(req);
+
+  if (!refreshToken) {
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Refresh token não fornecido'
+    });
+  }
+
+  const resultado = await transacao(async ({ usuarios }) => {
+    const registro = await usuarios.buscarRefreshToken(hashToken(refreshToken), { bloquear: true });
+
+    if (!registro) {
+      return { mensagem: 'Refresh token inválido' };
+    }
+
+    // Token já rotacionado sendo reapresentado: possível roubo, revoga todas as sessões
+    if (registro.revogado_em) {
+      await usuarios.revogarRefreshTokens(registro.usuario_id);
+      return { mensagem: 'Refresh token revogado. Faça login novamente' };
+    }
+
+    if (new Date(registro.expira_em) <= new Date() || !registro.ativo) {
+      return { mensagem: 'Sessão expirada. Faça login novamente' };
+    }
+
+    const novoRefresh = await emitirRefreshToken(usuarios, registro.usuario_id, req);
+    await usuarios.substituirRefreshToken(registro.id, novoRefresh.id);
+
+    return { registro, novoRefresh };
+  });
+
+  if (resultado.mensagem) {
+    limparCookiesSessao(res);
+    return res.status(401).json({
       sucesso: false,
-      mensagem: 'Erro ao fazer login'
+      mensagem: resultado.mensagem
     });
   }
+
+  const { registro, novoRefresh } = resultado;
+
+  const usuario = {
+    id: registro.usuario_id,
+    nome: registro.nome,
+    email: registro.email,
+    papel: registro.papel,
+    token_versao: registro.token_versao
+  };
+
+  const token = gerarAccessToken(usuario);
+  definirCookiesSessao(res, token, novoRefresh.token);
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Sessão renovada com sucesso',
+    token,
+    usuario: {
+      id: usuario.id,
+      nome: usuario.nome,
+      email: usuario.email,
+      papel: usuario.papel
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Encerrar a sessão atual
+ *     description: Revoga o refresh token do cookie (ou do corpo) e limpa os cookies de sessão
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RenovacaoSessao'
+ *     responses:
+ *       200:
+ *         description: Logout realizado com sucesso
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/logout', validarCorpo(RenovacaoSessao), async (req, res) => {
+  const refreshToken = lerRefreshToken(req);
+
+  if (refreshToken) {
+    await obterRepositorios().usuarios.revogarRefreshToken(hashToken(refreshToken));
+  }
+
+  limparCookiesSessao(res);
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Logout realizado com sucesso'
+  });
 });
 
 /**
@@ -269,179 +571,752 @@ router.post('/login', async (req, res) => {
  *         $ref: '#/components/responses/UnauthorizedError'
  */
 router.get('/perfil', autenticar, async (req, res) => {
-  try {
-    const query = `
-      SELECT id, nome, email, ativo
-      FROM usuarios
-      WHERE id = $1
-    `;
-
-    const resultado = await pool.query(query, [req.usuario.id]);
-
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Usuário não encontrado'
-      });
-    }
+  const usuario = await obterRepositorios().usuarios.buscarPerfil(req.usuario.id);
 
-    res.json({
-      sucesso: true,
-      dados: resultado.rows[0]
-    });
+  if (!usuario) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
 
-  } catch (erro) {
-    console.error('Erro ao buscar perfil:', erro);
-    res.status(500).json({
+  res.json({
+    sucesso: true,
+    dados: usuario
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/alterar-senha:
+ *   put:
+ *     summary: Alterar a senha do usuário logado
+ *     description: Encerra as demais sessões e devolve um novo token para o dispositivo que fez a troca
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlteracaoSenha'
+ *     responses:
+ *       200:
+ *         description: Senha alterada
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Senha atual incorreta
+ */
+router.put('/alterar-senha', autenticar, validarCorpo(AlteracaoSenha), async (req, res) => {
+  const { senhaAtual, novaSenha, confirmarNovaSenha } = req.body;
+
+  if (novaSenha !== confirmarNovaSenha) {
+    throw confirmacaoDiferente('confirmarNovaSenha', 'As novas senhas não conferem');
+  }
+
+  const { usuarios } = obterRepositorios();
+
+  // Buscar usuário
+  const usuario = await usuarios.buscarPorId(req.usuario.id);
+
+  if (!usuario) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
+
+  // Verificar senha atual
+  const senhaValida = await bcrypt.compare(senhaAtual, usuario.senha);
+
+  if (!senhaValida) {
+    return res.status(401).json({
       sucesso: false,
-      mensagem: 'Erro ao buscar perfil'
+      mensagem: 'Senha atual incorreta'
     });
   }
+
+  // Criptografar nova senha
+  const saltRounds = 10;
+  const novaSenhaHash = await bcrypt.hash(novaSenha, saltRounds);
+
+  // Atualizar senha e encerrar as sessões abertas com a senha antiga
+  await usuarios.alterarSenha(req.usuario.id, novaSenhaHash);
+
+  await revogarSessoes(usuarios, req.usuario.id);
+
+  // O hash da senha nunca vai para a trilha; basta registrar que houve a troca
+  await registrarAuditoria(req, {
+    acao: 'alterar_senha',
+    recurso: 'usuario',
+    recursoId: req.usuario.id
+  });
+
+  // Nova sessão para o dispositivo que fez a troca
+  const usuarioAtualizado = await usuarios.buscarPorId(req.usuario.id);
+
+  const token = gerarAccessToken(usuarioAtualizado);
+  const refreshToken = await emitirRefreshToken(usuarios, req.usuario.id, req);
+  definirCookiesSessao(res, token, refreshToken.token);
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Senha alterada com sucesso. As demais sessões foram encerradas',
+    token
+  });
 });
 
 /**
- * @route   PUT /api/auth/alterar-senha
- * @desc    Alterar senha do usuário logado
- * @access  Private
+ * @swagger
+ * /api/auth/esqueci-senha:
+ *   post:
+ *     summary: Solicitar redefinição de senha por email
+ *     description: |
+ *       Envia um link de uso único para o email informado, caso pertença a um usuário ativo.
+ *       A resposta é sempre a mesma, para não revelar se o email está cadastrado: nem uma falha no
+ *       envio a altera, e ela leva sempre um tempo mínimo, haja ou não conta para o email.
+ *       Pedidos em excesso para o mesmo email ou a partir do mesmo IP recebem 429.
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SolicitacaoEmail'
+ *     responses:
+ *       200:
+ *         description: Pedido recebido
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         description: Muitos pedidos para o email ou a partir do IP na janela (ver Retry-After)
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Segundos até o próximo pedido
  */
-router.put('/alterar-senha', autenticar, async (req, res) => {
-  try {
-    const { senhaAtual, novaSenha, confirmarNovaSenha } = req.body;
-
-    // Validações
-    if (!senhaAtual || !novaSenha || !confirmarNovaSenha) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Todos os campos são obrigatórios'
-      });
+router.post('/esqueci-senha', validarCorpo(SolicitacaoEmail), async (req, res) => {
+  const { email } = req.body;
+
+  // O limite conta pedidos para qualquer email, cadastrado ou não
+  const limite = await registrarPedidoRedefinicao(email, req.ip, { requisicaoId: req.id });
+  if (limite) {
+    return responderBloqueio(res, limite);
+  }
+
+  await executarSemRevelar(req, 'Erro ao solicitar redefinição de senha', async () => {
+    const { usuarios } = obterRepositorios();
+    const usuario = await usuarios.buscarPorEmail(email);
+
+    if (!usuario || !usuario.ativo) {
+      return;
     }
 
-    if (novaSenha !== confirmarNovaSenha) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'As novas senhas não conferem'
-      });
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // Um novo pedido invalida os links anteriores ainda não usados
+    await usuarios.criarTokenRedefinicao(usuario.id, hashToken(token), RESET_TOKEN_MINUTOS);
+
+    await enviarEmail({
+      para: usuario.email,
+      ...emailRedefinicaoSenha({
+        nome: usuario.nome,
+        token,
+        validadeMinutos: RESET_TOKEN_MINUTOS
+      })
+    });
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/redefinir-senha:
+ *   post:
+ *     summary: Redefinir senha com o token recebido por email
+ *     description: O token é de uso único; ao redefinir, todas as sessões do usuário são encerradas
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RedefinicaoSenha'
+ *     responses:
+ *       200:
+ *         description: Senha redefinida com sucesso
+ *       400:
+ *         description: Dados inválidos ou token inválido/expirado
+ */
+router.post('/redefinir-senha', validarCorpo(RedefinicaoSenha), async (req, res) => {
+  const { token, novaSenha, confirmarNovaSenha } = req.body;
+
+  if (novaSenha !== confirmarNovaSenha) {
+    throw confirmacaoDiferente('confirmarNovaSenha', 'As novas senhas não conferem');
+  }
+
+  const novaSenhaHash = await bcrypt.hash(novaSenha, 10);
+
+  const usuario_id = await transacao(async ({ usuarios }) => {
+    // Consome o token de forma atômica: só uma requisição consegue marcá-lo como usado
+    const id = await usuarios.consumirTokenRedefinicao(hashToken(token));
+
+    if (id !== null) {
+      await usuarios.alterarSenha(id, novaSenhaHash);
+      await revogarSessoes(usuarios, id);
     }
 
-    if (novaSenha.length < 6) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'A nova senha deve ter no mínimo 6 caracteres'
-      });
+    return id;
+  });
+
+  if (usuario_id === null) {
+    throw new ErroValidacao('Token inválido ou expirado');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'redefinir_senha',
+    recurso: 'usuario',
+    recursoId: usuario_id,
+    usuarioId: usuario_id
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Senha redefinida com sucesso. Faça login com a nova senha'
+  });
+});
+
+/**
+ * @route   POST /api/auth/verificar-token
+ * @desc    Verificar se token é válido (e não revogado)
+ * @access  Public
+ */
+router.post('/verificar-token', autenticar, (req, res) => {
+  res.json({
+    sucesso: true,
+    mensagem: 'Token válido',
+    usuario: {
+      id: req.usuario.id,
+      nome: req.usuario.nome,
+      email: req.usuario.email,
+      papel: req.usuario.papel
     }
+  });
+});
 
-    // Buscar usuário
-    const resultado = await pool.query(
-      'SELECT senha FROM usuarios WHERE id = $1',
-      [req.usuario.id]
-    );
+/**
+ * @route   GET /api/auth/usuarios
+ * @desc    Listar todos os usuários
+ * @access  Private (admin)
+ */
+router.get('/usuarios', autenticar, exigirPapel('admin'), async (req, res) => {
+  const dados = await obterRepositorios().usuarios.listar();
+
+  res.json({
+    sucesso: true,
+    total: dados.length,
+    dados
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/usuarios/{id}/papel:
+ *   patch:
+ *     summary: Atribuir papel a um usuário (admin)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlteracaoPapelUsuario'
+ *     responses:
+ *       200:
+ *         description: Papel atualizado
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.patch('/usuarios/:id/papel', autenticar, exigirPapel('admin'), validarIds('id'), validarCorpo(AlteracaoPapelUsuario), async (req, res) => {
+  const { id } = req.params;
+  const { papel } = req.body;
+
+  // Evita que o último acesso administrativo seja removido por engano
+  if (String(id) === String(req.usuario.id) && papel !== 'admin') {
+    throw new ErroValidacao('Você não pode remover o seu próprio papel de administrador');
+  }
+
+  const { usuarios } = obterRepositorios();
+
+  const usuario = await usuarios.buscarPerfil(id);
+
+  if (!usuario) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
+
+  const atualizado = await usuarios.alterarPapel(id, papel);
+
+  if (!atualizado) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'alterar_papel',
+    recurso: 'usuario',
+    recursoId: atualizado.id,
+    antes: usuario,
+    depois: atualizado
+  });
+
+  // Access tokens antigos carregam o papel anterior; o refresh emite um token atualizado
+  await revogarSessoes(usuarios, id, { revogarRefresh: false });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Papel atualizado com sucesso',
+    dados: atualizado
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/usuarios/{id}/ativo:
+ *   patch:
+ *     summary: Ativar ou desativar um usuário (admin)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlteracaoAtivoUsuario'
+ *     responses:
+ *       200:
+ *         description: Status atualizado
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Usuário não encontrado
+ */
+router.patch('/usuarios/:id/ativo', autenticar, exigirPapel('admin'), validarIds('id'), validarCorpo(AlteracaoAtivoUsuario), async (req, res) => {
+  const { id } = req.params;
+  const { ativo } = req.body;
+
+  if (String(id) === String(req.usuario.id) && !ativo) {
+    throw new ErroValidacao('Você não pode desativar o seu próprio usuário');
+  }
+
+  const { usuarios } = obterRepositorios();
+
+  const usuario = await usuarios.buscarPerfil(id);
+
+  if (!usuario) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
+
+  const atualizado = await usuarios.alterarAtivo(id, ativo);
+
+  if (!atualizado) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
 
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Usuário não encontrado'
-      });
+  await registrarAuditoria(req, {
+    acao: ativo ? 'ativar' : 'desativar',
+    recurso: 'usuario',
+    recursoId: atualizado.id,
+    antes: usuario,
+    depois: atualizado
+  });
+
+  if (!ativo) {
+    await revogarSessoes(usuarios, id);
+  }
+
+  res.json({
+    sucesso: true,
+    mensagem: ativo ? 'Usuário ativado com sucesso' : 'Usuário desativado com sucesso',
+    dados: atualizado
+  });
+});
+
+/**
+ * @route   POST /api/auth/sessoes/encerrar
+ * @desc    Sair de todos os dispositivos (revoga todos os tokens do usuário logado)
+ * @access  Private
+ */
+router.post('/sessoes/encerrar', autenticar, async (req, res) => {
+  await revogarSessoes(obterRepositorios().usuarios, req.usuario.id);
+  limparCookiesSessao(res);
+
+  await registrarAuditoria(req, {
+    acao: 'encerrar_sessoes',
+    recurso: 'usuario',
+    recursoId: req.usuario.id
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Todas as sessões foram encerradas'
+  });
+});
+
+/**
+ * @route   POST /api/auth/usuarios/:id/encerrar-sessoes
+ * @desc    Encerrar todas as sessões de um usuário
+ * @access  Private (admin)
+ */
+router.post('/usuarios/:id/encerrar-sessoes', autenticar, exigirPapel('admin'), validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+
+  const { usuarios } = obterRepositorios();
+
+  const usuario = await usuarios.buscarPerfil(id);
+
+  if (!usuario) {
+    throw new ErroNaoEncontrado('Usuário não encontrado');
+  }
+
+  await revogarSessoes(usuarios, id);
+
+  await registrarAuditoria(req, {
+    acao: 'encerrar_sessoes',
+    recurso: 'usuario',
+    recursoId: usuario.id
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Todas as sessões do usuário foram encerradas'
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/configurar:
+ *   post:
+ *     summary: Iniciar a configuração da autenticação em dois fatores (TOTP)
+ *     description: |
+ *       Gera um novo segredo e devolve a URI otpauth:// para o aplicativo autenticador.
+ *       O 2FA só passa a valer após POST /api/auth/2fa/confirmar.
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segredo gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 segredo:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: 2FA já está ativo
+ */
+router.post('/2fa/configurar', autenticar, exigirPapel('admin', 'corretor', 'vendedor'), async (req, res) => {
+  const { usuarios } = obterRepositorios();
+  const usuario = await usuarios.buscarPorId(req.usuario.id);
+
+  if (usuario.totp_ativo) {
+    throw new ErroConflito('A autenticação em dois fatores já está ativa');
+  }
+
+  const segredo = gerarSegredo();
+
+  await usuarios.definirSegredoTotp(req.usuario.id, cifrarSegredo(segredo));
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Cadastre o segredo no aplicativo autenticador e confirme com o primeiro código',
+    segredo,
+    otpauthUri: gerarUriOtpauth(segredo, usuario.email)
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirmar:
+ *   post:
+ *     summary: Confirmar o 2FA com o primeiro código do aplicativo
+ *     description: Ativa o 2FA e devolve os códigos de recuperação (exibidos apenas uma vez)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConfirmacaoDoisFatores'
+ *     responses:
+ *       200:
+ *         description: 2FA ativado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 codigosRecuperacao:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Código inválido ou configuração não iniciada
+ *       409:
+ *         description: 2FA já está ativo
+ */
+router.post('/2fa/confirmar', autenticar, exigirPapel('admin', 'corretor', 'vendedor'), validarCorpo(ConfirmacaoDoisFatores), async (req, res) => {
+  const { codigo } = req.body;
+
+  const resultado = await transacao(async ({ usuarios }) => {
+    const usuario = await usuarios.buscarPorId(req.usuario.id, { bloquear: true });
+
+    if (usuario.totp_ativo) {
+      return { status: 409, mensagem: 'A autenticação em dois fatores já está ativa' };
     }
 
-    // Verificar senha atual
-    const senhaValida = await bcrypt.compare(senhaAtual, resultado.rows[0].senha);
+    if (!usuario.totp_segredo) {
+      return { status: 400, mensagem: 'Inicie a configuração em POST /api/auth/2fa/configurar' };
+    }
+
+    const passo = verificarCodigo(decifrarSegredo(usuario.totp_segredo), codigo);
 
-    if (!senhaValida) {
-      return res.status(401).json({
-        sucesso: false,
-        mensagem: 'Senha atual incorreta'
-      });
+    if (passo === null) {
+      return { status: 400, mensagem: 'Código inválido' };
     }
 
-    // Criptografar nova senha
-    const saltRounds = 10;
-    const novaSenhaHash = await bcrypt.hash(novaSenha, saltRounds);
+    const codigosRecuperacao = gerarCodigosRecuperacao();
 
-    // Atualizar senha
-    await pool.query(
-      'UPDATE usuarios SET senha = $1 WHERE id = $2',
-      [novaSenhaHash, req.usuario.id]
+    await usuarios.ativarTotp(req.usuario.id, passo);
+    await usuarios.substituirCodigosRecuperacao(
+      req.usuario.id,
+      codigosRecuperacao.map((codigoRecuperacao) => hashToken(normalizarCodigoRecuperacao(codigoRecuperacao)))
     );
 
-    res.json({
-      sucesso: true,
-      mensagem: 'Senha alterada com sucesso'
-    });
+    return { codigosRecuperacao };
+  });
 
-  } catch (erro) {
-    console.error('Erro ao alterar senha:', erro);
-    res.status(500).json({
+  if (resultado.mensagem) {
+    return res.status(resultado.status).json({
       sucesso: false,
-      mensagem: 'Erro ao alterar senha'
+      mensagem: resultado.mensagem
     });
   }
+
+  await registrarAuditoria(req, {
+    acao: 'ativar_2fa',
+    recurso: 'usuario',
+    recursoId: req.usuario.id,
+    antes: { totp_ativo: false },
+    depois: { totp_ativo: true }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Autenticação em dois fatores ativada. Guarde os códigos de recuperação em local seguro',
+    codigosRecuperacao: resultado.codigosRecuperacao
+  });
 });
 
 /**
- * @route   POST /api/auth/verificar-token
- * @desc    Verificar se token é válido
- * @access  Public
+ * @swagger
+ * /api/auth/2fa/verificar:
+ *   post:
+ *     summary: Segunda etapa do login com 2FA
+ *     description: Recebe o `desafio` devolvido pelo login e um código TOTP ou um código de recuperação
+ *     tags: [Autenticação]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerificacaoDoisFatores'
+ *     responses:
+ *       200:
+ *         description: Login realizado com sucesso (mesma resposta de /api/auth/login)
+ *       400:
+ *         description: Código não informado
+ *       401:
+ *         description: Desafio expirado ou código inválido
+ *       423:
+ *         description: Conta temporariamente bloqueada (ver Retry-After)
+ *       429:
+ *         description: Muitas tentativas (ver Retry-After)
  */
-router.post('/verificar-token', (req, res) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
+router.post('/2fa/verificar', validarCorpo(VerificacaoDoisFatores), async (req, res) => {
+  const { desafio, codigo, codigoRecuperacao } = req.body;
 
-    if (!token) {
-      return res.status(401).json({
-        sucesso: false,
-        mensagem: 'Token não fornecido'
-      });
-    }
+  if (!codigo && !codigoRecuperacao) {
+    throw new ErroValidacao('Dados inválidos', {
+      erros: [{ campo: 'codigo', mensagem: 'Informe o código do aplicativo ou um código de recuperação' }]
+    });
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const dados = lerDesafio2FA(desafio);
 
-    res.json({
-      sucesso: true,
-      mensagem: 'Token válido',
-      usuario: {
-        id: decoded.id,
-        nome: decoded.nome,
-        email: decoded.email
-      }
+  if (!dados) {
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Desafio expirado. Faça login novamente'
     });
+  }
 
-  } catch (erro) {
+  const { usuarios } = obterRepositorios();
+  const usuario = await usuarios.buscarPorId(dados.id);
+
+  if (!usuario || !usuario.ativo || !usuario.totp_ativo || usuario.token_versao !== dados.versao) {
     return res.status(401).json({
       sucesso: false,
-      mensagem: 'Token inválido ou expirado'
+      mensagem: 'Desafio expirado. Faça login novamente'
     });
   }
+
+  // Códigos errados contam como falha de login (mesmo bloqueio da etapa de senha)
+  const bloqueio = await verificarBloqueio(usuario.email, req.ip);
+  if (bloqueio) {
+    return responderBloqueio(res, bloqueio);
+  }
+
+  let valido = false;
+
+  if (codigo) {
+    const passo = verificarCodigo(decifrarSegredo(usuario.totp_segredo), codigo);
+
+    // Cada código TOTP só pode ser usado uma vez: o passo é consumido atomicamente no banco,
+    // então duas requisições simultâneas com o mesmo código não passam ambas
+    valido = passo !== null && await usuarios.consumirPassoTotp(usuario.id, passo);
+  } else {
+    valido = await usuarios.consumirCodigoRecuperacao(
+      usuario.id,
+      hashToken(normalizarCodigoRecuperacao(codigoRecuperacao))
+    );
+  }
+
+  if (!valido) {
+    const novoBloqueio = await registrarFalhaLogin(usuario.email, req.ip, { requisicaoId: req.id });
+    if (novoBloqueio) {
+      return responderBloqueio(res, novoBloqueio);
+    }
+
+    return res.status(401).json({
+      sucesso: false,
+      mensagem: 'Código inválido'
+    });
+  }
+
+  await concluirLogin(req, res, usuario);
 });
 
 /**
- * @route   GET /api/auth/usuarios
- * @desc    Listar todos os usuários
- * @access  Private
+ * @swagger
+ * /api/auth/2fa/desativar:
+ *   post:
+ *     summary: Desativar a autenticação em dois fatores
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DesativacaoDoisFatores'
+ *     responses:
+ *       200:
+ *         description: 2FA desativado
+ *       400:
+ *         description: 2FA não está ativo
+ *       401:
+ *         description: Senha ou código incorretos
+ *       423:
+ *         description: Conta temporariamente bloqueada (ver Retry-After)
+ *       429:
+ *         description: Muitas tentativas (ver Retry-After)
  */
-router.get('/usuarios', autenticar, async (req, res) => {
-  try {
-    const query = `
-      SELECT id, nome, email, ativo
-      FROM usuarios
-      ORDER BY nome ASC
-    `;
+router.post('/2fa/desativar', autenticar, validarCorpo(DesativacaoDoisFatores), async (req, res) => {
+  const { senha, codigo } = req.body;
 
-    const resultado = await pool.query(query);
+  const { usuarios } = obterRepositorios();
+  const usuario = await usuarios.buscarPorId(req.usuario.id);
 
-    res.json({
-      sucesso: true,
-      total: resultado.rows.length,
-      dados: resultado.rows
-    });
+  if (!usuario.totp_ativo) {
+    throw new ErroValidacao('A autenticação em dois fatores não está ativa');
+  }
 
-  } catch (erro) {
-    console.error('Erro ao listar usuários:', erro);
-    res.status(500).json({
+  // Senha ou código errados contam como falha de login (mesmo bloqueio do login e de /2fa/verificar)
+  const bloqueio = await verificarBloqueio(usuario.email, req.ip);
+  if (bloqueio) {
+    return responderBloqueio(res, bloqueio);
+  }
+
+  const senhaValida = await bcrypt.compare(senha, usuario.senha);
+  const passo = senhaValida ? verificarCodigo(decifrarSegredo(usuario.totp_segredo), codigo) : null;
+
+  // O código é consumido como no login: o mesmo código não serve duas vezes
+  const codigoValido = passo !== null && await usuarios.consumirPassoTotp(usuario.id, passo);
+
+  if (!codigoValido) {
+    const novoBloqueio = await registrarFalhaLogin(usuario.email, req.ip, { requisicaoId: req.id });
+    if (novoBloqueio) {
+      return responderBloqueio(res, novoBloqueio);
+    }
+
+    return res.status(401).json({
       sucesso: false,
-      mensagem: 'Erro ao listar usuários'
+      mensagem: 'Senha ou código incorretos'
     });
   }
-});
 
+  // Segredo e códigos de recuperação são descartados junto
+  await usuarios.desativarTotp(req.usuario.id);
+
+  await registrarAuditoria(req, {
+    acao: 'desativar_2fa',
+    recurso: 'usuario',
+    recursoId: req.usuario.id,
+    antes: { totp_ativo: true },
+    depois: { totp_ativo: false }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Autenticação em dois fatores desativada'
+  });
+});
 
 module.exports = router;
\ No newline at end of file
@@ -1,62 +1,71 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/database');
 const autenticar = require('../middleware/auth');
-
-// Validação de email
-const validarEmail = (email) => {
-  const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return regex.test(email);
-};
-
-// Validação de telefone (formato brasileiro)
-const validarTelefone = (telefone) => {
-  const regex = /^(\(?\d{2}\)?\s?)?9?\d{4}-?\d{4}$/;
-  return regex.test(telefone);
+const { exigirPapel } = require('../middleware/autorizacao');
+const { validarCorpo, validarIds } = require('../middleware/validacao');
+const { Contato, AlteracaoStatusContato } = require('../schemas');
+const { obterRepositorios, transacao } = require('../repositories');
+const { diasRetencao } = require('../utils/lixeira');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { validarId } = require('../utils/validacao');
+const { ErroValidacao, ErroNaoEncontrado, ErroConflito } = require('../utils/erros');
+
+// Pipeline de leads: status atual -> status permitidos a seguir
+const TRANSICOES_STATUS = {
+  novo: ['lido', 'em_contato', 'perdido'],
+  lido: ['em_contato', 'perdido'],
+  em_contato: ['em_negociacao', 'perdido'],
+  em_negociacao: ['proposta', 'perdido'],
+  proposta: ['fechado', 'em_negociacao', 'perdido'],
+  fechado: [],
+  perdido: ['em_contato']
 };
 
 /**
- * @swagger
- * components:
- *   schemas:
- *     Contato:
- *       type: object
- *       required:
- *         - nome
- *         - email
- *       properties:
- *         id:
- *           type: integer
- *           description: ID do contato
- *         nome:
- *           type: string
- *           description: Nome do contato
- *         email:
- *           type: string
- *           format: email
- *           description: Email do contato
- *         telefone:
- *           type: string
- *           description: Telefone do contato
- *         cidade:
- *           type: string
- *           description: Cidade do contato
- *         tipo:
- *           type: string
- *           enum: [cliente, fornecedor, parceiro]
- *           description: Tipo do contato
- *         criado_em:
- *           type: string
- *           format: date-time
- *           description: Data de criação
- *       example:
- *         id: 1
- *         nome: João Silva
- *         email: joao@exemplo.com
- *         telefone: (15) 99999-9999
- *         cidade: Sorocaba
- *         tipo: cliente
+ * Move o contato para um novo status, registrando quem alterou e quando
+ * Retorna { anterior, contato, historico }; erros desfazem a transação
  */
+const alterarStatus = (contatoId, novoStatus, usuarioId, observacao) => {
+  return transacao(async ({ contatos }) => {
+    // Bloquear a linha para evitar transições concorrentes
+    const anterior = await contatos.buscarPorId(contatoId, { bloquear: true });
+
+    if (!anterior) {
+      throw new ErroNaoEncontrado('Contato não encontrado');
+    }
+
+    if (!TRANSICOES_STATUS[anterior.status].includes(novoStatus)) {
+      throw new ErroConflito(
+        `Transição de "${anterior.status}" para "${novoStatus}" não permitida`,
+        { codigo: 'TRANSICAO_STATUS_INVALIDA' }
+      );
+    }
+
+    const contato = await contatos.alterarStatus(contatoId, novoStatus);
+
+    const historico = await contatos.registrarHistorico({
+      contatoId,
+      statusAnterior: anterior.status,
+      statusNovo: novoStatus,
+      usuarioId,
+      observacao
+    });
+
+    return { anterior, contato, historico };
+  });
+};
+
+// Auditoria das mudanças de status (PATCH /:id/status e /:id/lido)
+const auditarStatus = (req, { anterior, contato, historico }) => {
+  return registrarAuditoria(req, {
+    acao: 'alterar_status',
+    recurso: 'contato',
+    recursoId: contato.id,
+    antes: anterior,
+    depois: contato,
+    detalhes: historico.observacao ? { observacao: historico.observacao } : null
+  });
+};
 
 /**
  * @swagger
@@ -69,28 +78,7 @@ const validarTelefone = (telefone) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - nome
- *               - email
- *             properties:
- *               nome:
- *                 type: string
- *                 example: João Silva
- *               email:
- *                 type: string
- *                 format: email
- *                 example: joao@exemplo.com
- *               telefone:
- *                 type: string
- *                 example: (15) 99999-9999
- *               cidade:
- *                 type: string
- *                 example: Sorocaba
- *               tipo:
- *                 type: string
- *                 enum: [cliente, fornecedor, parceiro]
- *                 example: cliente
+ *             $ref: '#/components/schemas/Contato'
  *     responses:
  *       201:
  *         description: Contato criado com sucesso
@@ -106,80 +94,35 @@ const validarTelefone = (telefone) => {
  *                 id:
  *                   type: integer
  *       400:
- *         description: Erro de validação
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 sucesso:
- *                   type: boolean
- *                 mensagem:
- *                   type: string
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Erro interno do servidor
  */
-router.post('/', async (req, res) => {
-  try {
-    const { nome, email, telefone, cidade, tipo } = req.body;
-
-    // Validações
-    if (!nome || !email) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Nome e email são obrigatórios'
-      });
-    }
-
-    if (!validarEmail(email)) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Email inválido'
-      });
-    }
-
-    if (telefone && !validarTelefone(telefone)) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Telefone inválido'
-      });
-    }
+router.post('/', validarCorpo(Contato), async (req, res) => {
+  const { empresas, contatos } = obterRepositorios();
 
-    if (nome.length < 3 || nome.length > 100) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Nome deve ter entre 3 e 100 caracteres'
-      });
-    }
-
-    // Inserir no banco de dados
-    const query = `
-      INSERT INTO contatos (nome, email, telefone, cidade, tipo)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
-    `;
-
-    const resultado = await pool.query(query, [
-      nome,
-      email,
-      telefone || null,
-      cidade || null,
-      tipo || 'cliente'
-    ]);
-
-    res.status(201).json({
-      sucesso: true,
-      mensagem: 'Contato cadastrado com sucesso!',
-      id: resultado.rows[0].id
-    });
-
-  } catch (erro) {
-    console.error('Erro ao processar contato:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao processar sua solicitação'
+  // Verificar se a empresa de interesse existe
+  if (req.body.empresa_id !== null && !(await empresas.buscarPorId(req.body.empresa_id))) {
+    throw new ErroValidacao('Dados inválidos', {
+      erros: [{ campo: 'empresa_id', mensagem: 'Empresa informada não existe' }]
     });
   }
+
+  const contato = await contatos.criar(req.body);
+
+  // Rota pública: sem autor, fica registrado apenas o IP de origem
+  await registrarAuditoria(req, {
+    acao: 'criar',
+    recurso: 'contato',
+    recursoId: contato.id,
+    depois: contato
+  });
+
+  res.status(201).json({
+    sucesso: true,
+    mensagem: 'Contato cadastrado com sucesso!',
+    id: contato.id
+  });
 });
 
 /**
@@ -202,6 +145,17 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Filtrar por cidade
+ *       - in: query
+ *         name: empresa_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar pela empresa de interesse
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [novo, lido, em_contato, em_negociacao, proposta, fechado, perdido]
+ *         description: Filtrar por status do lead
  *     responses:
  *       200:
  *         description: Lista de contatos
@@ -218,48 +172,201 @@ router.post('/', async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Contato'
+ *       400:
+ *         description: Parâmetros inválidos
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/', autenticar, async (req, res) => {
-  try {
-    const { tipo, cidade } = req.query;
-    
-    let query = 'SELECT * FROM contatos WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
-
-    if (tipo) {
-      query += ` AND tipo = $${paramIndex}`;
-      params.push(tipo);
-      paramIndex++;
-    }
+router.get('/', autenticar, exigirPapel('admin', 'corretor'), async (req, res) => {
+  const { tipo, cidade, empresa_id, status } = req.query;
 
-    if (cidade) {
-      query += ` AND cidade ILIKE $${paramIndex}`;
-      params.push(`%${cidade}%`);
-      paramIndex++;
-    }
+  if (empresa_id && !validarId(empresa_id)) {
+    throw new ErroValidacao('empresa_id inválido');
+  }
+  
+  const dados = await obterRepositorios().contatos.listar({
+    tipo,
+    cidade,
+    empresaId: empresa_id,
+    status
+  });
+
+  res.json({
+    sucesso: true,
+    total: dados.length,
+    dados
+  });
+});
 
-    query += ' ORDER BY id DESC';
+/**
+ * @swagger
+ * /api/contatos/lixeira:
+ *   get:
+ *     summary: Listar contatos na lixeira
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Contatos excluídos, dos mais recentes para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 retencaoDias:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contato'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/lixeira', autenticar, exigirPapel('admin'), async (req, res) => {
+  const retencaoDias = diasRetencao();
 
-    const resultado = await pool.query(query, params);
+  const dados = await obterRepositorios().contatos.listarLixeira(retencaoDias);
 
-    res.json({
-      sucesso: true,
-      total: resultado.rows.length,
-      dados: resultado.rows
-    });
+  res.json({
+    sucesso: true,
+    retencaoDias,
+    total: dados.length,
+    dados
+  });
+});
 
-  } catch (erro) {
-    console.error('Erro ao listar contatos:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao buscar contatos'
+/**
+ * @swagger
+ * /api/contatos/lixeira/purgar:
+ *   post:
+ *     summary: Excluir definitivamente contatos que passaram do período de retenção
+ *     description: Remove os contatos na lixeira há mais de LIXEIRA_RETENCAO_DIAS dias (padrão 30), com seu histórico
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purga concluída
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 removidos:
+ *                   type: integer
+ *                 retencaoDias:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/lixeira/purgar', autenticar, exigirPapel('admin'), async (req, res) => {
+  const { removidos, ids, retencaoDias } = await obterRepositorios().contatos.purgarLixeira();
+
+  if (removidos > 0) {
+    await registrarAuditoria(req, {
+      acao: 'purgar',
+      recurso: 'contato',
+      detalhes: { ids, retencaoDias }
     });
   }
+
+  res.json({
+    sucesso: true,
+    mensagem: `${removidos} contato(s) excluído(s) definitivamente`,
+    removidos,
+    retencaoDias
+  });
+});
+
+/**
+ * @swagger
+ * /api/contatos/{id}/restaurar:
+ *   post:
+ *     summary: Restaurar contato da lixeira
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do contato
+ *     responses:
+ *       200:
+ *         description: Contato restaurado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   $ref: '#/components/schemas/Contato'
+ *       404:
+ *         description: Contato não encontrado na lixeira
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/restaurar', autenticar, exigirPapel('admin'), validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+
+  const { contatos } = obterRepositorios();
+
+  const contato = await contatos.buscarNaLixeira(id);
+
+  if (!contato) {
+    throw new ErroNaoEncontrado('Contato não encontrado na lixeira');
+  }
+
+  const restaurado = await contatos.restaurar(id);
+
+  if (!restaurado) {
+    throw new ErroNaoEncontrado('Contato não encontrado na lixeira');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'restaurar',
+    recurso: 'contato',
+    recursoId: restaurado.id,
+    antes: contato,
+    depois: restaurado
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Contato restaurado com sucesso',
+    dados: restaurado
+  });
 });
 
 /**
@@ -291,37 +398,26 @@ router.get('/', autenticar, async (req, res) => {
  *                   $ref: '#/components/schemas/Contato'
  *       404:
  *         description: Contato não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/:id', autenticar, async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const query = 'SELECT * FROM contatos WHERE id = $1';
-    const resultado = await pool.query(query, [id]);
-
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Contato não encontrado'
-      });
-    }
+router.get('/:id', autenticar, exigirPapel('admin', 'corretor'), validarIds('id'), async (req, res) => {
+  const { id } = req.params;
 
-    res.json({
-      sucesso: true,
-      dados: resultado.rows[0]
-    });
+  const contato = await obterRepositorios().contatos.buscarPorId(id);
 
-  } catch (erro) {
-    console.error('Erro ao buscar contato:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao buscar contato'
-    });
+  if (!contato) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
   }
+
+  res.json({
+    sucesso: true,
+    dados: contato
+  });
 });
 
 /**
@@ -344,23 +440,7 @@ router.get('/:id', autenticar, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - nome
- *               - email
- *             properties:
- *               nome:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               telefone:
- *                 type: string
- *               cidade:
- *                 type: string
- *               tipo:
- *                 type: string
- *                 enum: [cliente, fornecedor, parceiro]
+ *             $ref: '#/components/schemas/Contato'
  *     responses:
  *       200:
  *         description: Contato atualizado com sucesso
@@ -374,67 +454,139 @@ router.get('/:id', autenticar, async (req, res) => {
  *                 mensagem:
  *                   type: string
  *       400:
- *         description: Erro de validação
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Contato não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.put('/:id', autenticar, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { nome, email, telefone, cidade, tipo } = req.body;
-
-    if (!nome || !email) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Nome e email são obrigatórios'
-      });
-    }
+router.put('/:id', autenticar, exigirPapel('admin', 'corretor'), validarIds('id'), validarCorpo(Contato), async (req, res) => {
+  const { id } = req.params;
 
-    const query = `
-      UPDATE contatos
-      SET nome = $1, email = $2, telefone = $3, cidade = $4, tipo = $5
-      WHERE id = $6
-    `;
-
-    const resultado = await pool.query(query, [
-      nome,
-      email,
-      telefone,
-      cidade,
-      tipo,
-      id
-    ]);
-
-    if (resultado.rowCount === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Contato não encontrado'
-      });
-    }
+  const { contatos } = obterRepositorios();
 
-    res.json({
-      sucesso: true,
-      mensagem: 'Contato atualizado com sucesso'
-    });
+  const contato = await contatos.buscarPorId(id);
 
-  } catch (erro) {
-    console.error('Erro ao atualizar contato:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao atualizar contato'
-    });
+  if (!contato) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
+  }
+
+  // O schema completo traz todos os campos (os omitidos como null), então o PUT substitui os dados cadastrais
+  const atualizado = await contatos.atualizar(id, req.body);
+
+  if (!atualizado) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'atualizar',
+    recurso: 'contato',
+    recursoId: atualizado.id,
+    antes: contato,
+    depois: atualizado
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Contato atualizado com sucesso'
+  });
+});
+
+/**
+ * @swagger
+ * /api/contatos/{id}:
+ *   patch:
+ *     summary: Atualizar parcialmente um contato
+ *     description: Altera apenas os campos enviados (nome, email, telefone, cidade, tipo) e devolve o registro atualizado
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do contato
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Contato'
+ *           example:
+ *             telefone: (15) 98888-7777
+ *     responses:
+ *       200:
+ *         description: Contato atualizado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   $ref: '#/components/schemas/Contato'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Contato não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id', autenticar, exigirPapel('admin', 'corretor'), validarIds('id'), validarCorpo(Contato, { parcial: true }), async (req, res) => {
+  const { id } = req.params;
+
+  const { contatos } = obterRepositorios();
+
+  const contato = await contatos.buscarPorId(id);
+
+  if (!contato) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
   }
+
+  const atualizado = await contatos.atualizar(id, req.body);
+
+  if (atualizado === undefined) {
+    throw new ErroValidacao('Nenhum campo para atualizar');
+  }
+
+  if (!atualizado) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'atualizar',
+    recurso: 'contato',
+    recursoId: atualizado.id,
+    antes: contato,
+    depois: atualizado
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Contato atualizado com sucesso',
+    dados: atualizado
+  });
 });
 
 /**
  * @swagger
  * /api/contato/{id}:
  *   delete:
- *     summary: Deletar contato
+ *     summary: Mover contato para a lixeira
+ *     description: Exclusão lógica; o contato pode ser restaurado em POST /api/contatos/{id}/restaurar até ser purgado
  *     tags: [Contatos]
  *     security:
  *       - bearerAuth: []
@@ -447,7 +599,7 @@ router.put('/:id', autenticar, async (req, res) => {
  *         description: ID do contato
  *     responses:
  *       200:
- *         description: Contato deletado com sucesso
+ *         description: Contato movido para a lixeira
  *         content:
  *           application/json:
  *             schema:
@@ -459,39 +611,231 @@ router.put('/:id', autenticar, async (req, res) => {
  *                   type: string
  *       404:
  *         description: Contato não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.delete('/:id', autenticar, async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const resultado = await pool.query(
-      'DELETE FROM contatos WHERE id = $1',
-      [id]
-    );
-
-    if (resultado.rowCount === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Contato não encontrado'
-      });
-    }
+router.delete('/:id', autenticar, exigirPapel('admin'), validarIds('id'), async (req, res) => {
+  const { id } = req.params;
 
-    res.json({
-      sucesso: true,
-      mensagem: 'Contato deletado com sucesso'
-    });
+  const { contatos } = obterRepositorios();
 
-  } catch (erro) {
-    console.error('Erro ao deletar contato:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao deletar contato'
-    });
+  const contato = await contatos.buscarPorId(id);
+
+  if (!contato) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
   }
+
+  // Exclusão lógica: o contato (e seu histórico) vai para a lixeira e pode ser restaurado
+  const excluido = await contatos.moverParaLixeira(id, req.usuario.id);
+
+  if (!excluido) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'excluir',
+    recurso: 'contato',
+    recursoId: excluido.id,
+    antes: contato,
+    depois: excluido
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Contato movido para a lixeira'
+  });
+});
+
+/**
+ * @swagger
+ * /api/contatos/{id}/status:
+ *   patch:
+ *     summary: Alterar o status do lead no funil de negociação
+ *     description: |
+ *       Transições permitidas:
+ *       novo → lido, em_contato, perdido;
+ *       lido → em_contato, perdido;
+ *       em_contato → em_negociacao, perdido;
+ *       em_negociacao → proposta, perdido;
+ *       proposta → fechado, em_negociacao, perdido;
+ *       perdido → em_contato.
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do contato
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlteracaoStatusContato'
+ *     responses:
+ *       200:
+ *         description: Status alterado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   $ref: '#/components/schemas/Contato'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Contato não encontrado
+ *       409:
+ *         description: Transição de status não permitida
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id/status', autenticar, exigirPapel('admin', 'corretor'), validarIds('id'), validarCorpo(AlteracaoStatusContato), async (req, res) => {
+  const { id } = req.params;
+  const { status, observacao } = req.body;
+
+  const resultado = await alterarStatus(id, status, req.usuario.id, observacao);
+
+  await auditarStatus(req, resultado);
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Status alterado com sucesso',
+    dados: resultado.contato
+  });
+});
+
+/**
+ * @swagger
+ * /api/contatos/{id}/lido:
+ *   patch:
+ *     summary: Marcar contato como lido (atalho para status "lido")
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do contato
+ *     responses:
+ *       200:
+ *         description: Contato marcado como lido
+ *       404:
+ *         description: Contato não encontrado
+ *       409:
+ *         description: Contato não está com status "novo"
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id/lido', autenticar, exigirPapel('admin', 'corretor'), validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+
+  const resultado = await alterarStatus(id, 'lido', req.usuario.id);
+
+  await auditarStatus(req, resultado);
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Contato marcado como lido',
+    dados: resultado.contato
+  });
+});
+
+/**
+ * @swagger
+ * /api/contatos/{id}/historico:
+ *   get:
+ *     summary: Listar o histórico de status de um contato
+ *     tags: [Contatos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do contato
+ *     responses:
+ *       200:
+ *         description: Histórico de transições (mais antigas primeiro)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       status_anterior:
+ *                         type: string
+ *                       status_novo:
+ *                         type: string
+ *                       observacao:
+ *                         type: string
+ *                       criado_em:
+ *                         type: string
+ *                         format: date-time
+ *                       usuario_id:
+ *                         type: integer
+ *                       usuario_nome:
+ *                         type: string
+ *       404:
+ *         description: Contato não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/historico', autenticar, exigirPapel('admin', 'corretor'), validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+
+  const { contatos } = obterRepositorios();
+
+  if (!(await contatos.buscarPorId(id))) {
+    throw new ErroNaoEncontrado('Contato não encontrado');
+  }
+
+  const dados = await contatos.listarHistorico(id);
+
+  res.json({
+    sucesso: true,
+    total: dados.length,
+    dados
+  });
 });
 
 module.exports = router;
\ No newline at end of file
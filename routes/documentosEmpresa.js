@@ -0,0 +1,731 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router({ mergeParams: true });
+const { obterRepositorios } = require('../repositories');
+const autenticar = require('../middleware/auth');
+const { carregarEmpresa } = require('../middleware/empresa');
+const { receberArquivos } = require('../middleware/upload');
+const { validarCorpo, validarIds } = require('../middleware/validacao');
+const { DocumentoEmpresa, AcessoDocumentos } = require('../schemas');
+const { CATEGORIAS_DOCUMENTO } = require('../schemas/documento');
+const { podeGerenciar, podeAcessarDocumentos } = require('../utils/permissoesEmpresas');
+const {
+  TIPOS_DOCUMENTO,
+  tamanhoMaximoDocumento,
+  conferirDocumento,
+  extensaoDocumento,
+  gerarLinkDownload,
+  lerLinkDownload,
+  removerArquivosDocumentos
+} = require('../utils/documentos');
+const { lerPaginacao, metadadosPaginacao } = require('../utils/consultaEmpresas');
+const { validarId } = require('../utils/validacao');
+const { obterArmazenamentoPrivado } = require('../services/armazenamento');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { ErroValidacao, ErroAcessoNegado, ErroNaoEncontrado, ErroConflito } = require('../utils/erros');
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos:
+ *   get:
+ *     summary: Listar os documentos restritos da empresa
+ *     description: Disponível ao dono do anúncio, a administradores e aos compradores com acesso concedido
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: query
+ *         name: categoria
+ *         schema:
+ *           type: string
+ *           enum: [balanco, dre, contrato_social, contrato, licenca, certidao, fiscal, outro]
+ *         description: Filtrar por categoria
+ *     responses:
+ *       200:
+ *         description: Documentos, dos mais recentes para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentoEmpresa'
+ *       400:
+ *         description: Categoria inválida
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/', autenticar, carregarEmpresa(podeAcessarDocumentos), async (req, res) => {
+  const { categoria } = req.query;
+
+  if (categoria && !CATEGORIAS_DOCUMENTO.includes(categoria)) {
+    throw new ErroValidacao(`O parâmetro categoria deve ser um de: ${CATEGORIAS_DOCUMENTO.join(', ')}`);
+  }
+
+  const documentos = await obterRepositorios().documentos.listar(req.empresa.id, { categoria });
+
+  res.json({
+    sucesso: true,
+    total: documentos.length,
+    dados: documentos
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos:
+ *   post:
+ *     summary: Anexar documento restrito à empresa
+ *     description: |
+ *       Aceita PDF, planilhas (xlsx, xls, ods, csv) e textos (docx, doc, odt) de até
+ *       DOCUMENTO_TAMANHO_MAXIMO_MB (padrão 20 MB). O conteúdo precisa corresponder ao tipo declarado.
+ *       Apenas o dono do anúncio ou um administrador.
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - arquivo
+ *               - categoria
+ *             properties:
+ *               arquivo:
+ *                 type: string
+ *                 format: binary
+ *               categoria:
+ *                 type: string
+ *                 enum: [balanco, dre, contrato_social, contrato, licenca, certidao, fiscal, outro]
+ *               descricao:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Documento anexado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   $ref: '#/components/schemas/DocumentoEmpresa'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       413:
+ *         description: Arquivo maior que o limite
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+  '/',
+  autenticar,
+  carregarEmpresa(podeGerenciar),
+  receberArquivos({
+    campo: 'arquivo',
+    tiposPermitidos: Object.keys(TIPOS_DOCUMENTO),
+    tamanhoMaximo: tamanhoMaximoDocumento(),
+    quantidadeMaxima: 1
+  }),
+  validarCorpo(DocumentoEmpresa),
+  async (req, res) => {
+    const empresaId = req.empresa.id;
+    const [arquivo] = req.files;
+    const { categoria, descricao } = req.body;
+
+    if (!conferirDocumento(arquivo.buffer, arquivo.mimetype)) {
+      throw new ErroValidacao('Dados inválidos', {
+        erros: [{ campo: 'arquivo', mensagem: `${arquivo.originalname}: o conteúdo não corresponde ao tipo ${arquivo.mimetype}` }]
+      });
+    }
+
+    const armazenamento = obterArmazenamentoPrivado();
+    const chave = `empresas/${empresaId}/${crypto.randomUUID()}.${extensaoDocumento(arquivo.mimetype)}`;
+
+    await armazenamento.salvar(chave, arquivo.buffer, { tipo: arquivo.mimetype });
+
+    let documento;
+
+    try {
+      documento = await obterRepositorios().documentos.criar({
+        empresa_id: empresaId,
+        categoria,
+        descricao,
+        nome_arquivo: arquivo.originalname.slice(0, 255),
+        chave,
+        tipo_mime: arquivo.mimetype,
+        tamanho: arquivo.size,
+        usuario_id: req.usuario.id
+      });
+    } catch (erro) {
+      await removerArquivosDocumentos([{ chave }], { requisicaoId: req.id });
+      throw erro;
+    }
+
+    await registrarAuditoria(req, {
+      acao: 'adicionar_documento',
+      recurso: 'empresa',
+      recursoId: empresaId,
+      detalhes: { documento: documento.id, categoria, nome_arquivo: documento.nome_arquivo }
+    });
+
+    res.status(201).json({
+      sucesso: true,
+      mensagem: 'Documento anexado com sucesso',
+      dados: documento
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/acessos:
+ *   get:
+ *     summary: Listar compradores com acesso aos documentos
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     responses:
+ *       200:
+ *         description: Acessos concedidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       usuario_id:
+ *                         type: integer
+ *                       nome:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       concedido_por:
+ *                         type: integer
+ *                       criado_em:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/acessos', autenticar, carregarEmpresa(podeGerenciar), async (req, res) => {
+  const acessos = await obterRepositorios().documentos.listarAcessos(req.empresa.id);
+
+  res.json({
+    sucesso: true,
+    total: acessos.length,
+    dados: acessos
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/acessos:
+ *   post:
+ *     summary: Conceder a um comprador acesso aos documentos
+ *     description: O comprador passa a listar e baixar todos os documentos da empresa até o acesso ser revogado
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcessoDocumentos'
+ *     responses:
+ *       201:
+ *         description: Acesso concedido
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Empresa ou comprador não encontrado
+ *       409:
+ *         description: O comprador já tem acesso
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/acessos', autenticar, carregarEmpresa(podeGerenciar), validarCorpo(AcessoDocumentos), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { usuario_id } = req.body;
+
+  const { usuarios, documentos } = obterRepositorios();
+  const usuario = await usuarios.buscarPerfil(usuario_id);
+
+  if (!usuario || usuario.papel !== 'comprador' || !usuario.ativo) {
+    throw new ErroNaoEncontrado('Comprador não encontrado');
+  }
+
+  const acesso = await documentos.concederAcesso(empresaId, usuario_id, req.usuario.id);
+
+  if (!acesso) {
+    throw new ErroConflito('O comprador já tem acesso aos documentos');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'conceder_acesso_documentos',
+    recurso: 'empresa',
+    recursoId: empresaId,
+    detalhes: { usuario: usuario_id }
+  });
+
+  res.status(201).json({
+    sucesso: true,
+    mensagem: 'Acesso aos documentos concedido',
+    dados: {
+      ...acesso,
+      nome: usuario.nome,
+      email: usuario.email
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/acessos/{usuarioId}:
+ *   delete:
+ *     summary: Revogar o acesso de um comprador aos documentos
+ *     description: Links de download já emitidos deixam de funcionar
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: path
+ *         name: usuarioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do comprador
+ *     responses:
+ *       200:
+ *         description: Acesso revogado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Empresa não encontrada ou comprador sem acesso
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/acessos/:usuarioId', autenticar, carregarEmpresa(podeGerenciar), validarIds('usuarioId'), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { usuarioId } = req.params;
+
+  const revogado = await obterRepositorios().documentos.revogarAcesso(empresaId, usuarioId);
+
+  if (!revogado) {
+    throw new ErroNaoEncontrado('Este usuário não tem acesso aos documentos');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'revogar_acesso_documentos',
+    recurso: 'empresa',
+    recursoId: empresaId,
+    detalhes: { usuario: Number(usuarioId) }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Acesso aos documentos revogado'
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/downloads:
+ *   get:
+ *     summary: Histórico de downloads dos documentos da empresa
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: query
+ *         name: documento_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar por documento
+ *       - in: query
+ *         name: usuario_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar por quem baixou
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: Downloads, dos mais recentes para os mais antigos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 paginacao:
+ *                   $ref: '#/components/schemas/Paginacao'
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       documento_id:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Nulo se o documento foi removido depois
+ *                       nome_arquivo:
+ *                         type: string
+ *                       usuario_id:
+ *                         type: integer
+ *                       usuario_nome:
+ *                         type: string
+ *                       usuario_email:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       user_agent:
+ *                         type: string
+ *                       baixado_em:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Filtros ou parâmetros de paginação inválidos
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/downloads', autenticar, carregarEmpresa(podeGerenciar), async (req, res) => {
+  const paginacao = lerPaginacao(req.query);
+
+  if (paginacao.erro) {
+    throw new ErroValidacao(paginacao.erro);
+  }
+
+  const filtros = {};
+
+  for (const campo of ['documento_id', 'usuario_id']) {
+    if (req.query[campo] === undefined || req.query[campo] === '') continue;
+
+    if (!validarId(req.query[campo])) {
+      throw new ErroValidacao(`O parâmetro ${campo} deve ser um inteiro positivo`);
+    }
+    filtros[campo] = Number(req.query[campo]);
+  }
+
+  const { total, dados } = await obterRepositorios().documentos.listarDownloads(req.empresa.id, filtros, paginacao);
+
+  res.json({
+    sucesso: true,
+    paginacao: metadadosPaginacao(paginacao, total),
+    dados
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/{documentoId}/link:
+ *   post:
+ *     summary: Gerar link de download temporário
+ *     description: |
+ *       O link vale por DOCUMENTO_LINK_MINUTOS (padrão 10) e apenas para o usuário que o gerou;
+ *       o acesso é conferido de novo no download
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: path
+ *         name: documentoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do documento
+ *     responses:
+ *       200:
+ *         description: Link gerado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 url:
+ *                   type: string
+ *                   example: /api/empresas/7/documentos/3/download?token=eyJhbGciOi...
+ *                 expiraEm:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Empresa ou documento não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:documentoId/link', autenticar, carregarEmpresa(podeAcessarDocumentos), validarIds('documentoId'), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { documentoId } = req.params;
+
+  const documento = await obterRepositorios().documentos.buscar(empresaId, documentoId);
+
+  if (!documento) {
+    throw new ErroNaoEncontrado('Documento não encontrado');
+  }
+
+  const { token, expiraEm } = gerarLinkDownload({
+    documentoId: documento.id,
+    usuarioId: req.usuario.id
+  });
+
+  res.json({
+    sucesso: true,
+    url: `/api/empresas/${empresaId}/documentos/${documento.id}/download?token=${encodeURIComponent(token)}`,
+    expiraEm
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/{documentoId}/download:
+ *   get:
+ *     summary: Baixar documento pelo link temporário
+ *     description: Exige a sessão do mesmo usuário que gerou o link. Todo download é registrado.
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: path
+ *         name: documentoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do documento
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token devolvido por POST /api/empresas/{id}/documentos/{documentoId}/link
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo (Content-Disposition attachment)
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Link inválido, expirado, de outro usuário ou acesso revogado
+ *       404:
+ *         description: Empresa ou documento não encontrado
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:documentoId/download', autenticar, carregarEmpresa(podeAcessarDocumentos), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { documentoId } = req.params;
+  const link = req.query.token ? lerLinkDownload(String(req.query.token)) : null;
+
+  if (!link || String(link.documentoId) !== String(documentoId) || link.usuarioId !== req.usuario.id) {
+    throw new ErroAcessoNegado('Link de download inválido ou expirado');
+  }
+
+  const { documentos } = obterRepositorios();
+  const documento = await documentos.buscar(empresaId, link.documentoId);
+
+  if (!documento) {
+    throw new ErroNaoEncontrado('Documento não encontrado');
+  }
+
+  const conteudo = await obterArmazenamentoPrivado().obter(documento.chave);
+
+  await documentos.registrarDownload({
+    documentoId: documento.id,
+    empresaId,
+    nomeArquivo: documento.nome_arquivo,
+    usuarioId: req.usuario.id,
+    ip: req.ip || null,
+    userAgent: (req.get('user-agent') || '').slice(0, 500) || null
+  });
+
+  res.set({
+    'Content-Type': documento.tipo_mime,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.attachment(documento.nome_arquivo);
+  res.send(conteudo);
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/documentos/{documentoId}:
+ *   delete:
+ *     summary: Remover documento
+ *     description: O histórico de downloads do documento é mantido
+ *     tags: [Documentos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: path
+ *         name: documentoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID do documento
+ *     responses:
+ *       200:
+ *         description: Documento removido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Empresa ou documento não encontrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/:documentoId', autenticar, carregarEmpresa(podeGerenciar), validarIds('documentoId'), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { documentoId } = req.params;
+
+  const removido = await obterRepositorios().documentos.remover(empresaId, documentoId);
+
+  if (!removido) {
+    throw new ErroNaoEncontrado('Documento não encontrado');
+  }
+
+  await removerArquivosDocumentos([removido], { requisicaoId: req.id });
+
+  await registrarAuditoria(req, {
+    acao: 'remover_documento',
+    recurso: 'empresa',
+    recursoId: empresaId,
+    detalhes: { documento: removido.id, categoria: removido.categoria, nome_arquivo: removido.nome_arquivo }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Documento removido com sucesso'
+  });
+});
+
+module.exports = router;
@@ -1,128 +1,52 @@
 const express = require('express');
 const router = express.Router();
-const pool = require('../config/database');
 const autenticar = require('../middleware/auth');
-
-// Validação de CNPJ
-const validarCNPJ = (cnpj) => {
-  cnpj = cnpj.replace(/[^\d]/g, '');
-  return cnpj.length === 14;
-};
+const { exigirPapel } = require('../middleware/autorizacao');
+const { obterRepositorios } = require('../repositories');
+const {
+  lerPaginacao,
+  metadadosPaginacao,
+  lerConsultaEmpresas
+} = require('../utils/consultaEmpresas');
+const { validarCorpo, validarIds } = require('../middleware/validacao');
+const { Empresa } = require('../schemas');
+const { limparCNPJ, formatarCNPJ } = require('../utils/cnpj');
+const { diasRetencao } = require('../utils/lixeira');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { podeGerenciar, podeVisualizar } = require('../utils/permissoesEmpresas');
+const { listarImagens, removerArquivos } = require('../utils/galeria');
+const { removerArquivosDocumentos } = require('../utils/documentos');
+const {
+  ErroValidacao,
+  ErroAcessoNegado,
+  ErroNaoEncontrado,
+  ErroConflito
+} = require('../utils/erros');
+
+// Respostas trazem o CNPJ bruto (como armazenado) e formatado
+const comCnpjFormatado = (empresa) => ({
+  ...empresa,
+  cnpj_formatado: formatarCNPJ(empresa.cnpj)
+});
 
 /**
- * @swagger
- * components:
- *   schemas:
- *     Empresa:
- *       type: object
- *       required:
- *         - titulo
- *         - nome
- *         - setor
- *         - cnpj
- *         - email
- *       properties:
- *         id:
- *           type: integer
- *           description: ID da empresa
- *         titulo:
- *           type: string
- *           description: Título da empresa
- *         nome:
- *           type: string
- *           description: Nome da empresa
- *         setor:
- *           type: string
- *           description: Setor de atuação
- *         cnpj:
- *           type: string
- *           description: CNPJ da empresa (apenas números)
- *         razao_social:
- *           type: string
- *           description: Razão social da empresa
- *         email:
- *           type: string
- *           format: email
- *           description: Email da empresa
- *         telefone:
- *           type: string
- *           description: Telefone da empresa
- *         localizacao:
- *           type: string
- *           description: Localização da empresa
- *         info:
- *           type: string
- *           description: Informações adicionais
- *         lucro:
- *           type: number
- *           format: float
- *           description: Lucro em reais
- *         valor:
- *           type: number
- *           format: float
- *           description: Valor em reais
- *         faturamento:
- *           type: number
- *           format: float
- *           description: Faturamento anual em reais
- *         tipo:
- *           type: string
- *           description: Tipo/área da empresa
- *         descricao:
- *           type: string
- *           description: Descrição detalhada da empresa
- *         ano_fundacao:
- *           type: integer
- *           description: Ano de fundação
- *         tempo_operacao:
- *           type: integer
- *           description: Tempo de operação
- *         assinatura:
- *           type: integer
- *           description: Tempo de assinatura em dias
- *         funcionarios:
- *           type: integer
- *           description: Número de funcionários
- *         area_imovel:
- *           type: number
- *           format: float
- *           description: Área do imóvel
- *         tipo_imovel:
- *           type: string
- *           description: Tipo do imóvel
- *         motivo_venda:
- *           type: string
- *           description: Motivo da venda
- *         dif:
- *           type: string
- *           description: Diferenciais
- *         img:
- *           type: string
- *           description: URL da imagem
- *         ativo:
- *           type: boolean
- *           description: Status da empresa
- *         criado_em:
- *           type: string
- *           format: date-time
- *           description: Data de criação
- *       example:
- *         id: 1
- *         titulo: Empresa de Tecnologia em Expansão
- *         nome: Tech Solutions LTDA
- *         setor: Tecnologia
- *         cnpj: "12345678000190"
- *         razao_social: Tech Solutions Tecnologia LTDA
- *         email: contato@techsolutions.com
- *         telefone: (15) 3333-4444
- *         localizacao: Sorocaba - SP
- *         lucro: 500000.00
- *         faturamento: 1500000.00
- *         ano_fundacao: 2010
- *         assinatura: 365
- *         funcionarios: 50
- *         ativo: true
+ * Consulta paginada de empresas, compartilhada por GET / e GET /minhas
+ * Retorna { paginacao, dados }; query string inválida lança ErroValidacao
  */
+const consultarEmpresas = async (queryString, { usuarioId } = {}) => {
+  const { consulta, erro } = lerConsultaEmpresas(queryString);
+  if (erro) {
+    throw new ErroValidacao(erro);
+  }
+
+  // Empresas na lixeira só aparecem em GET /lixeira
+  const { total, dados } = await obterRepositorios().empresas.listar(consulta, { usuarioId });
+
+  return {
+    paginacao: metadadosPaginacao(consulta.paginacao, total),
+    dados: dados.map(comCnpjFormatado)
+  };
+};
 
 /**
  * @swagger
@@ -137,88 +61,7 @@ const validarCNPJ = (cnpj) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - titulo
- *               - nome
- *               - setor
- *               - cnpj
- *               - email
- *             properties:
- *               titulo:
- *                 type: string
- *                 example: Empresa de Tecnologia em Expansão
- *               nome:
- *                 type: string
- *                 example: Tech Solutions LTDA
- *               setor:
- *                 type: string
- *                 example: Tecnologia
- *               cnpj:
- *                 type: string
- *                 example: "12345678000190"
- *               razao_social:
- *                 type: string
- *                 example: Tech Solutions Tecnologia LTDA
- *               email:
- *                 type: string
- *                 format: email
- *                 example: contato@techsolutions.com
- *               telefone:
- *                 type: string
- *                 example: (15) 3333-4444
- *               localizacao:
- *                 type: string
- *                 example: Sorocaba - SP
- *               info:
- *                 type: string
- *                 example: Empresa consolidada no mercado
- *               lucro:
- *                 type: number
- *                 format: float
- *                 example: 500000.00
- *               valor:
- *                 type: number
- *                 format: float
- *                 example: 2000000.00
- *               faturamento:
- *                 type: number
- *                 format: float
- *                 example: 1500000.00
- *               tipo:
- *                 type: string
- *                 example: Desenvolvimento de Software
- *               descricao:
- *                 type: string
- *                 example: Empresa de tecnologia especializada em desenvolvimento de sistemas
- *               ano_fundacao:
- *                 type: integer
- *                 example: 2010
- *               tempo_operacao:
- *                 type: integer
- *                 example: 15
- *               assinatura:
- *                 type: integer
- *                 example: 365
- *               funcionarios:
- *                 type: integer
- *                 example: 50
- *               area_imovel:
- *                 type: number
- *                 format: float
- *                 example: 500.00
- *               tipo_imovel:
- *                 type: string
- *                 example: Comercial
- *               motivo_venda:
- *                 type: string
- *                 example: Mudança de cidade
- *               dif:
- *                 type: string
- *                 example: Carteira de clientes consolidada
- *               img:
- *                 type: string
- *                 example: https://exemplo.com/imagem.jpg
+ *             $ref: '#/components/schemas/Empresa'
  *     responses:
  *       201:
  *         description: Empresa criada com sucesso
@@ -233,113 +76,94 @@ const validarCNPJ = (cnpj) => {
  *                   type: string
  *                 id:
  *                   type: integer
+ *                 cnpj:
+ *                   type: string
+ *                   example: "11222333000181"
+ *                 cnpj_formatado:
+ *                   type: string
+ *                   example: 11.222.333/0001-81
  *       400:
- *         description: Erro de validação
+ *         $ref: '#/components/responses/ValidationError'
  *       409:
  *         description: CNPJ já cadastrado
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.post('/', async (req, res) => {
-  try {
-    const { 
-      titulo, nome, setor, cnpj, razao_social, email, telefone, 
-      localizacao, info, lucro, valor, faturamento, tipo, descricao,
-      ano_fundacao, tempo_operacao, assinatura, funcionarios, area_imovel, 
-      tipo_imovel, motivo_venda, dif, img
-    } = req.body;
-
-    // Validações
-    if (!titulo || !nome || !setor || !cnpj || !email) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'Título, nome, setor, CNPJ e email são obrigatórios'
-      });
-    }
+router.post('/', autenticar, exigirPapel('admin', 'corretor', 'vendedor'), validarCorpo(Empresa), async (req, res) => {
+  // Corpo já validado e convertido pelo schema Empresa (campos opcionais vazios chegam como null)
+  const { empresas } = obterRepositorios();
+  const cnpjLimpo = limparCNPJ(req.body.cnpj);
 
-    if (!validarCNPJ(cnpj)) {
-      return res.status(400).json({
-        sucesso: false,
-        mensagem: 'CNPJ inválido'
-      });
-    }
+  const empresaExistente = await empresas.buscarPorCnpj(cnpjLimpo);
 
-    // Verificar se CNPJ já existe (PostgreSQL usa $1 ao invés de ?)
-    const empresaExistente = await pool.query(
-      'SELECT id FROM empresas WHERE cnpj = $1',
-      [cnpj.replace(/[^\d]/g, '')]
+  if (empresaExistente && empresaExistente.deleted_at) {
+    throw new ErroConflito(
+      'CNPJ já cadastrado em uma empresa na lixeira; restaure-a em vez de cadastrar novamente',
+      { codigo: 'CNPJ_NA_LIXEIRA' }
     );
+  }
 
-    if (empresaExistente.rows.length > 0) {
-      return res.status(409).json({
-        sucesso: false,
-        mensagem: 'CNPJ já cadastrado'
-      });
-    }
-
-    // Inserir empresa (PostgreSQL usa $1, $2, etc. e RETURNING ao invés de insertId)
-    const query = `
-      INSERT INTO empresas (
-        titulo, nome, setor, cnpj, razao_social, email, telefone, 
-        localizacao, info, lucro, valor, faturamento, tipo, descricao,
-        ano_fundacao, tempo_operacao, assinatura, funcionarios, area_imovel, 
-        tipo_imovel, motivo_venda, dif, img, ativo
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, TRUE)
-      RETURNING id
-    `;
-
-    const resultado = await pool.query(query, [
-      titulo,
-      nome,
-      setor,
-      cnpj.replace(/[^\d]/g, ''),
-      razao_social || null,
-      email,
-      telefone || null,
-      localizacao || null,
-      info || null,
-      lucro || null,
-      valor || null,
-      faturamento || null,
-      tipo || null,
-      descricao || null,
-      ano_fundacao || null,
-      tempo_operacao || null,
-      assinatura || null,
-      funcionarios || null,
-      area_imovel || null,
-      tipo_imovel || null,
-      motivo_venda || null,
-      dif || null,
-      img || null
-    ]);
-
-    res.status(201).json({
-      sucesso: true,
-      mensagem: 'Empresa criada com sucesso',
-      id: resultado.rows[0].id
-    });
-
-  } catch (erro) {
-    console.error('Erro ao criar empresa:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao criar empresa'
-    });
+  if (empresaExistente) {
+    throw new ErroConflito('CNPJ já cadastrado', { codigo: 'CNPJ_DUPLICADO' });
   }
+
+  // Todo anúncio nasce ativo, em nome de quem o cadastrou
+  // (se outra requisição cadastrar o mesmo CNPJ entre a verificação e o INSERT, a restrição
+  // UNIQUE falha com 23505 e o middleware de erros responde o mesmo 409 CNPJ_DUPLICADO)
+  const empresa = await empresas.criar({
+    ...req.body,
+    cnpj: cnpjLimpo,
+    ativo: true,
+    usuario_id: req.usuario.id
+  });
+
+  await registrarAuditoria(req, {
+    acao: 'criar',
+    recurso: 'empresa',
+    recursoId: empresa.id,
+    depois: empresa
+  });
+
+  res.status(201).json({
+    sucesso: true,
+    mensagem: 'Empresa criada com sucesso',
+    id: empresa.id,
+    cnpj: cnpjLimpo,
+    cnpj_formatado: formatarCNPJ(cnpjLimpo)
+  });
 });
 
 /**
  * @swagger
  * /api/empresas:
  *   get:
- *     summary: Listar todas as empresas
+ *     summary: Listar empresas (paginado, com filtros e ordenação)
  *     tags: [Empresas]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EmpresaBusca'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/EmpresaOrdenarPor'
+ *       - $ref: '#/components/parameters/Ordem'
+ *       - $ref: '#/components/parameters/EmpresaSetor'
+ *       - $ref: '#/components/parameters/EmpresaTipo'
+ *       - $ref: '#/components/parameters/EmpresaLocalizacao'
+ *       - $ref: '#/components/parameters/EmpresaTipoImovel'
+ *       - in: query
+ *         name: ativo
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por status
+ *       - $ref: '#/components/parameters/EmpresaValorMin'
+ *       - $ref: '#/components/parameters/EmpresaValorMax'
+ *       - $ref: '#/components/parameters/EmpresaFaturamentoMin'
+ *       - $ref: '#/components/parameters/EmpresaFuncionariosMin'
  *     responses:
  *       200:
  *         description: Lista de empresas
@@ -350,40 +174,275 @@ router.post('/', async (req, res) => {
  *               properties:
  *                 sucesso:
  *                   type: boolean
+ *                 paginacao:
+ *                   $ref: '#/components/schemas/Paginacao'
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Empresa'
+ *                       - type: object
+ *                         properties:
+ *                           total_contatos:
+ *                             type: integer
+ *                             description: Quantidade de contatos (leads) recebidos
+ *       400:
+ *         description: Parâmetros de consulta inválidos
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/', autenticar, exigirPapel('admin', 'corretor'), async (req, res) => {
+  const resultado = await consultarEmpresas(req.query);
+
+  res.json({
+    sucesso: true,
+    paginacao: resultado.paginacao,
+    dados: resultado.dados
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/minhas:
+ *   get:
+ *     summary: Listar as empresas do usuário logado
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EmpresaBusca'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/EmpresaOrdenarPor'
+ *       - $ref: '#/components/parameters/Ordem'
+ *       - in: query
+ *         name: ativo
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por status
+ *     responses:
+ *       200:
+ *         description: Empresas cadastradas pelo usuário
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 paginacao:
+ *                   $ref: '#/components/schemas/Paginacao'
  *                 dados:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Empresa'
+ *       400:
+ *         description: Parâmetros de consulta inválidos
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/', autenticar, async (req, res) => {
-  try {
-    const query = `
-      SELECT id, titulo, nome, setor, cnpj, razao_social, email, telefone, 
-             localizacao, info, lucro, valor, faturamento, tipo, descricao,
-             ano_fundacao, tempo_operacao, assinatura, funcionarios, area_imovel, 
-             tipo_imovel, motivo_venda, dif, img, ativo
-      FROM empresas
-      ORDER BY nome ASC
-    `;
-
-    const resultado = await pool.query(query);
-
-    res.json({
-      sucesso: true,
-      dados: resultado.rows
-    });
+router.get('/minhas', autenticar, async (req, res) => {
+  const resultado = await consultarEmpresas(req.query, { usuarioId: req.usuario.id });
+
+  res.json({
+    sucesso: true,
+    paginacao: resultado.paginacao,
+    dados: resultado.dados
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/lixeira:
+ *   get:
+ *     summary: Listar empresas na lixeira
+ *     description: Administradores veem todas; os demais usuários, apenas os próprios anúncios excluídos
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: Empresas excluídas, das mais recentes para as mais antigas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 retencaoDias:
+ *                   type: integer
+ *                 paginacao:
+ *                   $ref: '#/components/schemas/Paginacao'
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Empresa'
+ *       400:
+ *         description: Parâmetros de paginação inválidos
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/lixeira', autenticar, async (req, res) => {
+  const paginacao = lerPaginacao(req.query);
+
+  if (paginacao.erro) {
+    throw new ErroValidacao(paginacao.erro);
+  }
+
+  const retencaoDias = diasRetencao();
+
+  const { total, dados } = await obterRepositorios().empresas.listarLixeira({
+    paginacao,
+    retencaoDias,
+    usuarioId: req.usuario.papel === 'admin' ? undefined : req.usuario.id
+  });
 
-  } catch (erro) {
-    console.error('Erro ao listar empresas:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao listar empresas'
+  res.json({
+    sucesso: true,
+    retencaoDias,
+    paginacao: metadadosPaginacao(paginacao, total),
+    dados: dados.map(comCnpjFormatado)
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/lixeira/purgar:
+ *   post:
+ *     summary: Excluir definitivamente empresas que passaram do período de retenção
+ *     description: Remove as empresas na lixeira há mais de LIXEIRA_RETENCAO_DIAS dias (padrão 30)
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purga concluída
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 removidos:
+ *                   type: integer
+ *                 retencaoDias:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/lixeira/purgar', autenticar, exigirPapel('admin'), async (req, res) => {
+  // As linhas de imagens e documentos somem em cascata; os arquivos precisam ser apagados à parte
+  const { removidos, ids, retencaoDias, arquivos } = await obterRepositorios().empresas.purgarLixeira();
+
+  await removerArquivos(arquivos.filter((arquivo) => arquivo.origem === 'imagem'), { requisicaoId: req.id });
+  await removerArquivosDocumentos(arquivos.filter((arquivo) => arquivo.origem === 'documento'), { requisicaoId: req.id });
+
+  if (removidos > 0) {
+    await registrarAuditoria(req, {
+      acao: 'purgar',
+      recurso: 'empresa',
+      detalhes: { ids, retencaoDias }
     });
   }
+
+  res.json({
+    sucesso: true,
+    mensagem: `${removidos} empresa(s) excluída(s) definitivamente`,
+    removidos,
+    retencaoDias
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/restaurar:
+ *   post:
+ *     summary: Restaurar empresa da lixeira
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     responses:
+ *       200:
+ *         description: Empresa restaurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   $ref: '#/components/schemas/Empresa'
+ *       404:
+ *         description: Empresa não encontrada na lixeira
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post('/:id/restaurar', autenticar, validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+  const { empresas } = obterRepositorios();
+
+  const empresa = await empresas.buscarNaLixeira(id);
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada na lixeira');
+  }
+
+  if (!podeGerenciar(req.usuario, empresa)) {
+    throw new ErroAcessoNegado('Apenas o dono do anúncio ou um administrador pode restaurá-lo');
+  }
+
+  const restaurada = await empresas.restaurar(id);
+
+  if (!restaurada) {
+    throw new ErroNaoEncontrado('Empresa não encontrada na lixeira');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'restaurar',
+    recurso: 'empresa',
+    recursoId: restaurada.id,
+    antes: empresa,
+    depois: restaurada
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Empresa restaurada com sucesso',
+    dados: comCnpjFormatado(restaurada)
+  });
 });
 
 /**
@@ -415,37 +474,97 @@ router.get('/', autenticar, async (req, res) => {
  *                   $ref: '#/components/schemas/Empresa'
  *       404:
  *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.get('/:id', autenticar, async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const query = 'SELECT * FROM empresas WHERE id = $1';
-    const resultado = await pool.query(query, [id]);
-
-    if (resultado.rows.length === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Empresa não encontrada'
-      });
+router.get('/:id', autenticar, validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+  const { empresas } = obterRepositorios();
+
+  const empresa = await empresas.buscarPorId(id);
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
+
+  if (!podeVisualizar(req.usuario, empresa)) {
+    throw new ErroAcessoNegado('Acesso negado a esta empresa');
+  }
+
+  res.json({
+    sucesso: true,
+    dados: {
+      ...comCnpjFormatado(empresa),
+      imagens: await listarImagens(empresa.id)
     }
+  });
+});
 
-    res.json({
-      sucesso: true,
-      dados: resultado.rows[0]
-    });
+/**
+ * @swagger
+ * /api/empresas/{id}/contatos:
+ *   get:
+ *     summary: Listar contatos (leads) recebidos por uma empresa
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     responses:
+ *       200:
+ *         description: Lista de contatos da empresa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Contato'
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/:id/contatos', autenticar, validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+  const { empresas, contatos } = obterRepositorios();
 
-  } catch (erro) {
-    console.error('Erro ao buscar empresa:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao buscar empresa'
-    });
+  const empresa = await empresas.buscarPorId(id);
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
   }
+
+  if (!podeVisualizar(req.usuario, empresa)) {
+    throw new ErroAcessoNegado('Acesso negado a esta empresa');
+  }
+
+  const dados = await contatos.listar({ empresaId: empresa.id });
+
+  res.json({
+    sucesso: true,
+    total: dados.length,
+    dados
+  });
 });
 
 /**
@@ -453,6 +572,9 @@ router.get('/:id', autenticar, async (req, res) => {
  * /api/empresas/{id}:
  *   put:
  *     summary: Atualizar empresa
+ *     description: |
+ *       Substitui todos os campos do anúncio (mesmos campos obrigatórios do cadastro; opcionais omitidos ficam vazios).
+ *       Para alterar apenas alguns campos, use PATCH
  *     tags: [Empresas]
  *     security:
  *       - bearerAuth: []
@@ -468,59 +590,7 @@ router.get('/:id', autenticar, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               titulo:
- *                 type: string
- *               nome:
- *                 type: string
- *               setor:
- *                 type: string
- *               razao_social:
- *                 type: string
- *               email:
- *                 type: string
- *                 format: email
- *               telefone:
- *                 type: string
- *               localizacao:
- *                 type: string
- *               info:
- *                 type: string
- *               lucro:
- *                 type: number
- *                 format: float
- *               valor:
- *                 type: number
- *                 format: float
- *               faturamento:
- *                 type: number
- *                 format: float
- *               tipo:
- *                 type: string
- *               descricao:
- *                 type: string
- *               ano_fundacao:
- *                 type: integer
- *               tempo_operacao:
- *                 type: integer
- *               assinatura:
- *                 type: integer
- *               funcionarios:
- *                 type: integer
- *               area_imovel:
- *                 type: number
- *                 format: float
- *               tipo_imovel:
- *                 type: string
- *               motivo_venda:
- *                 type: string
- *               dif:
- *                 type: string
- *               img:
- *                 type: string
- *               ativo:
- *                 type: boolean
+ *             $ref: '#/components/schemas/Empresa'
  *     responses:
  *       200:
  *         description: Empresa atualizada com sucesso
@@ -533,92 +603,183 @@ router.get('/:id', autenticar, async (req, res) => {
  *                   type: boolean
  *                 mensagem:
  *                   type: string
+ *                 cnpj:
+ *                   type: string
+ *                 cnpj_formatado:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         description: Empresa não encontrada
+ *       409:
+ *         description: CNPJ já cadastrado em outra empresa
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.put('/:id', autenticar, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { 
-      titulo, nome, setor, razao_social, email, telefone, 
-      localizacao, info, lucro, valor, faturamento, tipo, descricao,
-      ano_fundacao, tempo_operacao, assinatura, funcionarios, area_imovel, 
-      tipo_imovel, motivo_venda, dif, img, ativo 
-    } = req.body;
-
-    // Verificar se empresa existe
-    const empresaExistente = await pool.query(
-      'SELECT id FROM empresas WHERE id = $1',
-      [id]
-    );
+router.put('/:id', autenticar, validarIds('id'), validarCorpo(Empresa), async (req, res) => {
+  const { id } = req.params;
+  const { empresas } = obterRepositorios();
+
+  const empresaExistente = await empresas.buscarPorId(id);
+
+  if (!empresaExistente) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
+
+  if (!podeGerenciar(req.usuario, empresaExistente)) {
+    throw new ErroAcessoNegado('Apenas o dono do anúncio ou um administrador pode alterá-lo');
+  }
 
-    if (empresaExistente.rows.length === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Empresa não encontrada'
-      });
+  const cnpjLimpo = limparCNPJ(req.body.cnpj);
+
+  if (cnpjLimpo !== empresaExistente.cnpj && await empresas.buscarPorCnpj(cnpjLimpo, { exceto: empresaExistente.id })) {
+    throw new ErroConflito('CNPJ já cadastrado', { codigo: 'CNPJ_DUPLICADO' });
+  }
+
+  // O schema completo traz todas as colunas (as omitidas como null), então o PUT substitui o registro inteiro;
+  // só o status não é reescrito quando omitido, para que o PUT não reative um anúncio desativado
+  const empresa = await empresas.atualizar(id, {
+    ...req.body,
+    cnpj: cnpjLimpo,
+    ativo: req.body.ativo ?? empresaExistente.ativo
+  });
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
+
+  await registrarAuditoria(req, {
+    acao: 'atualizar',
+    recurso: 'empresa',
+    recursoId: empresa.id,
+    antes: empresaExistente,
+    depois: empresa
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Empresa atualizada com sucesso',
+    cnpj: cnpjLimpo,
+    cnpj_formatado: formatarCNPJ(cnpjLimpo)
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}:
+ *   patch:
+ *     summary: Atualizar parcialmente uma empresa
+ *     description: Altera apenas os campos enviados (com a mesma validação de tipos do cadastro) e devolve o registro atualizado
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Empresa'
+ *           example:
+ *             valor: 60000
+ *     responses:
+ *       200:
+ *         description: Empresa atualizada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   $ref: '#/components/schemas/Empresa'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         description: Empresa não encontrada
+ *       409:
+ *         description: CNPJ já cadastrado em outra empresa
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.patch('/:id', autenticar, validarIds('id'), validarCorpo(Empresa, { parcial: true }), async (req, res) => {
+  const { id } = req.params;
+  const dados = { ...req.body };
+  const { empresas } = obterRepositorios();
+
+  const empresaExistente = await empresas.buscarPorId(id);
+
+  if (!empresaExistente) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
+
+  if (!podeGerenciar(req.usuario, empresaExistente)) {
+    throw new ErroAcessoNegado('Apenas o dono do anúncio ou um administrador pode alterá-lo');
+  }
+
+  // Status enviado vazio mantém o atual, como no PUT
+  if (dados.ativo === null) {
+    dados.ativo = empresaExistente.ativo;
+  }
+
+  if (dados.cnpj !== undefined) {
+    dados.cnpj = limparCNPJ(dados.cnpj);
+
+    if (dados.cnpj !== empresaExistente.cnpj && await empresas.buscarPorCnpj(dados.cnpj, { exceto: empresaExistente.id })) {
+      throw new ErroConflito('CNPJ já cadastrado', { codigo: 'CNPJ_DUPLICADO' });
     }
+  }
 
-    const query = `
-      UPDATE empresas
-      SET titulo = $1, nome = $2, setor = $3, razao_social = $4, email = $5, 
-          telefone = $6, localizacao = $7, info = $8, lucro = $9, valor = $10, 
-          faturamento = $11, tipo = $12, descricao = $13, ano_fundacao = $14, 
-          tempo_operacao = $15, assinatura = $16, funcionarios = $17, area_imovel = $18, 
-          tipo_imovel = $19, motivo_venda = $20, dif = $21, img = $22, ativo = $23
-      WHERE id = $24
-    `;
-
-    await pool.query(query, [
-      titulo,
-      nome,
-      setor,
-      razao_social,
-      email,
-      telefone,
-      localizacao,
-      info,
-      lucro,
-      valor,
-      faturamento,
-      tipo,
-      descricao,
-      ano_fundacao,
-      tempo_operacao,
-      assinatura,
-      funcionarios,
-      area_imovel,
-      tipo_imovel,
-      motivo_venda,
-      dif,
-      img,
-      ativo !== undefined ? ativo : true,
-      id
-    ]);
-
-    res.json({
-      sucesso: true,
-      mensagem: 'Empresa atualizada com sucesso'
-    });
+  const empresa = await empresas.atualizar(id, dados);
 
-  } catch (erro) {
-    console.error('Erro ao atualizar empresa:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao atualizar empresa'
-    });
+  if (empresa === undefined) {
+    throw new ErroValidacao('Nenhum campo para atualizar');
+  }
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
   }
+
+  await registrarAuditoria(req, {
+    acao: 'atualizar',
+    recurso: 'empresa',
+    recursoId: empresa.id,
+    antes: empresaExistente,
+    depois: empresa
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Empresa atualizada com sucesso',
+    dados: comCnpjFormatado(empresa)
+  });
 });
 
 /**
  * @swagger
  * /api/empresas/{id}:
  *   delete:
- *     summary: Deletar empresa
+ *     summary: Mover empresa para a lixeira
+ *     description: |
+ *       Exclusão lógica (deleted_at/deleted_by). A empresa deixa de aparecer nas listagens
+ *       e pode ser restaurada em POST /api/empresas/{id}/restaurar até ser purgada
  *     tags: [Empresas]
  *     security:
  *       - bearerAuth: []
@@ -631,7 +792,7 @@ router.put('/:id', autenticar, async (req, res) => {
  *         description: ID da empresa
  *     responses:
  *       200:
- *         description: Empresa deletada com sucesso
+ *         description: Empresa movida para a lixeira
  *         content:
  *           application/json:
  *             schema:
@@ -643,39 +804,46 @@ router.put('/:id', autenticar, async (req, res) => {
  *                   type: string
  *       404:
  *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       401:
  *         description: Não autorizado
  *       500:
  *         description: Erro interno do servidor
  */
-router.delete('/:id', autenticar, async (req, res) => {
-  try {
-    const { id } = req.params;
+router.delete('/:id', autenticar, validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+  const { empresas } = obterRepositorios();
 
-    const resultado = await pool.query(
-      'DELETE FROM empresas WHERE id = $1',
-      [id]
-    );
+  const empresa = await empresas.buscarPorId(id);
 
-    if (resultado.rowCount === 0) {
-      return res.status(404).json({
-        sucesso: false,
-        mensagem: 'Empresa não encontrada'
-      });
-    }
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
 
-    res.json({
-      sucesso: true,
-      mensagem: 'Empresa deletada com sucesso'
-    });
+  if (!podeGerenciar(req.usuario, empresa)) {
+    throw new ErroAcessoNegado('Apenas o dono do anúncio ou um administrador pode excluí-lo');
+  }
 
-  } catch (erro) {
-    console.error('Erro ao deletar empresa:', erro);
-    res.status(500).json({
-      sucesso: false,
-      mensagem: 'Erro ao deletar empresa'
-    });
+  // Exclusão lógica: a empresa vai para a lixeira e pode ser restaurada
+  const excluida = await empresas.moverParaLixeira(id, req.usuario.id);
+
+  if (!excluida) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
   }
+
+  await registrarAuditoria(req, {
+    acao: 'excluir',
+    recurso: 'empresa',
+    recursoId: excluida.id,
+    antes: empresa,
+    depois: excluida
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Empresa movida para a lixeira'
+  });
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,485 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router({ mergeParams: true });
+const { transacao } = require('../repositories');
+const autenticar = require('../middleware/auth');
+const { carregarEmpresa } = require('../middleware/empresa');
+const { receberArquivos } = require('../middleware/upload');
+const { validarIds } = require('../middleware/validacao');
+const { podeGerenciar, podeVisualizar } = require('../utils/permissoesEmpresas');
+const {
+  TIPOS_IMAGEM,
+  tamanhoMaximoImagem,
+  limiteImagensPorEmpresa,
+  processarImagem
+} = require('../utils/imagens');
+const { comUrls, listarImagens, removerArquivos } = require('../utils/galeria');
+const { obterArmazenamento } = require('../services/armazenamento');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { ErroValidacao, ErroNaoEncontrado } = require('../utils/erros');
+
+// Quantidade de fotos aceitas em um único envio
+const IMAGENS_POR_ENVIO = 10;
+
+/**
+ * @swagger
+ * /api/empresas/{id}/imagens:
+ *   get:
+ *     summary: Listar a galeria de fotos da empresa
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     responses:
+ *       200:
+ *         description: Imagens na ordem de exibição
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImagemEmpresa'
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/', autenticar, carregarEmpresa(podeVisualizar), async (req, res) => {
+  const imagens = await listarImagens(req.empresa.id);
+
+  res.json({
+    sucesso: true,
+    total: imagens.length,
+    dados: imagens
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/imagens:
+ *   post:
+ *     summary: Enviar fotos para a galeria da empresa
+ *     description: |
+ *       Aceita JPEG, PNG e WebP de até IMAGEM_TAMANHO_MAXIMO_MB (padrão 5 MB) cada, 10 por envio
+ *       e IMAGENS_POR_EMPRESA (padrão 20) no total. O conteúdo é conferido, a orientação corrigida,
+ *       a resolução limitada a 1920px de largura, os metadados (EXIF/GPS) removidos e uma miniatura
+ *       400x300 gerada. As fotos entram no fim da galeria; a primeira foto da empresa vira a capa.
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imagens
+ *             properties:
+ *               imagens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Fotos adicionadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImagemEmpresa'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       413:
+ *         description: Arquivo maior que o limite
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.post(
+  '/',
+  autenticar,
+  carregarEmpresa(podeGerenciar),
+  receberArquivos({
+    campo: 'imagens',
+    tiposPermitidos: TIPOS_IMAGEM,
+    tamanhoMaximo: tamanhoMaximoImagem(),
+    quantidadeMaxima: IMAGENS_POR_ENVIO
+  }),
+  async (req, res) => {
+    const empresaId = req.empresa.id;
+    const limite = limiteImagensPorEmpresa();
+
+    // Todas as fotos são conferidas antes de gravar qualquer uma
+    const processadas = [];
+    const erros = [];
+
+    for (const arquivo of req.files) {
+      const resultado = await processarImagem(arquivo.buffer);
+
+      if (resultado.erro) {
+        erros.push({ campo: 'imagens', mensagem: `${arquivo.originalname}: ${resultado.erro}` });
+      } else {
+        processadas.push(resultado);
+      }
+    }
+
+    if (erros.length > 0) {
+      throw new ErroValidacao('Dados inválidos', { erros });
+    }
+
+    const armazenamento = obterArmazenamento();
+    const gravadas = [];
+    let inseridas;
+    let capa;
+
+    // Qualquer falha (inclusive a galeria cheia) apaga os arquivos já gravados antes de seguir para o middleware de erros
+    try {
+      for (const { principal, miniatura } of processadas) {
+        const nome = crypto.randomUUID();
+        const imagem = {
+          chave: `empresas/${empresaId}/${nome}.${principal.extensao}`,
+          chave_miniatura: `empresas/${empresaId}/${nome}-miniatura.${miniatura.extensao}`,
+          principal
+        };
+
+        gravadas.push(imagem);
+        await armazenamento.salvar(imagem.chave, principal.conteudo, { tipo: principal.tipo });
+        await armazenamento.salvar(imagem.chave_miniatura, miniatura.conteudo, { tipo: miniatura.tipo });
+      }
+
+      ({ inseridas, capa } = await transacao(async ({ imagens }) => {
+        const { total, ultima } = await imagens.resumirGaleria(empresaId);
+
+        if (total + gravadas.length > limite) {
+          throw new ErroValidacao(`A galeria aceita no máximo ${limite} imagens (${total} já enviadas)`);
+        }
+
+        const novas = [];
+
+        for (const [i, imagem] of gravadas.entries()) {
+          novas.push(await imagens.criar({
+            empresa_id: empresaId,
+            chave: imagem.chave,
+            chave_miniatura: imagem.chave_miniatura,
+            tipo_mime: imagem.principal.tipo,
+            tamanho: imagem.principal.conteudo.length,
+            largura: imagem.principal.largura,
+            altura: imagem.principal.altura,
+            ordem: ultima + 1 + i
+          }));
+        }
+
+        return { inseridas: novas, capa: await imagens.sincronizarCapa(empresaId) };
+      }));
+    } catch (erro) {
+      await removerArquivos(gravadas, { requisicaoId: req.id });
+      throw erro;
+    }
+
+    await registrarAuditoria(req, {
+      acao: 'adicionar_imagens',
+      recurso: 'empresa',
+      recursoId: empresaId,
+      detalhes: { imagens: inseridas.map((imagem) => imagem.id) }
+    });
+
+    res.status(201).json({
+      sucesso: true,
+      mensagem: `${inseridas.length} imagem(ns) adicionada(s) com sucesso`,
+      dados: inseridas.map((imagem) => comUrls({ ...imagem, capa: imagem.id === capa.id }))
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /api/empresas/{id}/imagens/ordem:
+ *   put:
+ *     summary: Reordenar a galeria
+ *     description: Recebe os IDs de todas as imagens da empresa na nova ordem de exibição
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [3, 1, 2]
+ *     responses:
+ *       200:
+ *         description: Galeria reordenada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImagemEmpresa'
+ *       400:
+ *         description: A lista não corresponde às imagens da empresa
+ *       404:
+ *         description: Empresa não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put('/ordem', autenticar, carregarEmpresa(podeGerenciar), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const ids = req.body?.ids;
+
+  if (!Array.isArray(ids) || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+    throw new ErroValidacao('Dados inválidos', {
+      erros: [{ campo: 'ids', mensagem: 'Deve ser uma lista de IDs de imagem' }]
+    });
+  }
+
+  // Ordem anterior (ids)
+  const anterior = await transacao(async ({ imagens }) => {
+    const atuais = await imagens.listar(empresaId, { bloquear: true });
+    const idsAtuais = new Set(atuais.map((imagem) => imagem.id));
+
+    if (ids.length !== idsAtuais.size || new Set(ids).size !== ids.length || !ids.every((id) => idsAtuais.has(id))) {
+      throw new ErroValidacao('Dados inválidos', {
+        erros: [{ campo: 'ids', mensagem: 'Informe cada imagem da empresa exatamente uma vez' }]
+      });
+    }
+
+    for (const [ordem, id] of ids.entries()) {
+      await imagens.definirOrdem(id, ordem);
+    }
+
+    return atuais.map((imagem) => imagem.id);
+  });
+
+  await registrarAuditoria(req, {
+    acao: 'ordenar_imagens',
+    recurso: 'empresa',
+    recursoId: empresaId,
+    detalhes: { antes: anterior, depois: ids }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Galeria reordenada com sucesso',
+    dados: await listarImagens(empresaId)
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/imagens/{imagemId}/capa:
+ *   put:
+ *     summary: Definir a foto de capa
+ *     description: A URL da capa também passa a ser o campo img da empresa
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: path
+ *         name: imagemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da imagem
+ *     responses:
+ *       200:
+ *         description: Capa definida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 mensagem:
+ *                   type: string
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImagemEmpresa'
+ *       404:
+ *         description: Empresa ou imagem não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.put('/:imagemId/capa', autenticar, carregarEmpresa(podeGerenciar), validarIds('imagemId'), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { imagemId } = req.params;
+
+  const { imagem, capa } = await transacao(async ({ imagens }) => {
+    const imagem = await imagens.buscar(empresaId, imagemId);
+
+    if (!imagem) {
+      throw new ErroNaoEncontrado('Imagem não encontrada');
+    }
+
+    await imagens.marcarCapa(empresaId, imagem.id);
+
+    return { imagem, capa: await imagens.sincronizarCapa(empresaId) };
+  });
+
+  if (!imagem.capa) {
+    await registrarAuditoria(req, {
+      acao: 'definir_capa',
+      recurso: 'empresa',
+      recursoId: empresaId,
+      antes: { img: req.empresa.img },
+      depois: { img: obterArmazenamento().url(capa.chave) },
+      detalhes: { imagem: capa.id }
+    });
+  }
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Capa definida com sucesso',
+    dados: await listarImagens(empresaId)
+  });
+});
+
+/**
+ * @swagger
+ * /api/empresas/{id}/imagens/{imagemId}:
+ *   delete:
+ *     summary: Remover foto da galeria
+ *     description: Se a foto removida era a capa, a próxima da ordem assume o lugar
+ *     tags: [Empresas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *       - in: path
+ *         name: imagemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da imagem
+ *     responses:
+ *       200:
+ *         description: Foto removida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: Empresa ou imagem não encontrada
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       401:
+ *         description: Não autorizado
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.delete('/:imagemId', autenticar, carregarEmpresa(podeGerenciar), validarIds('imagemId'), async (req, res) => {
+  const empresaId = req.empresa.id;
+  const { imagemId } = req.params;
+
+  const removida = await transacao(async ({ imagens }) => {
+    const imagem = await imagens.remover(empresaId, imagemId);
+
+    // Galeria vazia: img deixa de apontar para um arquivo que não existe mais
+    if (imagem && imagem.capa) {
+      await imagens.sincronizarCapa(empresaId, { imgAnterior: obterArmazenamento().url(imagem.chave) });
+    }
+
+    return imagem;
+  });
+
+  if (!removida) {
+    throw new ErroNaoEncontrado('Imagem não encontrada');
+  }
+
+  await removerArquivos([removida], { requisicaoId: req.id });
+
+  await registrarAuditoria(req, {
+    acao: 'remover_imagem',
+    recurso: 'empresa',
+    recursoId: empresaId,
+    detalhes: { imagem: removida.id, capa: removida.capa }
+  });
+
+  res.json({
+    sucesso: true,
+    mensagem: 'Imagem removida com sucesso'
+  });
+});
+
+module.exports = router;
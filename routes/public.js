@@ -0,0 +1,177 @@
+//routes/public.js
+const express = require('express');
+const router = express.Router();
+const { obterRepositorios } = require('../repositories');
+const { validarIds } = require('../middleware/validacao');
+const { metadadosPaginacao, lerConsultaEmpresas } = require('../utils/consultaEmpresas');
+const { listarImagens } = require('../utils/galeria');
+const { ErroValidacao, ErroNaoEncontrado } = require('../utils/erros');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmpresaPublica:
+ *       type: object
+ *       description: Projeção pública de uma empresa à venda (sem dados de contato ou identificação)
+ *       properties:
+ *         id:
+ *           type: integer
+ *         titulo:
+ *           type: string
+ *         nome:
+ *           type: string
+ *         setor:
+ *           type: string
+ *         localizacao:
+ *           type: string
+ *         info:
+ *           type: string
+ *         lucro:
+ *           type: number
+ *           format: float
+ *         valor:
+ *           type: number
+ *           format: float
+ *         faturamento:
+ *           type: number
+ *           format: float
+ *         tipo:
+ *           type: string
+ *         descricao:
+ *           type: string
+ *         ano_fundacao:
+ *           type: integer
+ *         tempo_operacao:
+ *           type: integer
+ *         funcionarios:
+ *           type: integer
+ *         area_imovel:
+ *           type: number
+ *           format: float
+ *         tipo_imovel:
+ *           type: string
+ *         motivo_venda:
+ *           type: string
+ *         dif:
+ *           type: string
+ *         img:
+ *           type: string
+ *           description: URL da foto de capa
+ *         imagens:
+ *           type: array
+ *           description: Galeria de fotos (apenas na consulta por ID)
+ *           items:
+ *             $ref: '#/components/schemas/ImagemEmpresa'
+ */
+
+/**
+ * @swagger
+ * /api/public/empresas:
+ *   get:
+ *     summary: Listar empresas ativas (catálogo público)
+ *     tags: [Público]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/EmpresaBusca'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/EmpresaOrdenarPor'
+ *       - $ref: '#/components/parameters/Ordem'
+ *       - $ref: '#/components/parameters/EmpresaSetor'
+ *       - $ref: '#/components/parameters/EmpresaTipo'
+ *       - $ref: '#/components/parameters/EmpresaLocalizacao'
+ *       - $ref: '#/components/parameters/EmpresaTipoImovel'
+ *       - $ref: '#/components/parameters/EmpresaValorMin'
+ *       - $ref: '#/components/parameters/EmpresaValorMax'
+ *       - $ref: '#/components/parameters/EmpresaFaturamentoMin'
+ *       - $ref: '#/components/parameters/EmpresaFuncionariosMin'
+ *     responses:
+ *       200:
+ *         description: Lista de empresas ativas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 paginacao:
+ *                   $ref: '#/components/schemas/Paginacao'
+ *                 dados:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmpresaPublica'
+ *       400:
+ *         description: Parâmetros de consulta inválidos
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/empresas', async (req, res) => {
+  const { consulta, erro } = lerConsultaEmpresas(req.query, { permitirAtivo: false });
+
+  if (erro) {
+    throw new ErroValidacao(erro);
+  }
+
+  // Catálogo mostra apenas anúncios ativos e fora da lixeira, com as colunas públicas
+  const { total, dados } = await obterRepositorios().empresas.listarPublicas(consulta);
+
+  res.json({
+    sucesso: true,
+    paginacao: metadadosPaginacao(consulta.paginacao, total),
+    dados
+  });
+});
+
+/**
+ * @swagger
+ * /api/public/empresas/{id}:
+ *   get:
+ *     summary: Buscar empresa ativa por ID (catálogo público)
+ *     tags: [Público]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID da empresa
+ *     responses:
+ *       200:
+ *         description: Empresa encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sucesso:
+ *                   type: boolean
+ *                 dados:
+ *                   $ref: '#/components/schemas/EmpresaPublica'
+ *       404:
+ *         description: Empresa não encontrada
+ *       500:
+ *         description: Erro interno do servidor
+ */
+router.get('/empresas/:id', validarIds('id'), async (req, res) => {
+  const { id } = req.params;
+  const { empresas } = obterRepositorios();
+
+  const empresa = await empresas.buscarPublica(id);
+
+  if (!empresa) {
+    throw new ErroNaoEncontrado('Empresa não encontrada');
+  }
+
+  res.json({
+    sucesso: true,
+    dados: {
+      ...empresa,
+      imagens: await listarImagens(empresa.id)
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+//schemas/contato.js
+// Schema do recurso Contato: valida POST/PUT em routes/contatos.js e gera o component do Swagger
+
+const TIPOS_CONTATO = ['cliente', 'fornecedor', 'parceiro'];
+
+const STATUS_CONTATO = ['novo', 'lido', 'em_contato', 'em_negociacao', 'proposta', 'fechado', 'perdido'];
+
+const Contato = {
+  type: 'object',
+  required: ['nome', 'email'],
+  properties: {
+    id: {
+      type: 'integer',
+      readOnly: true,
+      description: 'ID do contato'
+    },
+    nome: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 100,
+      description: 'Nome do contato',
+      example: 'João Silva'
+    },
+    email: {
+      type: 'string',
+      format: 'email',
+      maxLength: 100,
+      description: 'Email do contato',
+      example: 'joao@exemplo.com'
+    },
+    telefone: {
+      type: 'string',
+      format: 'telefone',
+      nullable: true,
+      description: 'Telefone do contato',
+      example: '(15) 99999-9999'
+    },
+    cidade: {
+      type: 'string',
+      maxLength: 100,
+      nullable: true,
+      description: 'Cidade do contato',
+      example: 'Sorocaba'
+    },
+    tipo: {
+      type: 'string',
+      enum: TIPOS_CONTATO,
+      default: 'cliente',
+      description: 'Tipo do contato',
+      example: 'cliente'
+    },
+    empresa_id: {
+      type: 'integer',
+      minimum: 1,
+      nullable: true,
+      description: 'ID da empresa (anúncio) de interesse',
+      example: 1
+    },
+    mensagem: {
+      type: 'string',
+      maxLength: 2000,
+      nullable: true,
+      description: 'Mensagem enviada pelo interessado',
+      example: 'Gostaria de mais informações sobre o faturamento'
+    },
+    status: {
+      type: 'string',
+      enum: STATUS_CONTATO,
+      readOnly: true,
+      description: 'Etapa do lead no funil de negociação (alterada via PATCH /api/contatos/{id}/status)'
+    },
+    status_atualizado_em: {
+      type: 'string',
+      format: 'date-time',
+      readOnly: true,
+      nullable: true,
+      description: 'Data da última mudança de status'
+    },
+    criado_em: {
+      type: 'string',
+      format: 'date-time',
+      readOnly: true,
+      description: 'Data de criação'
+    },
+    deleted_at: {
+      type: 'string',
+      format: 'date-time',
+      readOnly: true,
+      nullable: true,
+      description: 'Data da exclusão (preenchido apenas na lixeira)'
+    },
+    deleted_by: {
+      type: 'integer',
+      readOnly: true,
+      nullable: true,
+      description: 'ID do usuário que excluiu'
+    }
+  }
+};
+
+// Corpo de PATCH /api/contatos/{id}/status
+const AlteracaoStatusContato = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: {
+      type: 'string',
+      enum: STATUS_CONTATO,
+      description: 'Novo status do lead (a transição precisa ser permitida a partir do status atual)',
+      example: 'em_contato'
+    },
+    observacao: {
+      type: 'string',
+      nullable: true,
+      description: 'Observação registrada no histórico',
+      example: 'Primeira ligação realizada'
+    }
+  }
+};
+
+module.exports = {
+  TIPOS_CONTATO,
+  STATUS_CONTATO,
+  Contato,
+  AlteracaoStatusContato
+};
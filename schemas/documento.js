@@ -0,0 +1,83 @@
+//schemas/documento.js
+// Schemas dos documentos restritos dos anúncios (routes/documentosEmpresa.js)
+
+const CATEGORIAS_DOCUMENTO = [
+  'balanco', 'dre', 'contrato_social', 'contrato', 'licenca', 'certidao', 'fiscal', 'outro'
+];
+
+// Campos de texto do upload multipart (o arquivo vai no campo "arquivo")
+const DocumentoEmpresa = {
+  type: 'object',
+  required: ['categoria'],
+  properties: {
+    id: {
+      type: 'integer',
+      readOnly: true,
+      description: 'ID do documento'
+    },
+    empresa_id: {
+      type: 'integer',
+      readOnly: true,
+      description: 'ID da empresa'
+    },
+    categoria: {
+      type: 'string',
+      enum: CATEGORIAS_DOCUMENTO,
+      description: 'Categoria do documento',
+      example: 'balanco'
+    },
+    descricao: {
+      type: 'string',
+      maxLength: 500,
+      nullable: true,
+      description: 'Descrição exibida aos compradores',
+      example: 'Balanço patrimonial 2025'
+    },
+    nome_arquivo: {
+      type: 'string',
+      readOnly: true,
+      description: 'Nome original do arquivo enviado',
+      example: 'balanco-2025.pdf'
+    },
+    tipo_mime: {
+      type: 'string',
+      readOnly: true,
+      example: 'application/pdf'
+    },
+    tamanho: {
+      type: 'integer',
+      readOnly: true,
+      description: 'Tamanho em bytes'
+    },
+    usuario_id: {
+      type: 'integer',
+      readOnly: true,
+      description: 'ID do usuário que enviou'
+    },
+    criado_em: {
+      type: 'string',
+      format: 'date-time',
+      readOnly: true
+    }
+  }
+};
+
+// Corpo de POST /api/empresas/{id}/documentos/acessos
+const AcessoDocumentos = {
+  type: 'object',
+  required: ['usuario_id'],
+  properties: {
+    usuario_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'ID do comprador que poderá ver e baixar os documentos',
+      example: 5
+    }
+  }
+};
+
+module.exports = {
+  CATEGORIAS_DOCUMENTO,
+  DocumentoEmpresa,
+  AcessoDocumentos
+};
@@ -0,0 +1,225 @@
+//schemas/empresa.js
+// Schema do recurso Empresa: valida POST/PUT em routes/empresas.js e gera o component do Swagger
+
+const Empresa = {
+  type: 'object',
+  required: ['titulo', 'nome', 'setor', 'cnpj', 'email'],
+  properties: {
+    id: {
+      type: 'integer',
+      readOnly: true,
+      description: 'ID da empresa'
+    },
+    titulo: {
+      type: 'string',
+      maxLength: 200,
+      description: 'Título do anúncio',
+      example: 'Empresa de Tecnologia em Expansão'
+    },
+    nome: {
+      type: 'string',
+      maxLength: 200,
+      description: 'Nome fantasia da empresa',
+      example: 'Tech Solutions LTDA'
+    },
+    setor: {
+      type: 'string',
+      maxLength: 200,
+      description: 'Setor de atuação',
+      example: 'Tecnologia'
+    },
+    cnpj: {
+      type: 'string',
+      format: 'cnpj',
+      description: 'CNPJ com ou sem máscara, numérico ou alfanumérico (armazenado sem máscara)',
+      example: '11222333000181'
+    },
+    cnpj_formatado: {
+      type: 'string',
+      readOnly: true,
+      description: 'CNPJ com máscara (00.000.000/0000-00)',
+      example: '11.222.333/0001-81'
+    },
+    razao_social: {
+      type: 'string',
+      maxLength: 200,
+      nullable: true,
+      description: 'Razão social da empresa',
+      example: 'Tech Solutions Tecnologia LTDA'
+    },
+    email: {
+      type: 'string',
+      format: 'email',
+      maxLength: 100,
+      description: 'Email da empresa',
+      example: 'contato@techsolutions.com'
+    },
+    telefone: {
+      type: 'string',
+      format: 'telefone',
+      nullable: true,
+      description: 'Telefone da empresa',
+      example: '(15) 3333-4444'
+    },
+    localizacao: {
+      type: 'string',
+      maxLength: 255,
+      nullable: true,
+      description: 'Localização da empresa',
+      example: 'Sorocaba - SP'
+    },
+    info: {
+      type: 'string',
+      maxLength: 200,
+      nullable: true,
+      description: 'Informações adicionais',
+      example: 'Empresa consolidada no mercado'
+    },
+    lucro: {
+      type: 'number',
+      format: 'float',
+      nullable: true,
+      description: 'Lucro em reais',
+      example: 500000.00
+    },
+    valor: {
+      type: 'number',
+      format: 'float',
+      minimum: 0,
+      nullable: true,
+      description: 'Valor pedido em reais',
+      example: 2000000.00
+    },
+    faturamento: {
+      type: 'number',
+      format: 'float',
+      minimum: 0,
+      nullable: true,
+      description: 'Faturamento anual em reais',
+      example: 1500000.00
+    },
+    tipo: {
+      type: 'string',
+      maxLength: 50,
+      nullable: true,
+      description: 'Tipo/área da empresa',
+      example: 'Desenvolvimento de Software'
+    },
+    descricao: {
+      type: 'string',
+      nullable: true,
+      description: 'Descrição detalhada da empresa',
+      example: 'Empresa de tecnologia especializada em desenvolvimento de sistemas'
+    },
+    ano_fundacao: {
+      type: 'integer',
+      minimum: 1800,
+      maximum: 9999,
+      nullable: true,
+      description: 'Ano de fundação',
+      example: 2010
+    },
+    tempo_operacao: {
+      type: 'integer',
+      minimum: 0,
+      nullable: true,
+      description: 'Tempo de operação em anos',
+      example: 15
+    },
+    assinatura: {
+      type: 'integer',
+      minimum: 0,
+      nullable: true,
+      description: 'Tempo de assinatura em dias',
+      example: 365
+    },
+    funcionarios: {
+      type: 'integer',
+      minimum: 0,
+      nullable: true,
+      description: 'Número de funcionários',
+      example: 50
+    },
+    area_imovel: {
+      type: 'number',
+      format: 'float',
+      minimum: 0,
+      nullable: true,
+      description: 'Área do imóvel em m²',
+      example: 500.00
+    },
+    tipo_imovel: {
+      type: 'string',
+      maxLength: 200,
+      nullable: true,
+      description: 'Tipo do imóvel',
+      example: 'Comercial'
+    },
+    motivo_venda: {
+      type: 'string',
+      maxLength: 500,
+      nullable: true,
+      description: 'Motivo da venda',
+      example: 'Mudança de cidade'
+    },
+    dif: {
+      type: 'string',
+      maxLength: 500,
+      nullable: true,
+      description: 'Diferenciais',
+      example: 'Carteira de clientes consolidada'
+    },
+    img: {
+      type: 'string',
+      readOnly: true,
+      nullable: true,
+      description: 'URL da imagem de capa (preenchida automaticamente pela galeria em /api/empresas/{id}/imagens)',
+      example: 'https://exemplo.com/imagem.jpg'
+    },
+    ativo: {
+      type: 'boolean',
+      description: 'Status do anúncio (ignorado no cadastro, que sempre cria ativo; omitido na atualização, mantém o atual)',
+      example: true
+    },
+    usuario_id: {
+      type: 'integer',
+      readOnly: true,
+      nullable: true,
+      description: 'ID do usuário dono do anúncio'
+    },
+    criado_em: {
+      type: 'string',
+      format: 'date-time',
+      readOnly: true,
+      description: 'Data de criação'
+    },
+    deleted_at: {
+      type: 'string',
+      format: 'date-time',
+      readOnly: true,
+      nullable: true,
+      description: 'Data da exclusão (preenchido apenas na lixeira)'
+    },
+    deleted_by: {
+      type: 'integer',
+      readOnly: true,
+      nullable: true,
+      description: 'ID do usuário que excluiu'
+    },
+    total_contatos: {
+      type: 'integer',
+      readOnly: true,
+      description: 'Quantidade de contatos (leads) recebidos pelo anúncio'
+    },
+    imagens: {
+      type: 'array',
+      readOnly: true,
+      description: 'Galeria de fotos (apenas na consulta por ID)',
+      items: { $ref: '#/components/schemas/ImagemEmpresa' }
+    }
+  }
+};
+
+module.exports = {
+  Empresa
+};
@@ -0,0 +1,42 @@
+//schemas/index.js
+// Schemas declarativos dos recursos, usados na validação (middleware/validacao.js)
+// e registrados como components no Swagger (config/swagger.js)
+const { Empresa } = require('./empresa');
+const { Contato, AlteracaoStatusContato } = require('./contato');
+const {
+  Usuario,
+  RegistroUsuario,
+  Login,
+  SolicitacaoEmail,
+  VerificacaoEmail,
+  RenovacaoSessao,
+  AlteracaoSenha,
+  RedefinicaoSenha,
+  AlteracaoPapelUsuario,
+  AlteracaoAtivoUsuario,
+  ConfirmacaoDoisFatores,
+  VerificacaoDoisFatores,
+  DesativacaoDoisFatores
+} = require('./usuario');
+const { DocumentoEmpresa, AcessoDocumentos } = require('./documento');
+
+module.exports = {
+  Empresa,
+  Contato,
+  AlteracaoStatusContato,
+  Usuario,
+  RegistroUsuario,
+  Login,
+  SolicitacaoEmail,
+  VerificacaoEmail,
+  RenovacaoSessao,
+  AlteracaoSenha,
+  RedefinicaoSenha,
+  AlteracaoPapelUsuario,
+  AlteracaoAtivoUsuario,
+  ConfirmacaoDoisFatores,
+  VerificacaoDoisFatores,
+  DesativacaoDoisFatores,
+  DocumentoEmpresa,
+  AcessoDocumentos
+};
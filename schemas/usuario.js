@@ -0,0 +1,234 @@
+//schemas/usuario.js
+// Schemas de usuário: Usuario (resposta), RegistroUsuario (POST /api/auth/registro)
+// e os corpos das demais rotas de routes/auth.js (login, senha, 2FA e administração de usuários)
+const { PAPEIS, PAPEIS_REGISTRO } = require('../middleware/autorizacao');
+
+const Usuario = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'integer',
+      readOnly: true,
+      description: 'ID do usuário'
+    },
+    nome: {
+      type: 'string',
+      maxLength: 100,
+      description: 'Nome completo do usuário',
+      example: 'João Silva'
+    },
+    email: {
+      type: 'string',
+      format: 'email',
+      maxLength: 100,
+      description: 'Email do usuário',
+      example: 'joao@exemplo.com'
+    },
+    papel: {
+      type: 'string',
+      enum: PAPEIS,
+      description: 'Papel (perfil de acesso) do usuário',
+      example: 'comprador'
+    },
+    ativo: {
+      type: 'boolean',
+      description: 'Status do usuário',
+      example: true
+    }
+  }
+};
+
+// Regras de toda senha nova (cadastro, troca e redefinição)
+const SenhaNova = {
+  type: 'string',
+  format: 'password',
+  minLength: 6,
+  description: 'Senha (mínimo 6 caracteres)',
+  example: 'senha123'
+};
+
+const RegistroUsuario = {
+  type: 'object',
+  required: ['nome', 'email', 'senha', 'confirmarSenha'],
+  properties: {
+    nome: Usuario.properties.nome,
+    email: Usuario.properties.email,
+    senha: SenhaNova,
+    confirmarSenha: {
+      type: 'string',
+      format: 'password',
+      description: 'Deve ser igual à senha',
+      example: 'senha123'
+    },
+    papel: {
+      type: 'string',
+      enum: PAPEIS_REGISTRO,
+      default: 'comprador',
+      description: 'Perfil desejado (admin e corretor são atribuídos por um administrador)',
+      example: 'comprador'
+    }
+  }
+};
+
+const Login = {
+  type: 'object',
+  required: ['email', 'senha'],
+  properties: {
+    email: {
+      type: 'string',
+      format: 'email',
+      example: 'joao@exemplo.com'
+    },
+    senha: {
+      type: 'string',
+      format: 'password',
+      example: 'senha123'
+    }
+  }
+};
+
+// Corpo de POST /api/auth/esqueci-senha e /api/auth/reenviar-verificacao
+const SolicitacaoEmail = {
+  type: 'object',
+  required: ['email'],
+  properties: {
+    email: {
+      type: 'string',
+      format: 'email',
+      example: 'joao@exemplo.com'
+    }
+  }
+};
+
+const VerificacaoEmail = {
+  type: 'object',
+  required: ['token'],
+  properties: {
+    token: {
+      type: 'string',
+      description: 'Token recebido no link do email'
+    }
+  }
+};
+
+// Corpo de POST /api/auth/refresh e /api/auth/logout (clientes sem o cookie `refreshToken`)
+const RenovacaoSessao = {
+  type: 'object',
+  properties: {
+    refreshToken: {
+      type: 'string',
+      description: 'Refresh token, quando não enviado no cookie HttpOnly'
+    }
+  }
+};
+
+const AlteracaoSenha = {
+  type: 'object',
+  required: ['senhaAtual', 'novaSenha', 'confirmarNovaSenha'],
+  properties: {
+    senhaAtual: {
+      type: 'string',
+      format: 'password',
+      example: 'senha123'
+    },
+    novaSenha: { ...SenhaNova, example: 'novaSenha456' },
+    confirmarNovaSenha: {
+      type: 'string',
+      format: 'password',
+      description: 'Deve ser igual à nova senha',
+      example: 'novaSenha456'
+    }
+  }
+};
+
+const RedefinicaoSenha = {
+  type: 'object',
+  required: ['token', 'novaSenha', 'confirmarNovaSenha'],
+  properties: {
+    token: {
+      type: 'string',
+      description: 'Token recebido no link do email (uso único)'
+    },
+    novaSenha: AlteracaoSenha.properties.novaSenha,
+    confirmarNovaSenha: AlteracaoSenha.properties.confirmarNovaSenha
+  }
+};
+
+const AlteracaoPapelUsuario = {
+  type: 'object',
+  required: ['papel'],
+  properties: {
+    papel: Usuario.properties.papel
+  }
+};
+
+const AlteracaoAtivoUsuario = {
+  type: 'object',
+  required: ['ativo'],
+  properties: {
+    ativo: {
+      type: 'boolean',
+      description: 'false desativa o usuário e encerra as suas sessões',
+      example: false
+    }
+  }
+};
+
+// Código de 6 dígitos do aplicativo autenticador
+const CodigoTotp = {
+  type: 'string',
+  pattern: '^\\s*\\d{3}\\s?\\d{3}\\s*$',
+  description: 'Código de 6 dígitos do aplicativo autenticador',
+  example: '123456'
+};
+
+const ConfirmacaoDoisFatores = {
+  type: 'object',
+  required: ['codigo'],
+  properties: {
+    codigo: CodigoTotp
+  }
+};
+
+// Informe `codigo` ou `codigoRecuperacao`
+const VerificacaoDoisFatores = {
+  type: 'object',
+  required: ['desafio'],
+  properties: {
+    desafio: {
+      type: 'string',
+      description: 'Desafio devolvido por POST /api/auth/login'
+    },
+    codigo: CodigoTotp,
+    codigoRecuperacao: {
+      type: 'string',
+      description: 'Código de recuperação (uso único), no lugar do código do aplicativo',
+      example: '4827d-a47c6'
+    }
+  }
+};
+
+const DesativacaoDoisFatores = {
+  type: 'object',
+  required: ['senha', 'codigo'],
+  properties: {
+    senha: Login.properties.senha,
+    codigo: CodigoTotp
+  }
+};
+
+module.exports = {
+  Usuario,
+  RegistroUsuario,
+  Login,
+  SolicitacaoEmail,
+  VerificacaoEmail,
+  RenovacaoSessao,
+  AlteracaoSenha,
+  RedefinicaoSenha,
+  AlteracaoPapelUsuario,
+  AlteracaoAtivoUsuario,
+  ConfirmacaoDoisFatores,
+  VerificacaoDoisFatores,
+  DesativacaoDoisFatores
+};
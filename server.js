@@ -2,32 +2,56 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const swaggerSpecs = require('./config/swagger');
+const { CAMINHO_LOCAL, driverArmazenamento, diretorioLocal } = require('./services/armazenamento');
 const cookieParser = require('cookie-parser');
+const { identificarRequisicao, registrarRequisicao } = require('./middleware/requisicao');
+const { paraErroAplicacao } = require('./utils/erros');
+const { log } = require('./utils/log');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// CORS - Permissivo para testes
+// Atrás do proxy da Vercel o IP real do cliente vem em X-Forwarded-For
+// TRUST_PROXY aceita número de saltos (ex: 1) ou lista de sub-redes confiáveis
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// CORS: apenas as origens de CORS_ORIGIN (ex: https://a.com,https://b.com) recebem respostas com credenciais
+// Sem CORS_ORIGIN nenhuma origem externa é liberada (refletir qualquer Origin com credentials
+// deixaria qualquer site fazer chamadas autenticadas com os cookies de sessão)
+const origensPermitidas = (process.env.CORS_ORIGIN || '')
+  .split(',')
+  .map((origem) => origem.trim())
+  .filter(Boolean);
+
+if (origensPermitidas.length === 0 && process.env.NODE_ENV === 'production') {
+  log.warn('CORS_ORIGIN não definido: requisições de outras origens serão bloqueadas pelo navegador');
+}
+
 const corsOptions = {
-  origin: '*',
+  origin: origensPermitidas.length > 0 ? origensPermitidas : false,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 };
 
 app.use(cors(corsOptions));
 
+// Id da requisição (X-Request-Id), devolvido em toda resposta de erro, e log JSON de cada requisição
+app.use(identificarRequisicao);
+app.use(registrarRequisicao);
+
 // Middlewares
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-// Log de requisições em desenvolvimento
-if (process.env.NODE_ENV !== 'production') {
-  app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-  });
+// Imagens gravadas em disco (STORAGE_DRIVER=local) são servidas pela própria API
+if (driverArmazenamento() === 'local') {
+  app.use(CAMINHO_LOCAL, express.static(diretorioLocal(), { immutable: true, maxAge: '1y' }));
 }
 
 // Swagger UI customizado para Vercel com CDN
@@ -89,12 +113,20 @@ app.get('/api-docs.json', (req, res) => {
 // Importar rotas
 const contatosRoutes = require('./routes/contatos');
 const empresasRoutes = require('./routes/empresas');
+const imagensEmpresaRoutes = require('./routes/imagensEmpresa');
+const documentosEmpresaRoutes = require('./routes/documentosEmpresa');
 const authRoutes = require('./routes/auth');
+const publicRoutes = require('./routes/public');
+const auditoriaRoutes = require('./routes/auditoria');
 
 // Usar rotas
 app.use('/api/contatos', contatosRoutes);
 app.use('/api/empresas', empresasRoutes);
+app.use('/api/empresas/:id/imagens', imagensEmpresaRoutes);
+app.use('/api/empresas/:id/documentos', documentosEmpresaRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/auditoria', auditoriaRoutes);
 
 // Rota raiz
 app.get('/', (req, res) => {
@@ -112,7 +144,15 @@ app.get('/', (req, res) => {
         rotas: {
           'POST /api/contatos': 'Enviar novo contato (público)',
           'GET /api/contatos': 'Listar contatos (protegido)',
-          'PATCH /api/contatos/:id/lido': 'Marcar contato como lido (protegido)'
+          'PUT /api/contatos/:id': 'Substituir dados do contato (protegido)',
+          'PATCH /api/contatos/:id': 'Atualizar campos do contato (protegido)',
+          'DELETE /api/contatos/:id': 'Mover contato para a lixeira (admin)',
+          'GET /api/contatos/lixeira': 'Listar contatos na lixeira (admin)',
+          'POST /api/contatos/:id/restaurar': 'Restaurar contato da lixeira (admin)',
+          'POST /api/contatos/lixeira/purgar': 'Excluir definitivamente contatos após a retenção (admin)',
+          'PATCH /api/contatos/:id/lido': 'Marcar contato como lido (protegido)',
+          'PATCH /api/contatos/:id/status': 'Alterar status do lead (protegido)',
+          'GET /api/contatos/:id/historico': 'Histórico de status do lead (protegido)'
         }
       },
       empresas: {
@@ -120,23 +160,71 @@ app.get('/', (req, res) => {
         rotas: {
           'POST /api/empresas': 'Criar empresa (protegido)',
           'GET /api/empresas': 'Listar empresas (protegido)',
+          'GET /api/empresas/minhas': 'Listar minhas empresas (protegido)',
           'GET /api/empresas/:id': 'Buscar empresa (protegido)',
-          'PUT /api/empresas/:id': 'Atualizar empresa (protegido)',
-          'DELETE /api/empresas/:id': 'Deletar empresa (protegido)'
+          'GET /api/empresas/:id/contatos': 'Listar contatos da empresa (protegido)',
+          'GET /api/empresas/:id/imagens': 'Listar galeria de fotos (protegido)',
+          'POST /api/empresas/:id/imagens': 'Enviar fotos (multipart, protegido)',
+          'PUT /api/empresas/:id/imagens/ordem': 'Reordenar galeria (protegido)',
+          'PUT /api/empresas/:id/imagens/:imagemId/capa': 'Definir foto de capa (protegido)',
+          'DELETE /api/empresas/:id/imagens/:imagemId': 'Remover foto (protegido)',
+          'GET /api/empresas/:id/documentos': 'Listar documentos restritos (dono, admin ou comprador autorizado)',
+          'POST /api/empresas/:id/documentos': 'Anexar documento (multipart, dono ou admin)',
+          'DELETE /api/empresas/:id/documentos/:documentoId': 'Remover documento (dono ou admin)',
+          'POST /api/empresas/:id/documentos/:documentoId/link': 'Gerar link de download temporário',
+          'GET /api/empresas/:id/documentos/:documentoId/download': 'Baixar documento pelo link temporário',
+          'GET /api/empresas/:id/documentos/acessos': 'Listar compradores com acesso (dono ou admin)',
+          'POST /api/empresas/:id/documentos/acessos': 'Conceder acesso a um comprador (dono ou admin)',
+          'DELETE /api/empresas/:id/documentos/acessos/:usuarioId': 'Revogar acesso (dono ou admin)',
+          'GET /api/empresas/:id/documentos/downloads': 'Histórico de downloads (dono ou admin)',
+          'PUT /api/empresas/:id': 'Substituir dados da empresa (protegido)',
+          'PATCH /api/empresas/:id': 'Atualizar campos da empresa (protegido)',
+          'DELETE /api/empresas/:id': 'Mover empresa para a lixeira (protegido)',
+          'GET /api/empresas/lixeira': 'Listar empresas na lixeira (protegido)',
+          'POST /api/empresas/:id/restaurar': 'Restaurar empresa da lixeira (protegido)',
+          'POST /api/empresas/lixeira/purgar': 'Excluir definitivamente empresas após a retenção (admin)'
         }
       },
       auth: {
         descricao: 'Autenticação e autorização',
         rotas: {
           'POST /api/auth/registro': 'Registrar novo usuário',
+          'POST /api/auth/verificar-email': 'Confirmar email do cadastro',
+          'POST /api/auth/reenviar-verificacao': 'Reenviar email de verificação',
           'POST /api/auth/login': 'Fazer login',
+          'POST /api/auth/2fa/verificar': 'Segunda etapa do login com 2FA',
+          'POST /api/auth/refresh': 'Renovar sessão (cookie refreshToken)',
+          'POST /api/auth/logout': 'Encerrar sessão',
+          'POST /api/auth/sessoes/encerrar': 'Sair de todos os dispositivos (protegido)',
+          'POST /api/auth/2fa/configurar': 'Iniciar configuração do 2FA (protegido)',
+          'POST /api/auth/2fa/confirmar': 'Ativar 2FA com o primeiro código (protegido)',
+          'POST /api/auth/2fa/desativar': 'Desativar 2FA (protegido)',
           'GET /api/auth/perfil': 'Ver perfil (protegido)',
           'PUT /api/auth/alterar-senha': 'Alterar senha (protegido)',
-          'POST /api/auth/verificar-token': 'Verificar validade do token'
+          'POST /api/auth/esqueci-senha': 'Solicitar link de redefinição de senha',
+          'POST /api/auth/redefinir-senha': 'Redefinir senha com token recebido por email',
+          'POST /api/auth/verificar-token': 'Verificar validade do token',
+          'GET /api/auth/usuarios': 'Listar usuários (admin)',
+          'PATCH /api/auth/usuarios/:id/papel': 'Atribuir papel ao usuário (admin)',
+          'PATCH /api/auth/usuarios/:id/ativo': 'Ativar/desativar usuário (admin)',
+          'POST /api/auth/usuarios/:id/encerrar-sessoes': 'Encerrar sessões do usuário (admin)'
+        }
+      },
+      publico: {
+        descricao: 'Catálogo público de empresas à venda',
+        rotas: {
+          'GET /api/public/empresas': 'Listar empresas ativas (público)',
+          'GET /api/public/empresas/:id': 'Buscar empresa ativa (público)'
+        }
+      },
+      auditoria: {
+        descricao: 'Trilha de alterações',
+        rotas: {
+          'GET /api/auditoria': 'Consultar alterações por recurso, usuário e período (admin)'
         }
       }
     },
-    nota: 'Para rotas protegidas, envie o token JWT no header: Authorization: Bearer {token}'
+    nota: 'Para rotas protegidas, use o cookie HttpOnly definido no login ou envie o token JWT no header: Authorization: Bearer {token}'
   });
 });
 
@@ -155,20 +243,27 @@ app.use((req, res) => {
   res.status(404).json({
     sucesso: false,
     mensagem: 'Endpoint não encontrado',
+    codigo: 'ENDPOINT_NAO_ENCONTRADO',
     path: req.path
   });
 });
 
 // Tratamento de erros gerais
+// Erros da aplicação (utils/erros.js) e do banco viram a resposta com o seu status e `codigo`;
+// o resto é 500
 app.use((err, req, res, next) => {
-  console.error('Erro:', err.stack);
-  
-  res.status(err.status || 500).json({
+  const erro = paraErroAplicacao(err);
+
+  if (erro.status >= 500) {
+    log.error('Erro não tratado na requisição', { requisicaoId: req.id, erro: err });
+  }
+
+  res.status(erro.status).json({
     sucesso: false,
-    mensagem: process.env.NODE_ENV === 'production' 
-      ? 'Erro interno do servidor' 
-      : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+    mensagem: erro.message,
+    codigo: erro.codigo,
+    ...(erro.erros && { erros: erro.erros }),
+    ...(erro.status >= 500 && process.env.NODE_ENV !== 'production' && { stack: err.stack })
   });
 });
 
@@ -186,14 +281,14 @@ if (require.main === module) {
 
 // Tratamento de erros não capturados
 process.on('unhandledRejection', (err) => {
-  console.error('Erro não tratado:', err);
+  log.error('Promise rejeitada sem tratamento', { erro: err });
   if (process.env.NODE_ENV !== 'production') {
     process.exit(1);
   }
 });
 
 process.on('uncaughtException', (err) => {
-  console.error('Exceção não capturada:', err);
+  log.error('Exceção não capturada', { erro: err });
   if (process.env.NODE_ENV !== 'production') {
     process.exit(1);
   }
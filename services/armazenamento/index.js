@@ -0,0 +1,99 @@
+//services/armazenamento/index.js
+const path = require('path');
+const criarArmazenamentoLocal = require('./local');
+const criarArmazenamentoS3 = require('./s3');
+
+let armazenamento;
+let armazenamentoPrivado;
+
+// Em disco as imagens são servidas pela própria API neste caminho (ver server.js)
+const CAMINHO_LOCAL = '/uploads';
+
+/**
+ * Driver configurado em STORAGE_DRIVER (local | s3)
+ * Padrão: local em desenvolvimento, s3 em produção
+ */
+const driverArmazenamento = () => {
+  return process.env.STORAGE_DRIVER
+    || (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+};
+
+const diretorioLocal = () => {
+  return process.env.STORAGE_DIR || path.join(process.cwd(), 'tmp', 'uploads');
+};
+
+const criarArmazenamento = ({ diretorio, bucket, urlBase, publico }) => {
+  const driver = driverArmazenamento();
+
+  switch (driver) {
+    case 'local':
+      return criarArmazenamentoLocal({ diretorio, urlBase });
+    case 's3':
+      return criarArmazenamentoS3({
+        bucket,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        urlBase,
+        publico
+      });
+    default:
+      throw new Error(`STORAGE_DRIVER desconhecido: ${driver}`);
+  }
+};
+
+/**
+ * Armazenamento público (fotos dos anúncios), selecionado pelo STORAGE_DRIVER
+ * Interface: salvar(chave, conteudo, { tipo }), obter(chave), remover(chave) e url(chave)
+ */
+const obterArmazenamento = () => {
+  if (!armazenamento) {
+    armazenamento = criarArmazenamento({
+      diretorio: diretorioLocal(),
+      bucket: process.env.S3_BUCKET,
+      urlBase: process.env.STORAGE_PUBLIC_URL || CAMINHO_LOCAL,
+      publico: true
+    });
+  }
+
+  return armazenamento;
+};
+
+/**
+ * Armazenamento privado (documentos restritos): fora do diretório servido em /uploads
+ * e em outro bucket (S3_PRIVATE_BUCKET), sem URL pública; o conteúdo só sai pela API
+ */
+const obterArmazenamentoPrivado = () => {
+  if (!armazenamentoPrivado) {
+    armazenamentoPrivado = criarArmazenamento({
+      diretorio: process.env.STORAGE_PRIVATE_DIR || path.join(process.cwd(), 'tmp', 'privado'),
+      bucket: process.env.S3_PRIVATE_BUCKET,
+      urlBase: null,
+      publico: false
+    });
+  }
+
+  return armazenamentoPrivado;
+};
+
+/**
+ * Substitui o armazenamento (útil em testes)
+ */
+const definirArmazenamento = (novoArmazenamento) => {
+  armazenamento = novoArmazenamento;
+};
+
+const definirArmazenamentoPrivado = (novoArmazenamento) => {
+  armazenamentoPrivado = novoArmazenamento;
+};
+
+module.exports = {
+  CAMINHO_LOCAL,
+  driverArmazenamento,
+  diretorioLocal,
+  obterArmazenamento,
+  obterArmazenamentoPrivado,
+  definirArmazenamento,
+  definirArmazenamentoPrivado
+};
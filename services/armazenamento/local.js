@@ -0,0 +1,41 @@
+//services/armazenamento/local.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Armazenamento em disco (desenvolvimento e testes)
+ * Os arquivos ficam em `diretorio` e são servidos em `urlBase` (sem urlBase não há URL pública)
+ */
+const criarArmazenamentoLocal = ({ diretorio, urlBase }) => {
+  const raiz = path.resolve(diretorio);
+
+  // As chaves são geradas pela API, mas nunca podem sair do diretório raiz
+  const caminho = (chave) => {
+    const destino = path.resolve(raiz, chave);
+    if (!destino.startsWith(raiz + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${chave}`);
+    }
+    return destino;
+  };
+
+  return {
+    salvar: async (chave, conteudo) => {
+      const destino = caminho(chave);
+      await fs.mkdir(path.dirname(destino), { recursive: true });
+      await fs.writeFile(destino, conteudo);
+    },
+
+    obter: (chave) => fs.readFile(caminho(chave)),
+
+    remover: async (chave) => {
+      await fs.rm(caminho(chave), { force: true });
+    },
+
+    url: (chave) => {
+      if (!urlBase) throw new Error('Armazenamento privado não tem URL pública');
+      return `${urlBase}/${chave}`;
+    }
+  };
+};
+
+module.exports = criarArmazenamentoLocal;
@@ -0,0 +1,60 @@
+//services/armazenamento/s3.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Armazenamento em S3 ou serviço compatível (MinIO, Cloudflare R2, DigitalOcean Spaces...)
+ * Com `endpoint` usa endereçamento por caminho (bucket na URL), exigido pela maioria dos compatíveis
+ * `urlBase` é o endereço público dos objetos (ex: CDN); sem ele a URL é montada a partir do bucket
+ * Com `publico` falso (documentos restritos) não há URL e os objetos não podem ir para caches
+ */
+const criarArmazenamentoS3 = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, urlBase, publico = true }) => {
+  if (!bucket) {
+    throw new Error(publico ? 'S3_BUCKET não configurado' : 'S3_PRIVATE_BUCKET não configurado');
+  }
+
+  const cliente = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const base = urlBase
+    || (endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    salvar: async (chave, conteudo, { tipo } = {}) => {
+      await cliente.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: chave,
+        Body: conteudo,
+        ContentType: tipo,
+        // Chaves nunca são reaproveitadas: o objeto público pode ficar em cache indefinidamente
+        CacheControl: publico ? 'public, max-age=31536000, immutable' : 'private, no-store'
+      }));
+    },
+
+    obter: async (chave) => {
+      const resposta = await cliente.send(new GetObjectCommand({ Bucket: bucket, Key: chave }));
+      return Buffer.from(await resposta.Body.transformToByteArray());
+    },
+
+    remover: async (chave) => {
+      await cliente.send(new DeleteObjectCommand({ Bucket: bucket, Key: chave }));
+    },
+
+    url: (chave) => {
+      if (!publico) throw new Error('Armazenamento privado não tem URL pública');
+      return `${base}/${chave}`;
+    }
+  };
+};
+
+module.exports = criarArmazenamentoS3;
@@ -0,0 +1,19 @@
+//services/email/arquivo.js
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Adaptador de email para testes locais: grava cada mensagem como JSON em MAIL_DIR
+ */
+const criarAdaptadorArquivo = ({ diretorio }) => ({
+  enviar: async (mensagem) => {
+    await fs.mkdir(diretorio, { recursive: true });
+
+    const nome = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const conteudo = { ...mensagem, enviado_em: new Date().toISOString() };
+
+    await fs.writeFile(path.join(diretorio, nome), JSON.stringify(conteudo, null, 2));
+  }
+});
+
+module.exports = criarAdaptadorArquivo;
@@ -0,0 +1,17 @@
+//services/email/console.js
+
+/**
+ * Adaptador de email para desenvolvimento: apenas imprime a mensagem no console
+ */
+const criarAdaptadorConsole = () => ({
+  enviar: async (mensagem) => {
+    console.log('═══════════════ EMAIL ═══════════════');
+    console.log(`Para: ${mensagem.para}`);
+    console.log(`Assunto: ${mensagem.assunto}`);
+    console.log('');
+    console.log(mensagem.texto);
+    console.log('═════════════════════════════════════');
+  }
+});
+
+module.exports = criarAdaptadorConsole;
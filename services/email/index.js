@@ -0,0 +1,61 @@
+//services/email/index.js
+const path = require('path');
+const criarAdaptadorConsole = require('./console');
+const criarAdaptadorArquivo = require('./arquivo');
+const criarAdaptadorSmtp = require('./smtp');
+
+let adaptador;
+
+/**
+ * Seleciona o adaptador pelo MAIL_DRIVER (smtp | arquivo | console)
+ * Padrão: console em desenvolvimento, smtp em produção
+ */
+const obterAdaptador = () => {
+  if (adaptador) return adaptador;
+
+  const driver = process.env.MAIL_DRIVER
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (driver) {
+    case 'smtp':
+      adaptador = criarAdaptadorSmtp({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+        remetente: process.env.MAIL_FROM || 'Balcão de Negócios <nao-responda@exemplo.com>'
+      });
+      break;
+    case 'arquivo':
+      adaptador = criarAdaptadorArquivo({
+        diretorio: process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'emails')
+      });
+      break;
+    case 'console':
+      adaptador = criarAdaptadorConsole();
+      break;
+    default:
+      throw new Error(`MAIL_DRIVER desconhecido: ${driver}`);
+  }
+
+  return adaptador;
+};
+
+/**
+ * Envia um email pelo adaptador configurado
+ * mensagem: { para, assunto, texto, html? }
+ */
+const enviarEmail = (mensagem) => obterAdaptador().enviar(mensagem);
+
+/**
+ * Substitui o adaptador (útil em testes)
+ */
+const definirAdaptador = (novoAdaptador) => {
+  adaptador = novoAdaptador;
+};
+
+module.exports = {
+  enviarEmail,
+  definirAdaptador
+};
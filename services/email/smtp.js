@@ -0,0 +1,28 @@
+//services/email/smtp.js
+const nodemailer = require('nodemailer');
+
+/**
+ * Adaptador de email via SMTP (produção)
+ */
+const criarAdaptadorSmtp = ({ host, port, secure, user, pass, remetente }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    enviar: async (mensagem) => {
+      await transporter.sendMail({
+        from: remetente,
+        to: mensagem.para,
+        subject: mensagem.assunto,
+        text: mensagem.texto,
+        html: mensagem.html
+      });
+    }
+  };
+};
+
+module.exports = criarAdaptadorSmtp;
@@ -0,0 +1,63 @@
+//services/email/templates.js
+
+// URL do front-end usada nos links enviados por email
+const urlApp = () => process.env.APP_URL || 'http://localhost:3000';
+
+// Nomes vêm do cadastro do usuário e não podem virar HTML
+const escaparHtml = (texto) => String(texto)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const emailRedefinicaoSenha = ({ nome, token, validadeMinutos }) => {
+  const link = `${urlApp()}/redefinir-senha?token=${encodeURIComponent(token)}`;
+
+  return {
+    assunto: 'Redefinição de senha',
+    texto: [
+      `Olá, ${nome}!`,
+      '',
+      'Recebemos um pedido para redefinir a sua senha. Para criar uma nova senha, acesse:',
+      link,
+      '',
+      `O link é válido por ${validadeMinutos} minutos e só pode ser usado uma vez.`,
+      'Se você não fez este pedido, ignore este email.'
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escaparHtml(nome)}!</p>
+      <p>Recebemos um pedido para redefinir a sua senha.</p>
+      <p><a href="${link}">Criar nova senha</a></p>
+      <p>O link é válido por ${validadeMinutos} minutos e só pode ser usado uma vez.
+      Se você não fez este pedido, ignore este email.</p>
+    `
+  };
+};
+
+const emailVerificacao = ({ nome, token, validade }) => {
+  const link = `${urlApp()}/verificar-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    assunto: 'Confirme o seu email',
+    texto: [
+      `Olá, ${nome}!`,
+      '',
+      'Para ativar a sua conta, confirme o seu email acessando:',
+      link,
+      '',
+      `O link é válido por ${validade}.`,
+      'Se você não criou uma conta, ignore este email.'
+    ].join('\n'),
+    html: `
+      <p>Olá, ${escaparHtml(nome)}!</p>
+      <p>Para ativar a sua conta, confirme o seu email.</p>
+      <p><a href="${link}">Confirmar email</a></p>
+      <p>O link é válido por ${validade}. Se você não criou uma conta, ignore este email.</p>
+    `
+  };
+};
+
+module.exports = {
+  emailRedefinicaoSenha,
+  emailVerificacao
+};
@@ -0,0 +1,41 @@
+//services/tentativasLogin/index.js
+const criarArmazenamentoMemoria = require('./memoria');
+const criarArmazenamentoPostgres = require('./postgres');
+
+let armazenamento;
+
+/**
+ * Seleciona o armazenamento pelo LOGIN_ATTEMPTS_STORE (memoria | postgres)
+ * Padrão: memoria em desenvolvimento, postgres em produção
+ */
+const obterArmazenamento = () => {
+  if (armazenamento) return armazenamento;
+
+  const tipo = process.env.LOGIN_ATTEMPTS_STORE
+    || (process.env.NODE_ENV === 'production' ? 'postgres' : 'memoria');
+
+  switch (tipo) {
+    case 'memoria':
+      armazenamento = criarArmazenamentoMemoria();
+      break;
+    case 'postgres':
+      armazenamento = criarArmazenamentoPostgres({ pool: require('../../config/database') });
+      break;
+    default:
+      throw new Error(`LOGIN_ATTEMPTS_STORE desconhecido: ${tipo}`);
+  }
+
+  return armazenamento;
+};
+
+/**
+ * Substitui o armazenamento (útil em testes)
+ */
+const definirArmazenamento = (novoArmazenamento) => {
+  armazenamento = novoArmazenamento;
+};
+
+module.exports = {
+  obterArmazenamento,
+  definirArmazenamento
+};
@@ -0,0 +1,76 @@
+//services/tentativasLogin/memoria.js
+
+// Intervalo mínimo entre duas varreduras dos registros expirados
+const INTERVALO_LIMPEZA_MS = 60 * 1000;
+
+/**
+ * Armazenamento de tentativas de login em memória (desenvolvimento / instância única)
+ * Não é compartilhado entre instâncias serverless: use o adaptador postgres em produção
+ * Registros sem efeito (janela e bloqueio já vencidos) são descartados, para a memória não crescer sem limite
+ * `agora` só existe para os testes controlarem o relógio
+ */
+const criarArmazenamentoMemoria = ({ agora = () => new Date() } = {}) => {
+  const registros = new Map();
+  let ultimaLimpeza = 0;
+
+  // A janela conta da última falha: até lá o registro ainda decide a espera entre tentativas
+  const expirado = (registro, momento) => {
+    return registro.ultimaFalhaEm.getTime() + registro.janelaMs <= momento.getTime()
+      && (!registro.bloqueadoAte || new Date(registro.bloqueadoAte) <= momento);
+  };
+
+  const limpar = (momento) => {
+    if (momento.getTime() - ultimaLimpeza < INTERVALO_LIMPEZA_MS) return;
+    ultimaLimpeza = momento.getTime();
+
+    for (const [chave, registro] of registros) {
+      if (expirado(registro, momento)) registros.delete(chave);
+    }
+  };
+
+  const semJanela = ({ janelaMs, ...registro }) => registro;
+
+  return {
+    consultar: async (chave) => {
+      const momento = agora();
+      limpar(momento);
+
+      const registro = registros.get(chave);
+      return registro && !expirado(registro, momento) ? semJanela(registro) : null;
+    },
+
+    registrarFalha: async (chave, { janelaMs }) => {
+      const momento = agora();
+      limpar(momento);
+
+      const atual = registros.get(chave);
+
+      // Fora da janela a contagem recomeça (mantendo um bloqueio eventualmente ativo)
+      const reiniciar = !atual || momento - atual.primeiraFalhaEm > janelaMs;
+      const registro = {
+        falhas: reiniciar ? 1 : atual.falhas + 1,
+        primeiraFalhaEm: reiniciar ? momento : atual.primeiraFalhaEm,
+        ultimaFalhaEm: momento,
+        bloqueadoAte: atual ? atual.bloqueadoAte : null,
+        janelaMs
+      };
+
+      registros.set(chave, registro);
+      return semJanela(registro);
+    },
+
+    bloquear: async (chave, ate) => {
+      const atual = registros.get(chave);
+      if (atual) atual.bloqueadoAte = ate;
+    },
+
+    limpar: async (chave) => {
+      registros.delete(chave);
+    },
+
+    // Quantidade de chaves guardadas
+    tamanho: () => registros.size
+  };
+};
+
+module.exports = criarArmazenamentoMemoria;
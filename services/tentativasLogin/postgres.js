@@ -0,0 +1,57 @@
+//services/tentativasLogin/postgres.js
+
+// Converte a linha do banco para o formato comum aos adaptadores
+const paraRegistro = (linha) => linha && {
+  falhas: linha.falhas,
+  primeiraFalhaEm: linha.primeira_falha_em,
+  ultimaFalhaEm: linha.ultima_falha_em,
+  bloqueadoAte: linha.bloqueado_ate
+};
+
+/**
+ * Armazenamento de tentativas de login no PostgreSQL (tabela tentativas_login)
+ * Compartilhado entre as instâncias serverless da Vercel
+ */
+const criarArmazenamentoPostgres = ({ pool }) => ({
+  consultar: async (chave) => {
+    const resultado = await pool.query(
+      `SELECT falhas, primeira_falha_em, ultima_falha_em, bloqueado_ate
+       FROM tentativas_login
+       WHERE chave = $1`,
+      [chave]
+    );
+    return paraRegistro(resultado.rows[0]) || null;
+  },
+
+  registrarFalha: async (chave, { janelaMs }) => {
+    // Upsert atômico: fora da janela a contagem recomeça
+    const resultado = await pool.query(
+      `INSERT INTO tentativas_login (chave, falhas, primeira_falha_em, ultima_falha_em)
+       VALUES ($1, 1, NOW(), NOW())
+       ON CONFLICT (chave) DO UPDATE SET
+         falhas = CASE
+           WHEN tentativas_login.primeira_falha_em < NOW() - make_interval(secs => $2)
+           THEN 1 ELSE tentativas_login.falhas + 1 END,
+         primeira_falha_em = CASE
+           WHEN tentativas_login.primeira_falha_em < NOW() - make_interval(secs => $2)
+           THEN NOW() ELSE tentativas_login.primeira_falha_em END,
+         ultima_falha_em = NOW()
+       RETURNING falhas, primeira_falha_em, ultima_falha_em, bloqueado_ate`,
+      [chave, janelaMs / 1000]
+    );
+    return paraRegistro(resultado.rows[0]);
+  },
+
+  bloquear: async (chave, ate) => {
+    await pool.query(
+      'UPDATE tentativas_login SET bloqueado_ate = $2 WHERE chave = $1',
+      [chave, ate]
+    );
+  },
+
+  limpar: async (chave) => {
+    await pool.query('DELETE FROM tentativas_login WHERE chave = $1', [chave]);
+  }
+});
+
+module.exports = criarArmazenamentoPostgres;
@@ -0,0 +1,136 @@
+//test/apoio/app.js
+// Sobe o app exportado por server.js contra um banco descartável (test/apoio/banco.js)
+// Cada arquivo de teste roda em um processo próprio (node --test), então cada um tem o seu banco
+// Com REPOSITORY_DRIVER=memoria já definido (test/memoria.test.js) as rotas usam os repositórios em memória
+// e nenhum banco é criado
+const request = require('supertest');
+const { criarBanco } = require('./banco');
+const { obterRepositorios, definirRepositorios } = require('../../repositories');
+
+const SENHA_PADRAO = 'senha123';
+
+let sequencia = 0;
+
+/**
+ * Retorna { app, banco, emails, aguardarEmail, cadastrar, entrar, criarSessao }
+ * `emails` acumula as mensagens que o app enviaria (nada sai do processo)
+ * `banco` é null com o driver memoria
+ */
+const iniciarApp = async () => {
+  // Definidas antes de carregar o app: o dotenv não sobrescreve variáveis já presentes
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    JWT_SECRET: 'segredo-dos-testes',
+    REPOSITORY_DRIVER: process.env.REPOSITORY_DRIVER === 'memoria' ? 'memoria' : 'postgres',
+    LOGIN_ATTEMPTS_STORE: 'memoria',
+    SOLICITACAO_TEMPO_MINIMO_MS: '50'
+  });
+
+  const banco = process.env.REPOSITORY_DRIVER === 'postgres' ? await criarBanco() : null;
+
+  // Todos os módulos que fazem require('config/database') recebem o banco descartável
+  if (banco) {
+    const caminhoBanco = require.resolve('../../config/database');
+    require.cache[caminhoBanco] = {
+      id: caminhoBanco,
+      filename: caminhoBanco,
+      loaded: true,
+      exports: banco
+    };
+  }
+
+  // Repositórios recriados a cada chamada: no driver memoria, cada suíte começa com os dados vazios
+  definirRepositorios(null);
+
+  const emails = [];
+  require('../../services/email').definirAdaptador({
+    enviar: async (mensagem) => {
+      emails.push(mensagem);
+    }
+  });
+
+  const app = require('../../server');
+
+  /**
+   * Registra um usuário e confirma o email com o link recebido
+   * Papéis que o registro não aceita (admin, corretor) são atribuídos direto no repositório
+   */
+  const cadastrar = async ({ papel = 'comprador', senha = SENHA_PADRAO, ...dados } = {}) => {
+    sequencia++;
+
+    const usuario = {
+      nome: `Usuário ${sequencia}`,
+      email: `usuario${sequencia}@teste.com`,
+      ...dados
+    };
+
+    const registro = await request(app)
+      .post('/api/auth/registro')
+      .send({
+        ...usuario,
+        senha,
+        confirmarSenha: senha,
+        papel: ['comprador', 'vendedor'].includes(papel) ? papel : 'comprador'
+      });
+
+    if (registro.status !== 201) {
+      throw new Error(`Falha ao registrar ${usuario.email}: ${registro.status} ${JSON.stringify(registro.body)}`);
+    }
+
+    const email = emails.filter((mensagem) => mensagem.para === usuario.email).pop();
+    const [, token] = email.texto.match(/token=([\w.-]+)/);
+    await request(app).post('/api/auth/verificar-email').send({ token });
+
+    await obterRepositorios().usuarios.alterarPapel(registro.body.id, papel);
+
+    return { ...usuario, id: registro.body.id, papel, senha };
+  };
+
+  /**
+   * Agente do supertest com os cookies de sessão do login
+   */
+  const entrar = async ({ email, senha }) => {
+    const agente = request.agent(app);
+    const login = await agente.post('/api/auth/login').send({ email, senha });
+
+    if (login.status !== 200) {
+      throw new Error(`Falha no login de ${email}: ${login.status} ${JSON.stringify(login.body)}`);
+    }
+
+    return agente;
+  };
+
+  // Último email enviado para `para`, esperando até `limiteMs` por envios ainda em andamento
+  const aguardarEmail = async (para, { limiteMs = 2000 } = {}) => {
+    const limite = Date.now() + limiteMs;
+
+    while (Date.now() < limite) {
+      const email = emails.filter((mensagem) => mensagem.para === para).pop();
+      if (email) return email;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    return null;
+  };
+
+  // Usuário novo já autenticado: { usuario, agente }
+  const criarSessao = async (dados) => {
+    const usuario = await cadastrar(dados);
+    return { usuario, agente: await entrar(usuario) };
+  };
+
+  return {
+    app,
+    banco,
+    emails,
+    aguardarEmail,
+    cadastrar,
+    entrar,
+    criarSessao
+  };
+};
+
+module.exports = {
+  iniciarApp,
+  SENHA_PADRAO
+};
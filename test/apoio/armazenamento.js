@@ -0,0 +1,42 @@
+//test/apoio/armazenamento.js
+// Armazenamentos público e privado em diretórios temporários, no lugar de tmp/uploads e tmp/privado
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const criarArmazenamentoLocal = require('../../services/armazenamento/local');
+const { definirArmazenamento, definirArmazenamentoPrivado } = require('../../services/armazenamento');
+
+/**
+ * Troca os dois armazenamentos por diretórios temporários novos
+ * Retorna { arquivosPublicos, arquivosPrivados, remover }: as duas primeiras listam as chaves gravadas
+ */
+const usarArmazenamentoTemporario = async () => {
+  const raiz = await fs.mkdtemp(path.join(os.tmpdir(), 'armazenamento-'));
+  const publico = path.join(raiz, 'publico');
+  const privado = path.join(raiz, 'privado');
+
+  definirArmazenamento(criarArmazenamentoLocal({ diretorio: publico, urlBase: '/uploads' }));
+  definirArmazenamentoPrivado(criarArmazenamentoLocal({ diretorio: privado, urlBase: null }));
+
+  const listar = async (diretorio) => {
+    const entradas = await fs.readdir(diretorio, { recursive: true, withFileTypes: true }).catch(() => []);
+    return entradas
+      .filter((entrada) => entrada.isFile())
+      .map((entrada) => path.relative(diretorio, path.join(entrada.parentPath ?? entrada.path, entrada.name)))
+      .sort();
+  };
+
+  return {
+    arquivosPublicos: () => listar(publico),
+    arquivosPrivados: () => listar(privado),
+    remover: async () => {
+      definirArmazenamento(null);
+      definirArmazenamentoPrivado(null);
+      await fs.rm(raiz, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = {
+  usarArmazenamentoTemporario
+};
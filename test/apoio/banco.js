@@ -0,0 +1,45 @@
+//test/apoio/banco.js
+// PostgreSQL descartável para os testes: PGlite (o próprio PostgreSQL compilado para WebAssembly)
+// roda dentro do processo, sem servidor nem rede, e some ao final
+const { PGlite } = require('@electric-sql/pglite');
+const { unaccent } = require('@electric-sql/pglite/contrib/unaccent');
+const { migrar } = require('../../db/migrador');
+
+/**
+ * Banco novo, com todas as migrações aplicadas, exposto com a interface do Pool do pg
+ * (query, connect/release e end), que é o que config/database entrega ao resto do código
+ * `migrado: false` entrega o banco vazio (testes do próprio migrador)
+ */
+const criarBanco = async ({ migrado = true } = {}) => {
+  const db = new PGlite({ extensions: { unaccent } });
+
+  // Sem parâmetros o pg usa o protocolo simples, que aceita vários comandos (as migrações dependem disso)
+  const query = async (texto, parametros = []) => {
+    if (parametros.length === 0) {
+      const resultados = await db.exec(texto);
+      const ultimo = resultados[resultados.length - 1] || { rows: [] };
+      return { rows: ultimo.rows, rowCount: ultimo.affectedRows ?? ultimo.rows.length };
+    }
+
+    const resultado = await db.query(texto, parametros);
+    return { rows: resultado.rows, rowCount: resultado.affectedRows ?? resultado.rows.length };
+  };
+
+  // Uma única conexão: as transações dos testes acontecem uma de cada vez
+  const pool = {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    on: () => {},
+    end: () => db.close()
+  };
+
+  if (migrado) {
+    await migrar(pool);
+  }
+
+  return pool;
+};
+
+module.exports = {
+  criarBanco
+};
@@ -0,0 +1,52 @@
+//test/auditoria.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarApp } = require('./apoio/app');
+
+describe('Auditoria', () => {
+  let admin;
+  let vendedor;
+  let empresaId;
+
+  before(async () => {
+    const ambiente = await iniciarApp();
+
+    ({ agente: admin } = await ambiente.criarSessao({ papel: 'admin' }));
+    ({ agente: vendedor } = await ambiente.criarSessao({ papel: 'vendedor' }));
+
+    const criacao = await vendedor.post('/api/empresas').send({
+      titulo: 'Padaria com 20 anos de tradição',
+      nome: 'Padaria Central',
+      setor: 'Alimentação',
+      cnpj: '11222333000181',
+      email: 'contato@padaria.com'
+    });
+    empresaId = criacao.body.id;
+
+    await vendedor.patch(`/api/empresas/${empresaId}`).send({ valor: 300000 });
+  });
+
+  describe('GET /api/auditoria', () => {
+    it('lista as alterações do recurso, das mais recentes para as mais antigas', async () => {
+      const resposta = await admin.get(`/api/auditoria?recurso=empresa&recurso_id=${empresaId}`);
+
+      assert.equal(resposta.status, 200);
+      assert.deepEqual(resposta.body.dados.map((entrada) => entrada.acao), ['atualizar', 'criar']);
+    });
+
+    it('é restrita a administradores', async () => {
+      assert.equal((await vendedor.get('/api/auditoria')).status, 403);
+    });
+
+    it('rejeita ids fora da faixa de um inteiro positivo', async () => {
+      for (const valor of ['0', '-1', '1.5', 'abc', '2147483648', '99999999999999999999']) {
+        const resposta = await admin.get(`/api/auditoria?recurso_id=${valor}`);
+
+        assert.equal(resposta.status, 400, `recurso_id=${valor}`);
+        assert.equal(resposta.body.codigo, 'DADOS_INVALIDOS');
+      }
+
+      assert.equal((await admin.get('/api/auditoria?usuario_id=2147483647')).status, 200);
+    });
+  });
+});
@@ -0,0 +1,566 @@
+//test/auth.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { iniciarApp, SENHA_PADRAO } = require('./apoio/app');
+const { gerarCodigo, passoAtual } = require('../utils/totp');
+const { obterRepositorios } = require('../repositories');
+
+describe('Autenticação', () => {
+  let ambiente;
+  let app;
+
+  before(async () => {
+    ambiente = await iniciarApp();
+    app = ambiente.app;
+  });
+
+  describe('POST /api/auth/registro', () => {
+    it('registra o usuário e envia o link de verificação', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/registro')
+        .send({ nome: 'Maria Souza', email: 'maria@teste.com', senha: 'senha123', confirmarSenha: 'senha123' });
+
+      assert.equal(resposta.status, 201);
+      assert.equal(resposta.body.sucesso, true);
+      assert.ok(resposta.body.id);
+      assert.ok(ambiente.emails.some((email) => email.para === 'maria@teste.com'));
+    });
+
+    it('rejeita email já cadastrado', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/registro')
+        .send({ nome: 'Maria Souza', email: 'maria@teste.com', senha: 'senha123', confirmarSenha: 'senha123' });
+
+      assert.equal(resposta.status, 409);
+      assert.equal(resposta.body.mensagem, 'Email já cadastrado');
+      assert.equal(resposta.body.codigo, 'EMAIL_DUPLICADO');
+    });
+
+    it('responde 409 quando o email é cadastrado entre a verificação e o INSERT', async () => {
+      // Simula a corrida: a verificação não vê o usuário e o INSERT esbarra na restrição UNIQUE
+      const { usuarios } = obterRepositorios();
+      const buscarPorEmail = usuarios.buscarPorEmail;
+      usuarios.buscarPorEmail = async () => null;
+
+      try {
+        const resposta = await request(app)
+          .post('/api/auth/registro')
+          .send({ nome: 'Maria Souza', email: 'maria@teste.com', senha: 'senha123', confirmarSenha: 'senha123' });
+
+        assert.equal(resposta.status, 409);
+        assert.equal(resposta.body.codigo, 'EMAIL_DUPLICADO');
+        assert.equal(resposta.body.mensagem, 'Email já cadastrado');
+        assert.ok(resposta.body.requisicaoId);
+      } finally {
+        usuarios.buscarPorEmail = buscarPorEmail;
+      }
+    });
+
+    it('rejeita senhas que não conferem', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/registro')
+        .send({ nome: 'João Lima', email: 'joao@teste.com', senha: 'senha123', confirmarSenha: 'outra123' });
+
+      assert.equal(resposta.status, 400);
+      assert.deepEqual(resposta.body.erros, [{ campo: 'confirmarSenha', mensagem: 'As senhas não conferem' }]);
+    });
+
+    it('não aceita papéis atribuídos apenas por administradores', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/registro')
+        .send({ nome: 'João Lima', email: 'joao@teste.com', senha: 'senha123', confirmarSenha: 'senha123', papel: 'admin' });
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.erros[0].campo, 'papel');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('bloqueia a conta até o email ser verificado', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'maria@teste.com', senha: 'senha123' });
+
+      assert.equal(resposta.status, 403);
+      assert.equal(resposta.body.emailNaoVerificado, true);
+    });
+
+    it('entra depois da verificação e define os cookies de sessão', async () => {
+      const [, token] = ambiente.emails
+        .find((email) => email.para === 'maria@teste.com')
+        .texto.match(/token=([\w.-]+)/);
+
+      const verificacao = await request(app).post('/api/auth/verificar-email').send({ token });
+      assert.equal(verificacao.status, 200);
+
+      const resposta = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'maria@teste.com', senha: 'senha123' });
+
+      assert.equal(resposta.status, 200);
+      assert.ok(resposta.body.token);
+      assert.equal(resposta.body.usuario.email, 'maria@teste.com');
+      assert.equal(resposta.body.usuario.papel, 'comprador');
+
+      const cookies = resposta.headers['set-cookie'].join(';');
+      assert.match(cookies, /accessToken=/);
+      assert.match(cookies, /HttpOnly/);
+    });
+
+    it('rejeita senha incorreta', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'maria@teste.com', senha: 'errada123' });
+
+      assert.equal(resposta.status, 401);
+      assert.equal(resposta.body.mensagem, 'Email ou senha incorretos');
+    });
+
+    it('exige email e senha', async () => {
+      const resposta = await request(app).post('/api/auth/login').send({ email: 'maria@teste.com' });
+
+      assert.equal(resposta.status, 400);
+      assert.deepEqual(resposta.body.erros, [{ campo: 'senha', mensagem: 'Campo obrigatório' }]);
+    });
+
+    it('só informa que o usuário está inativo a quem acertou a senha', async () => {
+      const usuario = await ambiente.cadastrar();
+      await obterRepositorios().usuarios.alterarAtivo(usuario.id, false);
+
+      const errada = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: 'errada123' });
+      assert.equal(errada.status, 401);
+      assert.equal(errada.body.mensagem, 'Email ou senha incorretos');
+
+      const certa = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: SENHA_PADRAO });
+      assert.equal(certa.status, 403);
+    });
+  });
+
+  describe('Bloqueio de login', () => {
+    const { definirArmazenamento } = require('../services/tentativasLogin');
+    const criarArmazenamentoMemoria = require('../services/tentativasLogin/memoria');
+    const { registrarFalhaLogin } = require('../utils/protecaoLogin');
+
+    const entrar = (email, senha) => request(app).post('/api/auth/login').send({ email, senha });
+
+    const eventosSeguranca = async (tipo) => {
+      const resultado = await ambiente.banco.query(
+        'SELECT alvo, ip, detalhes FROM eventos_seguranca WHERE tipo = $1 ORDER BY id',
+        [tipo]
+      );
+      return resultado.rows;
+    };
+
+    // Cada teste começa sem falhas contabilizadas, e as demais suítes também (todas usam o mesmo IP)
+    beforeEach(() => definirArmazenamento(criarArmazenamentoMemoria()));
+    after(() => definirArmazenamento(criarArmazenamentoMemoria()));
+
+    it('exige espera (429 com Retry-After) depois de três senhas erradas seguidas', async () => {
+      const usuario = await ambiente.cadastrar();
+
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await entrar(usuario.email, 'errada123')).status, 401);
+      }
+
+      const resposta = await entrar(usuario.email, SENHA_PADRAO);
+
+      assert.equal(resposta.status, 429);
+      assert.equal(resposta.headers['retry-after'], '1');
+      assert.equal(resposta.body.tentarNovamenteEm, 1);
+    });
+
+    it('responde 423 com Retry-After à conta bloqueada, mesmo com a senha certa, e registra o evento', async () => {
+      const usuario = await ambiente.cadastrar();
+
+      for (let i = 0; i < 5; i++) {
+        await registrarFalhaLogin(usuario.email, `198.51.100.${i}`);
+      }
+
+      const resposta = await entrar(usuario.email, SENHA_PADRAO);
+
+      assert.equal(resposta.status, 423);
+      assert.ok(Number(resposta.headers['retry-after']) > 14 * 60);
+      assert.equal(resposta.body.tentarNovamenteEm, Number(resposta.headers['retry-after']));
+
+      const [evento] = await eventosSeguranca('bloqueio_login_conta');
+      assert.equal(evento.alvo, usuario.email);
+      assert.equal(evento.ip, '198.51.100.4');
+      assert.equal(evento.detalhes.falhas, 5);
+    });
+
+    it('bloqueia o IP (429 com Retry-After) após 20 falhas em contas diferentes e registra o evento', async () => {
+      const usuario = await ambiente.cadastrar();
+
+      for (let i = 0; i < 19; i++) {
+        assert.equal((await entrar(`inexistente${i}@teste.com`, 'errada123')).status, 401);
+      }
+
+      const vigesima = await entrar('inexistente19@teste.com', 'errada123');
+      assert.equal(vigesima.status, 429);
+      assert.ok(Number(vigesima.headers['retry-after']) > 14 * 60);
+
+      // Nem uma conta sem falhas entra a partir do IP bloqueado
+      assert.equal((await entrar(usuario.email, SENHA_PADRAO)).status, 429);
+
+      const eventos = await eventosSeguranca('bloqueio_login_ip');
+      assert.equal(eventos.length, 1);
+      assert.equal(eventos[0].detalhes.falhas, 20);
+    });
+  });
+
+  describe('GET /api/auth/perfil', () => {
+    it('retorna o usuário da sessão (cookie)', async () => {
+      const { usuario, agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+
+      const resposta = await agente.get('/api/auth/perfil');
+
+      assert.equal(resposta.status, 200);
+      assert.deepEqual(resposta.body.dados, {
+        id: usuario.id,
+        nome: usuario.nome,
+        email: usuario.email,
+        papel: 'vendedor',
+        ativo: true
+      });
+      assert.equal(resposta.body.dados.senha, undefined);
+    });
+
+    it('aceita o token no header Authorization', async () => {
+      const usuario = await ambiente.cadastrar();
+      const login = await request(app).post('/api/auth/login').send(usuario);
+
+      const resposta = await request(app)
+        .get('/api/auth/perfil')
+        .set('Authorization', `Bearer ${login.body.token}`);
+
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.body.dados.email, usuario.email);
+    });
+
+    it('exige autenticação', async () => {
+      const resposta = await request(app).get('/api/auth/perfil');
+
+      assert.equal(resposta.status, 401);
+      assert.equal(resposta.body.mensagem, 'Token não fornecido');
+    });
+
+    it('rejeita token inválido', async () => {
+      const resposta = await request(app)
+        .get('/api/auth/perfil')
+        .set('Authorization', 'Bearer invalido');
+
+      assert.equal(resposta.status, 401);
+      assert.equal(resposta.body.mensagem, 'Token inválido');
+    });
+  });
+
+  describe('PUT /api/auth/alterar-senha', () => {
+    it('rejeita a senha atual incorreta', async () => {
+      const { agente } = await ambiente.criarSessao();
+
+      const resposta = await agente
+        .put('/api/auth/alterar-senha')
+        .send({ senhaAtual: 'errada123', novaSenha: 'nova12345', confirmarNovaSenha: 'nova12345' });
+
+      assert.equal(resposta.status, 401);
+      assert.equal(resposta.body.mensagem, 'Senha atual incorreta');
+    });
+
+    it('rejeita confirmação diferente da nova senha', async () => {
+      const { agente } = await ambiente.criarSessao();
+
+      const resposta = await agente
+        .put('/api/auth/alterar-senha')
+        .send({ senhaAtual: SENHA_PADRAO, novaSenha: 'nova12345', confirmarNovaSenha: 'outra12345' });
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.mensagem, 'As novas senhas não conferem');
+    });
+
+    it('valida a nova senha pelo schema', async () => {
+      const { agente } = await ambiente.criarSessao();
+
+      const resposta = await agente
+        .put('/api/auth/alterar-senha')
+        .send({ senhaAtual: SENHA_PADRAO, novaSenha: '123', confirmarNovaSenha: '123' });
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.codigo, 'DADOS_INVALIDOS');
+      assert.deepEqual(resposta.body.erros, [{ campo: 'novaSenha', mensagem: 'Deve ter no mínimo 6 caracteres' }]);
+    });
+
+    it('troca a senha e encerra as demais sessões', async () => {
+      const { usuario, agente } = await ambiente.criarSessao();
+      const outraSessao = await ambiente.entrar(usuario);
+
+      const resposta = await agente
+        .put('/api/auth/alterar-senha')
+        .send({ senhaAtual: SENHA_PADRAO, novaSenha: 'nova12345', confirmarNovaSenha: 'nova12345' });
+
+      assert.equal(resposta.status, 200);
+
+      // A sessão que trocou a senha recebe cookies novos; as outras caem
+      assert.equal((await agente.get('/api/auth/perfil')).status, 200);
+      assert.equal((await outraSessao.get('/api/auth/perfil')).status, 401);
+
+      const senhaAntiga = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: SENHA_PADRAO });
+      assert.equal(senhaAntiga.status, 401);
+
+      const senhaNova = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: 'nova12345' });
+      assert.equal(senhaNova.status, 200);
+    });
+  });
+
+  describe('PATCH /api/auth/usuarios/:id', () => {
+    it('valida papel e ativo pelo schema', async () => {
+      const { agente: admin } = await ambiente.criarSessao({ papel: 'admin' });
+      const usuario = await ambiente.cadastrar();
+
+      const papel = await admin.patch(`/api/auth/usuarios/${usuario.id}/papel`).send({ papel: 'dono' });
+      assert.equal(papel.status, 400);
+      assert.equal(papel.body.erros[0].campo, 'papel');
+
+      const ativo = await admin.patch(`/api/auth/usuarios/${usuario.id}/ativo`).send({ ativo: 'talvez' });
+      assert.equal(ativo.status, 400);
+      assert.deepEqual(ativo.body.erros, [{ campo: 'ativo', mensagem: 'Deve ser verdadeiro ou falso' }]);
+
+      const alterado = await admin.patch(`/api/auth/usuarios/${usuario.id}/papel`).send({ papel: 'corretor' });
+      assert.equal(alterado.status, 200);
+      assert.equal(alterado.body.dados.papel, 'corretor');
+    });
+  });
+
+  describe('POST /api/auth/esqueci-senha', () => {
+    const { definirAdaptador } = require('../services/email');
+    const { definirArmazenamento } = require('../services/tentativasLogin');
+    const criarArmazenamentoMemoria = require('../services/tentativasLogin/memoria');
+
+    // Cada teste começa sem pedidos contabilizados para o IP dos testes
+    beforeEach(() => definirArmazenamento(criarArmazenamentoMemoria()));
+
+    it('responde igual para emails cadastrados ou não e envia o link antes da resposta', async () => {
+      const usuario = await ambiente.cadastrar();
+
+      const cadastrado = await request(app).post('/api/auth/esqueci-senha').send({ email: usuario.email });
+      const desconhecido = await request(app).post('/api/auth/esqueci-senha').send({ email: 'ninguem@teste.com' });
+
+      assert.equal(cadastrado.status, 200);
+      assert.deepEqual(desconhecido.body, cadastrado.body);
+
+      const email = ambiente.emails.filter((mensagem) => mensagem.para === usuario.email).pop();
+      assert.match(email.assunto, /senha/i);
+      const [, token] = email.texto.match(/token=([\w-]+)/);
+
+      const redefinicao = await request(app)
+        .post('/api/auth/redefinir-senha')
+        .send({ token, novaSenha: 'nova12345', confirmarNovaSenha: 'nova12345' });
+      assert.equal(redefinicao.status, 200);
+    });
+
+    it('não revela a conta quando o envio do email falha', async () => {
+      const usuario = await ambiente.cadastrar();
+      definirAdaptador({ enviar: async () => { throw new Error('SMTP indisponível'); } });
+
+      try {
+        const resposta = await request(app).post('/api/auth/esqueci-senha').send({ email: usuario.email });
+        assert.equal(resposta.status, 200);
+
+        const reenvio = await request(app).post('/api/auth/reenviar-verificacao').send({ email: usuario.email });
+        assert.equal(reenvio.status, 200);
+      } finally {
+        definirAdaptador({ enviar: async (mensagem) => { ambiente.emails.push(mensagem); } });
+      }
+    });
+
+    it('limita os pedidos para o mesmo email com 429 e Retry-After', async () => {
+      const usuario = await ambiente.cadastrar();
+      const enviadosAntes = ambiente.emails.filter((mensagem) => mensagem.para === usuario.email).length;
+
+      for (let i = 0; i < 3; i++) {
+        const resposta = await request(app).post('/api/auth/esqueci-senha').send({ email: usuario.email });
+        assert.equal(resposta.status, 200);
+      }
+
+      const excedente = await request(app).post('/api/auth/esqueci-senha').send({ email: usuario.email });
+      assert.equal(excedente.status, 429);
+      assert.ok(Number(excedente.headers['retry-after']) > 0);
+
+      const enviados = ambiente.emails.filter((mensagem) => mensagem.para === usuario.email).length;
+      assert.equal(enviados - enviadosAntes, 3);
+    });
+
+    it('limita os pedidos a partir do mesmo IP, para qualquer email', async () => {
+      for (let i = 0; i < 10; i++) {
+        const resposta = await request(app).post('/api/auth/esqueci-senha').send({ email: `alvo${i}@teste.com` });
+        assert.equal(resposta.status, 200);
+      }
+
+      const excedente = await request(app).post('/api/auth/esqueci-senha').send({ email: 'outro-alvo@teste.com' });
+      assert.equal(excedente.status, 429);
+      assert.ok(Number(excedente.headers['retry-after']) > 0);
+    });
+  });
+
+  describe('POST /api/auth/refresh e /api/auth/logout', () => {
+    it('renova a sessão com o refresh token enviado no corpo', async () => {
+      const usuario = await ambiente.cadastrar();
+      const login = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: SENHA_PADRAO });
+      const [, refreshToken] = login.headers['set-cookie'].join(';').match(/refreshToken=([^;]+)/);
+
+      const renovacao = await request(app).post('/api/auth/refresh').send({ refreshToken });
+      assert.equal(renovacao.status, 200);
+      assert.ok(renovacao.body.token);
+    });
+
+    it('rejeita refresh token que não é texto com 400', async () => {
+      for (const refreshToken of [123, {}, ['abc'], true]) {
+        const renovacao = await request(app).post('/api/auth/refresh').send({ refreshToken });
+        assert.equal(renovacao.status, 400);
+        assert.equal(renovacao.body.codigo, 'DADOS_INVALIDOS');
+
+        const logout = await request(app).post('/api/auth/logout').send({ refreshToken });
+        assert.equal(logout.status, 400);
+      }
+    });
+
+    it('ignora o cookie refreshToken convertido em objeto pelo cookie-parser', async () => {
+      const resposta = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', `refreshToken=${encodeURIComponent('j:{}')}`);
+
+      assert.equal(resposta.status, 401);
+    });
+  });
+
+  describe('Autenticação em dois fatores', () => {
+    const { definirArmazenamento } = require('../services/tentativasLogin');
+    const criarArmazenamentoMemoria = require('../services/tentativasLogin/memoria');
+
+    // Configura e confirma o 2FA com o código do passo atual; retorna { segredo, codigosRecuperacao }
+    const ativar2FA = async (agente) => {
+      const { segredo } = (await agente.post('/api/auth/2fa/configurar')).body;
+      const confirmacao = await agente.post('/api/auth/2fa/confirmar').send({ codigo: gerarCodigo(segredo, passoAtual()) });
+      assert.equal(confirmacao.status, 200);
+      return { segredo, codigosRecuperacao: confirmacao.body.codigosRecuperacao };
+    };
+
+    const desafio = async (usuario) => {
+      const login = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: SENHA_PADRAO });
+      assert.equal(login.body.doisFatores, true);
+      return login.body.desafio;
+    };
+
+    beforeEach(() => definirArmazenamento(criarArmazenamentoMemoria()));
+    after(() => definirArmazenamento(criarArmazenamentoMemoria()));
+
+    it('confirma a configuração apenas com um código válido e entrega os códigos de recuperação', async () => {
+      const { agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+
+      const { segredo } = (await agente.post('/api/auth/2fa/configurar')).body;
+      const errada = await agente.post('/api/auth/2fa/confirmar').send({ codigo: gerarCodigo(segredo, passoAtual() + 10) });
+      assert.equal(errada.status, 400);
+
+      const confirmacao = await agente.post('/api/auth/2fa/confirmar').send({ codigo: gerarCodigo(segredo, passoAtual()) });
+      assert.equal(confirmacao.status, 200);
+      assert.equal(confirmacao.body.codigosRecuperacao.length, new Set(confirmacao.body.codigosRecuperacao).size);
+      assert.ok(confirmacao.body.codigosRecuperacao.length > 0);
+
+      assert.equal((await agente.post('/api/auth/2fa/confirmar').send({ codigo: gerarCodigo(segredo, passoAtual() + 1) })).status, 409);
+    });
+
+    it('entra com um código de recuperação, que vale uma única vez', async () => {
+      const { usuario, agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+      const { codigosRecuperacao: [codigoRecuperacao] } = await ativar2FA(agente);
+
+      const primeira = await request(app)
+        .post('/api/auth/2fa/verificar')
+        .send({ desafio: await desafio(usuario), codigoRecuperacao: codigoRecuperacao.toUpperCase() });
+      assert.equal(primeira.status, 200);
+      assert.ok(primeira.body.token);
+
+      const reuso = await request(app)
+        .post('/api/auth/2fa/verificar')
+        .send({ desafio: await desafio(usuario), codigoRecuperacao });
+      assert.equal(reuso.status, 401);
+    });
+
+    it('desativa só com senha e um código ainda não usado', async () => {
+      const { agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+      const { segredo } = await ativar2FA(agente);
+
+      // O código do passo atual já foi consumido na confirmação
+      const reuso = await agente.post('/api/auth/2fa/desativar').send({ senha: SENHA_PADRAO, codigo: gerarCodigo(segredo, passoAtual()) });
+      assert.equal(reuso.status, 401);
+
+      const proximo = gerarCodigo(segredo, passoAtual() + 1);
+      const senhaErrada = await agente.post('/api/auth/2fa/desativar').send({ senha: 'errada123', codigo: proximo });
+      assert.equal(senhaErrada.status, 401);
+
+      const desativacao = await agente.post('/api/auth/2fa/desativar').send({ senha: SENHA_PADRAO, codigo: proximo });
+      assert.equal(desativacao.status, 200);
+    });
+
+    it('aplica o bloqueio de login aos códigos errados em /2fa/desativar', async () => {
+      const { agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+      const { segredo } = await ativar2FA(agente);
+
+      for (let i = 0; i < 3; i++) {
+        const tentativa = await agente.post('/api/auth/2fa/desativar').send({ senha: SENHA_PADRAO, codigo: '000000' });
+        assert.equal(tentativa.status, 401);
+      }
+
+      const bloqueada = await agente.post('/api/auth/2fa/desativar').send({ senha: SENHA_PADRAO, codigo: gerarCodigo(segredo, passoAtual() + 1) });
+      assert.equal(bloqueada.status, 429);
+      assert.ok(Number(bloqueada.headers['retry-after']) > 0);
+    });
+
+    it('aceita cada código uma única vez, mesmo em requisições simultâneas', async () => {
+      const { usuario, agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+
+      const { segredo } = (await agente.post('/api/auth/2fa/configurar')).body;
+      const confirmacao = await agente.post('/api/auth/2fa/confirmar').send({ codigo: gerarCodigo(segredo, passoAtual()) });
+      assert.equal(confirmacao.status, 200);
+
+      const login = await request(app).post('/api/auth/login').send({ email: usuario.email, senha: SENHA_PADRAO });
+      assert.equal(login.body.doisFatores, true);
+
+      // Simula a corrida: as duas requisições leem o usuário antes de qualquer uma registrar o código
+      const { usuarios } = obterRepositorios();
+      const buscarPorId = usuarios.buscarPorId;
+      let liberar;
+      const ambasLeram = new Promise((resolve) => { liberar = resolve; });
+      let leituras = 0;
+
+      usuarios.buscarPorId = async (...args) => {
+        const encontrado = await buscarPorId(...args);
+        if (++leituras === 2) liberar();
+        await ambasLeram;
+        return encontrado;
+      };
+
+      try {
+        // O passo atual já foi usado na confirmação; o seguinte ainda cabe na janela de tolerância
+        const codigo = gerarCodigo(segredo, passoAtual() + 1);
+        const respostas = await Promise.all([1, 2].map(() => request(app)
+          .post('/api/auth/2fa/verificar')
+          .send({ desafio: login.body.desafio, codigo })));
+
+        assert.deepEqual(respostas.map((resposta) => resposta.status).sort(), [200, 401]);
+      } finally {
+        usuarios.buscarPorId = buscarPorId;
+      }
+    });
+  });
+
+  describe('CORS', () => {
+    it('não libera outras origens com credenciais quando CORS_ORIGIN não está definido', async () => {
+      const resposta = await request(app)
+        .options('/api/auth/perfil')
+        .set('Origin', 'https://site-qualquer.com')
+        .set('Access-Control-Request-Method', 'GET');
+
+      assert.equal(resposta.headers['access-control-allow-origin'], undefined);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+//test/cnpj.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { limparCNPJ, validarCNPJ, formatarCNPJ } = require('../utils/cnpj');
+
+describe('CNPJ', () => {
+  describe('validarCNPJ', () => {
+    it('aceita CNPJ numérico com e sem máscara', () => {
+      assert.equal(validarCNPJ('11222333000181'), true);
+      assert.equal(validarCNPJ('11.222.333/0001-81'), true);
+    });
+
+    it('aceita CNPJ alfanumérico, inclusive em minúsculas', () => {
+      assert.equal(validarCNPJ('12ABC34501DE35'), true);
+      assert.equal(validarCNPJ('12.abc.345/01de-35'), true);
+    });
+
+    it('rejeita dígito verificador errado', () => {
+      assert.equal(validarCNPJ('11222333000182'), false);
+      assert.equal(validarCNPJ('12ABC34501DE36'), false);
+      assert.equal(validarCNPJ('12ABC34501DE53'), false);
+    });
+
+    it('rejeita sequências de um único caractere repetido', () => {
+      for (const caractere of ['0', '1', '9']) {
+        assert.equal(validarCNPJ(caractere.repeat(14)), false);
+      }
+    });
+
+    it('rejeita tamanho errado, letras nos dígitos verificadores e valores vazios', () => {
+      for (const cnpj of ['1122233300018', '112223330001811', '12ABC34501DEA5', '12ABC34501D@35', '', null, undefined]) {
+        assert.equal(validarCNPJ(cnpj), false, String(cnpj));
+      }
+    });
+  });
+
+  describe('limparCNPJ', () => {
+    it('remove a máscara e padroniza letras em maiúsculas', () => {
+      assert.equal(limparCNPJ(' 12.abc.345/01de-35 '), '12ABC34501DE35');
+      assert.equal(limparCNPJ(null), '');
+    });
+  });
+
+  describe('formatarCNPJ', () => {
+    it('aplica a máscara a CNPJs completos', () => {
+      assert.equal(formatarCNPJ('11222333000181'), '11.222.333/0001-81');
+      assert.equal(formatarCNPJ('12abc34501de35'), '12.ABC.345/01DE-35');
+    });
+
+    it('devolve o valor limpo quando o tamanho não confere', () => {
+      assert.equal(formatarCNPJ('1122-233'), '1122233');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+//test/contatos.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { iniciarApp } = require('./apoio/app');
+
+describe('Contatos', () => {
+  let ambiente;
+  let app;
+  let admin;
+  let corretor;
+  let comprador;
+  let empresaId;
+
+  // Contato recebido pelo formulário público; retorna o id
+  const enviarContato = async (dados = {}) => {
+    const resposta = await request(app)
+      .post('/api/contatos')
+      .send({ nome: 'Carlos Pereira', email: 'carlos@teste.com', cidade: 'Sorocaba', ...dados });
+
+    assert.equal(resposta.status, 201);
+    return resposta.body.id;
+  };
+
+  before(async () => {
+    ambiente = await iniciarApp();
+    app = ambiente.app;
+
+    ({ agente: admin } = await ambiente.criarSessao({ papel: 'admin' }));
+    ({ agente: corretor } = await ambiente.criarSessao({ papel: 'corretor' }));
+    ({ agente: comprador } = await ambiente.criarSessao({ papel: 'comprador' }));
+
+    const { agente: vendedor } = await ambiente.criarSessao({ papel: 'vendedor' });
+    const empresa = await vendedor
+      .post('/api/empresas')
+      .send({ titulo: 'Padaria no centro', nome: 'Padaria Central', setor: 'Alimentação', cnpj: '11.222.333/0001-81', email: 'padaria@teste.com' });
+
+    empresaId = empresa.body.id;
+  });
+
+  describe('POST /api/contatos (público)', () => {
+    it('cadastra o contato sem autenticação', async () => {
+      const resposta = await request(app)
+        .post('/api/contatos')
+        .send({ nome: 'Ana Martins', email: 'ana@teste.com', telefone: '(15) 99999-9999', empresa_id: empresaId, mensagem: 'Tenho interesse' });
+
+      assert.equal(resposta.status, 201);
+      assert.equal(resposta.body.sucesso, true);
+      assert.ok(resposta.body.id);
+
+      const contato = await corretor.get(`/api/contatos/${resposta.body.id}`);
+      assert.equal(contato.body.dados.tipo, 'cliente');
+      assert.equal(contato.body.dados.status, 'novo');
+      assert.equal(contato.body.dados.empresa_id, empresaId);
+    });
+
+    it('valida os campos obrigatórios', async () => {
+      const resposta = await request(app).post('/api/contatos').send({ nome: 'An' });
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.mensagem, 'Dados inválidos');
+      assert.deepEqual(resposta.body.erros.map((erro) => erro.campo).sort(), ['email', 'nome']);
+    });
+
+    it('rejeita empresa de interesse inexistente', async () => {
+      const resposta = await request(app)
+        .post('/api/contatos')
+        .send({ nome: 'Ana Martins', email: 'ana@teste.com', empresa_id: 9999 });
+
+      assert.equal(resposta.status, 400);
+      assert.deepEqual(resposta.body.erros, [{ campo: 'empresa_id', mensagem: 'Empresa informada não existe' }]);
+    });
+  });
+
+  describe('GET /api/contatos', () => {
+    it('exige autenticação', async () => {
+      assert.equal((await request(app).get('/api/contatos')).status, 401);
+    });
+
+    it('é restrito a admin e corretor', async () => {
+      assert.equal((await comprador.get('/api/contatos')).status, 403);
+    });
+
+    it('lista e filtra os contatos', async () => {
+      await enviarContato({ cidade: 'Campinas', tipo: 'fornecedor' });
+
+      const todos = await corretor.get('/api/contatos');
+      assert.equal(todos.status, 200);
+      assert.equal(todos.body.total, todos.body.dados.length);
+      assert.ok(todos.body.total >= 2);
+
+      const fornecedores = await corretor.get('/api/contatos?tipo=fornecedor&cidade=campi');
+      assert.equal(fornecedores.status, 200);
+      assert.ok(fornecedores.body.total >= 1);
+      assert.ok(fornecedores.body.dados.every((contato) => contato.tipo === 'fornecedor'));
+
+      const daEmpresa = await admin.get(`/api/contatos?empresa_id=${empresaId}`);
+      assert.ok(daEmpresa.body.dados.every((contato) => contato.empresa_id === empresaId));
+    });
+
+    it('rejeita empresa_id inválido', async () => {
+      assert.equal((await corretor.get('/api/contatos?empresa_id=abc')).status, 400);
+    });
+  });
+
+  describe('GET /api/contatos/:id', () => {
+    it('retorna 404 para contato inexistente', async () => {
+      const resposta = await corretor.get('/api/contatos/9999');
+
+      assert.equal(resposta.status, 404);
+      assert.equal(resposta.body.mensagem, 'Contato não encontrado');
+    });
+
+    it('retorna 400 para ID que não é um inteiro positivo', async () => {
+      for (const id of ['abc', '0', '2147483648']) {
+        const resposta = await corretor.get(`/api/contatos/${id}`);
+
+        assert.equal(resposta.status, 400, id);
+        assert.equal(resposta.body.codigo, 'DADOS_INVALIDOS');
+        assert.equal(resposta.body.erros[0].campo, 'id');
+      }
+
+      assert.equal((await corretor.patch('/api/contatos/abc/status').send({ status: 'lido' })).status, 400);
+      assert.equal((await admin.delete('/api/contatos/abc')).status, 400);
+    });
+  });
+
+  describe('PUT /api/contatos/:id', () => {
+    it('substitui os dados cadastrais', async () => {
+      const id = await enviarContato({ telefone: '(15) 98888-7777' });
+
+      const resposta = await corretor
+        .put(`/api/contatos/${id}`)
+        .send({ nome: 'Carlos Pereira Filho', email: 'carlos.filho@teste.com', tipo: 'parceiro' });
+
+      assert.equal(resposta.status, 200);
+
+      const contato = (await corretor.get(`/api/contatos/${id}`)).body.dados;
+      assert.equal(contato.nome, 'Carlos Pereira Filho');
+      assert.equal(contato.tipo, 'parceiro');
+      // Campos omitidos no PUT são limpos
+      assert.equal(contato.telefone, null);
+      assert.equal(contato.cidade, null);
+    });
+
+    it('valida o corpo', async () => {
+      const id = await enviarContato();
+
+      const resposta = await corretor.put(`/api/contatos/${id}`).send({ nome: 'Carlos', email: 'invalido' });
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.erros[0].campo, 'email');
+    });
+
+    it('retorna 404 para contato inexistente', async () => {
+      const resposta = await corretor.put('/api/contatos/9999').send({ nome: 'Carlos', email: 'carlos@teste.com' });
+
+      assert.equal(resposta.status, 404);
+    });
+  });
+
+  describe('PATCH /api/contatos/:id', () => {
+    it('altera apenas os campos enviados', async () => {
+      const id = await enviarContato({ telefone: '(15) 98888-7777' });
+
+      const resposta = await corretor.patch(`/api/contatos/${id}`).send({ cidade: 'Itu' });
+
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.body.dados.cidade, 'Itu');
+      assert.equal(resposta.body.dados.telefone, '(15) 98888-7777');
+      assert.equal(resposta.body.dados.nome, 'Carlos Pereira');
+    });
+  });
+
+  describe('DELETE /api/contatos/:id', () => {
+    it('é restrito a admin', async () => {
+      const id = await enviarContato();
+
+      assert.equal((await corretor.delete(`/api/contatos/${id}`)).status, 403);
+    });
+
+    it('move para a lixeira e permite restaurar', async () => {
+      const id = await enviarContato();
+
+      const exclusao = await admin.delete(`/api/contatos/${id}`);
+      assert.equal(exclusao.status, 200);
+      assert.equal(exclusao.body.mensagem, 'Contato movido para a lixeira');
+
+      assert.equal((await corretor.get(`/api/contatos/${id}`)).status, 404);
+      assert.ok(!(await corretor.get('/api/contatos')).body.dados.some((contato) => contato.id === id));
+
+      const lixeira = await admin.get('/api/contatos/lixeira');
+      assert.ok(lixeira.body.dados.some((contato) => contato.id === id));
+
+      assert.equal((await admin.post(`/api/contatos/${id}/restaurar`)).status, 200);
+      assert.equal((await corretor.get(`/api/contatos/${id}`)).status, 200);
+    });
+
+    it('retorna 404 para contato já excluído', async () => {
+      const id = await enviarContato();
+      await admin.delete(`/api/contatos/${id}`);
+
+      assert.equal((await admin.delete(`/api/contatos/${id}`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+//test/documentos.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { iniciarApp } = require('./apoio/app');
+const { usarArmazenamentoTemporario } = require('./apoio/armazenamento');
+
+const PDF = Buffer.from('%PDF-1.7\nBalanço patrimonial 2025\n%%EOF');
+const TIPO_DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+describe('Documentos restritos', () => {
+  let armazenamento;
+  let vendedor;
+  let comprador;
+  let outroComprador;
+  let corretor;
+  let usuarioComprador;
+  let usuarioCorretor;
+  let empresaId;
+
+  const rota = (caminho = '') => `/api/empresas/${empresaId}/documentos${caminho}`;
+
+  const enviar = ({ conteudo = PDF, nome = 'balanco-2025.pdf', tipo = 'application/pdf', categoria = 'balanco' } = {}) => {
+    return vendedor
+      .post(rota())
+      .field('categoria', categoria)
+      .attach('arquivo', conteudo, { filename: nome, contentType: tipo });
+  };
+
+  // Caminho do link de download gerado para `agente`
+  const pedirLink = async (agente, documentoId) => {
+    const resposta = await agente.post(rota(`/${documentoId}/link`));
+    assert.equal(resposta.status, 200);
+    return resposta.body.url;
+  };
+
+  before(async () => {
+    const ambiente = await iniciarApp();
+    armazenamento = await usarArmazenamentoTemporario();
+
+    ({ agente: vendedor } = await ambiente.criarSessao({ papel: 'vendedor' }));
+    ({ agente: comprador, usuario: usuarioComprador } = await ambiente.criarSessao({ papel: 'comprador' }));
+    ({ agente: outroComprador } = await ambiente.criarSessao({ papel: 'comprador' }));
+    ({ agente: corretor, usuario: usuarioCorretor } = await ambiente.criarSessao({ papel: 'corretor' }));
+
+    const criacao = await vendedor.post('/api/empresas').send({
+      titulo: 'Indústria de embalagens',
+      nome: 'Embalagens Sorocaba',
+      setor: 'Indústria',
+      cnpj: '11222333000181',
+      email: 'contato@embalagens.com'
+    });
+    empresaId = criacao.body.id;
+  });
+
+  after(() => armazenamento.remover());
+
+  describe('POST /api/empresas/:id/documentos', () => {
+    it('grava o documento no armazenamento privado', async () => {
+      const resposta = await enviar();
+
+      assert.equal(resposta.status, 201);
+      assert.equal(resposta.body.dados.categoria, 'balanco');
+      assert.equal(resposta.body.dados.nome_arquivo, 'balanco-2025.pdf');
+      assert.equal(resposta.body.dados.chave, undefined);
+
+      assert.equal((await armazenamento.arquivosPrivados()).length, 1);
+      assert.equal((await armazenamento.arquivosPublicos()).length, 0);
+
+      const lista = await vendedor.get(rota());
+      assert.equal(lista.body.total, 1);
+      assert.equal(lista.body.dados[0].chave, undefined);
+    });
+
+    it('rejeita conteúdo que não corresponde ao tipo declarado', async () => {
+      const antes = await armazenamento.arquivosPrivados();
+
+      const resposta = await enviar({ nome: 'contrato.docx', tipo: TIPO_DOCX });
+
+      assert.equal(resposta.status, 400);
+      assert.match(resposta.body.erros[0].mensagem, /o conteúdo não corresponde ao tipo/);
+      assert.deepEqual(await armazenamento.arquivosPrivados(), antes);
+    });
+
+    it('rejeita tipos não aceitos e categorias desconhecidas', async () => {
+      const executavel = await enviar({ conteudo: Buffer.from('MZ'), nome: 'programa.exe', tipo: 'application/octet-stream' });
+      assert.equal(executavel.status, 400);
+      assert.match(executavel.body.mensagem, /Tipo de arquivo não permitido/);
+
+      const categoria = await enviar({ categoria: 'segredo' });
+      assert.equal(categoria.status, 400);
+      assert.equal(categoria.body.erros[0].campo, 'categoria');
+    });
+  });
+
+  describe('Acessos', () => {
+    it('nega os documentos a compradores e corretores sem acesso', async () => {
+      assert.equal((await comprador.get(rota())).status, 403);
+      assert.equal((await corretor.get(rota())).status, 403);
+    });
+
+    it('concede o acesso apenas a compradores, uma vez', async () => {
+      const concessao = await vendedor.post(rota('/acessos')).send({ usuario_id: usuarioComprador.id });
+      assert.equal(concessao.status, 201);
+      assert.equal(concessao.body.dados.usuario_id, usuarioComprador.id);
+
+      assert.equal((await vendedor.post(rota('/acessos')).send({ usuario_id: usuarioComprador.id })).status, 409);
+      assert.equal((await vendedor.post(rota('/acessos')).send({ usuario_id: usuarioCorretor.id })).status, 404);
+
+      const lista = await comprador.get(rota());
+      assert.equal(lista.status, 200);
+      assert.equal(lista.body.total, 1);
+
+      const acessos = await vendedor.get(rota('/acessos'));
+      assert.deepEqual(acessos.body.dados.map((acesso) => acesso.usuario_id), [usuarioComprador.id]);
+    });
+  });
+
+  describe('Download', () => {
+    let documentoId;
+
+    before(async () => {
+      documentoId = (await vendedor.get(rota())).body.dados[0].id;
+    });
+
+    it('entrega o arquivo pelo link temporário e registra o download', async () => {
+      const url = await pedirLink(comprador, documentoId);
+
+      const download = await comprador.get(url).set('User-Agent', 'teste-documentos').buffer(true);
+
+      assert.equal(download.status, 200);
+      assert.equal(download.headers['content-type'], 'application/pdf');
+      assert.match(download.headers['content-disposition'], /attachment; filename="balanco-2025\.pdf"/);
+      assert.equal(download.headers['cache-control'], 'private, no-store');
+      assert.deepEqual(Buffer.from(download.body), PDF);
+
+      const downloads = await vendedor.get(rota(`/downloads?documento_id=${documentoId}`));
+      assert.equal(downloads.status, 200);
+      assert.equal(downloads.body.paginacao.total, 1);
+      assert.equal(downloads.body.dados[0].usuario_id, usuarioComprador.id);
+      assert.equal(downloads.body.dados[0].nome_arquivo, 'balanco-2025.pdf');
+      assert.equal(downloads.body.dados[0].user_agent, 'teste-documentos');
+    });
+
+    it('rejeita link adulterado, expirado ou de outro usuário', async () => {
+      const url = await pedirLink(comprador, documentoId);
+
+      // Mesma assinatura com outro usuário no payload
+      const [cabecalho, payload, assinatura] = decodeURIComponent(url.split('token=')[1]).split('.');
+      const dados = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const outroPayload = Buffer.from(JSON.stringify({ ...dados, usuario: dados.usuario + 1 })).toString('base64url');
+      const adulterado = `${cabecalho}.${outroPayload}.${assinatura}`;
+      assert.equal((await comprador.get(rota(`/${documentoId}/download?token=${adulterado}`))).status, 403);
+
+      const expirado = jwt.sign(
+        { documento: documentoId, usuario: usuarioComprador.id },
+        `${process.env.JWT_SECRET}:download-documento`,
+        { expiresIn: -60 }
+      );
+      assert.equal((await comprador.get(rota(`/${documentoId}/download?token=${expirado}`))).status, 403);
+
+      // Assinado com o segredo das sessões, e não com o dos links
+      const comSegredoDeSessao = jwt.sign({ documento: documentoId, usuario: usuarioComprador.id }, process.env.JWT_SECRET);
+      assert.equal((await comprador.get(rota(`/${documentoId}/download?token=${comSegredoDeSessao}`))).status, 403);
+
+      // Link de outro usuário (o vendedor também acessa os documentos) e pedido sem link
+      assert.equal((await vendedor.get(url)).status, 403);
+      assert.equal((await comprador.get(rota(`/${documentoId}/download`))).status, 403);
+
+      const downloads = await vendedor.get(rota(`/downloads?documento_id=${documentoId}`));
+      assert.equal(downloads.body.paginacao.total, 1);
+    });
+
+    it('bloqueia o comprador depois que o acesso é revogado', async () => {
+      const url = await pedirLink(comprador, documentoId);
+
+      assert.equal((await vendedor.delete(rota(`/acessos/${usuarioComprador.id}`))).status, 200);
+
+      assert.equal((await comprador.get(rota())).status, 403);
+      assert.equal((await comprador.get(url)).status, 403);
+      assert.equal((await outroComprador.get(url)).status, 403);
+    });
+  });
+
+  describe('DELETE /api/empresas/:id/documentos/:documentoId', () => {
+    it('remove o registro e o arquivo do armazenamento', async () => {
+      const documento = (await enviar({ categoria: 'dre', nome: 'dre-2025.pdf' })).body.dados;
+      const antes = await armazenamento.arquivosPrivados();
+
+      assert.equal((await vendedor.delete(rota(`/${documento.id}`))).status, 200);
+
+      assert.equal((await armazenamento.arquivosPrivados()).length, antes.length - 1);
+      assert.ok(!(await vendedor.get(rota())).body.dados.some((d) => d.id === documento.id));
+      assert.equal((await vendedor.delete(rota(`/${documento.id}`))).status, 404);
+    });
+
+    it('retorna 400 para IDs inválidos na rota', async () => {
+      assert.equal((await vendedor.delete(rota('/abc'))).status, 400);
+      assert.equal((await vendedor.post(rota('/0/link'))).status, 400);
+      assert.equal((await vendedor.delete(rota('/acessos/abc'))).status, 400);
+    });
+  });
+});
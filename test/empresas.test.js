@@ -0,0 +1,359 @@
+//test/empresas.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { iniciarApp } = require('./apoio/app');
+const { obterRepositorios } = require('../repositories');
+
+// CNPJs com dígitos verificadores válidos
+const CNPJS = ['11222333000181', '12345678000195', '11444777000161', '45997418000153', '00000000000191'];
+
+const dadosEmpresa = (dados = {}) => ({
+  titulo: 'Padaria com 20 anos de tradição',
+  nome: 'Padaria Central',
+  setor: 'Alimentação',
+  email: 'contato@padaria.com',
+  localizacao: 'Sorocaba - SP',
+  valor: 350000,
+  ...dados
+});
+
+describe('Empresas', () => {
+  let ambiente;
+  let app;
+  let admin;
+  let corretor;
+  let vendedor;
+  let outroVendedor;
+  let comprador;
+
+  // Empresa do `vendedor`; retorna o id
+  const cadastrarEmpresa = async (cnpj, dados) => {
+    const resposta = await vendedor.post('/api/empresas').send(dadosEmpresa({ cnpj, ...dados }));
+
+    assert.equal(resposta.status, 201);
+    return resposta.body.id;
+  };
+
+  before(async () => {
+    ambiente = await iniciarApp();
+    app = ambiente.app;
+
+    ({ agente: admin } = await ambiente.criarSessao({ papel: 'admin' }));
+    ({ agente: corretor } = await ambiente.criarSessao({ papel: 'corretor' }));
+    ({ agente: vendedor } = await ambiente.criarSessao({ papel: 'vendedor' }));
+    ({ agente: outroVendedor } = await ambiente.criarSessao({ papel: 'vendedor' }));
+    ({ agente: comprador } = await ambiente.criarSessao({ papel: 'comprador' }));
+  });
+
+  describe('POST /api/empresas', () => {
+    it('cria a empresa com o CNPJ normalizado', async () => {
+      const resposta = await vendedor.post('/api/empresas').send(dadosEmpresa({ cnpj: '11.222.333/0001-81' }));
+
+      assert.equal(resposta.status, 201);
+      assert.equal(resposta.body.cnpj, '11222333000181');
+      assert.equal(resposta.body.cnpj_formatado, '11.222.333/0001-81');
+
+      const empresa = (await vendedor.get(`/api/empresas/${resposta.body.id}`)).body.dados;
+      assert.equal(empresa.nome, 'Padaria Central');
+      assert.equal(empresa.ativo, true);
+      assert.equal(Number(empresa.valor), 350000);
+    });
+
+    it('rejeita CNPJ já cadastrado, com ou sem pontuação', async () => {
+      const formatado = await outroVendedor.post('/api/empresas').send(dadosEmpresa({ cnpj: '11.222.333/0001-81' }));
+      assert.equal(formatado.status, 409);
+      assert.equal(formatado.body.mensagem, 'CNPJ já cadastrado');
+      assert.equal(formatado.body.codigo, 'CNPJ_DUPLICADO');
+
+      const semPontuacao = await outroVendedor.post('/api/empresas').send(dadosEmpresa({ cnpj: '11222333000181' }));
+      assert.equal(semPontuacao.status, 409);
+    });
+
+    it('indica quando o CNPJ pertence a uma empresa na lixeira', async () => {
+      const id = await cadastrarEmpresa(CNPJS[1]);
+      await vendedor.delete(`/api/empresas/${id}`);
+
+      const resposta = await vendedor.post('/api/empresas').send(dadosEmpresa({ cnpj: CNPJS[1] }));
+
+      assert.equal(resposta.status, 409);
+      assert.match(resposta.body.mensagem, /lixeira/);
+      assert.equal(resposta.body.codigo, 'CNPJ_NA_LIXEIRA');
+    });
+
+    it('responde 409 quando o CNPJ é cadastrado entre a verificação e o INSERT', async () => {
+      // Simula a corrida: a verificação não vê a empresa e o INSERT esbarra na restrição UNIQUE
+      const { empresas } = obterRepositorios();
+      const buscarPorCnpj = empresas.buscarPorCnpj;
+      empresas.buscarPorCnpj = async () => null;
+
+      try {
+        const resposta = await outroVendedor.post('/api/empresas').send(dadosEmpresa({ cnpj: '11.222.333/0001-81' }));
+
+        assert.equal(resposta.status, 409);
+        assert.equal(resposta.body.codigo, 'CNPJ_DUPLICADO');
+        assert.equal(resposta.body.mensagem, 'CNPJ já cadastrado');
+        assert.ok(resposta.body.requisicaoId);
+      } finally {
+        empresas.buscarPorCnpj = buscarPorCnpj;
+      }
+    });
+
+    it('valida o corpo', async () => {
+      const resposta = await vendedor.post('/api/empresas').send(dadosEmpresa({ cnpj: '11.111.111/1111-11', email: 'invalido' }));
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.codigo, 'DADOS_INVALIDOS');
+      assert.deepEqual(resposta.body.erros.map((erro) => erro.campo).sort(), ['cnpj', 'email']);
+    });
+
+    it('é restrito a quem anuncia', async () => {
+      const resposta = await comprador.post('/api/empresas').send(dadosEmpresa({ cnpj: CNPJS[2] }));
+
+      assert.equal(resposta.status, 403);
+    });
+
+    it('exige autenticação', async () => {
+      const resposta = await request(app).post('/api/empresas').send(dadosEmpresa({ cnpj: CNPJS[2] }));
+
+      assert.equal(resposta.status, 401);
+    });
+  });
+
+  describe('GET /api/empresas', () => {
+    it('lista com paginação para admin e corretor', async () => {
+      const resposta = await corretor.get('/api/empresas?pageSize=1');
+
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.body.paginacao.pageSize, 1);
+      assert.equal(resposta.body.dados.length, 1);
+      assert.ok(resposta.body.paginacao.total >= 1);
+    });
+
+    it('é restrito a admin e corretor', async () => {
+      assert.equal((await vendedor.get('/api/empresas')).status, 403);
+    });
+
+    it('rejeita páginas além do limite seguro da paginação', async () => {
+      for (const query of [{ page: '99999999999999999999' }, { page: String(Number.MAX_SAFE_INTEGER), pageSize: 100 }]) {
+        const resposta = await corretor.get('/api/empresas').query(query);
+        assert.equal(resposta.status, 400);
+      }
+    });
+
+    it('trata % e _ dos filtros como texto, não como curingas', async () => {
+      const total = async (query) => (await corretor.get('/api/empresas').query(query)).body.paginacao.total;
+
+      assert.ok(await total({ setor: 'ALIMENTAÇÃO' }) >= 1);
+      assert.equal(await total({ setor: '%' }), 0);
+      assert.equal(await total({ setor: 'Alimenta__o' }), 0);
+
+      assert.ok(await total({ localizacao: 'caba - s' }) >= 1);
+      assert.equal(await total({ localizacao: '%' }), 0);
+      assert.equal(await total({ localizacao: 'Soro_aba' }), 0);
+    });
+
+    it('lista em /minhas apenas as empresas do usuário', async () => {
+      const minhas = await vendedor.get('/api/empresas/minhas');
+      assert.equal(minhas.status, 200);
+      assert.ok(minhas.body.dados.length >= 1);
+
+      const deOutro = await outroVendedor.get('/api/empresas/minhas');
+      assert.equal(deOutro.body.paginacao.total, 0);
+    });
+  });
+
+  describe('GET /api/empresas/:id', () => {
+    it('restringe a empresa ao dono, admin e corretor', async () => {
+      const id = await cadastrarEmpresa(CNPJS[2]);
+
+      assert.equal((await admin.get(`/api/empresas/${id}`)).status, 200);
+      assert.equal((await corretor.get(`/api/empresas/${id}`)).status, 200);
+      assert.equal((await outroVendedor.get(`/api/empresas/${id}`)).status, 403);
+    });
+
+    it('retorna 404 para empresa inexistente', async () => {
+      const resposta = await vendedor.get('/api/empresas/9999');
+
+      assert.equal(resposta.status, 404);
+      assert.equal(resposta.body.mensagem, 'Empresa não encontrada');
+      assert.equal(resposta.body.codigo, 'NAO_ENCONTRADO');
+    });
+
+    it('retorna 400 para ID que não é um inteiro positivo, em todas as rotas da empresa', async () => {
+      for (const id of ['abc', '0', '-1', '1.5', '2147483648']) {
+        const respostas = [
+          await admin.get(`/api/empresas/${id}`),
+          await admin.get(`/api/empresas/${id}/contatos`),
+          await admin.patch(`/api/empresas/${id}`).send({ titulo: 'Novo título' }),
+          await admin.delete(`/api/empresas/${id}`),
+          await admin.post(`/api/empresas/${id}/restaurar`),
+          await admin.get(`/api/empresas/${id}/imagens`),
+          await admin.get(`/api/empresas/${id}/documentos`),
+          await request(app).get(`/api/public/empresas/${id}`)
+        ];
+
+        for (const resposta of respostas) {
+          assert.equal(resposta.status, 400, `${resposta.req.method} ${resposta.req.path}`);
+          assert.equal(resposta.body.codigo, 'DADOS_INVALIDOS');
+        }
+      }
+    });
+  });
+
+  describe('PUT /api/empresas/:id', () => {
+    it('substitui os dados da empresa', async () => {
+      const id = await cadastrarEmpresa(CNPJS[3], { descricao: 'Ponto comercial próprio' });
+
+      const resposta = await vendedor
+        .put(`/api/empresas/${id}`)
+        .send(dadosEmpresa({ cnpj: CNPJS[3], nome: 'Padaria Central Ltda', valor: 400000 }));
+
+      assert.equal(resposta.status, 200);
+
+      const empresa = (await vendedor.get(`/api/empresas/${id}`)).body.dados;
+      assert.equal(empresa.nome, 'Padaria Central Ltda');
+      assert.equal(Number(empresa.valor), 400000);
+      assert.equal(empresa.descricao, null);
+    });
+
+    it('mantém a capa da galeria (img não é gravável pelo corpo)', async () => {
+      const id = await cadastrarEmpresa('60746948000112');
+
+      // Foto registrada direto no repositório: a capa vira o img da empresa
+      const { imagens } = obterRepositorios();
+      await imagens.criar({
+        empresa_id: id,
+        chave: `empresas/${id}/capa.jpg`,
+        chave_miniatura: `empresas/${id}/capa-miniatura.jpg`,
+        tipo_mime: 'image/jpeg',
+        tamanho: 1,
+        ordem: 0
+      });
+      await imagens.sincronizarCapa(id);
+
+      const capa = (await vendedor.get(`/api/empresas/${id}`)).body.dados.img;
+      assert.match(capa, /capa\.jpg$/);
+
+      const substituicao = await vendedor.put(`/api/empresas/${id}`).send(dadosEmpresa({ cnpj: '60746948000112' }));
+      assert.equal(substituicao.status, 200);
+
+      const alteracao = await vendedor.patch(`/api/empresas/${id}`).send({ img: 'https://outro-site.com/x.jpg', valor: 1 });
+      assert.equal(alteracao.status, 200);
+      assert.equal(alteracao.body.dados.img, capa);
+
+      assert.equal((await vendedor.patch(`/api/empresas/${id}`).send({ img: null })).status, 400);
+    });
+
+    it('mantém o anúncio desativado quando o corpo omite ativo', async () => {
+      const id = await cadastrarEmpresa('19131243000197');
+
+      assert.equal((await vendedor.patch(`/api/empresas/${id}`).send({ ativo: false })).status, 200);
+
+      const substituicao = await vendedor.put(`/api/empresas/${id}`).send(dadosEmpresa({ cnpj: '19131243000197' }));
+      assert.equal(substituicao.status, 200);
+      assert.equal((await vendedor.get(`/api/empresas/${id}`)).body.dados.ativo, false);
+
+      const reativacao = await vendedor.put(`/api/empresas/${id}`).send(dadosEmpresa({ cnpj: '19131243000197', ativo: true }));
+      assert.equal(reativacao.status, 200);
+      assert.equal((await vendedor.get(`/api/empresas/${id}`)).body.dados.ativo, true);
+    });
+
+    it('rejeita CNPJ de outra empresa', async () => {
+      const id = await cadastrarEmpresa(CNPJS[4]);
+
+      const resposta = await vendedor.put(`/api/empresas/${id}`).send(dadosEmpresa({ cnpj: '11.222.333/0001-81' }));
+
+      assert.equal(resposta.status, 409);
+      assert.equal(resposta.body.mensagem, 'CNPJ já cadastrado');
+      assert.equal(resposta.body.codigo, 'CNPJ_DUPLICADO');
+    });
+
+    it('só o dono ou um admin altera', async () => {
+      const resposta = await outroVendedor.put('/api/empresas/1').send(dadosEmpresa({ cnpj: CNPJS[0] }));
+
+      assert.equal(resposta.status, 403);
+      assert.equal(resposta.body.codigo, 'ACESSO_NEGADO');
+    });
+  });
+
+  describe('PATCH /api/empresas/:id', () => {
+    it('altera apenas os campos enviados', async () => {
+      const resposta = await vendedor.patch('/api/empresas/1').send({ valor: 320000, ativo: false });
+
+      assert.equal(resposta.status, 200);
+      assert.equal(Number(resposta.body.dados.valor), 320000);
+      assert.equal(resposta.body.dados.ativo, false);
+      assert.equal(resposta.body.dados.nome, 'Padaria Central');
+    });
+
+    it('rejeita corpo sem campos', async () => {
+      const resposta = await vendedor.patch('/api/empresas/1').send({});
+
+      assert.equal(resposta.status, 400);
+      assert.equal(resposta.body.mensagem, 'Nenhum campo para atualizar');
+    });
+
+    it('admin altera empresas de outros usuários', async () => {
+      const resposta = await admin.patch('/api/empresas/1').send({ ativo: true });
+
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.body.dados.ativo, true);
+    });
+  });
+
+  describe('DELETE /api/empresas/:id', () => {
+    it('move para a lixeira e permite restaurar', async () => {
+      const { agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+      const criacao = await agente.post('/api/empresas').send(dadosEmpresa({ cnpj: '98.765.432/0001-98' }));
+      const id = criacao.body.id;
+
+      assert.equal((await outroVendedor.delete(`/api/empresas/${id}`)).status, 403);
+
+      const exclusao = await agente.delete(`/api/empresas/${id}`);
+      assert.equal(exclusao.status, 200);
+      assert.equal(exclusao.body.mensagem, 'Empresa movida para a lixeira');
+
+      assert.equal((await agente.get(`/api/empresas/${id}`)).status, 404);
+
+      const lixeira = await agente.get('/api/empresas/lixeira');
+      assert.deepEqual(lixeira.body.dados.map((empresa) => empresa.id), [id]);
+
+      assert.equal((await agente.post(`/api/empresas/${id}/restaurar`)).status, 200);
+      assert.equal((await agente.get(`/api/empresas/${id}`)).status, 200);
+    });
+
+    it('retorna 404 para empresa inexistente', async () => {
+      assert.equal((await admin.delete('/api/empresas/9999')).status, 404);
+    });
+  });
+
+  describe('GET /api/public/empresas', () => {
+    it('lista apenas empresas ativas, sem dados internos', async () => {
+      await vendedor.patch('/api/empresas/1').send({ ativo: false });
+
+      const resposta = await request(app).get('/api/public/empresas');
+
+      assert.equal(resposta.status, 200);
+      assert.ok(!resposta.body.dados.some((empresa) => empresa.id === 1));
+      assert.ok(resposta.body.dados.every((empresa) => empresa.cnpj === undefined && empresa.usuario_id === undefined));
+
+      assert.equal((await request(app).get('/api/public/empresas/1')).status, 404);
+    });
+
+    it('escapa o HTML do anunciante no trecho destacado da busca', async () => {
+      await cadastrarEmpresa('33000167000101', {
+        titulo: 'Confeitaria artesanal',
+        descricao: 'Confeitaria <img src=x onerror=alert(1)> & cia'
+      });
+
+      const resposta = await request(app).get('/api/public/empresas?q=confeitaria');
+
+      assert.equal(resposta.status, 200);
+      assert.equal(resposta.body.dados.length, 1);
+      const { destaque } = resposta.body.dados[0];
+      assert.match(destaque, /^<mark>Confeitaria<\/mark> artesanal — <mark>Confeitaria<\/mark> &lt;img src=x/);
+      assert.equal(destaque.replace(/<\/?mark>/g, '').includes('<'), false);
+    });
+  });
+});
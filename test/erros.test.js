@@ -0,0 +1,84 @@
+//test/erros.test.js
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { iniciarApp } = require('./apoio/app');
+const { paraErroAplicacao } = require('../utils/erros');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('Respostas de erro', () => {
+  let app;
+  let corretor;
+
+  before(async () => {
+    const ambiente = await iniciarApp();
+    app = ambiente.app;
+
+    ({ agente: corretor } = await ambiente.criarSessao({ papel: 'corretor' }));
+  });
+
+  it('trazem codigo e requisicaoId, diferente a cada requisição', async () => {
+    const primeira = await request(app).get('/api/nao-existe');
+    const segunda = await request(app).get('/api/nao-existe');
+
+    assert.equal(primeira.status, 404);
+    assert.equal(primeira.body.sucesso, false);
+    assert.equal(primeira.body.codigo, 'ENDPOINT_NAO_ENCONTRADO');
+    assert.match(primeira.body.requisicaoId, UUID);
+    assert.notEqual(primeira.body.requisicaoId, segunda.body.requisicaoId);
+  });
+
+  it('incluem as respostas montadas direto nas rotas e middlewares', async () => {
+    const semToken = await request(app).get('/api/auth/perfil');
+
+    assert.equal(semToken.status, 401);
+    assert.equal(semToken.body.codigo, 'NAO_AUTENTICADO');
+    assert.match(semToken.body.requisicaoId, UUID);
+  });
+
+  it('não alteram as respostas de sucesso', async () => {
+    const resposta = await request(app).get('/health');
+
+    assert.equal(resposta.status, 200);
+    assert.equal(resposta.body.codigo, undefined);
+    assert.equal(resposta.body.requisicaoId, undefined);
+  });
+
+  it('traduzem JSON malformado', async () => {
+    const resposta = await request(app)
+      .post('/api/contatos')
+      .set('Content-Type', 'application/json')
+      .send('{"nome": ');
+
+    assert.equal(resposta.status, 400);
+    assert.equal(resposta.body.codigo, 'JSON_INVALIDO');
+    assert.match(resposta.body.requisicaoId, UUID);
+  });
+
+  it('traduzem erros do banco causados pela requisição', () => {
+    // Texto que não converte para o tipo da coluna (22P02)
+    const erro = paraErroAplicacao(Object.assign(new Error('invalid input syntax for type integer'), { code: '22P02' }));
+
+    assert.equal(erro.status, 400);
+    assert.equal(erro.codigo, 'DADOS_INVALIDOS');
+  });
+
+  it('rejeitam IDs inválidos na rota antes de consultar o banco', async () => {
+    const resposta = await corretor.get('/api/empresas/abc');
+
+    assert.equal(resposta.status, 400);
+    assert.equal(resposta.body.codigo, 'DADOS_INVALIDOS');
+    assert.deepEqual(resposta.body.erros.map((erro) => erro.campo), ['id']);
+  });
+
+  it('usam o código da regra de negócio', async () => {
+    const contato = await request(app)
+      .post('/api/contatos')
+      .send({ nome: 'Carlos Pereira', email: 'carlos@teste.com' });
+
+    await corretor.patch(`/api/contatos/${contato.body.id}/status`).send({ status: 'fechado' })
+      .expect(409)
+      .expect((resposta) => assert.equal(resposta.body.codigo, 'TRANSICAO_STATUS_INVALIDA'));
+  });
+});
@@ -0,0 +1,203 @@
+//test/imagens.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { iniciarApp } = require('./apoio/app');
+const { usarArmazenamentoTemporario } = require('./apoio/armazenamento');
+
+// Imagem sólida gerada na hora (jpeg | png | webp)
+const gerarImagem = (formato, { largura = 64, altura = 48 } = {}) => {
+  return sharp({ create: { width: largura, height: altura, channels: 3, background: '#c0392b' } })
+    .toFormat(formato)
+    .toBuffer();
+};
+
+describe('Galeria de imagens', () => {
+  let armazenamento;
+  let vendedor;
+  let outroVendedor;
+  let corretor;
+  let jpeg;
+  let png;
+
+  // Empresa nova do `vendedor`; retorna o id
+  const cadastrarEmpresa = async (cnpj) => {
+    const resposta = await vendedor.post('/api/empresas').send({
+      titulo: 'Papelaria no centro',
+      nome: 'Papelaria Central',
+      setor: 'Varejo',
+      cnpj,
+      email: 'contato@papelaria.com'
+    });
+
+    assert.equal(resposta.status, 201);
+    return resposta.body.id;
+  };
+
+  const enviar = (empresaId, arquivos, agente = vendedor) => {
+    const requisicao = agente.post(`/api/empresas/${empresaId}/imagens`);
+
+    for (const { conteudo, nome, tipo } of arquivos) {
+      requisicao.attach('imagens', conteudo, { filename: nome, contentType: tipo });
+    }
+
+    return requisicao;
+  };
+
+  const galeria = async (empresaId) => (await vendedor.get(`/api/empresas/${empresaId}/imagens`)).body.dados;
+  const capaDaEmpresa = async (empresaId) => (await vendedor.get(`/api/empresas/${empresaId}`)).body.dados.img;
+
+  before(async () => {
+    const ambiente = await iniciarApp();
+    armazenamento = await usarArmazenamentoTemporario();
+
+    ({ agente: vendedor } = await ambiente.criarSessao({ papel: 'vendedor' }));
+    ({ agente: outroVendedor } = await ambiente.criarSessao({ papel: 'vendedor' }));
+    ({ agente: corretor } = await ambiente.criarSessao({ papel: 'corretor' }));
+
+    jpeg = { conteudo: await gerarImagem('jpeg'), nome: 'fachada.jpg', tipo: 'image/jpeg' };
+    png = { conteudo: await gerarImagem('png'), nome: 'interior.png', tipo: 'image/png' };
+  });
+
+  after(() => armazenamento.remover());
+
+  describe('POST /api/empresas/:id/imagens', () => {
+    it('grava as fotos com miniatura e faz da primeira a capa', async () => {
+      const empresaId = await cadastrarEmpresa('11222333000181');
+
+      const resposta = await enviar(empresaId, [jpeg, png]);
+
+      assert.equal(resposta.status, 201);
+      assert.equal(resposta.body.dados.length, 2);
+      assert.deepEqual(resposta.body.dados.map((imagem) => imagem.capa), [true, false]);
+      assert.deepEqual(resposta.body.dados.map((imagem) => imagem.tipo_mime), ['image/jpeg', 'image/png']);
+      assert.ok(resposta.body.dados.every((imagem) => imagem.chave === undefined && imagem.url_miniatura.endsWith('.webp')));
+
+      assert.equal((await armazenamento.arquivosPublicos()).length, 4);
+      assert.equal(await capaDaEmpresa(empresaId), resposta.body.dados[0].url);
+    });
+
+    it('rejeita arquivo cujo conteúdo não é uma imagem, sem gravar nenhum', async () => {
+      const empresaId = await cadastrarEmpresa('12345678000195');
+      const antes = await armazenamento.arquivosPublicos();
+
+      const resposta = await enviar(empresaId, [
+        jpeg,
+        { conteudo: Buffer.from('%PDF-1.7 não é uma foto'), nome: 'falsa.jpg', tipo: 'image/jpeg' }
+      ]);
+
+      assert.equal(resposta.status, 400);
+      assert.match(resposta.body.erros[0].mensagem, /^falsa\.jpg: /);
+      assert.deepEqual(await armazenamento.arquivosPublicos(), antes);
+      assert.equal((await galeria(empresaId)).length, 0);
+    });
+
+    it('rejeita tipos fora de JPEG, PNG e WebP', async () => {
+      const empresaId = await cadastrarEmpresa('11444777000161');
+
+      const resposta = await enviar(empresaId, [{ conteudo: Buffer.from('GIF89a'), nome: 'anima.gif', tipo: 'image/gif' }]);
+
+      assert.equal(resposta.status, 400);
+      assert.match(resposta.body.mensagem, /Tipo de arquivo não permitido/);
+    });
+
+    it('respeita o limite de fotos da galeria e apaga os arquivos do envio recusado', async () => {
+      const empresaId = await cadastrarEmpresa('45997418000153');
+      process.env.IMAGENS_POR_EMPRESA = '3';
+
+      try {
+        assert.equal((await enviar(empresaId, [jpeg, png])).status, 201);
+        const antes = await armazenamento.arquivosPublicos();
+
+        const excedente = await enviar(empresaId, [jpeg, png]);
+
+        assert.equal(excedente.status, 400);
+        assert.match(excedente.body.mensagem, /no máximo 3 imagens \(2 já enviadas\)/);
+        assert.deepEqual(await armazenamento.arquivosPublicos(), antes);
+        assert.equal((await galeria(empresaId)).length, 2);
+      } finally {
+        delete process.env.IMAGENS_POR_EMPRESA;
+      }
+    });
+
+    it('só o dono ou um admin envia fotos', async () => {
+      const empresaId = await cadastrarEmpresa('00000000000191');
+
+      assert.equal((await enviar(empresaId, [jpeg], outroVendedor)).status, 403);
+      assert.equal((await enviar(empresaId, [jpeg], corretor)).status, 403);
+    });
+  });
+
+  describe('PUT /api/empresas/:id/imagens/ordem', () => {
+    it('reordena a galeria com todas as imagens da empresa', async () => {
+      const empresaId = await cadastrarEmpresa('60746948000112');
+      const ids = (await enviar(empresaId, [jpeg, png, jpeg])).body.dados.map((imagem) => imagem.id);
+
+      const invertida = [...ids].reverse();
+      const resposta = await vendedor.put(`/api/empresas/${empresaId}/imagens/ordem`).send({ ids: invertida });
+
+      assert.equal(resposta.status, 200);
+      assert.deepEqual(resposta.body.dados.map((imagem) => imagem.id), invertida);
+      assert.deepEqual((await galeria(empresaId)).map((imagem) => imagem.id), invertida);
+    });
+
+    it('rejeita listas incompletas, repetidas ou com imagens de outra empresa', async () => {
+      const empresaId = await cadastrarEmpresa('33000167000101');
+      const ids = (await enviar(empresaId, [jpeg, png])).body.dados.map((imagem) => imagem.id);
+
+      for (const lista of [[ids[0]], [ids[0], ids[0]], [ids[0], 999999], ['1', '2']]) {
+        const resposta = await vendedor.put(`/api/empresas/${empresaId}/imagens/ordem`).send({ ids: lista });
+        assert.equal(resposta.status, 400);
+      }
+
+      assert.deepEqual((await galeria(empresaId)).map((imagem) => imagem.id), ids);
+    });
+  });
+
+  describe('Capa', () => {
+    it('troca a capa e a reatribui ao remover a imagem de capa', async () => {
+      const empresaId = await cadastrarEmpresa('19131243000197');
+      const [primeira, segunda] = (await enviar(empresaId, [jpeg, png])).body.dados;
+
+      const troca = await vendedor.put(`/api/empresas/${empresaId}/imagens/${segunda.id}/capa`);
+      assert.equal(troca.status, 200);
+      assert.deepEqual(troca.body.dados.map((imagem) => imagem.capa), [false, true]);
+      assert.equal(await capaDaEmpresa(empresaId), segunda.url);
+
+      assert.equal((await vendedor.delete(`/api/empresas/${empresaId}/imagens/${segunda.id}`)).status, 200);
+      assert.equal(await capaDaEmpresa(empresaId), primeira.url);
+      assert.equal((await galeria(empresaId))[0].capa, true);
+
+      assert.equal((await vendedor.delete(`/api/empresas/${empresaId}/imagens/${primeira.id}`)).status, 200);
+      assert.equal(await capaDaEmpresa(empresaId), null);
+    });
+
+    it('apaga do armazenamento os arquivos da imagem removida', async () => {
+      const empresaId = await cadastrarEmpresa('27865757000102');
+      const [imagem] = (await enviar(empresaId, [jpeg])).body.dados;
+      const antes = await armazenamento.arquivosPublicos();
+
+      assert.equal((await vendedor.delete(`/api/empresas/${empresaId}/imagens/${imagem.id}`)).status, 200);
+
+      const depois = await armazenamento.arquivosPublicos();
+      assert.equal(antes.length - depois.length, 2);
+      assert.ok(!depois.some((chave) => imagem.url.endsWith(chave)));
+    });
+
+    it('retorna 404 para imagem de outra empresa', async () => {
+      const empresaId = await cadastrarEmpresa('07526557000100');
+      const outraEmpresa = await cadastrarEmpresa('12ABC34501DE35');
+      const [imagem] = (await enviar(outraEmpresa, [jpeg])).body.dados;
+
+      assert.equal((await vendedor.put(`/api/empresas/${empresaId}/imagens/${imagem.id}/capa`)).status, 404);
+      assert.equal((await vendedor.delete(`/api/empresas/${empresaId}/imagens/${imagem.id}`)).status, 404);
+    });
+
+    it('retorna 400 para ID de imagem inválido', async () => {
+      const empresaId = await cadastrarEmpresa('04252011000110');
+
+      assert.equal((await vendedor.put(`/api/empresas/${empresaId}/imagens/abc/capa`)).status, 400);
+      assert.equal((await vendedor.delete(`/api/empresas/${empresaId}/imagens/0`)).status, 400);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+//test/log.test.js
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { iniciarApp } = require('./apoio/app');
+const { log, ocultarSensiveis } = require('../utils/log');
+
+/**
+ * Executa `acao` com LOG_LEVEL = `nivel` e retorna as linhas de log emitidas (já parseadas)
+ * O restante da saída segue para o stdout/stderr originais
+ */
+const capturarLogs = async (nivel, acao) => {
+  const linhas = [];
+  const originais = { stdout: process.stdout.write, stderr: process.stderr.write };
+
+  const interceptar = (original) => function (trecho, ...args) {
+    try {
+      linhas.push(JSON.parse(String(trecho)));
+      return true;
+    } catch {
+      return original.call(this, trecho, ...args);
+    }
+  };
+
+  process.env.LOG_LEVEL = nivel;
+  process.stdout.write = interceptar(originais.stdout);
+  process.stderr.write = interceptar(originais.stderr);
+
+  try {
+    await acao();
+  } finally {
+    process.stdout.write = originais.stdout;
+    process.stderr.write = originais.stderr;
+  }
+
+  return linhas;
+};
+
+describe('Logs', () => {
+  let ambiente;
+  let app;
+
+  before(async () => {
+    ambiente = await iniciarApp();
+    app = ambiente.app;
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+  });
+
+  describe('X-Request-Id', () => {
+    it('reaproveita o id recebido no header', async () => {
+      const resposta = await request(app).get('/api/nao-existe').set('X-Request-Id', 'gateway-123');
+
+      assert.equal(resposta.headers['x-request-id'], 'gateway-123');
+      assert.equal(resposta.body.requisicaoId, 'gateway-123');
+    });
+
+    it('gera um id novo quando o recebido é inválido', async () => {
+      const resposta = await request(app).get('/health').set('X-Request-Id', 'id com espaços e "aspas"');
+
+      assert.equal(resposta.status, 200);
+      assert.match(resposta.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    });
+  });
+
+  describe('Log de requisições', () => {
+    it('registra uma linha JSON por requisição, com o padrão da rota e o usuário', async () => {
+      const { usuario, agente } = await ambiente.criarSessao({ papel: 'vendedor' });
+
+      const linhas = await capturarLogs('info', async () => {
+        await agente.get('/api/empresas/9999').set('X-Request-Id', 'req-empresa');
+      });
+
+      const linha = linhas.find((item) => item.requisicaoId === 'req-empresa');
+
+      assert.ok(linha);
+      assert.equal(linha.nivel, 'warn');
+      assert.equal(linha.mensagem, 'Requisição concluída');
+      assert.equal(linha.metodo, 'GET');
+      assert.equal(linha.rota, '/api/empresas/:id');
+      assert.equal(linha.caminho, '/api/empresas/9999');
+      assert.equal(linha.status, 404);
+      assert.equal(typeof linha.duracaoMs, 'number');
+      assert.equal(linha.usuarioId, usuario.id);
+      assert.ok(linha.horario);
+    });
+
+    it('não registra o token da query string', async () => {
+      const linhas = await capturarLogs('info', async () => {
+        await request(app).get('/api/nao-existe?token=eyJabc.eyJdef.assinatura').set('X-Request-Id', 'req-token');
+      });
+
+      const texto = JSON.stringify(linhas);
+
+      assert.ok(texto.includes('req-token'));
+      assert.ok(!texto.includes('assinatura'));
+    });
+
+    it('respeita o nível mínimo de LOG_LEVEL', async () => {
+      const linhas = await capturarLogs('warn', async () => {
+        await request(app).get('/health');
+        await request(app).get('/api/nao-existe');
+      });
+
+      assert.deepEqual(linhas.map((linha) => linha.status), [404]);
+    });
+
+    it('não escreve nada com LOG_LEVEL=silent', async () => {
+      const linhas = await capturarLogs('silent', async () => {
+        log.error('Falha qualquer');
+      });
+
+      assert.deepEqual(linhas, []);
+    });
+  });
+
+  describe('ocultarSensiveis', () => {
+    it('oculta senhas, tokens e CNPJs pelo nome do campo', () => {
+      const resultado = ocultarSensiveis({
+        email: 'ana@exemplo.com',
+        senha: 'senha123',
+        dados: { refreshToken: 'abc', cnpj: '11222333000181' },
+        vazio: null
+      });
+
+      assert.deepEqual(resultado, {
+        email: 'ana@exemplo.com',
+        senha: '[oculto]',
+        dados: { refreshToken: '[oculto]', cnpj: '[oculto]' },
+        vazio: null
+      });
+    });
+
+    it('oculta JWTs e CNPJs dentro de textos e erros', () => {
+      const erro = new Error('Key (cnpj)=(11222333000181) already exists');
+      erro.code = '23505';
+
+      const resultado = ocultarSensiveis({
+        erro,
+        cabecalho: 'Bearer eyJhbGciOiJIUzI1NiJ9.eyJpZCI6MX0.c2lnbmF0dXJl',
+        mascarado: 'CNPJ 11.222.333/0001-81 em uso'
+      });
+
+      assert.equal(resultado.erro.mensagem, 'Key (cnpj)=([oculto]) already exists');
+      assert.equal(resultado.erro.codigo, '23505');
+      assert.equal(resultado.cabecalho, 'Bearer [oculto]');
+      assert.equal(resultado.mascarado, 'CNPJ [oculto] em uso');
+    });
+
+    it('tolera referências circulares', () => {
+      const objeto = { nome: 'a' };
+      objeto.proprio = objeto;
+
+      assert.deepEqual(ocultarSensiveis(objeto), { nome: 'a', proprio: '[circular]' });
+    });
+  });
+});
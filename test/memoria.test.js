@@ -0,0 +1,14 @@
+//test/memoria.test.js
+// As suítes de contatos, empresas, galeria, documentos e auditoria de novo, agora sobre os repositórios em memória (REPOSITORY_DRIVER=memoria):
+// as rotas precisam se comportar igual com as duas implementações
+const { describe } = require('node:test');
+
+process.env.REPOSITORY_DRIVER = 'memoria';
+
+describe('Driver memoria', () => {
+  require('./contatos.test');
+  require('./empresas.test');
+  require('./imagens.test');
+  require('./documentos.test');
+  require('./auditoria.test');
+});
@@ -0,0 +1,174 @@
+//test/migrador.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { criarBanco } = require('./apoio/banco');
+const { listarMigracoes, migrar, reverter, situacao, marcarAplicadas } = require('../db/migrador');
+
+// Migrações de exemplo: 001 cria `clientes`, 002 cria `pedidos`
+const MIGRACOES = {
+  '001_clientes.up.sql': 'CREATE TABLE clientes (id SERIAL PRIMARY KEY, nome TEXT NOT NULL);',
+  '001_clientes.down.sql': 'DROP TABLE clientes;',
+  '002_pedidos.up.sql': 'CREATE TABLE pedidos (id SERIAL PRIMARY KEY, cliente_id INT REFERENCES clientes(id));',
+  '002_pedidos.down.sql': 'DROP TABLE pedidos;'
+};
+
+describe('Migrador', () => {
+  let banco;
+  let diretorio;
+
+  const escrever = (arquivos) => Promise.all(
+    Object.entries(arquivos).map(([nome, sql]) => fs.writeFile(path.join(diretorio, nome), sql))
+  );
+
+  const tabelas = async () => {
+    const resultado = await banco.query(
+      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' ORDER BY table_name"
+    );
+    return resultado.rows.map((linha) => linha.table_name);
+  };
+
+  const versoesRegistradas = async () => {
+    return (await banco.query('SELECT versao FROM migracoes ORDER BY versao')).rows.map((linha) => linha.versao);
+  };
+
+  beforeEach(async () => {
+    banco = await criarBanco({ migrado: false });
+    diretorio = await fs.mkdtemp(path.join(os.tmpdir(), 'migracoes-'));
+    await escrever(MIGRACOES);
+  });
+
+  afterEach(async () => {
+    await banco.end();
+    await fs.rm(diretorio, { recursive: true, force: true });
+  });
+
+  describe('listarMigracoes', () => {
+    it('exige o arquivo de reversão e rejeita versões repetidas', async () => {
+      await fs.rm(path.join(diretorio, '002_pedidos.down.sql'));
+      assert.throws(() => listarMigracoes(diretorio), /sem o arquivo de reversão 002_pedidos\.down\.sql/);
+
+      await escrever({ '002_pedidos.down.sql': 'DROP TABLE pedidos;', '002_outra.up.sql': 'SELECT 1;', '002_outra.down.sql': 'SELECT 1;' });
+      assert.throws(() => listarMigracoes(diretorio), /Versão de migração repetida: 2/);
+    });
+  });
+
+  describe('migrar', () => {
+    it('aplica as pendentes em ordem, até a versão pedida, uma única vez', async () => {
+      assert.deepEqual((await migrar(banco, { diretorio, ate: 1 })).map((m) => m.versao), [1]);
+      assert.deepEqual(await tabelas(), ['clientes', 'migracoes']);
+
+      assert.deepEqual((await migrar(banco, { diretorio })).map((m) => m.versao), [2]);
+      assert.deepEqual((await migrar(banco, { diretorio })), []);
+      assert.deepEqual(await versoesRegistradas(), [1, 2]);
+    });
+
+    it('desfaz a migração que falha e mantém as anteriores', async () => {
+      await escrever({
+        '003_quebrada.up.sql': 'CREATE TABLE parcial (id INT); SELECT * FROM tabela_inexistente;',
+        '003_quebrada.down.sql': 'DROP TABLE parcial;'
+      });
+
+      await assert.rejects(migrar(banco, { diretorio }), /Falha na migração 003_quebrada: /);
+
+      assert.deepEqual(await tabelas(), ['clientes', 'migracoes', 'pedidos']);
+      assert.deepEqual(await versoesRegistradas(), [1, 2]);
+    });
+
+    it('segura o bloqueio do banco durante a execução e o libera mesmo após falha', async () => {
+      const consultas = [];
+      const espiao = {
+        connect: async () => {
+          const client = await banco.connect();
+          return { ...client, query: (sql, valores) => { consultas.push(sql); return client.query(sql, valores); } };
+        }
+      };
+
+      await escrever({ '003_quebrada.up.sql': 'SELECT * FROM tabela_inexistente;', '003_quebrada.down.sql': 'SELECT 1;' });
+      await assert.rejects(migrar(espiao, { diretorio }));
+
+      assert.match(consultas[0], /pg_advisory_lock/);
+      assert.match(consultas[consultas.length - 1], /pg_advisory_unlock/);
+      assert.equal(consultas.filter((sql) => /pg_advisory_lock/.test(sql)).length, 1);
+
+      // Nenhum bloqueio fica pendurado para o próximo deploy
+      const bloqueios = await banco.query("SELECT count(*)::int AS total FROM pg_locks WHERE locktype = 'advisory'");
+      assert.equal(bloqueios.rows[0].total, 0);
+    });
+  });
+
+  describe('reverter', () => {
+    it('reverte da mais recente para a mais antiga e remove o registro', async () => {
+      await migrar(banco, { diretorio });
+
+      assert.deepEqual((await reverter(banco, { diretorio })).map((m) => m.versao), [2]);
+      assert.deepEqual(await tabelas(), ['clientes', 'migracoes']);
+      assert.deepEqual(await versoesRegistradas(), [1]);
+
+      assert.deepEqual((await reverter(banco, { diretorio, passos: 5 })).map((m) => m.versao), [1]);
+      assert.deepEqual(await tabelas(), ['migracoes']);
+      assert.deepEqual(await reverter(banco, { diretorio }), []);
+    });
+
+    it('mantém a migração registrada quando a reversão falha', async () => {
+      await migrar(banco, { diretorio });
+      await escrever({ '002_pedidos.down.sql': 'DROP TABLE pedidos; DROP TABLE tabela_inexistente;' });
+
+      await assert.rejects(reverter(banco, { diretorio }), /Falha ao reverter 002_pedidos: /);
+
+      assert.deepEqual(await tabelas(), ['clientes', 'migracoes', 'pedidos']);
+      assert.deepEqual(await versoesRegistradas(), [1, 2]);
+    });
+
+    it('reverte todas as migrações do projeto e as aplica de novo', async () => {
+      const total = listarMigracoes().length;
+      assert.equal((await migrar(banco)).length, total);
+
+      assert.equal((await reverter(banco, { passos: total })).length, total);
+      assert.deepEqual(await tabelas(), ['migracoes']);
+
+      assert.equal((await migrar(banco)).length, total);
+    });
+  });
+
+  describe('situacao', () => {
+    it('aponta a migração alterada depois de aplicada e a registrada sem arquivo', async () => {
+      await migrar(banco, { diretorio });
+      await escrever({ '001_clientes.up.sql': 'CREATE TABLE clientes (id SERIAL PRIMARY KEY, nome TEXT);' });
+      await fs.rm(path.join(diretorio, '002_pedidos.up.sql'));
+      await fs.rm(path.join(diretorio, '002_pedidos.down.sql'));
+
+      const [clientes, pedidos] = await situacao(banco, { diretorio });
+
+      assert.equal(clientes.aplicada, true);
+      assert.equal(clientes.alterada, true);
+      assert.equal(pedidos.nome, 'pedidos');
+      assert.equal(pedidos.ausente, true);
+      assert.equal(pedidos.alterada, false);
+    });
+
+    it('lista as pendentes sem aplicá-las', async () => {
+      await migrar(banco, { diretorio, ate: 1 });
+
+      const estado = await situacao(banco, { diretorio });
+
+      assert.deepEqual(estado.map((m) => [m.versao, m.aplicada, m.alterada]), [[1, true, false], [2, false, false]]);
+      assert.deepEqual(await tabelas(), ['clientes', 'migracoes']);
+    });
+  });
+
+  describe('marcarAplicadas (baseline)', () => {
+    it('registra as migrações até a versão sem executá-las', async () => {
+      assert.deepEqual((await marcarAplicadas(banco, { diretorio, ate: 1 })).map((m) => m.versao), [1]);
+      assert.deepEqual(await tabelas(), ['migracoes']);
+      assert.deepEqual(await marcarAplicadas(banco, { diretorio, ate: 1 }), []);
+
+      // O banco antigo já tinha `clientes`: só a 002 é executada
+      await banco.query(MIGRACOES['001_clientes.up.sql']);
+      assert.deepEqual((await migrar(banco, { diretorio })).map((m) => m.versao), [2]);
+      assert.deepEqual(await tabelas(), ['clientes', 'migracoes', 'pedidos']);
+    });
+  });
+});
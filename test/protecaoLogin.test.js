@@ -0,0 +1,156 @@
+//test/protecaoLogin.test.js
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { definirRepositorios } = require('../repositories');
+const { definirArmazenamento } = require('../services/tentativasLogin');
+const criarArmazenamentoMemoria = require('../services/tentativasLogin/memoria');
+const {
+  verificarBloqueio,
+  registrarFalhaLogin,
+  registrarSucessoLogin
+} = require('../utils/protecaoLogin');
+
+// Sem iniciarApp: silencia o log de erro esperado quando o evento de segurança falha
+process.env.NODE_ENV = 'test';
+
+const EMAIL = 'alvo@teste.com';
+const IP = '203.0.113.7';
+
+// Registra `vezes` falhas e devolve o resultado da última
+const falhar = async (vezes, email = EMAIL, ip = IP) => {
+  let resultado;
+  for (let i = 0; i < vezes; i++) {
+    resultado = await registrarFalhaLogin(email, ip);
+  }
+  return resultado;
+};
+
+describe('Proteção de login', () => {
+  let eventos;
+
+  beforeEach(() => {
+    eventos = [];
+    definirArmazenamento(criarArmazenamentoMemoria());
+    definirRepositorios({
+      auditoria: { registrarEventoSeguranca: async (evento) => { eventos.push(evento); } }
+    });
+  });
+
+  after(() => {
+    definirArmazenamento(null);
+    definirRepositorios(null);
+  });
+
+  describe('verificarBloqueio', () => {
+    it('libera as duas primeiras falhas e exige espera crescente a partir da terceira', async () => {
+      await falhar(2);
+      assert.equal(await verificarBloqueio(EMAIL, IP), null);
+
+      await falhar(1);
+      const espera = await verificarBloqueio(EMAIL, IP);
+      assert.equal(espera.status, 429);
+      assert.equal(espera.retryAfter, 1);
+
+      await falhar(1);
+      assert.equal((await verificarBloqueio(EMAIL, IP)).retryAfter, 2);
+    });
+
+    it('conta as falhas por email sem diferenciar maiúsculas e espaços', async () => {
+      await falhar(3, '  ALVO@Teste.com ');
+      assert.equal((await verificarBloqueio(EMAIL, '198.51.100.1')).status, 429);
+    });
+  });
+
+  describe('registrarFalhaLogin', () => {
+    it('bloqueia a conta na quinta falha com 423 e registra o evento de segurança', async () => {
+      assert.equal(await falhar(4), null);
+
+      const bloqueio = await falhar(1);
+      assert.equal(bloqueio.status, 423);
+      assert.ok(bloqueio.retryAfter > 14 * 60 && bloqueio.retryAfter <= 15 * 60);
+
+      // Vale para qualquer IP, inclusive com a senha certa (a rota consulta antes de comparar)
+      const consulta = await verificarBloqueio(EMAIL, '198.51.100.1');
+      assert.equal(consulta.status, 423);
+
+      assert.equal(eventos.length, 1);
+      assert.equal(eventos[0].tipo, 'bloqueio_login_conta');
+      assert.equal(eventos[0].alvo, EMAIL);
+      assert.equal(eventos[0].ip, IP);
+      assert.equal(eventos[0].detalhes.falhas, 5);
+    });
+
+    it('bloqueia o IP após 20 falhas em contas diferentes, com 429', async () => {
+      let bloqueio;
+      for (let i = 0; i < 20; i++) {
+        bloqueio = await registrarFalhaLogin(`conta${i}@teste.com`, IP);
+        if (i < 19) assert.equal(bloqueio, null);
+      }
+
+      assert.equal(bloqueio.status, 429);
+      assert.ok(bloqueio.retryAfter > 0);
+
+      assert.equal((await verificarBloqueio('nova@teste.com', IP)).status, 429);
+      assert.equal(await verificarBloqueio('nova@teste.com', '198.51.100.1'), null);
+
+      assert.deepEqual(eventos.map((evento) => [evento.tipo, evento.alvo]), [['bloqueio_login_ip', IP]]);
+    });
+
+    it('bloqueia mesmo quando o evento de segurança não pode ser gravado', async () => {
+      definirRepositorios({
+        auditoria: { registrarEventoSeguranca: async () => { throw new Error('banco indisponível'); } }
+      });
+
+      assert.equal((await falhar(5)).status, 423);
+      assert.equal((await verificarBloqueio(EMAIL, IP)).status, 423);
+    });
+  });
+
+  describe('registrarSucessoLogin', () => {
+    it('zera o contador da conta', async () => {
+      await falhar(4);
+      await registrarSucessoLogin(EMAIL);
+
+      assert.equal(await verificarBloqueio(EMAIL, IP), null);
+      assert.equal(await falhar(1), null);
+    });
+  });
+
+  describe('Armazenamento em memória', () => {
+    const JANELA_MS = 15 * 60 * 1000;
+
+    it('descarta os registros depois da janela e do bloqueio', async () => {
+      let instante = new Date('2026-01-01T12:00:00Z');
+      const armazenamento = criarArmazenamentoMemoria({ agora: () => instante });
+
+      await armazenamento.registrarFalha('email:a@teste.com', { janelaMs: JANELA_MS });
+      await armazenamento.registrarFalha('ip:b', { janelaMs: JANELA_MS });
+      await armazenamento.bloquear('ip:b', new Date(instante.getTime() + 2 * JANELA_MS));
+      assert.equal(armazenamento.tamanho(), 2);
+
+      instante = new Date(instante.getTime() + JANELA_MS + 1000);
+      assert.equal(await armazenamento.consultar('email:a@teste.com'), null);
+      assert.ok(await armazenamento.consultar('ip:b'));
+      assert.equal(armazenamento.tamanho(), 1);
+
+      instante = new Date(instante.getTime() + JANELA_MS);
+      await armazenamento.registrarFalha('email:c@teste.com', { janelaMs: JANELA_MS });
+      assert.equal(await armazenamento.consultar('ip:b'), null);
+      assert.equal(armazenamento.tamanho(), 1);
+    });
+
+    it('mantém o registro enquanto a última falha está dentro da janela', async () => {
+      let instante = new Date('2026-01-01T12:00:00Z');
+      const armazenamento = criarArmazenamentoMemoria({ agora: () => instante });
+
+      await armazenamento.registrarFalha('email:a@teste.com', { janelaMs: JANELA_MS });
+      instante = new Date(instante.getTime() + JANELA_MS - 1000);
+      await armazenamento.registrarFalha('email:a@teste.com', { janelaMs: JANELA_MS });
+
+      instante = new Date(instante.getTime() + 2 * 60 * 1000);
+      const registro = await armazenamento.consultar('email:a@teste.com');
+      assert.equal(registro.falhas, 2);
+      assert.equal(registro.janelaMs, undefined);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+//utils/arquivos.js
+// Apoio comum aos arquivos enviados para os anúncios: fotos (utils/imagens.js e utils/galeria.js)
+// e documentos restritos (utils/documentos.js)
+const { log } = require('./log');
+
+// Inteiro positivo lido de uma variável de ambiente; ausente ou inválido assume `padrao`
+const lerInteiro = (valor, padrao) => {
+  const numero = parseInt(valor, 10);
+  return Number.isInteger(numero) && numero > 0 ? numero : padrao;
+};
+
+/**
+ * Apaga as `chaves` de `armazenamento` depois que os registros já saíram do banco (ou nem entraram)
+ * Falhas são apenas logadas, com o `requisicaoId` de quem pediu: um arquivo órfão é preferível
+ * a desfazer a operação no banco
+ */
+const removerDoArmazenamento = async (armazenamento, chaves, { requisicaoId } = {}) => {
+  for (const chave of chaves) {
+    try {
+      await armazenamento.remover(chave);
+    } catch (erro) {
+      log.error('Erro ao remover arquivo do armazenamento', { requisicaoId, chave, erro });
+    }
+  }
+};
+
+module.exports = {
+  lerInteiro,
+  removerDoArmazenamento
+};
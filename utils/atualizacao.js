@@ -0,0 +1,40 @@
+//utils/atualizacao.js
+
+/**
+ * Monta o SET de um UPDATE parcial apenas com as colunas presentes em `dados`
+ * `colunas` é a lista de colunas que o recurso permite alterar (nunca vem da requisição)
+ * Os placeholders começam em $1; o chamador acrescenta os seus (ex.: WHERE id) depois de `valores`
+ * Retorna { sets, valores } ou null quando nenhum campo alterável foi enviado
+ */
+const montarAtualizacao = (dados, colunas) => {
+  const presentes = colunas.filter((coluna) => Object.hasOwn(dados, coluna));
+
+  if (presentes.length === 0) {
+    return null;
+  }
+
+  return {
+    sets: presentes.map((coluna, i) => `${coluna} = $${i + 1}`).join(', '),
+    valores: presentes.map((coluna) => dados[coluna])
+  };
+};
+
+/**
+ * Monta as colunas e os placeholders de um INSERT com as colunas de `colunas` presentes em `dados`
+ * (as ausentes ficam com o default da tabela)
+ * Retorna { colunas, placeholders, valores }
+ */
+const montarInsercao = (dados, colunas) => {
+  const presentes = colunas.filter((coluna) => Object.hasOwn(dados, coluna));
+
+  return {
+    colunas: presentes.join(', '),
+    placeholders: presentes.map((_, i) => `$${i + 1}`).join(', '),
+    valores: presentes.map((coluna) => dados[coluna])
+  };
+};
+
+module.exports = {
+  montarAtualizacao,
+  montarInsercao
+};
@@ -0,0 +1,74 @@
+//utils/auditoria.js
+// Trilha de auditoria das alterações em empresas, contatos e usuários:
+// quem (usuario_id), o quê (acao + recurso/recurso_id), diferença antes/depois, IP e quando.
+// Rotas de pura manutenção de sessão (login, refresh, logout) ficam de fora; elas não
+// alteram dados do recurso e as falhas de login já vão para eventos_seguranca
+const { obterRepositorios } = require('../repositories');
+const { log } = require('./log');
+
+// Nunca gravados na trilha; a alteração aparece, mas sem o valor
+const CAMPOS_SENSIVEIS = ['senha', 'totp_segredo', 'token_hash', 'codigo_hash'];
+const VALOR_OCULTO = '[oculto]';
+
+// Colunas derivadas que não interessam à trilha (busca é o tsvector gerado em db/migracoes/005_busca_empresas.up.sql)
+const CAMPOS_IGNORADOS = ['busca'];
+
+const normalizar = (valor) => {
+  if (valor === undefined) return null;
+  if (valor instanceof Date) return valor.toISOString();
+  return valor;
+};
+
+/**
+ * Diferença campo a campo entre dois registros: { campo: { antes, depois } }
+ * Com `antes` nulo (criação) ou `depois` nulo (remoção definitiva) entram todos os campos preenchidos
+ */
+const calcularDiferencas = (antes, depois) => {
+  const diferencas = {};
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+
+  for (const campo of campos) {
+    if (CAMPOS_IGNORADOS.includes(campo)) continue;
+
+    const valorAntes = normalizar(antes ? antes[campo] : null);
+    const valorDepois = normalizar(depois ? depois[campo] : null);
+
+    if (JSON.stringify(valorAntes) === JSON.stringify(valorDepois)) continue;
+
+    diferencas[campo] = CAMPOS_SENSIVEIS.includes(campo)
+      ? { antes: VALOR_OCULTO, depois: VALOR_OCULTO }
+      : { antes: valorAntes, depois: valorDepois };
+  }
+
+  return diferencas;
+};
+
+/**
+ * Grava uma entrada na trilha de auditoria
+ * O autor é req.usuario (ou `usuarioId`, para rotas públicas em que o próprio usuário age, como o registro)
+ * `detalhes` guarda informações que não são diferença de campos (ex.: ids purgados)
+ * Chamar depois da operação concluída (após o COMMIT, quando houver transação);
+ * falhas são apenas logadas para não derrubar a operação
+ */
+const registrarAuditoria = async (req, { acao, recurso, recursoId = null, antes = null, depois = null, detalhes = null, usuarioId }) => {
+  const alteracoes = calcularDiferencas(antes, depois);
+
+  try {
+    await obterRepositorios().auditoria.registrar({
+      usuarioId: usuarioId ?? req.usuario?.id ?? null,
+      acao,
+      recurso,
+      recursoId,
+      alteracoes,
+      detalhes,
+      ip: req.ip || null
+    });
+  } catch (erro) {
+    log.error('Erro ao registrar auditoria', { requisicaoId: req.id, acao, recurso, recursoId, erro });
+  }
+};
+
+module.exports = {
+  calcularDiferencas,
+  registrarAuditoria
+};
@@ -0,0 +1,53 @@
+//utils/cnpj.js
+// Validação e formatação de CNPJ, incluindo o formato alfanumérico (Receita Federal, a partir de 2026):
+// as 12 primeiras posições aceitam 0-9 e A-Z; os 2 dígitos verificadores continuam numéricos
+
+const PESOS_DV1 = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+const PESOS_DV2 = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Remove a máscara (pontos, barra, hífen e espaços) e padroniza letras em maiúsculas
+const limparCNPJ = (cnpj) => {
+  return String(cnpj ?? '').replace(/[.\/\-\s]/g, '').toUpperCase();
+};
+
+// Valor de cada caractere no cálculo: código ASCII - 48 ('0' = 0, 'A' = 17, ...)
+const calcularDigito = (base, pesos) => {
+  const soma = pesos.reduce((total, peso, i) => total + (base.charCodeAt(i) - 48) * peso, 0);
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+};
+
+const validarCNPJ = (cnpj) => {
+  const valor = limparCNPJ(cnpj);
+
+  if (!/^[0-9A-Z]{12}\d{2}$/.test(valor)) {
+    return false;
+  }
+
+  // Sequências repetidas (00000000000000, 11111111111111, ...) passam no cálculo mas não existem
+  if (/^(.)\1+$/.test(valor)) {
+    return false;
+  }
+
+  const dv1 = calcularDigito(valor.slice(0, 12), PESOS_DV1);
+  const dv2 = calcularDigito(valor.slice(0, 12) + dv1, PESOS_DV2);
+
+  return valor.endsWith(`${dv1}${dv2}`);
+};
+
+// 12345678000195 -> 12.345.678/0001-95
+const formatarCNPJ = (cnpj) => {
+  const valor = limparCNPJ(cnpj);
+
+  if (valor.length !== 14) {
+    return valor;
+  }
+
+  return `${valor.slice(0, 2)}.${valor.slice(2, 5)}.${valor.slice(5, 8)}/${valor.slice(8, 12)}-${valor.slice(12)}`;
+};
+
+module.exports = {
+  limparCNPJ,
+  validarCNPJ,
+  formatarCNPJ
+};
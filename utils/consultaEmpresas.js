@@ -0,0 +1,185 @@
+//utils/consultaEmpresas.js
+
+// Colunas aceitas em ?ordenarPor= (mapeadas para a coluna real)
+const ORDENACOES = {
+  nome: 'nome',
+  valor: 'valor',
+  faturamento: 'faturamento',
+  lucro: 'lucro',
+  ano_fundacao: 'ano_fundacao',
+  criado_em: 'criado_em'
+};
+
+const TAMANHO_PAGINA_PADRAO = 20;
+const TAMANHO_PAGINA_MAXIMO = 100;
+
+// Converte um parâmetro de query em número, retornando null se ausente e NaN se inválido
+const lerNumero = (valor) => {
+  if (valor === undefined || valor === '') return null;
+  const numero = Number(valor);
+  return Number.isFinite(numero) ? numero : NaN;
+};
+
+/**
+ * Lê page/pageSize da query string
+ * Retorna { page, pageSize, offset } ou { erro } quando os valores são inválidos
+ */
+const lerPaginacao = (query) => {
+  const page = lerNumero(query.page) ?? 1;
+  const pageSize = lerNumero(query.pageSize) ?? TAMANHO_PAGINA_PADRAO;
+
+  if (!Number.isSafeInteger(page) || page < 1) {
+    return { erro: 'O parâmetro page deve ser um inteiro maior ou igual a 1' };
+  }
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > TAMANHO_PAGINA_MAXIMO) {
+    return { erro: `O parâmetro pageSize deve ser um inteiro entre 1 e ${TAMANHO_PAGINA_MAXIMO}` };
+  }
+
+  // Acima de MAX_SAFE_INTEGER o offset perde precisão (e estoura o bigint do OFFSET no PostgreSQL)
+  const offset = (page - 1) * pageSize;
+  if (!Number.isSafeInteger(offset)) {
+    return { erro: 'O parâmetro page excede o limite da paginação' };
+  }
+
+  return { page, pageSize, offset };
+};
+
+/**
+ * Lê ?ordenarPor= e ?ordem=
+ * Com busca textual ativa, o padrão é ordenar por relevância (sempre decrescente)
+ * Retorna { coluna, direcao } ou { erro }
+ */
+const lerOrdenacao = (query, { busca = false } = {}) => {
+  const ordenarPor = query.ordenarPor || (busca ? 'relevancia' : 'nome');
+
+  if (ordenarPor === 'relevancia') {
+    if (!busca) {
+      return { erro: 'ordenarPor=relevancia requer o parâmetro q' };
+    }
+    return { coluna: 'relevancia', direcao: 'DESC' };
+  }
+
+  const coluna = Object.hasOwn(ORDENACOES, ordenarPor) ? ORDENACOES[ordenarPor] : null;
+
+  if (!coluna) {
+    return { erro: `ordenarPor deve ser um de: ${Object.keys(ORDENACOES).join(', ')}, relevancia` };
+  }
+
+  const direcao = String(query.ordem || 'asc').toLowerCase();
+  if (direcao !== 'asc' && direcao !== 'desc') {
+    return { erro: 'ordem deve ser asc ou desc' };
+  }
+
+  return { coluna, direcao: direcao.toUpperCase() };
+};
+
+// Filtros de texto (setor, tipo e tipo_imovel comparados sem caixa; localizacao por trecho)
+const FILTROS_TEXTO = ['setor', 'tipo', 'tipo_imovel', 'localizacao'];
+
+// Filtros numéricos de faixa
+const FILTROS_FAIXA = ['valor_min', 'valor_max', 'faturamento_min', 'funcionarios_min'];
+
+/**
+ * Lê os filtros de empresa da query string
+ * Retorna { filtros } (apenas os informados, já convertidos) ou { erro }
+ */
+const lerFiltros = (query, { permitirAtivo = true } = {}) => {
+  const filtros = {};
+
+  for (const filtro of FILTROS_TEXTO) {
+    if (query[filtro]) filtros[filtro] = String(query[filtro]);
+  }
+
+  if (permitirAtivo && query.ativo !== undefined && query.ativo !== '') {
+    if (query.ativo !== 'true' && query.ativo !== 'false') {
+      return { erro: 'ativo deve ser true ou false' };
+    }
+    filtros.ativo = query.ativo === 'true';
+  }
+
+  for (const filtro of FILTROS_FAIXA) {
+    const numero = lerNumero(query[filtro]);
+    if (numero === null) continue;
+    if (Number.isNaN(numero)) {
+      return { erro: `${filtro} deve ser numérico` };
+    }
+    filtros[filtro] = numero;
+  }
+
+  return { filtros };
+};
+
+/**
+ * Lê a consulta de empresas (busca ?q=, filtros, ordenação e paginação) da query string
+ * O resultado é independente de SQL e vai para EmpresaRepository.listar / listarPublicas
+ * Retorna { consulta: { termo, filtros, ordenacao, paginacao } } ou { erro }
+ */
+const lerConsultaEmpresas = (query, { permitirAtivo = true } = {}) => {
+  const termo = typeof query.q === 'string' ? query.q.trim() : '';
+  const paginacao = lerPaginacao(query);
+  const ordenacao = lerOrdenacao(query, { busca: Boolean(termo) });
+  const filtros = lerFiltros(query, { permitirAtivo });
+
+  const erro = paginacao.erro || ordenacao.erro || filtros.erro;
+  if (erro) {
+    return { erro };
+  }
+
+  return {
+    consulta: {
+      termo: termo || null,
+      filtros: filtros.filtros,
+      ordenacao,
+      paginacao
+    }
+  };
+};
+
+// Delimitam os termos encontrados no trecho `destaque` até ele ser escapado (caracteres de controle,
+// removidos do texto do anunciante antes do destaque para que não possam ser forjados)
+const INICIO_DESTAQUE = '\u0002';
+const FIM_DESTAQUE = '\u0003';
+const MARCADORES_DESTAQUE = /[\u0002\u0003]/g;
+
+const ENTIDADES_HTML = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Trecho `destaque` pronto para ser exibido como HTML: o texto do anunciante é escapado
+ * e apenas os marcadores viram <mark> e </mark>
+ */
+const formatarDestaque = (texto) => {
+  if (texto === null || texto === undefined) {
+    return texto;
+  }
+
+  return String(texto)
+    .replace(/[&<>"']/g, (caractere) => ENTIDADES_HTML[caractere])
+    .replaceAll(INICIO_DESTAQUE, '<mark>')
+    .replaceAll(FIM_DESTAQUE, '</mark>');
+};
+
+// Metadados de paginação devolvidos junto de `dados`
+const metadadosPaginacao = ({ page, pageSize }, total) => ({
+  page,
+  pageSize,
+  total,
+  totalPages: Math.ceil(total / pageSize)
+});
+
+module.exports = {
+  ORDENACOES,
+  INICIO_DESTAQUE,
+  FIM_DESTAQUE,
+  MARCADORES_DESTAQUE,
+  formatarDestaque,
+  lerPaginacao,
+  metadadosPaginacao,
+  lerConsultaEmpresas
+};
@@ -0,0 +1,89 @@
+//utils/documentos.js
+// Documentos restritos dos anúncios (balanços, contratos, licenças...):
+// tipos aceitos, conferência do conteúdo e links de download temporários
+const jwt = require('jsonwebtoken');
+const { obterArmazenamentoPrivado } = require('../services/armazenamento');
+const { lerInteiro, removerDoArmazenamento } = require('./arquivos');
+
+// Assinaturas (magic bytes) dos formatos aceitos
+const PDF = Buffer.from('%PDF-');
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04]); // xlsx, docx, ods e odt são pacotes zip
+const OLE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]); // xls e doc
+
+const comecaCom = (assinatura) => (conteudo) => conteudo.subarray(0, assinatura.length).equals(assinatura);
+
+// Texto puro: sem bytes nulos no início do arquivo
+const ehTexto = (conteudo) => !conteudo.subarray(0, 8192).includes(0);
+
+// Tipo MIME aceito -> extensão gravada e conferência do conteúdo
+const TIPOS_DOCUMENTO = {
+  'application/pdf': { extensao: 'pdf', conferir: comecaCom(PDF) },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensao: 'xlsx', conferir: comecaCom(ZIP) },
+  'application/vnd.ms-excel': { extensao: 'xls', conferir: comecaCom(OLE) },
+  'application/vnd.oasis.opendocument.spreadsheet': { extensao: 'ods', conferir: comecaCom(ZIP) },
+  'text/csv': { extensao: 'csv', conferir: ehTexto },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensao: 'docx', conferir: comecaCom(ZIP) },
+  'application/msword': { extensao: 'doc', conferir: comecaCom(OLE) },
+  'application/vnd.oasis.opendocument.text': { extensao: 'odt', conferir: comecaCom(ZIP) }
+};
+
+// Limites configuráveis: DOCUMENTO_TAMANHO_MAXIMO_MB (padrão 20) e DOCUMENTO_LINK_MINUTOS (padrão 10)
+const tamanhoMaximoDocumento = () => lerInteiro(process.env.DOCUMENTO_TAMANHO_MAXIMO_MB, 20) * 1024 * 1024;
+const minutosLinkDocumento = () => lerInteiro(process.env.DOCUMENTO_LINK_MINUTOS, 10);
+
+// O tipo declarado pelo cliente só é aceito se o conteúdo corresponder a ele
+const conferirDocumento = (conteudo, tipo) => {
+  return Object.hasOwn(TIPOS_DOCUMENTO, tipo) && TIPOS_DOCUMENTO[tipo].conferir(conteudo);
+};
+
+const extensaoDocumento = (tipo) => TIPOS_DOCUMENTO[tipo].extensao;
+
+// Segredo próprio para os links de download: o link nunca vale como access token
+const segredoLink = () => `${process.env.JWT_SECRET}:download-documento`;
+
+/**
+ * Gera o token do link de download, válido por DOCUMENTO_LINK_MINUTOS e só para o usuário que o pediu
+ * Retorna { token, expiraEm }
+ */
+const gerarLinkDownload = ({ documentoId, usuarioId }) => {
+  const minutos = minutosLinkDocumento();
+  const token = jwt.sign(
+    { documento: documentoId, usuario: usuarioId },
+    segredoLink(),
+    { expiresIn: minutos * 60 }
+  );
+
+  return {
+    token,
+    expiraEm: new Date(Date.now() + minutos * 60 * 1000)
+  };
+};
+
+/**
+ * Valida o token do link de download
+ * Retorna { documentoId, usuarioId } ou null se inválido/expirado
+ */
+const lerLinkDownload = (token) => {
+  try {
+    const { documento, usuario } = jwt.verify(token, segredoLink());
+    return { documentoId: documento, usuarioId: usuario };
+  } catch (erro) {
+    return null;
+  }
+};
+
+// Apaga do armazenamento privado os arquivos dos documentos informados (ver removerDoArmazenamento)
+const removerArquivosDocumentos = (documentos, opcoes) => {
+  const chaves = documentos.map((documento) => documento.chave);
+  return removerDoArmazenamento(obterArmazenamentoPrivado(), chaves, opcoes);
+};
+
+module.exports = {
+  TIPOS_DOCUMENTO,
+  tamanhoMaximoDocumento,
+  conferirDocumento,
+  extensaoDocumento,
+  gerarLinkDownload,
+  lerLinkDownload,
+  removerArquivosDocumentos
+};
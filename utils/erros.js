@@ -0,0 +1,129 @@
+//utils/erros.js
+// Erros da aplicação: carregam o status HTTP e um `codigo` estável, que o cliente pode tratar
+// sem depender do texto da mensagem. O middleware de erros de server.js monta a resposta
+
+/**
+ * Base dos erros esperados (culpa do cliente ou regra de negócio)
+ * `erros` lista os campos inválidos: [{ campo, mensagem }]
+ */
+class ErroAplicacao extends Error {
+  constructor(mensagem, { status = 500, codigo = 'ERRO_INTERNO', erros } = {}) {
+    super(mensagem);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.codigo = codigo;
+    this.erros = erros;
+  }
+}
+
+class ErroValidacao extends ErroAplicacao {
+  constructor(mensagem = 'Dados inválidos', { codigo = 'DADOS_INVALIDOS', erros } = {}) {
+    super(mensagem, { status: 400, codigo, erros });
+  }
+}
+
+class ErroAcessoNegado extends ErroAplicacao {
+  constructor(mensagem = 'Acesso negado', { codigo = 'ACESSO_NEGADO' } = {}) {
+    super(mensagem, { status: 403, codigo });
+  }
+}
+
+class ErroNaoEncontrado extends ErroAplicacao {
+  constructor(mensagem = 'Registro não encontrado', { codigo = 'NAO_ENCONTRADO' } = {}) {
+    super(mensagem, { status: 404, codigo });
+  }
+}
+
+class ErroConflito extends ErroAplicacao {
+  constructor(mensagem = 'Conflito com o estado atual do registro', { codigo = 'CONFLITO' } = {}) {
+    super(mensagem, { status: 409, codigo });
+  }
+}
+
+// Código das respostas de erro montadas direto nas rotas (sem um ErroAplicacao)
+const CODIGOS_POR_STATUS = {
+  400: 'DADOS_INVALIDOS',
+  401: 'NAO_AUTENTICADO',
+  403: 'ACESSO_NEGADO',
+  404: 'NAO_ENCONTRADO',
+  409: 'CONFLITO',
+  410: 'EXPIRADO',
+  413: 'CONTEUDO_MUITO_GRANDE',
+  423: 'CONTA_BLOQUEADA',
+  429: 'MUITAS_TENTATIVAS',
+  500: 'ERRO_INTERNO'
+};
+
+const codigoPorStatus = (status) => {
+  return CODIGOS_POR_STATUS[status] || (status >= 500 ? 'ERRO_INTERNO' : 'REQUISICAO_INVALIDA');
+};
+
+// Restrições UNIQUE com mensagem própria; as demais viram um CONFLITO genérico
+const RESTRICOES_UNICAS = {
+  empresas_cnpj_key: { mensagem: 'CNPJ já cadastrado', codigo: 'CNPJ_DUPLICADO' },
+  usuarios_email_key: { mensagem: 'Email já cadastrado', codigo: 'EMAIL_DUPLICADO' }
+};
+
+/**
+ * Traduz os erros do PostgreSQL que são culpa da requisição (ex: 23505 quando duas requisições
+ * passam juntas pela verificação de CNPJ duplicado); retorna null para os demais
+ */
+const traduzirErroBanco = (erro) => {
+  switch (erro.code) {
+    case '23505': {
+      const restricao = RESTRICOES_UNICAS[erro.constraint];
+      return restricao
+        ? new ErroConflito(restricao.mensagem, { codigo: restricao.codigo })
+        : new ErroConflito('Registro duplicado', { codigo: 'REGISTRO_DUPLICADO' });
+    }
+    case '23503':
+      return new ErroConflito('Registro relacionado inexistente ou ainda em uso', { codigo: 'VIOLACAO_REFERENCIA' });
+    case '22P02': // texto que não converte para o tipo da coluna (ex: id "abc")
+    case '22001': // texto maior que a coluna
+    case '22003': // número fora da faixa da coluna
+    case '23502': // NOT NULL
+    case '23514': // CHECK
+      return new ErroValidacao();
+    default:
+      return null;
+  }
+};
+
+/**
+ * Converte qualquer erro que chega ao middleware de erros em um ErroAplicacao
+ * Erros inesperados viram ERRO_INTERNO (500), com a mensagem original apenas fora de produção
+ */
+const paraErroAplicacao = (erro) => {
+  if (erro instanceof ErroAplicacao) {
+    return erro;
+  }
+
+  const erroBanco = traduzirErroBanco(erro);
+  if (erroBanco) {
+    return erroBanco;
+  }
+
+  // Erros do express.json (corpo malformado ou grande demais)
+  if (erro.type === 'entity.parse.failed') {
+    return new ErroValidacao('JSON inválido no corpo da requisição', { codigo: 'JSON_INVALIDO' });
+  }
+
+  if (erro.status >= 400 && erro.status < 500) {
+    return new ErroAplicacao(erro.message, { status: erro.status, codigo: codigoPorStatus(erro.status) });
+  }
+
+  return new ErroAplicacao(
+    process.env.NODE_ENV === 'production' ? 'Erro interno do servidor' : erro.message
+  );
+};
+
+module.exports = {
+  ErroAplicacao,
+  ErroValidacao,
+  ErroAcessoNegado,
+  ErroNaoEncontrado,
+  ErroConflito,
+  codigoPorStatus,
+  traduzirErroBanco,
+  paraErroAplicacao
+};
@@ -0,0 +1,36 @@
+//utils/galeria.js
+// Galeria de fotos dos anúncios: URLs públicas e arquivos no armazenamento
+// (os registros ficam no repositório de imagens, que também mantém a capa em empresas.img)
+const { obterRepositorios } = require('../repositories');
+const { obterArmazenamento } = require('../services/armazenamento');
+const { removerDoArmazenamento } = require('./arquivos');
+
+// Resposta pública da imagem: URLs no lugar das chaves internas do armazenamento
+const comUrls = (imagem) => {
+  const armazenamento = obterArmazenamento();
+  const { chave, chave_miniatura, ...dados } = imagem;
+
+  return {
+    ...dados,
+    url: armazenamento.url(chave),
+    url_miniatura: armazenamento.url(chave_miniatura)
+  };
+};
+
+// Imagens da empresa na ordem de exibição, com URLs
+const listarImagens = async (empresaId) => {
+  const imagens = await obterRepositorios().imagens.listar(empresaId);
+  return imagens.map(comUrls);
+};
+
+// Apaga do armazenamento os arquivos (original e miniatura) das imagens informadas (ver removerDoArmazenamento)
+const removerArquivos = (imagens, opcoes) => {
+  const chaves = imagens.flatMap((imagem) => [imagem.chave, imagem.chave_miniatura]);
+  return removerDoArmazenamento(obterArmazenamento(), chaves, opcoes);
+};
+
+module.exports = {
+  comUrls,
+  listarImagens,
+  removerArquivos
+};
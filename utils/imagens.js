@@ -0,0 +1,83 @@
+//utils/imagens.js
+// Validação e processamento das fotos dos anúncios: confere o conteúdo real do arquivo,
+// corrige a orientação, limita a resolução, remove metadados (EXIF/GPS) e gera a miniatura
+const sharp = require('sharp');
+const { lerInteiro } = require('./arquivos');
+
+const TIPOS_IMAGEM = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Formato detectado pelo sharp -> tipo MIME e extensão gravados
+const FORMATOS = {
+  jpeg: { tipo: 'image/jpeg', extensao: 'jpg' },
+  png: { tipo: 'image/png', extensao: 'png' },
+  webp: { tipo: 'image/webp', extensao: 'webp' }
+};
+
+const LARGURA_MAXIMA = 1920;
+const MINIATURA = { largura: 400, altura: 300 };
+
+// Limites configuráveis: IMAGEM_TAMANHO_MAXIMO_MB (padrão 5) e IMAGENS_POR_EMPRESA (padrão 20)
+const tamanhoMaximoImagem = () => lerInteiro(process.env.IMAGEM_TAMANHO_MAXIMO_MB, 5) * 1024 * 1024;
+const limiteImagensPorEmpresa = () => lerInteiro(process.env.IMAGENS_POR_EMPRESA, 20);
+
+/**
+ * Processa o arquivo enviado
+ * Retorna { principal, miniatura } com { conteudo, tipo, extensao, largura, altura }
+ * ou { erro } quando o conteúdo não é uma imagem JPEG, PNG ou WebP válida
+ */
+const processarImagem = async (conteudo) => {
+  let metadados;
+
+  try {
+    metadados = await sharp(conteudo).metadata();
+  } catch {
+    return { erro: 'O arquivo não é uma imagem válida' };
+  }
+
+  if (!Object.hasOwn(FORMATOS, metadados.format)) {
+    return { erro: 'Formato de imagem não suportado. Aceitos: JPEG, PNG e WebP' };
+  }
+
+  const formato = FORMATOS[metadados.format];
+
+  try {
+    const principal = await sharp(conteudo)
+      .rotate()
+      .resize({ width: LARGURA_MAXIMA, withoutEnlargement: true })
+      .toFormat(metadados.format)
+      .toBuffer({ resolveWithObject: true });
+
+    const miniatura = await sharp(conteudo)
+      .rotate()
+      .resize(MINIATURA.largura, MINIATURA.altura, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      principal: {
+        conteudo: principal.data,
+        tipo: formato.tipo,
+        extensao: formato.extensao,
+        largura: principal.info.width,
+        altura: principal.info.height
+      },
+      miniatura: {
+        conteudo: miniatura.data,
+        tipo: 'image/webp',
+        extensao: 'webp',
+        largura: miniatura.info.width,
+        altura: miniatura.info.height
+      }
+    };
+  } catch {
+    // Cabeçalho válido mas conteúdo corrompido
+    return { erro: 'Não foi possível processar a imagem' };
+  }
+};
+
+module.exports = {
+  TIPOS_IMAGEM,
+  tamanhoMaximoImagem,
+  limiteImagensPorEmpresa,
+  processarImagem
+};
@@ -0,0 +1,39 @@
+//utils/lixeira.js
+// Exclusão lógica (deleted_at/deleted_by) de empresas e contatos.
+// Registros na lixeira podem ser restaurados até serem purgados por um administrador,
+// o que só remove os excluídos há mais de LIXEIRA_RETENCAO_DIAS dias (padrão 30)
+
+const RETENCAO_PADRAO_DIAS = 30;
+
+const diasRetencao = () => {
+  const dias = parseInt(process.env.LIXEIRA_RETENCAO_DIAS, 10);
+  return Number.isInteger(dias) && dias >= 0 ? dias : RETENCAO_PADRAO_DIAS;
+};
+
+/**
+ * Remove definitivamente os registros de `tabela` que estão na lixeira há mais tempo que a retenção
+ * `tabela` é sempre uma constante do código (empresas ou contatos), nunca entrada do usuário
+ * Retorna { removidos, ids, retencaoDias }
+ */
+const purgarLixeira = async (db, tabela) => {
+  const retencaoDias = diasRetencao();
+
+  const resultado = await db.query(
+    `DELETE FROM ${tabela}
+     WHERE deleted_at IS NOT NULL
+       AND deleted_at < NOW() - make_interval(days => $1)
+     RETURNING id`,
+    [retencaoDias]
+  );
+
+  return {
+    removidos: resultado.rowCount,
+    ids: resultado.rows.map((linha) => linha.id),
+    retencaoDias
+  };
+};
+
+module.exports = {
+  diasRetencao,
+  purgarLixeira
+};
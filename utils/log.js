@@ -0,0 +1,114 @@
+//utils/log.js
+// Logs estruturados: uma linha JSON por evento, para serem filtrados e agregados pela plataforma
+// LOG_LEVEL define o nível mínimo (debug | info | warn | error | silent)
+// Padrão: info em produção, silent nos testes automatizados e debug no resto
+
+const NIVEIS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+const OCULTO = '[oculto]';
+
+// Campos cujo valor nunca vai para o log, em qualquer profundidade
+const CAMPOS_SENSIVEIS = /senha|password|token|segredo|secret|authorization|cookie|codigo_recuperacao|cnpj/i;
+
+// Trechos sensíveis dentro de textos (mensagens de erro do banco, URLs...)
+const PADROES_SENSIVEIS = [
+  // JWT
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  // CNPJ com ou sem máscara (ex: "Key (cnpj)=(11222333000181) already exists")
+  /\b\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}\b/g,
+  // Tokens em query string (links de verificação e redefinição)
+  /(token=)[^&\s]+/gi
+];
+
+const nivelMinimo = () => {
+  const nivel = process.env.LOG_LEVEL
+    || (process.env.NODE_ENV === 'production' ? 'info' : process.env.NODE_ENV === 'test' ? 'silent' : 'debug');
+
+  return NIVEIS[nivel] ?? NIVEIS.info;
+};
+
+const ocultarTexto = (texto) => {
+  return PADROES_SENSIVEIS.reduce(
+    (resultado, padrao) => resultado.replace(padrao, (trecho, prefixo) => (
+      typeof prefixo === 'string' ? `${prefixo}${OCULTO}` : OCULTO
+    )),
+    texto
+  );
+};
+
+/**
+ * Cópia de `valor` sem senhas, tokens e CNPJs (por nome de campo e por padrão dentro dos textos)
+ * Errors viram { nome, mensagem, codigo, stack }
+ */
+const ocultarSensiveis = (valor, vistos = new WeakSet()) => {
+  if (typeof valor === 'string') {
+    return ocultarTexto(valor);
+  }
+
+  if (valor instanceof Error) {
+    return ocultarSensiveis({
+      nome: valor.name,
+      mensagem: valor.message,
+      codigo: valor.codigo || valor.code,
+      stack: valor.stack
+    }, vistos);
+  }
+
+  if (valor === null || typeof valor !== 'object' || valor instanceof Date) {
+    return valor;
+  }
+
+  if (vistos.has(valor)) {
+    return '[circular]';
+  }
+  vistos.add(valor);
+
+  if (Array.isArray(valor)) {
+    return valor.map((item) => ocultarSensiveis(item, vistos));
+  }
+
+  return Object.fromEntries(Object.entries(valor).map(([campo, conteudo]) => [
+    campo,
+    CAMPOS_SENSIVEIS.test(campo) && conteudo !== null && conteudo !== undefined
+      ? OCULTO
+      : ocultarSensiveis(conteudo, vistos)
+  ]));
+};
+
+const registrar = (nivel, mensagem, campos = {}) => {
+  if (NIVEIS[nivel] < nivelMinimo()) {
+    return;
+  }
+
+  const linha = JSON.stringify({
+    nivel,
+    horario: new Date().toISOString(),
+    mensagem: ocultarTexto(mensagem),
+    ...ocultarSensiveis(campos)
+  });
+
+  (NIVEIS[nivel] >= NIVEIS.warn ? process.stderr : process.stdout).write(`${linha}\n`);
+};
+
+/**
+ * Uso: log.info('Requisição concluída', { requisicaoId, status })
+ * Os campos entram na raiz da linha JSON, já sem dados sensíveis
+ */
+const log = {
+  debug: (mensagem, campos) => registrar('debug', mensagem, campos),
+  info: (mensagem, campos) => registrar('info', mensagem, campos),
+  warn: (mensagem, campos) => registrar('warn', mensagem, campos),
+  error: (mensagem, campos) => registrar('error', mensagem, campos)
+};
+
+module.exports = {
+  log,
+  ocultarSensiveis,
+  NIVEIS
+};
@@ -0,0 +1,31 @@
+//utils/permissoesEmpresas.js
+// Regras de acesso aos anúncios, compartilhadas pelas rotas de empresas, da galeria e dos documentos
+const { obterRepositorios } = require('../repositories');
+
+// Admin gerencia qualquer empresa; demais usuários apenas as que criaram
+const podeGerenciar = (usuario, empresa) => {
+  return usuario.papel === 'admin' || empresa.usuario_id === usuario.id;
+};
+
+// Corretores também podem consultar (mas não alterar) qualquer empresa
+const podeVisualizar = (usuario, empresa) => {
+  return usuario.papel === 'corretor' || podeGerenciar(usuario, empresa);
+};
+
+/**
+ * Documentos restritos (sala de dados): dono e admin, ou comprador com acesso concedido pelo dono
+ * Corretores não têm acesso automático, ao contrário do restante do anúncio
+ */
+const podeAcessarDocumentos = async (usuario, empresa) => {
+  if (podeGerenciar(usuario, empresa)) {
+    return true;
+  }
+
+  return obterRepositorios().documentos.temAcesso(empresa.id, usuario.id);
+};
+
+module.exports = {
+  podeGerenciar,
+  podeVisualizar,
+  podeAcessarDocumentos
+};
@@ -0,0 +1,174 @@
+//utils/protecaoLogin.js
+const { obterRepositorios } = require('../repositories');
+const { obterArmazenamento } = require('../services/tentativasLogin');
+const { log } = require('./log');
+
+const MAX_FALHAS_CONTA = Number(process.env.LOGIN_MAX_FALHAS_CONTA) || 5;
+const MAX_FALHAS_IP = Number(process.env.LOGIN_MAX_FALHAS_IP) || 20;
+const JANELA_MS = (Number(process.env.LOGIN_JANELA_MINUTOS) || 15) * 60 * 1000;
+const BLOQUEIO_MS = (Number(process.env.LOGIN_BLOQUEIO_MINUTOS) || 15) * 60 * 1000;
+
+// Pedidos de redefinição de senha aceitos por email e por IP dentro da janela
+const MAX_REDEFINICOES_EMAIL = Number(process.env.REDEFINICAO_MAX_PEDIDOS_EMAIL) || 3;
+const MAX_REDEFINICOES_IP = Number(process.env.REDEFINICAO_MAX_PEDIDOS_IP) || 10;
+const JANELA_REDEFINICAO_MS = (Number(process.env.REDEFINICAO_JANELA_MINUTOS) || 60) * 60 * 1000;
+
+// A partir desta falha cada nova tentativa exige uma espera crescente (1s, 2s, 4s... até 30s)
+const ATRASO_A_PARTIR = 3;
+const ATRASO_MAXIMO_MS = 30 * 1000;
+
+const chaveConta = (email) => `email:${String(email).trim().toLowerCase()}`;
+const chaveIp = (ip) => `ip:${ip || 'desconhecido'}`;
+
+const segundosAte = (data) => Math.max(1, Math.ceil((new Date(data) - Date.now()) / 1000));
+
+const atrasoMs = (falhas) => {
+  if (falhas < ATRASO_A_PARTIR) return 0;
+  return Math.min(1000 * 2 ** (falhas - ATRASO_A_PARTIR), ATRASO_MAXIMO_MS);
+};
+
+// Registra o bloqueio na tabela de auditoria de segurança
+// O log não leva o alvo: num bloqueio de conta ele é o email, que fica só em eventos_seguranca
+const auditarBloqueio = async ({ tipo, alvo, falhas, bloqueadoAte, ip, requisicaoId }) => {
+  log.warn('Bloqueio de login', { requisicaoId, tipo, ip, falhas, bloqueadoAte });
+
+  try {
+    await obterRepositorios().auditoria.registrarEventoSeguranca({
+      tipo: `bloqueio_login_${tipo}`,
+      alvo,
+      ip: ip || null,
+      detalhes: { falhas, bloqueado_ate: bloqueadoAte }
+    });
+  } catch (erro) {
+    log.error('Erro ao auditar bloqueio de login', { requisicaoId, tipo, erro });
+  }
+};
+
+/**
+ * Verifica se o login está liberado para o email/IP
+ * Retorna null ou { status, retryAfter, mensagem } (423 conta bloqueada, 429 IP bloqueado ou espera)
+ */
+const verificarBloqueio = async (email, ip) => {
+  const armazenamento = obterArmazenamento();
+  const agora = new Date();
+
+  const [conta, origem] = await Promise.all([
+    armazenamento.consultar(chaveConta(email)),
+    armazenamento.consultar(chaveIp(ip))
+  ]);
+
+  if (conta && conta.bloqueadoAte && new Date(conta.bloqueadoAte) > agora) {
+    return {
+      status: 423,
+      retryAfter: segundosAte(conta.bloqueadoAte),
+      mensagem: 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde'
+    };
+  }
+
+  if (origem && origem.bloqueadoAte && new Date(origem.bloqueadoAte) > agora) {
+    return {
+      status: 429,
+      retryAfter: segundosAte(origem.bloqueadoAte),
+      mensagem: 'Muitas tentativas de login a partir deste endereço. Tente novamente mais tarde'
+    };
+  }
+
+  if (conta && new Date(conta.ultimaFalhaEm) > new Date(agora - JANELA_MS)) {
+    const liberadoEm = new Date(new Date(conta.ultimaFalhaEm).getTime() + atrasoMs(conta.falhas));
+    if (liberadoEm > agora) {
+      return {
+        status: 429,
+        retryAfter: segundosAte(liberadoEm),
+        mensagem: 'Aguarde alguns segundos antes de tentar novamente'
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Contabiliza uma falha de login para o email e o IP
+ * Retorna o bloqueio (mesmo formato de verificarBloqueio) se esta falha atingiu o limite
+ * `requisicaoId` só identifica a requisição nos logs do bloqueio
+ */
+const registrarFalhaLogin = async (email, ip, { requisicaoId } = {}) => {
+  const armazenamento = obterArmazenamento();
+
+  const [conta, origem] = await Promise.all([
+    armazenamento.registrarFalha(chaveConta(email), { janelaMs: JANELA_MS }),
+    armazenamento.registrarFalha(chaveIp(ip), { janelaMs: JANELA_MS })
+  ]);
+
+  const bloqueadoAte = new Date(Date.now() + BLOQUEIO_MS);
+
+  if (conta.falhas >= MAX_FALHAS_CONTA) {
+    await armazenamento.bloquear(chaveConta(email), bloqueadoAte);
+    await auditarBloqueio({ tipo: 'conta', alvo: email, falhas: conta.falhas, bloqueadoAte, ip, requisicaoId });
+    return {
+      status: 423,
+      retryAfter: segundosAte(bloqueadoAte),
+      mensagem: 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde'
+    };
+  }
+
+  if (origem.falhas >= MAX_FALHAS_IP) {
+    await armazenamento.bloquear(chaveIp(ip), bloqueadoAte);
+    await auditarBloqueio({ tipo: 'ip', alvo: ip, falhas: origem.falhas, bloqueadoAte, ip, requisicaoId });
+    return {
+      status: 429,
+      retryAfter: segundosAte(bloqueadoAte),
+      mensagem: 'Muitas tentativas de login a partir deste endereço. Tente novamente mais tarde'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Contabiliza um pedido de redefinição de senha para o email e o IP
+ * (o mesmo armazenamento das falhas de login, com chaves próprias)
+ * Retorna null ou { status: 429, retryAfter, mensagem } quando um dos dois passou do limite da janela
+ */
+const registrarPedidoRedefinicao = async (email, ip, { requisicaoId } = {}) => {
+  const armazenamento = obterArmazenamento();
+
+  const [conta, origem] = await Promise.all([
+    armazenamento.registrarFalha(`redefinicao:${chaveConta(email)}`, { janelaMs: JANELA_REDEFINICAO_MS }),
+    armazenamento.registrarFalha(`redefinicao:${chaveIp(ip)}`, { janelaMs: JANELA_REDEFINICAO_MS })
+  ]);
+
+  const excedidos = [[conta, MAX_REDEFINICOES_EMAIL], [origem, MAX_REDEFINICOES_IP]]
+    .filter(([registro, maximo]) => registro.falhas > maximo)
+    .map(([registro]) => new Date(registro.primeiraFalhaEm).getTime() + JANELA_REDEFINICAO_MS);
+
+  if (excedidos.length === 0) return null;
+
+  log.warn('Pedidos de redefinição de senha em excesso', {
+    requisicaoId,
+    ip,
+    pedidosEmail: conta.falhas,
+    pedidosIp: origem.falhas
+  });
+
+  return {
+    status: 429,
+    retryAfter: segundosAte(Math.max(...excedidos)),
+    mensagem: 'Muitos pedidos de redefinição de senha. Tente novamente mais tarde'
+  };
+};
+
+/**
+ * Zera o contador da conta após um login bem-sucedido
+ * (o contador do IP expira sozinho com a janela)
+ */
+const registrarSucessoLogin = async (email) => {
+  await obterArmazenamento().limpar(chaveConta(email));
+};
+
+module.exports = {
+  verificarBloqueio,
+  registrarFalhaLogin,
+  registrarPedidoRedefinicao,
+  registrarSucessoLogin
+};
@@ -0,0 +1,135 @@
+//utils/sessao.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const REFRESH_TOKEN_DIAS = Number(process.env.REFRESH_TOKEN_EXPIRES_DIAS) || 7;
+
+// Caminho restrito para que o refresh token só seja enviado às rotas de autenticação
+const CAMINHO_REFRESH = '/api/auth';
+
+// Opções comuns dos cookies de sessão (HttpOnly, Secure em produção)
+const opcoesCookie = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAMESITE || 'lax'
+});
+
+// Refresh tokens são guardados apenas como hash SHA-256
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Gera o access token (JWT de curta duração) com os dados do usuário
+ */
+const gerarAccessToken = (usuario) => {
+  return jwt.sign(
+    {
+      id: usuario.id,
+      nome: usuario.nome,
+      email: usuario.email,
+      papel: usuario.papel,
+      versao: usuario.token_versao
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Segredo próprio para o desafio de 2FA: o desafio nunca vale como access token
+const segredoDesafio = () => `${process.env.JWT_SECRET}:desafio-2fa`;
+
+/**
+ * Gera o desafio do login em duas etapas (senha já conferida, falta o código TOTP)
+ */
+const gerarDesafio2FA = (usuario) => {
+  return jwt.sign(
+    { id: usuario.id, versao: usuario.token_versao },
+    segredoDesafio(),
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * Valida o desafio de 2FA
+ * Retorna { id, versao } ou null se inválido/expirado
+ */
+const lerDesafio2FA = (desafio) => {
+  try {
+    const { id, versao } = jwt.verify(desafio, segredoDesafio());
+    return { id, versao };
+  } catch (erro) {
+    return null;
+  }
+};
+
+/**
+ * Cria e persiste um novo refresh token para o usuário
+ * `usuarios` é o UsuarioRepository (o padrão ou o de uma transação)
+ * Retorna { token, id } — o token em texto puro só existe neste momento
+ */
+const emitirRefreshToken = async (usuarios, usuarioId, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiraEm = new Date(Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000);
+
+  const id = await usuarios.criarRefreshToken({
+    usuarioId,
+    tokenHash: hashToken(token),
+    expiraEm,
+    ip: req.ip || null,
+    userAgent: (req.get('user-agent') || '').slice(0, 500) || null
+  });
+
+  return { token, id };
+};
+
+/**
+ * Invalida todas as sessões do usuário
+ * Incrementa usuarios.token_versao (access tokens emitidos antes deixam de valer)
+ * e, por padrão, revoga os refresh tokens ativos
+ */
+const revogarSessoes = async (usuarios, usuarioId, { revogarRefresh = true } = {}) => {
+  await usuarios.incrementarVersaoToken(usuarioId);
+
+  if (revogarRefresh) {
+    await usuarios.revogarRefreshTokens(usuarioId);
+  }
+};
+
+/**
+ * Define os cookies HttpOnly de access token e refresh token
+ */
+const definirCookiesSessao = (res, accessToken, refreshToken) => {
+  const { exp } = jwt.decode(accessToken);
+
+  res.cookie('accessToken', accessToken, {
+    ...opcoesCookie(),
+    path: '/',
+    maxAge: exp * 1000 - Date.now()
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    ...opcoesCookie(),
+    path: CAMINHO_REFRESH,
+    maxAge: REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000
+  });
+};
+
+/**
+ * Remove os cookies de sessão
+ */
+const limparCookiesSessao = (res) => {
+  res.clearCookie('accessToken', { ...opcoesCookie(), path: '/' });
+  res.clearCookie('refreshToken', { ...opcoesCookie(), path: CAMINHO_REFRESH });
+};
+
+module.exports = {
+  hashToken,
+  gerarAccessToken,
+  gerarDesafio2FA,
+  lerDesafio2FA,
+  emitirRefreshToken,
+  revogarSessoes,
+  definirCookiesSessao,
+  limparCookiesSessao
+};
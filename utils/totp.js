@@ -0,0 +1,137 @@
+//utils/totp.js
+const crypto = require('crypto');
+
+// TOTP (RFC 6238): códigos de 6 dígitos, passos de 30s, HMAC-SHA1 — compatível com Google Authenticator/Authy
+const DIGITOS = 6;
+const PASSO_SEGUNDOS = 30;
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const paraBase32 = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let saida = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    saida += ALFABETO_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return saida;
+};
+
+const deBase32 = (texto) => {
+  let bits = '';
+  for (const caractere of texto.replace(/=+$/, '').toUpperCase()) {
+    const valor = ALFABETO_BASE32.indexOf(caractere);
+    if (valor === -1) throw new Error('Segredo base32 inválido');
+    bits += valor.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gera um novo segredo TOTP (160 bits, em base32)
+ */
+const gerarSegredo = () => paraBase32(crypto.randomBytes(20));
+
+/**
+ * Calcula o código para um passo de tempo (HOTP sobre floor(t / 30))
+ */
+const gerarCodigo = (segredo, passo) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(passo));
+
+  const hmac = crypto.createHmac('sha1', deBase32(segredo)).update(contador).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+};
+
+const passoAtual = (agora = Date.now()) => Math.floor(agora / 1000 / PASSO_SEGUNDOS);
+
+/**
+ * Verifica um código aceitando ±`janela` passos de diferença de relógio
+ * Retorna o passo que casou (para impedir reuso) ou null
+ */
+const verificarCodigo = (segredo, codigo, { janela = 1, agora = Date.now() } = {}) => {
+  const normalizado = String(codigo || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalizado)) return null;
+
+  const atual = passoAtual(agora);
+  for (let desvio = -janela; desvio <= janela; desvio++) {
+    const candidato = gerarCodigo(segredo, atual + desvio);
+    if (crypto.timingSafeEqual(Buffer.from(candidato), Buffer.from(normalizado))) {
+      return atual + desvio;
+    }
+  }
+  return null;
+};
+
+/**
+ * URI otpauth:// para cadastro via QR code no aplicativo autenticador
+ */
+const gerarUriOtpauth = (segredo, conta, emissor = process.env.TOTP_EMISSOR || 'Balcão de Negócios') => {
+  const rotulo = encodeURIComponent(`${emissor}:${conta}`);
+  const params = new URLSearchParams({
+    secret: segredo,
+    issuer: emissor,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PASSO_SEGUNDOS)
+  });
+  // URLSearchParams codifica espaço como '+', que alguns aplicativos exibem literalmente
+  return `otpauth://totp/${rotulo}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+// Segredos ficam cifrados no banco (AES-256-GCM)
+const chaveCifra = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:totp`)
+    .digest();
+};
+
+const cifrarSegredo = (segredo) => {
+  const iv = crypto.randomBytes(12);
+  const cifra = crypto.createCipheriv('aes-256-gcm', chaveCifra(), iv);
+  const conteudo = Buffer.concat([cifra.update(segredo, 'utf8'), cifra.final()]);
+  return [iv, cifra.getAuthTag(), conteudo].map((parte) => parte.toString('base64')).join('.');
+};
+
+const decifrarSegredo = (valor) => {
+  const [iv, tag, conteudo] = valor.split('.').map((parte) => Buffer.from(parte, 'base64'));
+  const decifra = crypto.createDecipheriv('aes-256-gcm', chaveCifra(), iv);
+  decifra.setAuthTag(tag);
+  return Buffer.concat([decifra.update(conteudo), decifra.final()]).toString('utf8');
+};
+
+/**
+ * Gera códigos de recuperação de uso único (formato xxxxx-xxxxx)
+ */
+const gerarCodigosRecuperacao = (quantidade = 10) => {
+  return Array.from({ length: quantidade }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+// Aceita o código com ou sem hífen/espaços, em qualquer caixa
+const normalizarCodigoRecuperacao = (codigo) => {
+  return String(codigo || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+};
+
+module.exports = {
+  gerarSegredo,
+  gerarCodigo,
+  passoAtual,
+  verificarCodigo,
+  gerarUriOtpauth,
+  cifrarSegredo,
+  decifrarSegredo,
+  gerarCodigosRecuperacao,
+  normalizarCodigoRecuperacao
+};
@@ -0,0 +1,173 @@
+//utils/validacao.js
+// Validação declarativa dos corpos de requisição.
+// Os schemas (pasta schemas/) seguem o subconjunto do OpenAPI 3.0 abaixo e também
+// alimentam os components do Swagger, para que documentação e validação não divirjam:
+// type, required, readOnly, default, enum, format, pattern,
+// minLength, maxLength, minimum e maximum (campos não obrigatórios sempre aceitam vazio)
+const { validarCNPJ } = require('./cnpj');
+
+// Maior valor de uma coluna INT do PostgreSQL (ids SERIAL)
+const MAIOR_ID = 2147483647;
+
+// Validação de ID (inteiro positivo que cabe na coluna)
+const validarId = (id) => {
+  return /^\d{1,10}$/.test(String(id)) && Number(id) >= 1 && Number(id) <= MAIOR_ID;
+};
+
+// Validação de email
+const validarEmail = (email) => {
+  const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return regex.test(email);
+};
+
+// Validação de telefone (formato brasileiro)
+const validarTelefone = (telefone) => {
+  const regex = /^(\(?\d{2}\)?\s?)?9?\d{4}-?\d{4}$/;
+  return regex.test(telefone);
+};
+
+// Valores de "format" com validação própria; os demais (date-time, password...) são apenas documentais
+const FORMATOS = {
+  email: { validar: validarEmail, mensagem: 'Email inválido' },
+  telefone: { validar: validarTelefone, mensagem: 'Telefone inválido' },
+  cnpj: { validar: validarCNPJ, mensagem: 'CNPJ inválido' }
+};
+
+const estaVazio = (valor) => {
+  return valor === null || (typeof valor === 'string' && valor.trim() === '');
+};
+
+/**
+ * Converte o valor para o tipo declarado (aceita números e booleanos enviados como texto)
+ * Retorna { valor } ou { erro }
+ */
+const converterTipo = (valor, tipo) => {
+  switch (tipo) {
+    case 'string':
+      return typeof valor === 'string' ? { valor } : { erro: 'Deve ser um texto' };
+
+    case 'integer':
+      if (Number.isInteger(valor)) return { valor };
+      if (typeof valor === 'string' && /^-?\d+$/.test(valor.trim())) return { valor: Number(valor) };
+      return { erro: 'Deve ser um número inteiro' };
+
+    case 'number':
+      if (typeof valor === 'number' && Number.isFinite(valor)) return { valor };
+      if (typeof valor === 'string' && /^-?\d+(\.\d+)?$/.test(valor.trim())) return { valor: Number(valor) };
+      return { erro: 'Deve ser um número' };
+
+    case 'boolean':
+      if (typeof valor === 'boolean') return { valor };
+      if (valor === 'true' || valor === 'false') return { valor: valor === 'true' };
+      return { erro: 'Deve ser verdadeiro ou falso' };
+
+    default:
+      return { valor };
+  }
+};
+
+// Regras de conteúdo aplicadas depois da conversão de tipo
+const verificarRegras = (valor, definicao) => {
+  if (definicao.enum && !definicao.enum.includes(valor)) {
+    return `Deve ser um de: ${definicao.enum.join(', ')}`;
+  }
+
+  if (typeof valor === 'string') {
+    if (definicao.minLength !== undefined && valor.length < definicao.minLength) {
+      return `Deve ter no mínimo ${definicao.minLength} caracteres`;
+    }
+    if (definicao.maxLength !== undefined && valor.length > definicao.maxLength) {
+      return `Deve ter no máximo ${definicao.maxLength} caracteres`;
+    }
+    if (definicao.pattern && !new RegExp(definicao.pattern).test(valor)) {
+      return 'Formato inválido';
+    }
+    if (definicao.format && Object.hasOwn(FORMATOS, definicao.format) &&
+        !FORMATOS[definicao.format].validar(valor)) {
+      return FORMATOS[definicao.format].mensagem;
+    }
+  }
+
+  if (typeof valor === 'number') {
+    if (definicao.minimum !== undefined && valor < definicao.minimum) {
+      return `Deve ser maior ou igual a ${definicao.minimum}`;
+    }
+    if (definicao.maximum !== undefined && valor > definicao.maximum) {
+      return `Deve ser menor ou igual a ${definicao.maximum}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Valida `corpo` contra `schema`
+ * Com `parcial`, campos ausentes são ignorados (inclusive os obrigatórios) e defaults não são aplicados
+ * Retorna { dados, erros }: `dados` contém apenas os campos graváveis do schema, já convertidos;
+ * vazios ('' ou null) assumem o default do campo ou null
+ */
+const validar = (schema, corpo, { parcial = false } = {}) => {
+  const erros = [];
+  const dados = {};
+
+  if (corpo === undefined) corpo = {};
+
+  if (corpo === null || typeof corpo !== 'object' || Array.isArray(corpo)) {
+    return {
+      dados,
+      erros: [{ campo: null, mensagem: 'O corpo da requisição deve ser um objeto JSON' }]
+    };
+  }
+
+  const obrigatorios = schema.required || [];
+
+  for (const [campo, definicao] of Object.entries(schema.properties)) {
+    if (definicao.readOnly) continue;
+
+    const obrigatorio = obrigatorios.includes(campo);
+    const valor = Object.hasOwn(corpo, campo) ? corpo[campo] : undefined;
+
+    if (valor === undefined) {
+      if (parcial) continue;
+
+      if (obrigatorio) {
+        erros.push({ campo, mensagem: 'Campo obrigatório' });
+      } else {
+        dados[campo] = definicao.default !== undefined ? definicao.default : null;
+      }
+      continue;
+    }
+
+    if (estaVazio(valor)) {
+      if (obrigatorio) {
+        erros.push({ campo, mensagem: 'Campo obrigatório' });
+      } else {
+        dados[campo] = definicao.default !== undefined ? definicao.default : null;
+      }
+      continue;
+    }
+
+    const convertido = converterTipo(valor, definicao.type);
+    if (convertido.erro) {
+      erros.push({ campo, mensagem: convertido.erro });
+      continue;
+    }
+
+    const erroRegra = verificarRegras(convertido.valor, definicao);
+    if (erroRegra) {
+      erros.push({ campo, mensagem: erroRegra });
+      continue;
+    }
+
+    dados[campo] = convertido.valor;
+  }
+
+  return { dados, erros };
+};
+
+module.exports = {
+  validarId,
+  validarEmail,
+  validarTelefone,
+  validar
+};
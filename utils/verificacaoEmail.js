@@ -0,0 +1,40 @@
+//utils/verificacaoEmail.js
+const jwt = require('jsonwebtoken');
+
+const VALIDADE_VERIFICACAO = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+// Segredo próprio: um token de verificação nunca pode ser aceito como access token
+const segredo = () => {
+  return process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:verificacao-email`;
+};
+
+/**
+ * Gera o token assinado enviado no link de verificação
+ * O email faz parte do token: se o email do usuário mudar, o link deixa de valer
+ */
+const gerarTokenVerificacao = (usuario) => {
+  return jwt.sign(
+    { id: usuario.id, email: usuario.email },
+    segredo(),
+    { expiresIn: VALIDADE_VERIFICACAO }
+  );
+};
+
+/**
+ * Valida o token de verificação
+ * Retorna { id, email } ou null se inválido/expirado
+ */
+const lerTokenVerificacao = (token) => {
+  try {
+    const { id, email } = jwt.verify(token, segredo());
+    return { id, email };
+  } catch (erro) {
+    return null;
+  }
+};
+
+module.exports = {
+  VALIDADE_VERIFICACAO,
+  gerarTokenVerificacao,
+  lerTokenVerificacao
+};